@@ -0,0 +1,139 @@
+/**
+ * Job request lifecycle.
+ *
+ *   draft -> active -> in_progress -> completed
+ *              |            |-> disputed -> in_progress / completed / canceled
+ *              |-> expired  |-> canceled
+ *              |-> canceled
+ *
+ * JOB_TRANSITIONS lists, for each status, the statuses it may move to. A
+ * transition can require a reason and a guard that checks the job itself; the
+ * guard returns an error message, or null when the move is allowed. Status only
+ * changes through services/jobLifecycle.js, which records every move in the
+ * job's statusHistory.
+ *
+ * Milestones (services/milestones.js) run inside in_progress: the client and the
+ * hired provider agree on a plan, the provider submits each milestone and the
+ * client approves it or rejects it with notes. A job with milestones completes
+ * only once all of them are approved.
+ *
+ * Applications (services/applications.js) are reviewed while the job is active:
+ * the client shortlists, rejects or accepts them and the provider can withdraw.
+ * Accepting one rejects every other open application.
+ *
+ * Invitations (services/invitations.js) ask specific providers to apply. An
+ * invitation is sent, then viewed when the provider opens the job, and ends
+ * accepted (the provider applied) or declined. Private jobs are only shown to
+ * the providers invited to them.
+ */
+
+export const JOB_STATUSES = ['draft', 'active', 'in_progress', 'completed', 'canceled', 'disputed', 'expired'];
+
+// Statuses anyone may list jobs in; drafts are only listed to their own client
+export const PUBLIC_JOB_STATUSES = JOB_STATUSES.filter(status => status !== 'draft');
+
+// Jobs the client can still edit; everything else is locked to keep the agreed scope
+export const EDITABLE_JOB_STATUSES = ['draft', 'active'];
+
+export const APPLICATION_STATUSES = ['pending', 'shortlisted', 'accepted', 'rejected', 'withdrawn'];
+
+// Applications still in the running; only these can be negotiated or accepted
+export const OPEN_APPLICATION_STATUSES = ['pending', 'shortlisted'];
+
+// Application status -> statuses it may move to
+export const APPLICATION_TRANSITIONS = {
+  pending: ['shortlisted', 'accepted', 'rejected', 'withdrawn'],
+  shortlisted: ['accepted', 'rejected', 'withdrawn'],
+  accepted: [],
+  rejected: [],
+  withdrawn: []
+};
+
+export const INVITATION_STATUSES = ['sent', 'viewed', 'accepted', 'declined'];
+
+// Invitation status -> statuses it may move to
+export const INVITATION_TRANSITIONS = {
+  sent: ['viewed', 'accepted', 'declined'],
+  viewed: ['accepted', 'declined'],
+  accepted: [],
+  declined: ['accepted']
+};
+
+export const JOB_VISIBILITIES = ['public', 'private'];
+
+export const MILESTONE_STATUSES = ['pending', 'submitted', 'approved', 'rejected'];
+
+export const MILESTONE_PLAN_STATUSES = ['none', 'proposed', 'agreed'];
+
+// Milestone status -> statuses it may move to
+export const MILESTONE_TRANSITIONS = {
+  pending: ['submitted'],
+  submitted: ['approved', 'rejected'],
+  rejected: ['submitted'],
+  approved: []
+};
+
+const requireSelectedProvider = (job) => (job.selectedProvider ? null : 'An application must be accepted first');
+
+const requireSettledMilestones = (job) => {
+  const milestones = job.milestones || [];
+  if (milestones.length === 0) {
+    return job.budget?.paymentTerms === 'milestone'
+      ? 'Agree on a milestone plan before completing this job'
+      : null;
+  }
+  if (job.milestonePlan?.status !== 'agreed') {
+    return 'The milestone plan has not been agreed yet';
+  }
+  if (milestones.some(milestone => milestone.status !== 'approved')) {
+    return 'Every milestone must be approved before the job is completed';
+  }
+  return null;
+};
+
+export const JOB_TRANSITIONS = {
+  draft: {
+    active: { description: 'Publish the job' },
+    canceled: { description: 'Discard the draft' }
+  },
+  active: {
+    in_progress: { guard: requireSelectedProvider, description: 'Hire a provider' },
+    canceled: { description: 'Withdraw the job' },
+    expired: { description: 'No provider hired before the expiry date' }
+  },
+  in_progress: {
+    completed: { guard: requireSettledMilestones, description: 'Work finished' },
+    disputed: { requiresReason: true, description: 'Client or provider raises a problem' },
+    canceled: { requiresReason: true, description: 'Work stopped before completion' }
+  },
+  disputed: {
+    in_progress: { requiresReason: true, description: 'Dispute settled, work resumes' },
+    completed: { requiresReason: true, description: 'Dispute settled as completed' },
+    canceled: { requiresReason: true, description: 'Dispute settled as canceled' }
+  },
+  completed: {},
+  canceled: {},
+  expired: {}
+};
+
+/**
+ * Statuses a job in `status` may move to
+ */
+export const getAllowedTransitions = (status) => Object.keys(JOB_TRANSITIONS[status] || {});
+
+export default {
+  JOB_STATUSES,
+  PUBLIC_JOB_STATUSES,
+  EDITABLE_JOB_STATUSES,
+  APPLICATION_STATUSES,
+  OPEN_APPLICATION_STATUSES,
+  APPLICATION_TRANSITIONS,
+  INVITATION_STATUSES,
+  INVITATION_TRANSITIONS,
+  JOB_VISIBILITIES,
+  MILESTONE_STATUSES,
+  MILESTONE_PLAN_STATUSES,
+  MILESTONE_TRANSITIONS,
+  JOB_TRANSITIONS,
+  getAllowedTransitions
+};
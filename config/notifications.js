@@ -0,0 +1,170 @@
+/**
+ * Notifications: which bus events (services/eventBus.js) reach users outside
+ * the live event stream, and how.
+ *
+ * Every event listed here is kept as an in-app notification for each of its
+ * recipients. Email and SMS follow the event's priority and the user's
+ * preferences.notifications settings:
+ *
+ *   high   - email and SMS right away
+ *   normal - email right away
+ *   low    - email in the daily digest (or right away when the user turned
+ *            the digest off); never SMS
+ *
+ * SMS also needs a verified phone and the sms preference (see
+ * services/smsGateway.js). Users can mute an event type, a job, or both, for a
+ * while or for good. Events not listed here (e.g. message.read) only go to the
+ * live stream.
+ */
+
+export const NOTIFICATION_PRIORITIES = ['low', 'normal', 'high'];
+
+// Email delivery of a notification: sent now, waiting for the digest, not
+// wanted, or the transport failed
+export const NOTIFICATION_EMAIL_STATUSES = ['sent', 'digest', 'skipped', 'failed'];
+
+export const NOTIFICATION_SMS_STATUSES = ['sent', 'skipped', 'failed'];
+
+const quoted = (title) => (title ? `"${title}"` : 'your job');
+
+// Job status -> how loudly to announce a move to it
+const JOB_STATUS_PRIORITIES = {
+  in_progress: 'normal',
+  completed: 'normal',
+  disputed: 'high',
+  canceled: 'high'
+};
+
+const JOB_STATUS_LABELS = {
+  draft: 'a draft',
+  active: 'open for applications',
+  in_progress: 'in progress',
+  completed: 'completed',
+  canceled: 'canceled',
+  disputed: 'under dispute',
+  expired: 'expired'
+};
+
+const formatPrice = (price) => (price != null ? `₱${Number(price).toLocaleString('en-PH')}` : null);
+
+/**
+ * Event type -> { priority, describe(data) => { title, body, path }, inAppOnly? }
+ * `priority` and `inAppOnly` may be functions of the event data. `path` is the
+ * frontend page the notification opens.
+ */
+export const NOTIFICATION_CATALOG = {
+  'application.created': {
+    priority: 'normal',
+    describe: (data) => ({
+      title: `New application for ${quoted(data.title)}`,
+      body: `${data.businessName || 'A provider'} applied to your job.`,
+      path: `/jobs/${data.jobId}/applications`
+    })
+  },
+  'application.shortlisted': {
+    priority: 'normal',
+    describe: (data) => ({
+      title: `You were shortlisted for ${quoted(data.title)}`,
+      body: 'The client shortlisted your application.',
+      path: `/jobs/${data.jobId}`
+    })
+  },
+  'application.accepted': {
+    priority: 'high',
+    describe: (data) => ({
+      title: `You were hired for ${quoted(data.title)}`,
+      body: data.agreedTerms?.price != null
+        ? `The client accepted your application at ${formatPrice(data.agreedTerms.price)}.`
+        : 'The client accepted your application.',
+      path: `/jobs/${data.jobId}`
+    })
+  },
+  'application.rejected': {
+    priority: 'low',
+    describe: (data) => ({
+      title: `Application for ${quoted(data.title)} not selected`,
+      body: data.reason || 'The client went with another option.',
+      path: `/jobs/${data.jobId}`
+    })
+  },
+  'application.withdrawn': {
+    priority: 'low',
+    describe: (data) => ({
+      title: `An application for ${quoted(data.title)} was withdrawn`,
+      body: data.reason || 'The provider withdrew their application.',
+      path: `/jobs/${data.jobId}/applications`
+    })
+  },
+  'offer.created': {
+    priority: 'normal',
+    describe: (data) => ({
+      title: `New terms for ${quoted(data.title)}`,
+      body: [
+        data.by === 'client' ? 'The client sent a counter-offer' : 'The provider updated their quote',
+        formatPrice(data.price) && `: ${formatPrice(data.price)}`,
+        '.'
+      ].filter(Boolean).join(''),
+      path: `/jobs/${data.jobId}/applications/${data.applicationId}/negotiation`
+    })
+  },
+  'offer.agreed': {
+    priority: 'normal',
+    describe: (data) => ({
+      title: `Counter-offer agreed for ${quoted(data.title)}`,
+      body: 'The provider agreed to your terms; you can now hire them.',
+      path: `/jobs/${data.jobId}/applications/${data.applicationId}/negotiation`
+    })
+  },
+  'invitation.created': {
+    priority: 'high',
+    describe: (data) => ({
+      title: `You're invited to apply: ${quoted(data.title)}`,
+      body: data.message
+        ? `A client would like your quote. Their note: "${data.message}"`
+        : 'A client would like your quote for their job.',
+      path: `/jobs/${data.jobId}`
+    })
+  },
+  'invitation.declined': {
+    priority: 'low',
+    describe: (data) => ({
+      title: `Invitation to ${quoted(data.title)} declined`,
+      body: data.reason || 'A provider you invited declined.',
+      path: `/jobs/${data.jobId}/invitations`
+    })
+  },
+  'job.status_changed': {
+    priority: (data) => JOB_STATUS_PRIORITIES[data.to] || 'low',
+    // The expiry worker emails and texts the client itself, with a repost link
+    inAppOnly: (data) => data.to === 'expired',
+    describe: (data) => ({
+      title: `${quoted(data.title)} is ${JOB_STATUS_LABELS[data.to] || data.to}`,
+      body: data.reason || `The job moved from ${JOB_STATUS_LABELS[data.from] || data.from} to ${JOB_STATUS_LABELS[data.to] || data.to}.`,
+      path: `/jobs/${data.jobId}`
+    })
+  },
+  'message.created': {
+    priority: 'low',
+    describe: (data) => ({
+      title: 'New message',
+      body: data.message?.body?.slice(0, 140) || 'You received an image.',
+      path: `/conversations/${data.conversationId}`
+    })
+  }
+};
+
+export const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_CATALOG);
+
+/**
+ * Resolve a catalog field that may depend on the event data
+ */
+export const resolveSetting = (value, data) => (typeof value === 'function' ? value(data) : value);
+
+export default {
+  NOTIFICATION_PRIORITIES,
+  NOTIFICATION_EMAIL_STATUSES,
+  NOTIFICATION_SMS_STATUSES,
+  NOTIFICATION_CATALOG,
+  NOTIFICATION_TYPES,
+  resolveSetting
+};
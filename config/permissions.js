@@ -0,0 +1,136 @@
+/**
+ * Roles and permissions.
+ *
+ * A user's `role` is the account type (client, provider or admin); `staffRoles`
+ * adds back-office duties on top of it. Each permission lists the roles that hold
+ * it outright, and `owner: true` also grants it to the owner of the resource the
+ * route loads (see OWNERSHIP_POLICIES). Admins hold every permission.
+ */
+
+export const ACCOUNT_ROLES = ['client', 'provider', 'admin'];
+
+export const STAFF_ROLES = ['moderator', 'verifier', 'support'];
+
+export const ROLE_DESCRIPTIONS = {
+  client: 'Posts jobs and hires providers',
+  provider: 'Offers services and applies to jobs',
+  admin: 'Full access, including role assignment',
+  moderator: 'Reviews and edits jobs, provider profiles and highlights',
+  verifier: 'Reviews provider verification requests',
+  support: 'Reads accounts, jobs and provider data to help users'
+};
+
+export const PERMISSIONS = {
+  // Jobs
+  'job:create': { roles: ['client'], description: 'Post a job request' },
+  'job:apply': { roles: ['provider'], description: 'Apply to a job' },
+  'job:update': { roles: ['moderator'], owner: true, description: 'Edit a job request' },
+  'job:delete': { roles: ['moderator'], owner: true, description: 'Cancel and remove a job request' },
+  'job:accept': { roles: [], owner: true, description: 'Accept an application on a job' },
+  'job:review_applications': { roles: [], owner: true, description: 'List, shortlist and reject applications to a job' },
+  'job:invite': { roles: [], owner: true, description: 'Invite providers to apply to a job' },
+  'job:withdraw': { roles: ['provider'], description: 'Withdraw an application to a job' },
+  'job:complete': { roles: [], owner: true, description: 'Mark a job as completed and rate it' },
+  'job:repost': { roles: [], owner: true, description: 'Post a fresh copy of an expired job' },
+  'job:view_suggestions': { roles: ['support'], owner: true, description: 'See AI provider suggestions for a job' },
+  'job:match': { roles: [], owner: true, description: 'Run AI matching for a job' },
+  // Participation (client or hired provider) is checked by the controller for these
+  'job:dispute': { roles: ['client', 'provider'], description: 'Dispute a job in progress' },
+  'job:resolve_dispute': { roles: ['moderator'], description: 'Settle a disputed job' },
+  'job:milestones': { roles: ['client', 'provider'], description: 'Plan, submit and review job milestones' },
+  'job:negotiate': { roles: ['client', 'provider'], description: 'Counter-offer and revise the terms of an application' },
+
+  // Provider profiles
+  'provider:manage_own': { roles: ['provider'], description: 'Manage your own provider profile' },
+  'provider:update': { roles: ['moderator'], owner: true, description: 'Edit a provider profile' },
+  'provider:view_stats': { roles: ['support', 'verifier'], owner: true, description: 'See provider statistics' },
+  'provider:view_insights': { roles: ['support'], owner: true, description: 'See AI profile insights' },
+  'provider:verify': { roles: ['verifier'], description: 'Verify or unverify providers' },
+
+  // Messaging; owners are the two participants of a conversation
+  'conversation:start': { roles: ['client', 'provider'], description: 'Message the other side of a job application' },
+  'conversation:read': { roles: ['moderator'], owner: true, description: 'Read a conversation' },
+  'conversation:send': { roles: [], owner: true, description: 'Send messages in a conversation' },
+
+  // Back office
+  'admin:view_stats': { roles: ['moderator', 'verifier', 'support'], description: 'See dashboard statistics' },
+  'highlight:manage': { roles: ['moderator'], description: 'Create and edit community highlights' },
+  'category:manage': { roles: [], description: 'Create, edit and delete service categories' },
+  'user:read': { roles: ['support'], description: 'Look up user accounts' },
+  'user:assign_roles': { roles: [], description: 'Change account and staff roles' },
+  'user:unlock': { roles: ['support'], description: 'Lift a login lockout' },
+  'security:read': { roles: ['support'], description: 'Read the security event log' }
+};
+
+/**
+ * Who owns a loaded resource, keyed by the loader's resource type
+ */
+const sameId = (value, userId) => {
+  const id = value?._id ?? value;
+  return Boolean(id) && id.toString() === userId.toString();
+};
+
+export const OWNERSHIP_POLICIES = {
+  job: (user, job) => sameId(job.client, user.userId),
+  provider: (user, provider) => sameId(provider.user, user.userId),
+  conversation: (user, conversation) => conversation.participants.some(participant => sameId(participant, user.userId)),
+  user: (user, account) => sameId(account._id, user.userId)
+};
+
+/**
+ * All roles a request user holds (account role plus staff roles)
+ */
+export const getUserRoles = (user) => [user.role, ...(user.staffRoles || [])].filter(Boolean);
+
+/**
+ * Whether a user holds a permission, optionally for a specific resource
+ * @param {Object} user - req.user
+ * @param {String} permission - Key of PERMISSIONS
+ * @param {Object} resource - Loaded resource for ownership checks
+ * @param {String} resourceType - Key of OWNERSHIP_POLICIES
+ * @returns {Boolean}
+ */
+export const hasPermission = (user, permission, resource = null, resourceType = null) => {
+  const rule = PERMISSIONS[permission];
+  if (!rule) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  if (!user) return false;
+
+  const roles = getUserRoles(user);
+  if (roles.includes('admin') || rule.roles.some(role => roles.includes(role))) {
+    return true;
+  }
+
+  const policy = OWNERSHIP_POLICIES[resourceType];
+  return Boolean(rule.owner && resource && policy && policy(user, resource));
+};
+
+/**
+ * Admins and staff reach /api/admin, so they must enroll in two-factor authentication
+ */
+export const isTwoFactorRequired = (user) => {
+  return getUserRoles(user).some(role => role === 'admin' || STAFF_ROLES.includes(role));
+};
+
+/**
+ * Permissions granted to a set of roles without ownership (for the roles API and clients)
+ */
+export const getRolePermissions = (roles) => {
+  if (roles.includes('admin')) return Object.keys(PERMISSIONS);
+  return Object.entries(PERMISSIONS)
+    .filter(([, rule]) => rule.roles.some(role => roles.includes(role)))
+    .map(([permission]) => permission);
+};
+
+export default {
+  ACCOUNT_ROLES,
+  STAFF_ROLES,
+  ROLE_DESCRIPTIONS,
+  PERMISSIONS,
+  OWNERSHIP_POLICIES,
+  getUserRoles,
+  hasPermission,
+  isTwoFactorRequired,
+  getRolePermissions
+};
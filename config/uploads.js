@@ -0,0 +1,87 @@
+/**
+ * What can be uploaded where, and how much.
+ *
+ * Files go through services/storage.js, which keeps them on local disk or in
+ * an S3-compatible bucket. Every upload is identified by its contents (see
+ * utils/fileSniffing.js) and must be one of the kinds its endpoint accepts.
+ * Public files (profile pictures, portfolio images, message images) get a
+ * permanent URL; private ones (job attachments) are only reachable through
+ * signed URLs that expire after SIGNED_URL_TTL_SECONDS.
+ *
+ * Images also go through services/imagePipeline.js: they are stored without
+ * metadata (EXIF GPS positions included), the right way up, with WebP copies
+ * in the IMAGE_VARIANTS sizes and a perceptual hash for spotting duplicates.
+ */
+
+const MB = 1024 * 1024;
+
+// Kind -> accepted content types and the largest single file
+export const UPLOAD_KINDS = {
+  image: {
+    contentTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    maxBytes: 5 * MB
+  },
+  document: {
+    contentTypes: [
+      'application/pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ],
+    maxBytes: 10 * MB
+  },
+  video: {
+    contentTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+    maxBytes: 50 * MB
+  }
+};
+
+// Kinds of file accepted as job attachments
+export const JOB_ATTACHMENT_KINDS = ['image', 'document', 'video'];
+
+// Attachments on one job request, counted across all uploads
+export const JOB_ATTACHMENT_QUOTA = {
+  maxFiles: 10,
+  maxTotalBytes: 100 * MB
+};
+
+// Portfolio images, per portfolio item and across the provider's portfolio
+export const PORTFOLIO_IMAGE_QUOTA = {
+  maxPerItem: 10,
+  maxPerProvider: 60
+};
+
+// Longest side, in pixels, of a stored original image; larger ones are scaled down
+export const MAX_IMAGE_DIMENSION = 2560;
+
+// WebP copies made of every uploaded image, by name. Each fits inside the box
+// given; thumb is cropped to fill it.
+export const IMAGE_VARIANTS = {
+  thumb: { width: 160, height: 160, fit: 'cover' },
+  small: { width: 480, height: 480 },
+  medium: { width: 1024, height: 1024 },
+  full: { width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION }
+};
+
+// Images whose perceptual hashes differ in at most this many of their 64 bits
+// are taken to be the same picture
+export const DUPLICATE_IMAGE_DISTANCE = 6;
+
+// Lifetime of signed download URLs for private files
+export const SIGNED_URL_TTL_SECONDS = parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 15 * 60;
+
+/**
+ * Largest single file any of `kinds` accepts, for multer's fileSize limit
+ */
+export const maxBytesFor = (kinds) => Math.max(...kinds.map(kind => UPLOAD_KINDS[kind].maxBytes));
+
+export default {
+  UPLOAD_KINDS,
+  JOB_ATTACHMENT_KINDS,
+  JOB_ATTACHMENT_QUOTA,
+  PORTFOLIO_IMAGE_QUOTA,
+  MAX_IMAGE_DIMENSION,
+  IMAGE_VARIANTS,
+  DUPLICATE_IMAGE_DISTANCE,
+  SIGNED_URL_TTL_SECONDS,
+  maxBytesFor
+};
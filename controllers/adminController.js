@@ -3,6 +3,16 @@ import Highlight from '../models/Highlight.js';
 import Provider from '../models/Provider.js';
 import User from '../models/User.js';
 import JobRequest from '../models/JobRequest.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { unlockAccount } from '../modules/auth/loginProtection.js';
+import {
+  ACCOUNT_ROLES,
+  STAFF_ROLES,
+  ROLE_DESCRIPTIONS,
+  PERMISSIONS,
+  getUserRoles,
+  getRolePermissions
+} from '../config/permissions.js';
 
 /**
  * Get current active highlights
@@ -245,12 +255,20 @@ export const verifyProvider = async (req, res) => {
     }
 
     provider.verification.isVerified = verified;
+    if (notes !== undefined) {
+      provider.verification.notes = notes;
+    }
+
     if (verified) {
       provider.verification.verifiedAt = new Date();
       provider.verification.verifiedBy = adminId;
       
       // Add verified badge
-              await provider.addBadge('verified', 'Verified by Rekomendito team');
+      provider.addBadge('verified', 'Verified by Rekomendito team', { save: false });
+    } else {
+      provider.verification.verifiedAt = undefined;
+      provider.verification.verifiedBy = undefined;
+      provider.badges = provider.badges.filter(badge => badge.type !== 'verified');
     }
 
     await provider.save();
@@ -316,6 +334,242 @@ export const getPendingVerifications = async (req, res) => {
   }
 };
 
+/**
+ * List roles and the permissions each grants
+ * GET /api/admin/roles
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = [...ACCOUNT_ROLES, ...STAFF_ROLES].map(role => ({
+      role,
+      type: STAFF_ROLES.includes(role) ? 'staff' : 'account',
+      description: ROLE_DESCRIPTIONS[role],
+      permissions: getRolePermissions([role])
+    }));
+
+    const permissions = Object.entries(PERMISSIONS).map(([permission, rule]) => ({
+      permission,
+      description: rule.description,
+      ownerAllowed: Boolean(rule.owner)
+    }));
+
+    res.json({
+      success: true,
+      data: { roles, permissions }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List user accounts with their roles
+ * GET /api/admin/users
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const { role, staffRole, search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (role) query.role = role;
+    if (staffRole) query.staffRoles = staffRole;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(query)
+      .select('name email role staffRoles isVerified isActive lastLogin createdAt')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Assign a user's account role and staff roles
+ * PUT /api/admin/users/:id/roles
+ */
+export const updateUserRoles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { role, staffRoles } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Keep at least one way back in: admins cannot demote themselves
+    if (id === req.user.userId.toString() && role && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    if (role) user.role = role;
+    if (staffRoles) user.staffRoles = [...new Set(staffRoles)];
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({
+      success: true,
+      message: 'User roles updated successfully',
+      data: {
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          staffRoles: user.staffRoles,
+          permissions: getRolePermissions(getUserRoles(user))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Query the security event log (lockouts, unlocks, session reuse, 2FA changes)
+ * GET /api/admin/security-events
+ */
+export const getSecurityEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, user, email, ip, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (type) query.type = { $in: type.split(',') };
+    if (user) query.user = user;
+    if (email) query.email = email.toLowerCase();
+    if (ip) query.ip = ip;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get security events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Lift a login lockout on a user's account
+ * POST /api/admin/users/:id/unlock
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = await unlockAccount(req, user, 'admin');
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked',
+      data: { wasLocked }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 export default {
   getHighlights,
   createHighlight,
@@ -323,5 +577,10 @@ export default {
   updateHighlight,
   getDashboardStats,
   verifyProvider,
-  getPendingVerifications
+  getPendingVerifications,
+  getRoles,
+  getUsers,
+  updateUserRoles,
+  getSecurityEvents,
+  unlockUser
 }; 
\ No newline at end of file
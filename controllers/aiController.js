@@ -5,8 +5,11 @@ import {
   enhanceProviderProfile, 
   generateJobTags 
 } from '../utils/ai.js';
-import Provider from '../models/Provider.js';
+import Provider, { SEARCHABLE_FILTER } from '../models/Provider.js';
 import JobRequest from '../models/JobRequest.js';
+import { formatDistance } from '../utils/geo.js';
+import storage, { StorageError } from '../services/storage.js';
+import imagePipeline, { ImageProcessingError } from '../services/imagePipeline.js';
 
 /**
  * Extract service tags from business description
@@ -128,35 +131,19 @@ export const matchJob = async (req, res) => {
       });
     }
 
-    const { jobId, maxResults = 5, radiusKm = 20 } = req.body;
-    const userId = req.user.userId;
+    const { maxResults = 5, radiusKm = 20 } = req.body;
+    // Loaded and ownership-checked by can('job:match', loadJob)
+    const job = req.job;
 
-    // Find the job
-    const job = await JobRequest.findById(jobId);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
-
-    // Check if user owns the job
-    if (job.client.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to get matches for this job'
-      });
-    }
-
-    // Find nearby providers in the same category
-    const nearbyProviders = await Provider.findNearby(
+    // Find providers in the same category whose service area covers the job
+    const nearbyProviders = await Provider.findServing(
       job.location.coordinates.latitude,
       job.location.coordinates.longitude,
-      radiusKm,
       { 
         'services.category': job.category,
         'verification.isVerified': true // Prioritize verified providers
-      }
+      },
+      { maxDistanceKm: radiusKm, municipality: job.location.municipality }
     );
 
     if (nearbyProviders.length === 0) {
@@ -186,14 +173,10 @@ export const matchJob = async (req, res) => {
 
         if (!provider) return null;
 
-        // Calculate distance
-        const distance = provider.location && provider.location.coordinates ? 
-          Math.round(
-            Math.sqrt(
-              Math.pow(provider.location.coordinates.latitude - job.location.coordinates.latitude, 2) +
-              Math.pow(provider.location.coordinates.longitude - job.location.coordinates.longitude, 2)
-            ) * 111 // Rough km conversion
-          ) : null;
+        // Distance in km from the service area search
+        const distance = nearbyProviders.find(
+          nearby => nearby._id.toString() === provider._id.toString()
+        )?.distance ?? null;
 
         return {
           provider: {
@@ -207,7 +190,7 @@ export const matchJob = async (req, res) => {
             location: provider.location,
             experience: provider.experience,
             contact: provider.contact,
-            distance: distance ? `${distance}km away` : 'Distance unknown'
+            distance: distance !== null ? formatDistance(distance) : 'Distance unknown'
           },
           matchScore: match.matchScore,
           reasons: match.reasons,
@@ -326,7 +309,7 @@ export const recommendProviders = async (req, res) => {
     } = req.query;
 
     let query = { 
-      isActive: true,
+      ...SEARCHABLE_FILTER,
       'verification.isVerified': true 
     };
 
@@ -338,11 +321,11 @@ export const recommendProviders = async (req, res) => {
     // Location-based search
     let providers;
     if (latitude && longitude) {
-      providers = await Provider.findNearby(
+      providers = await Provider.findServing(
         parseFloat(latitude),
         parseFloat(longitude),
-        20, // 20km radius
-        query
+        query,
+        { limit: parseInt(limit) * 3 } // Leave room for re-ranking below
       );
     } else {
       providers = await Provider.find(query)
@@ -449,24 +432,8 @@ export const recommendProviders = async (req, res) => {
  */
 export const getProfileInsights = async (req, res) => {
   try {
-    const { providerId } = req.params;
-    const userId = req.user.userId;
-
-    const provider = await Provider.findById(providerId).populate('user');
-    if (!provider) {
-      return res.status(404).json({
-        success: false,
-        message: 'Provider not found'
-      });
-    }
-
-    // Only provider owner can view insights
-    if (provider.user._id.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view profile insights'
-      });
-    }
+    // Loaded and access-checked by can('provider:view_insights', loadProvider)
+    const provider = await req.provider.populate('user');
 
     // Generate insights based on profile completeness and performance
     const insights = {
@@ -522,7 +489,7 @@ export const getProfileInsights = async (req, res) => {
 
     if (provider.ratings && provider.ratings.count > 0) {
       completenessFactors++;
-      insights.strengths.push(`${provider.ratings.average}/5 rating from ${provider.ratings.count} reviews`);
+      insights.strengths.push(`${provider.ratingDisplay}/5 rating from ${provider.ratings.count} reviews`);
     } else {
       insights.improvements.push('Encourage clients to leave reviews');
     }
@@ -613,11 +580,14 @@ export const analyzeProject = async (req, res) => {
     if (images && images.length > 0) {
       console.log('🖼️  Processing', images.length, 'images with Gemini Vision AI');
       
-      // Process first image with Gemini Vision
+      // Process first image with Gemini Vision, without its metadata (EXIF
+      // GPS positions would tell the AI provider where the client lives)
       const firstImage = images[0];
+      const { contentType } = storage.inspect(firstImage, ['image']);
+      const cleaned = await imagePipeline.clean(firstImage.buffer, contentType);
       const imageData = {
-        data: firstImage.buffer.toString('base64'),
-        mimeType: firstImage.mimetype
+        data: cleaned.buffer.toString('base64'),
+        mimeType: contentType
       };
 
       // Use the enhanced project analyzer with image analysis
@@ -670,6 +640,17 @@ export const analyzeProject = async (req, res) => {
 
   } catch (error) {
     console.error('❌ AI Analysis Error:', error);
+
+    if (error instanceof StorageError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+    if (error instanceof ImageProcessingError) {
+      return res.status(415).json({
+        success: false,
+        code: 'UNREADABLE_IMAGE',
+        message: 'The image could not be read'
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -0,0 +1,242 @@
+import { validationResult } from 'express-validator';
+import Provider from '../models/Provider.js';
+import applications, { ApplicationError } from '../services/applications.js';
+import eventBus from '../services/eventBus.js';
+import { APPLICATION_STATUSES, OPEN_APPLICATION_STATUSES } from '../config/jobLifecycle.js';
+
+/**
+ * Get the applications to a job, filtered and sorted for the client
+ * GET /api/jobs/:id/applications
+ */
+export const getApplicationInbox = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      status,
+      minRating,
+      maxQuote,
+      sortBy = 'appliedAt',
+      sortOrder = 'desc',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    // Loaded and ownership-checked by can('job:review_applications', loadJob)
+    const job = req.job;
+    await job.populate({
+      path: 'applications.provider',
+      select: 'businessName user ratings location verification.isVerified badges',
+      populate: { path: 'user', select: 'name profileImage' }
+    });
+
+    // Open applications unless asked otherwise
+    let statuses = OPEN_APPLICATION_STATUSES;
+    if (status === 'all') {
+      statuses = null;
+    } else if (status) {
+      statuses = status.split(',');
+    }
+
+    const inbox = applications.buildInbox(job, {
+      statuses,
+      minRating: minRating != null ? parseFloat(minRating) : null,
+      maxQuote: maxQuote != null ? parseFloat(maxQuote) : null,
+      sortBy,
+      sortOrder
+    });
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const totalPages = Math.ceil(inbox.length / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        applications: inbox.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+        counts: Object.fromEntries(
+          APPLICATION_STATUSES.map(key => [
+            key,
+            job.applications.filter(application => application.status === key).length
+          ])
+        ),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems: inbox.length,
+          itemsPerPage: limitNum,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get application inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get applications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Withdraw an application (applying provider only)
+ * POST /api/jobs/:id/applications/:applicationId/withdraw
+ */
+export const withdrawApplication = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by can('job:withdraw', loadJob)
+    const job = req.job;
+    const application = applications.getApplication(job, req.params.applicationId);
+
+    const provider = await Provider.findOne({ user: req.user.userId }).select('_id');
+    if (!provider || application.provider.toString() !== provider._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the provider who applied can withdraw this application'
+      });
+    }
+
+    applications.withdraw(job, application._id, req.body.reason);
+    await job.save();
+
+    eventBus.publish('application.withdrawn', {
+      jobId: job._id,
+      title: job.title,
+      applicationId: application._id,
+      reason: application.withdrawalReason
+    }, { users: [job.client] });
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn',
+      data: { application }
+    });
+
+  } catch (error) {
+    console.error('Withdraw application error:', error);
+
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Shortlist an application (Client only)
+ * POST /api/jobs/:id/applications/:applicationId/shortlist
+ */
+export const shortlistApplication = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by can('job:review_applications', loadJob)
+    const job = req.job;
+
+    const application = applications.shortlist(job, req.params.applicationId);
+    await job.save();
+
+    eventBus.publish('application.shortlisted', {
+      jobId: job._id,
+      title: job.title,
+      applicationId: application._id
+    }, { providers: [application.provider] });
+
+    res.json({
+      success: true,
+      message: 'Application shortlisted',
+      data: { application }
+    });
+
+  } catch (error) {
+    console.error('Shortlist application error:', error);
+
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to shortlist application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reject an application (Client only)
+ * POST /api/jobs/:id/applications/:applicationId/reject
+ */
+export const rejectApplication = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded and ownership-checked by can('job:review_applications', loadJob)
+    const job = req.job;
+
+    const application = applications.reject(job, req.params.applicationId, req.body.reason);
+    await job.save();
+
+    eventBus.publish('application.rejected', {
+      jobId: job._id,
+      title: job.title,
+      applicationId: application._id,
+      reason: application.clientResponse
+    }, { providers: [application.provider] });
+
+    res.json({
+      success: true,
+      message: 'Application rejected',
+      data: { application }
+    });
+
+  } catch (error) {
+    console.error('Reject application error:', error);
+
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  getApplicationInbox,
+  withdrawApplication,
+  shortlistApplication,
+  rejectApplication
+};
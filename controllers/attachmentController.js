@@ -0,0 +1,226 @@
+import { validationResult } from 'express-validator';
+import JobRequest from '../models/JobRequest.js';
+import Provider from '../models/Provider.js';
+import storage, { StorageError } from '../services/storage.js';
+import imagePipeline from '../services/imagePipeline.js';
+import invitations from '../services/invitations.js';
+import { hasPermission } from '../config/permissions.js';
+import { EDITABLE_JOB_STATUSES } from '../config/jobLifecycle.js';
+import { JOB_ATTACHMENT_KINDS, JOB_ATTACHMENT_QUOTA } from '../config/uploads.js';
+
+/**
+ * Whether the caller may see a job, by the same rule as getJobById: private
+ * jobs only to their client, invited providers and moderators
+ */
+const canViewJob = async (req, job) => {
+  if (job.client.toString() === req.user.userId.toString() || hasPermission(req.user, 'job:update')) {
+    return true;
+  }
+  const provider = req.user.role === 'provider'
+    ? await Provider.findOne({ user: req.user.userId }).select('_id')
+    : null;
+  return invitations.isOpenTo(job, provider?._id);
+};
+
+/**
+ * Upload attachments to a job request (photos of the problem, plans, quotes)
+ * POST /api/jobs/:id/attachments
+ */
+export const uploadJobAttachments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded and access-checked by can('job:update', loadJob)
+    const job = req.job;
+    const files = req.files || [];
+
+    if (!EDITABLE_JOB_STATUSES.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update job in current status'
+      });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one file to upload'
+      });
+    }
+
+    const { maxFiles, maxTotalBytes } = JOB_ATTACHMENT_QUOTA;
+    const usedBytes = job.attachments.reduce((total, attachment) => total + (attachment.size || 0), 0);
+    const newBytes = files.reduce((total, file) => total + file.size, 0);
+    if (job.attachments.length + files.length > maxFiles) {
+      return res.status(413).json({
+        success: false,
+        code: 'QUOTA_EXCEEDED',
+        message: `A job can have at most ${maxFiles} attachments; it has ${job.attachments.length}`
+      });
+    }
+    if (usedBytes + newBytes > maxTotalBytes) {
+      return res.status(413).json({
+        success: false,
+        code: 'QUOTA_EXCEEDED',
+        message: `A job's attachments can total at most ${maxTotalBytes / (1024 * 1024)}MB`
+      });
+    }
+
+    // Check every file before storing any
+    files.forEach(file => storage.inspect(file, JOB_ATTACHMENT_KINDS));
+
+    const added = [];
+    try {
+      for (const file of files) {
+        const stored = await storage.save(file, {
+          folder: `jobs/${job._id}`,
+          kinds: JOB_ATTACHMENT_KINDS,
+          visibility: 'private'
+        });
+        // Same photo twice, even resized or recompressed
+        if (imagePipeline.findDuplicate(stored.hash, job.attachments.map(attachment => attachment.hash))) {
+          await storage.remove(stored.key);
+          throw new StorageError(`${file.originalname} is already attached to this job`, 409, 'DUPLICATE_IMAGE');
+        }
+        job.attachments.push({
+          filename: stored.filename,
+          key: stored.key,
+          type: stored.kind,
+          contentType: stored.contentType,
+          size: stored.size,
+          width: stored.width,
+          height: stored.height,
+          hash: stored.hash,
+          variants: stored.variants,
+          description: req.body.description,
+          uploadedAt: new Date()
+        });
+        added.push(job.attachments[job.attachments.length - 1]);
+      }
+      await job.save();
+    } catch (saveError) {
+      // Leave no files behind that no job points to
+      await Promise.all(added.map(attachment => storage.remove(attachment.key)));
+      throw saveError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} attachment${added.length === 1 ? '' : 's'} uploaded`,
+      data: {
+        attachments: added.map(attachment => storage.withDownloadUrl(attachment))
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload job attachments error:', error);
+
+    if (error instanceof StorageError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload attachments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a fresh download URL for a job attachment
+ * GET /api/jobs/:id/attachments/:attachmentId
+ */
+export const getJobAttachment = async (req, res) => {
+  try {
+    const job = await JobRequest.findById(req.params.id).select('client visibility invitations attachments');
+    const attachment = job?.attachments.id(req.params.attachmentId);
+    if (!attachment || !(await canViewJob(req, job))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { attachment: storage.withDownloadUrl(attachment) }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    console.error('Get job attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Remove an attachment from a job request
+ * DELETE /api/jobs/:id/attachments/:attachmentId
+ */
+export const deleteJobAttachment = async (req, res) => {
+  try {
+    // Loaded and access-checked by can('job:update', loadJob)
+    const job = req.job;
+
+    if (!EDITABLE_JOB_STATUSES.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update job in current status'
+      });
+    }
+
+    const attachment = job.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const { key } = attachment;
+    attachment.deleteOne();
+    await job.save();
+
+    // A reposted job shares its original's files
+    if (key && !(await JobRequest.exists({ 'attachments.key': key }))) {
+      await storage.remove(key);
+    }
+
+    res.json({
+      success: true,
+      message: 'Attachment removed'
+    });
+
+  } catch (error) {
+    console.error('Delete job attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  uploadJobAttachments,
+  getJobAttachment,
+  deleteJobAttachment
+};
@@ -0,0 +1,285 @@
+import { validationResult } from 'express-validator';
+import Category from '../models/Category.js';
+import Provider from '../models/Provider.js';
+import JobRequest from '../models/JobRequest.js';
+
+/**
+ * Get active category tree
+ * GET /api/categories
+ */
+export const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.getTree();
+
+    res.json({
+      success: true,
+      data: {
+        categories,
+        count: categories.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Resolve a search term or synonym to its canonical category
+ * GET /api/categories/resolve?term=tubero
+ */
+export const resolveCategoryTerm = async (req, res) => {
+  try {
+    const { term } = req.query;
+
+    const resolved = await Category.resolve(term);
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        message: 'No category matches this term'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: resolved
+    });
+
+  } catch (error) {
+    console.error('Resolve category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve category',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get all categories including inactive ones (admin view)
+ * GET /api/admin/categories
+ */
+export const getAllCategories = async (req, res) => {
+  try {
+    const { includeInactive = 'true' } = req.query;
+
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    const categories = await Category.find(query)
+      .populate('parent', 'name slug')
+      .sort({ parent: 1, sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        categories,
+        count: categories.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get all categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Create category or subcategory
+ * POST /api/admin/categories
+ */
+export const createCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, parent, description, synonyms, icon, sortOrder, isActive } = req.body;
+
+    if (parent) {
+      const parentCategory = await Category.findById(parent);
+      if (!parentCategory) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent category not found'
+        });
+      }
+      // Keep the taxonomy two levels deep so jobs and providers match on the top level
+      if (parentCategory.parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subcategories cannot have their own subcategories'
+        });
+      }
+    }
+
+    const existing = await Category.findOne({ name, parent: parent || null });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A category with this name already exists at this level'
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      parent: parent || null,
+      description,
+      synonyms,
+      icon,
+      sortOrder,
+      isActive
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create category',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update category
+ * PUT /api/admin/categories/:id
+ */
+export const updateCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const previousName = category.name;
+    const allowedFields = ['name', 'description', 'synonyms', 'icon', 'sortOrder', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+
+    await category.save();
+
+    // Renaming a top-level category carries over to everything that references it
+    if (!category.parent && previousName !== category.name) {
+      await Promise.all([
+        Provider.updateMany(
+          { 'services.category': previousName },
+          { $set: { 'services.$[service].category': category.name } },
+          { arrayFilters: [{ 'service.category': previousName }] }
+        ),
+        JobRequest.updateMany(
+          { category: previousName },
+          { $set: { category: category.name } }
+        )
+      ]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update category',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete category (only when unused; otherwise deactivate it)
+ * DELETE /api/admin/categories/:id
+ */
+export const deleteCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (!category.parent) {
+      const [providerCount, jobCount] = await Promise.all([
+        Provider.countDocuments({ 'services.category': category.name }),
+        JobRequest.countDocuments({ category: category.name })
+      ]);
+
+      if (providerCount > 0 || jobCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Category is in use; deactivate it instead',
+          data: { providerCount, jobCount }
+        });
+      }
+
+      await Category.deleteMany({ parent: category._id });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete category',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  getCategories,
+  resolveCategoryTerm,
+  getAllCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,346 @@
+import { validationResult } from 'express-validator';
+import JobRequest from '../models/JobRequest.js';
+import Provider from '../models/Provider.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import messaging, { MessagingError } from '../services/messaging.js';
+import storage, { StorageError } from '../services/storage.js';
+
+/**
+ * Start (or reopen) a conversation about a job
+ * POST /api/conversations
+ */
+export const startConversation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { jobId, providerId } = req.body;
+    const userId = req.user.userId;
+
+    const job = await JobRequest.findById(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // The client picks the provider; a provider can only message about their own application
+    let provider;
+    if (job.client.toString() === userId.toString()) {
+      if (!providerId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provider is required'
+        });
+      }
+      provider = await Provider.findById(providerId).select('user');
+    } else {
+      provider = await Provider.findOne({ user: userId }).select('user');
+      if (!provider) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the job\'s client or a provider on the job can start a conversation'
+        });
+      }
+    }
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    const conversation = await messaging.openConversation(job, provider);
+
+    res.json({
+      success: true,
+      data: { conversation }
+    });
+
+  } catch (error) {
+    console.error('Start conversation error:', error);
+
+    if (error instanceof MessagingError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start conversation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the current user's conversations, most recent first
+ * GET /api/conversations
+ */
+export const getConversations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const userId = req.user.userId;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { participants: userId };
+    const [conversations, total] = await Promise.all([
+      Conversation.find(query)
+        .populate('job', 'title status')
+        .populate('client', 'name profileImage')
+        .populate('provider', 'businessName')
+        .sort({ lastMessageAt: -1, updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Conversation.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        conversations: conversations.map(conversation => ({
+          ...conversation.toObject(),
+          unreadCount: conversation.unread[conversation.roleOf(userId)]
+        })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limitNum,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get conversations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the number of unread messages across the current user's conversations
+ * GET /api/conversations/unread-count
+ */
+export const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await messaging.countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a conversation's messages, newest first
+ * GET /api/conversations/:id/messages
+ */
+export const getMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { before, limit = 30 } = req.query;
+    const limitNum = parseInt(limit);
+    // Loaded and access-checked by can('conversation:read', loadConversation)
+    const conversation = req.conversation;
+
+    const query = { conversation: conversation._id };
+    if (before) {
+      query.createdAt = { $lt: new Date(before) };
+    }
+
+    // One extra tells whether there are older messages
+    const messages = await Message.find(query)
+      .populate('sender', 'name profileImage')
+      .sort({ createdAt: -1 })
+      .limit(limitNum + 1);
+
+    res.json({
+      success: true,
+      data: {
+        conversation,
+        messages: messages.slice(0, limitNum),
+        hasMore: messages.length > limitNum
+      }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Send a message with optional images
+ * POST /api/conversations/:id/messages
+ */
+export const sendMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded and access-checked by can('conversation:send', loadConversation)
+    const conversation = req.conversation;
+    const role = conversation.roleOf(req.user.userId);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the participants can send messages'
+      });
+    }
+
+    const files = req.files || [];
+    if (!req.body.body?.trim() && files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A message needs text or an image'
+      });
+    }
+
+    const job = await JobRequest.findById(conversation.job).select('status selectedProvider');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // Check every image before storing any
+    files.forEach(file => storage.inspect(file, ['image']));
+    const attachments = [];
+    for (const file of files) {
+      const stored = await storage.save(file, { folder: 'messages', prefix: `message-${conversation._id}`, kinds: ['image'] });
+      attachments.push({
+        url: stored.url,
+        filename: stored.filename,
+        mimeType: stored.contentType,
+        size: stored.size,
+        width: stored.width,
+        height: stored.height,
+        variants: stored.variants
+      });
+    }
+
+    const message = await messaging.send(conversation, job, { userId: req.user.userId, role }, {
+      body: req.body.body,
+      attachments
+    });
+
+    res.status(201).json({
+      success: true,
+      message: message.redacted
+        ? 'Message sent; contact details are hidden until the provider is hired'
+        : 'Message sent',
+      data: { message }
+    });
+
+  } catch (error) {
+    console.error('Send message error:', error);
+
+    if (error instanceof StorageError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Mark the other side's messages as read
+ * POST /api/conversations/:id/read
+ */
+export const markConversationRead = async (req, res) => {
+  try {
+    // Loaded and access-checked by can('conversation:send', loadConversation)
+    const conversation = req.conversation;
+    const role = conversation.roleOf(req.user.userId);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the participants can mark messages as read'
+      });
+    }
+
+    const markedRead = await messaging.markRead(conversation, role);
+
+    res.json({
+      success: true,
+      data: {
+        markedRead,
+        unreadCount: conversation.unread[role]
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark conversation as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  startConversation,
+  getConversations,
+  getUnreadCount,
+  getMessages,
+  sendMessage,
+  markConversationRead
+};
@@ -0,0 +1,73 @@
+import jwt from 'jsonwebtoken';
+import eventBus, { MAX_STREAMS_PER_USER } from '../services/eventBus.js';
+
+// Comment line sent this often so proxies do not close an idle stream
+const HEARTBEAT_SECONDS = 25;
+
+/**
+ * Stream the current user's events as Server-Sent Events. The stream ends when
+ * the access token expires; the client reconnects with a fresh one.
+ * GET /api/events
+ */
+export const streamEvents = async (req, res) => {
+  try {
+    const userId = req.user.userId.toString();
+
+    if (eventBus.subscriberCount(userId) >= MAX_STREAMS_PER_USER) {
+      return res.status(429).json({
+        success: false,
+        message: `At most ${MAX_STREAMS_PER_USER} event streams can be open at once`
+      });
+    }
+
+    // authenticate has verified the token; only its expiry is needed here
+    const { exp } = jwt.decode(req.headers.authorization.substring(7)) || {};
+    const closeInMs = exp ? exp * 1000 - Date.now() : 0;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Bus events carry an id; the stream's own stream.ready and stream.expired do not
+    const write = (event) => {
+      const id = event.id ? `id: ${event.id}\n` : '';
+      res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    res.write('retry: 5000\n\n');
+    write({ type: 'stream.ready', data: { userId }, at: new Date() });
+
+    const unsubscribe = eventBus.subscribe(userId, write);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+    const expiry = setTimeout(() => {
+      write({ type: 'stream.expired', data: {}, at: new Date() });
+      res.end();
+    }, Math.max(closeInMs, 0));
+
+    req.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open event stream',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  streamEvents
+};
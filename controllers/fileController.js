@@ -0,0 +1,54 @@
+import storage, { attachmentDisposition } from '../services/storage.js';
+import { contentTypeForName } from '../utils/fileSniffing.js';
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'File not found'
+});
+
+/**
+ * Serve a private file from local storage against a signed URL made by
+ * storage.getSignedUrl. With the s3 driver signed URLs point at the bucket,
+ * so this route has nothing to serve.
+ * GET /api/files/:key?expires=&name=&signature=
+ */
+export const serveFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { driver } = storage;
+
+    // A bad or expired signature looks the same as a missing file
+    if (driver.name !== 'local' || !driver.verifySignature(key, req.query)) {
+      return notFound(res);
+    }
+
+    const fullPath = driver.pathFor(key);
+    if (!fullPath) {
+      return notFound(res);
+    }
+
+    res.type(contentTypeForName(key));
+    if (req.query.name) {
+      res.set('Content-Disposition', attachmentDisposition(req.query.name));
+    }
+    res.set('Cache-Control', 'private, max-age=0');
+
+    res.sendFile(fullPath, (error) => {
+      if (error && !res.headersSent) {
+        notFound(res);
+      }
+    });
+
+  } catch (error) {
+    console.error('Serve file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  serveFile
+};
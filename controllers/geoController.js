@@ -0,0 +1,163 @@
+import { validationResult } from 'express-validator';
+import { PROVINCE } from '../utils/geodata/bataanGazetteer.js';
+import {
+  findMunicipality,
+  findBarangay,
+  getMunicipalities,
+  getBarangays,
+  reverseGeocode,
+  getRoute
+} from '../utils/geo.js';
+
+/**
+ * Get Bataan municipalities with PSGC codes and centroids
+ * GET /api/geo/municipalities
+ */
+export const getMunicipalityList = async (req, res) => {
+  try {
+    const municipalities = getMunicipalities();
+
+    res.json({
+      success: true,
+      data: {
+        province: PROVINCE,
+        municipalities,
+        count: municipalities.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get municipalities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get municipalities',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get barangays of a municipality (PSGC code or name)
+ * GET /api/geo/municipalities/:code/barangays
+ */
+export const getMunicipalityBarangays = async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const municipality = findMunicipality(code);
+    if (!municipality) {
+      return res.status(404).json({
+        success: false,
+        message: 'Municipality not found in Bataan'
+      });
+    }
+
+    const barangays = getBarangays(municipality.code);
+
+    res.json({
+      success: true,
+      data: {
+        municipality,
+        barangays,
+        count: barangays.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get barangays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get barangays',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Resolve coordinates to barangay and municipality (offline)
+ * GET /api/geo/reverse?lat=14.6760&lng=120.5360
+ */
+export const reverseGeocodeLocation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { lat, lng } = req.query;
+
+    const place = reverseGeocode(lat, lng);
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coordinates are outside Bataan or in the sea'
+      });
+    }
+
+    const barangay = findBarangay(place.barangayCode, place.municipalityCode);
+
+    res.json({
+      success: true,
+      data: {
+        ...place,
+        centroid: barangay.centroid
+      }
+    });
+
+  } catch (error) {
+    console.error('Reverse geocode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reverse geocode',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Road distance and ETA between two points over the bundled road network
+ * GET /api/geo/route?fromLat=14.6800&fromLng=120.2660&toLat=14.6760&toLng=120.5360
+ */
+export const getRoadRoute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fromLat, fromLng, toLat, toLng } = req.query;
+
+    const route = getRoute(
+      { lat: parseFloat(fromLat), lng: parseFloat(fromLng) },
+      { lat: parseFloat(toLat), lng: parseFloat(toLng) }
+    );
+
+    res.json({
+      success: true,
+      data: { route }
+    });
+
+  } catch (error) {
+    console.error('Road route error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to estimate route',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  getMunicipalityList,
+  getMunicipalityBarangays,
+  reverseGeocodeLocation,
+  getRoadRoute
+};
@@ -0,0 +1,214 @@
+import { validationResult } from 'express-validator';
+import JobRequest from '../models/JobRequest.js';
+import Provider from '../models/Provider.js';
+import invitations, { InvitationError } from '../services/invitations.js';
+import eventBus from '../services/eventBus.js';
+
+/**
+ * Invite providers to apply to a job
+ * POST /api/jobs/:id/invitations
+ */
+export const inviteProviders = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { providerIds, message } = req.body;
+    // Loaded and ownership-checked by can('job:invite', loadJob)
+    const job = req.job;
+
+    const providers = await Provider.find({ _id: { $in: providerIds }, isActive: true });
+
+    const { invited, skipped } = invitations.invite(job, providers, { userId: req.user.userId }, message);
+    providerIds
+      .filter(providerId => !providers.some(provider => provider._id.toString() === providerId))
+      .forEach(providerId => skipped.push({ provider: providerId, reason: 'Provider not found' }));
+
+    if (invited.length > 0) {
+      await job.save();
+
+      // Emailed and texted by the notification service
+      eventBus.publish('invitation.created', {
+        jobId: job._id,
+        title: job.title,
+        message
+      }, { providers: invited.map(invitation => invitation.provider) });
+    }
+
+    res.status(invited.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `${invited.length} provider${invited.length === 1 ? '' : 's'} invited`,
+      data: { invited, skipped }
+    });
+
+  } catch (error) {
+    console.error('Invite providers error:', error);
+
+    if (error instanceof InvitationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite providers',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the invitations sent for a job and where each stands
+ * GET /api/jobs/:id/invitations
+ */
+export const getJobInvitations = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by can('job:invite', loadJob)
+    const job = req.job;
+    await job.populate({
+      path: 'invitations.provider',
+      select: 'businessName user ratings',
+      populate: { path: 'user', select: 'name profileImage' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        visibility: job.visibility,
+        invitations: job.invitations
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the invitations the current provider has received
+ * GET /api/jobs/invitations
+ */
+export const getMyInvitations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = await Provider.findOne({ user: req.user.userId }).select('_id');
+    if (!provider) {
+      return res.status(403).json({
+        success: false,
+        message: 'Provider profile required to receive invitations'
+      });
+    }
+
+    const jobs = await JobRequest.find({ 'invitations.provider': provider._id, isActive: true })
+      .select('title category urgency budget timeline location.barangay location.municipality status visibility client invitations createdAt')
+      .populate('client', 'name profileImage')
+      .sort({ createdAt: -1 });
+
+    const { status } = req.query;
+    const received = jobs
+      .map(job => {
+        const invitation = invitations.findForProvider(job, provider._id);
+        const summary = job.toObject();
+        delete summary.invitations;
+        return { job: summary, invitation };
+      })
+      .filter(entry => !status || entry.invitation.status === status);
+
+    res.json({
+      success: true,
+      data: { invitations: received }
+    });
+
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Decline an invitation (invited provider only)
+ * POST /api/jobs/:id/invitations/:invitationId/decline
+ */
+export const declineInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded by can('job:apply', loadJob)
+    const job = req.job;
+    const invitation = invitations.getInvitation(job, req.params.invitationId);
+
+    const provider = await Provider.findOne({ user: req.user.userId }).select('_id');
+    if (!provider || invitation.provider.toString() !== provider._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the invited provider can decline this invitation'
+      });
+    }
+
+    invitations.decline(job, invitation._id, req.body.reason);
+    await job.save();
+
+    eventBus.publish('invitation.declined', {
+      jobId: job._id,
+      title: job.title,
+      invitationId: invitation._id,
+      providerId: provider._id,
+      reason: invitation.declineReason
+    }, { users: [job.client] });
+
+    res.json({
+      success: true,
+      message: 'Invitation declined',
+      data: { invitation }
+    });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+
+    if (error instanceof InvitationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  inviteProviders,
+  getJobInvitations,
+  getMyInvitations,
+  declineInvitation
+};
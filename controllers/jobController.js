@@ -1,8 +1,40 @@
 import { validationResult } from 'express-validator';
 import JobRequest from '../models/JobRequest.js';
 import Provider from '../models/Provider.js';
-import { matchJobWithProviders, generateJobTags } from '../utils/ai.js';
-import { getBarangayCoordinates } from '../utils/geo.js';
+import { matchJobWithProviders, rankEmergencyProviders, generateJobTags } from '../utils/ai.js';
+import { getBarangayCoordinates, reverseGeocode } from '../utils/geo.js';
+import jobLifecycle, { JobTransitionError } from '../services/jobLifecycle.js';
+import negotiation, { NegotiationError } from '../services/negotiation.js';
+import applications, { ApplicationError } from '../services/applications.js';
+import invitations from '../services/invitations.js';
+import messaging from '../services/messaging.js';
+import { hasPermission } from '../config/permissions.js';
+import eventBus from '../services/eventBus.js';
+import storage from '../services/storage.js';
+import { JOB_STATUSES, PUBLIC_JOB_STATUSES, EDITABLE_JOB_STATUSES, OPEN_APPLICATION_STATUSES } from '../config/jobLifecycle.js';
+
+// Fields a client may write on create and update. Status, applications, the
+// hired provider, milestones, completion and expiry only change through their
+// own endpoints and services; invitations and attachments too.
+const EDITABLE_JOB_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'subCategories',
+  'urgency',
+  'timeline',
+  'budget',
+  'location',
+  'requirements',
+  'visibility'
+];
+
+/**
+ * The editable fields present in a request body
+ */
+const pickEditableFields = (body) => Object.fromEntries(
+  EDITABLE_JOB_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
 
 /**
  * Create new job request
@@ -20,10 +52,19 @@ export const createJob = async (req, res) => {
     }
 
     const userId = req.user.userId;
-    const jobData = { ...req.body, client: userId };
+    // Only `draft` is taken from the requested status; the lifecycle service sets it
+    const { status } = req.body;
+    const jobData = { ...pickEditableFields(req.body), client: userId };
 
-    // Get coordinates if not provided
-    if (!jobData.location.coordinates) {
+    // Submitted coordinates decide the barangay; otherwise use the barangay centroid
+    if (jobData.location.coordinates) {
+      const place = reverseGeocode(
+        jobData.location.coordinates.latitude,
+        jobData.location.coordinates.longitude
+      );
+      jobData.location.barangay = place.barangay;
+      jobData.location.municipality = place.municipality;
+    } else {
       const coords = getBarangayCoordinates(
         jobData.location.barangay, 
         jobData.location.municipality
@@ -48,19 +89,26 @@ export const createJob = async (req, res) => {
     }
 
     const job = new JobRequest(jobData);
+    jobLifecycle.initialize(job, status === 'draft' ? 'draft' : 'active', { actor: req.user });
     await job.save();
 
-    // Find and suggest matching providers
+    // Find and suggest matching providers; emergencies go to whoever can arrive first
     try {
-      const nearbyProviders = await Provider.findNearby(
+      const isEmergency = job.urgency === 'emergency';
+      const nearbyProviders = await Provider.findServing(
         jobData.location.coordinates.latitude,
         jobData.location.coordinates.longitude,
-        20, // 20km radius
-        { 'services.category': jobData.category }
+        {
+          'services.category': jobData.category,
+          ...(isEmergency && { 'availability.emergencyService': true })
+        },
+        { municipality: jobData.location.municipality }
       );
 
       if (nearbyProviders.length > 0) {
-        const matches = await matchJobWithProviders(job, nearbyProviders);
+        const matches = isEmergency
+          ? rankEmergencyProviders(job, nearbyProviders)
+          : await matchJobWithProviders(job, nearbyProviders);
         
         job.aiSuggestions = matches.map(match => ({
           provider: match.providerId,
@@ -121,10 +169,19 @@ export const getJobs = async (req, res) => {
     } = req.query;
 
     let query = { isActive: true };
+    const ownJobs = Boolean(clientId) && clientId === req.user?.userId?.toString();
 
-    // Status filter
-    if (status !== 'all') {
+    // Status filter: drafts are only listed for their own client
+    const listableStatuses = ownJobs ? JOB_STATUSES : PUBLIC_JOB_STATUSES;
+    if (status === 'all') {
+      query.status = { $in: listableStatuses };
+    } else if (listableStatuses.includes(status)) {
       query.status = status;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be all or one of: ${listableStatuses.join(', ')}`
+      });
     }
 
     // Category filter
@@ -150,6 +207,11 @@ export const getJobs = async (req, res) => {
       query.client = clientId;
     }
 
+    // Private jobs are only listed for their own client
+    if (!ownJobs) {
+      query.visibility = { $ne: 'private' };
+    }
+
     // Provider filter (for jobs where provider applied)
     if (providerId) {
       query['applications.provider'] = providerId;
@@ -183,7 +245,7 @@ export const getJobs = async (req, res) => {
       };
 
       jobs = await JobRequest.find(geoQuery)
-        .populate('client', 'name email profileImage')
+        .populate('client', 'name profileImage')
         .populate('applications.provider', 'businessName user')
         .skip(skip)
         .limit(limitNum)
@@ -201,7 +263,7 @@ export const getJobs = async (req, res) => {
       }
 
       jobs = await JobRequest.find(query)
-        .populate('client', 'name email profileImage')
+        .populate('client', 'name profileImage')
         .populate('applications.provider', 'businessName user')
         .sort(sort)
         .skip(skip)
@@ -265,17 +327,44 @@ export const getJobById = async (req, res) => {
       });
     }
 
+    const provider = req.user.role === 'provider'
+      ? await Provider.findOne({ user: userId })
+      : null;
+
+    // Private jobs are shown to their client, invited providers and moderators;
+    // drafts only to their client and moderators
+    const isClient = job.client._id.toString() === userId.toString();
+    const isModerator = hasPermission(req.user, 'job:update');
+    const isHidden = job.status === 'draft' || !invitations.isOpenTo(job, provider?._id);
+    if (!isClient && !isModerator && isHidden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
     // Increment view count if viewing as provider
-    if (req.user.role === 'provider') {
-      const provider = await Provider.findOne({ user: userId });
-      if (provider) {
-        await job.incrementViews(provider._id);
-      }
+    if (provider) {
+      invitations.markViewed(job, provider._id);
+      await job.incrementViews(provider._id);
+    }
+
+    // The client's email and phone, like contact details in messages, are only
+    // shown to the provider once hired
+    const data = job.toJSON();
+    if (!isClient && !isModerator && !messaging.isHired(job, provider?._id)) {
+      const { email: _email, phone: _phone, ...client } = data.client;
+      data.client = client;
     }
 
     res.json({
       success: true,
-      data: { job }
+      data: {
+        job: {
+          ...data,
+          attachments: job.attachments.map(attachment => storage.withDownloadUrl(attachment))
+        }
+      }
     });
 
   } catch (error) {
@@ -291,6 +380,7 @@ export const getJobById = async (req, res) => {
 /**
  * Apply for a job (Provider only)
  * POST /api/jobs/:id/apply
+ * POST /api/jobs/:id/invitations/:invitationId/accept
  */
 export const applyForJob = async (req, res) => {
   try {
@@ -344,8 +434,32 @@ export const applyForJob = async (req, res) => {
       });
     }
 
-    // Add application
+    // Private jobs take applications from invited providers only
+    const invitation = invitations.findForProvider(job, provider._id);
+    if (!invitations.isOpenTo(job, provider._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    if (req.params.invitationId && invitation?._id.toString() !== req.params.invitationId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // Add application; for an invited provider this accepts the invitation
+    invitations.markAccepted(job, provider._id);
     await job.addApplication(provider._id, proposal, quotedPrice, estimatedDuration);
+    const application = job.applications[job.applications.length - 1];
+    eventBus.publish('application.created', {
+      jobId: job._id,
+      title: job.title,
+      applicationId: application._id,
+      providerId: provider._id,
+      businessName: provider.businessName
+    }, { users: [job.client] });
 
     // Update provider statistics
     provider.statistics.jobMatches += 1;
@@ -359,7 +473,7 @@ export const applyForJob = async (req, res) => {
       message: 'Application submitted successfully',
       data: { 
         job,
-        application: job.applications[job.applications.length - 1]
+        application
       }
     });
 
@@ -387,35 +501,31 @@ export const applyForJob = async (req, res) => {
  */
 export const acceptApplication = async (req, res) => {
   try {
-    const { id, applicationId } = req.params;
-    const userId = req.user.userId;
+    const { applicationId } = req.params;
     const { clientResponse } = req.body;
-
-    const job = await JobRequest.findById(id);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
-
-    // Check if user is the job owner
-    if (job.client.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to accept applications for this job'
-      });
-    }
-
-    if (job.status !== 'active') {
-      return res.status(400).json({
-        success: false,
-        message: 'Job is no longer accepting applications'
-      });
-    }
-
-    // Accept the application
-    await job.acceptApplication(applicationId, clientResponse);
+    // Loaded and ownership-checked by can('job:accept', loadJob)
+    const job = req.job;
+
+    // Lock in the latest agreed terms, then accept the application and hire its provider
+    const application = applications.assertAcceptable(job, applicationId);
+    const passedOver = job.applications
+      .filter(app => OPEN_APPLICATION_STATUSES.includes(app.status) && !app._id.equals(application._id))
+      .map(app => app.provider);
+    negotiation.lockTerms(application);
+    job.acceptApplication(applicationId, clientResponse);
+    await jobLifecycle.transition(job, 'in_progress', { actor: req.user });
+
+    eventBus.publish('application.accepted', {
+      jobId: job._id,
+      title: job.title,
+      applicationId: application._id,
+      agreedTerms: application.agreedTerms
+    }, { providers: [application.provider] });
+    eventBus.publish('application.rejected', {
+      jobId: job._id,
+      title: job.title,
+      reason: 'Another provider was hired'
+    }, { providers: passedOver });
 
     // Populate updated job
     await job.populate('applications.provider', 'businessName user contact');
@@ -429,12 +539,9 @@ export const acceptApplication = async (req, res) => {
 
   } catch (error) {
     console.error('Accept application error:', error);
-    
-    if (error.message === 'Application not found') {
-      return res.status(404).json({
-        success: false,
-        message: error.message
-      });
+
+    if (error instanceof JobTransitionError || error instanceof NegotiationError || error instanceof ApplicationError) {
+      return res.status(error.statusCode).json(error.toResponse());
     }
 
     res.status(500).json({
@@ -460,34 +567,13 @@ export const completeJob = async (req, res) => {
       });
     }
 
-    const { id } = req.params;
-    const userId = req.user.userId;
     const { finalCost, workQuality, rating, review } = req.body;
-
-    const job = await JobRequest.findById(id);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
-
-    if (job.client.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to complete this job'
-      });
-    }
-
-    if (job.status !== 'in_progress') {
-      return res.status(400).json({
-        success: false,
-        message: 'Job is not in progress'
-      });
-    }
+    // Loaded and ownership-checked by can('job:complete', loadJob)
+    const job = req.job;
 
     // Complete the job
-    await job.completeJob(finalCost, workQuality);
+    job.completeJob(finalCost, workQuality);
+    await jobLifecycle.transition(job, 'completed', { actor: req.user });
 
     // Add client rating
     if (rating && review) {
@@ -502,20 +588,8 @@ export const completeJob = async (req, res) => {
       if (job.selectedProvider) {
         const provider = await Provider.findById(job.selectedProvider);
         if (provider) {
-          const newCount = provider.ratings.count + 1;
-          const newAverage = (
-            (provider.ratings.average * provider.ratings.count) + rating
-          ) / newCount;
-
-          provider.ratings.average = Math.round(newAverage * 10) / 10;
-          provider.ratings.count = newCount;
-          
-          // Update rating breakdown
-          const ratingKey = ['', 'one', 'two', 'three', 'four', 'five'][rating];
-          provider.ratings.breakdown[ratingKey] += 1;
-          
           provider.statistics.projectsCompleted += 1;
-          await provider.save();
+          await provider.updateRating(rating);
         }
       }
     }
@@ -530,6 +604,11 @@ export const completeJob = async (req, res) => {
 
   } catch (error) {
     console.error('Complete job error:', error);
+
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to complete job',
@@ -544,32 +623,16 @@ export const completeJob = async (req, res) => {
  */
 export const getJobSuggestions = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.userId;
-
-    const job = await JobRequest.findById(id);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
-
-    // Only job owner can view suggestions
-    if (job.client.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view suggestions for this job'
-      });
-    }
+    // Loaded and access-checked by can('job:view_suggestions', loadJob)
+    const job = req.job;
 
     // If no existing suggestions, generate new ones
     if (job.aiSuggestions.length === 0) {
-      const nearbyProviders = await Provider.findNearby(
+      const nearbyProviders = await Provider.findServing(
         job.location.coordinates.latitude,
         job.location.coordinates.longitude,
-        25,
-        { 'services.category': job.category }
+        { 'services.category': job.category },
+        { municipality: job.location.municipality }
       );
 
       if (nearbyProviders.length > 0) {
@@ -623,35 +686,37 @@ export const updateJob = async (req, res) => {
     }
 
     const { id } = req.params;
-    const userId = req.user.userId;
-
-    const job = await JobRequest.findById(id);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Job not found'
-      });
-    }
+    // Loaded and access-checked by can('job:update', loadJob)
+    const job = req.job;
 
-    if (job.client.toString() !== userId) {
-      return res.status(403).json({
+    if (!EDITABLE_JOB_STATUSES.includes(job.status)) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to update this job'
+        message: 'Cannot update job in current status'
       });
     }
 
-    if (job.status !== 'active' && job.status !== 'draft') {
-      return res.status(400).json({
+    // The milestone plan is proposed and agreed through /api/jobs/:id/milestones
+    if (req.body.milestones !== undefined || req.body.milestonePlan !== undefined) {
+      return res.status(job.selectedProvider ? 409 : 400).json({
         success: false,
-        message: 'Cannot update job in current status'
+        message: job.selectedProvider
+          ? 'The milestone plan can only be changed by proposing it through the milestones endpoint'
+          : 'A milestone plan can be proposed once a provider is hired'
       });
     }
 
-    const updateData = { ...req.body };
+    const updateData = pickEditableFields(req.body);
 
-    // Update coordinates if location changed
-    if (updateData.location && (!updateData.location.coordinates || 
-        !updateData.location.coordinates.latitude)) {
+    // Update coordinates or barangay if location changed
+    if (updateData.location && updateData.location.coordinates) {
+      const place = reverseGeocode(
+        updateData.location.coordinates.latitude,
+        updateData.location.coordinates.longitude
+      );
+      updateData.location.barangay = place.barangay;
+      updateData.location.municipality = place.municipality;
+    } else if (updateData.location) {
       const coords = getBarangayCoordinates(
         updateData.location.barangay, 
         updateData.location.municipality
@@ -707,46 +772,273 @@ export const updateJob = async (req, res) => {
  */
 export const deleteJob = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.userId;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const job = await JobRequest.findById(id);
-    if (!job) {
-      return res.status(404).json({
+    // Loaded and access-checked by can('job:delete', loadJob)
+    const job = req.job;
+
+    // Soft delete by canceling and marking as inactive
+    job.isActive = false;
+    await jobLifecycle.transition(job, 'canceled', { actor: req.user, reason: req.body?.reason });
+
+    res.json({
+      success: true,
+      message: 'Job deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete job error:', error);
+
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Publish a draft job
+ * POST /api/jobs/:id/publish
+ */
+export const publishJob = async (req, res) => {
+  try {
+    // Loaded and access-checked by can('job:update', loadJob)
+    const job = req.job;
+
+    await jobLifecycle.transition(job, 'active', { actor: req.user });
+
+    res.json({
+      success: true,
+      message: 'Job published successfully',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Publish job error:', error);
+
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Raise a dispute on a job in progress (client or hired provider)
+ * POST /api/jobs/:id/dispute
+ */
+export const disputeJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Job not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    if (job.client.toString() !== userId) {
+    // Loaded by can('job:dispute', loadJob)
+    const job = req.job;
+
+    if (!(await job.getParticipantRole(req.user.userId))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this job'
+        message: 'Only the client or the hired provider can dispute this job'
       });
     }
 
-    if (job.status === 'in_progress' || job.status === 'completed') {
+    await jobLifecycle.transition(job, 'disputed', { actor: req.user, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Dispute raised; a moderator will review it',
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Dispute job error:', error);
+
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispute job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Settle a dispute: resume, complete or cancel the job
+ * POST /api/jobs/:id/resolve-dispute
+ */
+export const resolveDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete job in current status'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Soft delete by marking as inactive
-    job.isActive = false;
-    job.status = 'canceled';
-    await job.save();
+    const { status, reason } = req.body;
+    // Loaded by can('job:resolve_dispute', loadJob)
+    const job = req.job;
+
+    if (job.status !== 'disputed') {
+      throw new JobTransitionError(job, status, 'Job is not under dispute');
+    }
+
+    if (status === 'completed' && !job.completionDetails.completedAt) {
+      job.completionDetails.completedAt = new Date();
+    }
+    await jobLifecycle.transition(job, status, { actor: req.user, reason });
 
     res.json({
       success: true,
-      message: 'Job deleted successfully'
+      message: 'Dispute resolved',
+      data: { job }
     });
 
   } catch (error) {
-    console.error('Delete job error:', error);
+    console.error('Resolve dispute error:', error);
+
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Failed to delete job',
+      message: 'Failed to resolve dispute',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Post a fresh copy of an expired job
+ * POST /api/jobs/:id/repost
+ */
+export const repostJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded and ownership-checked by can('job:repost', loadJob)
+    const job = req.job;
+
+    if (job.status !== 'expired') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only expired jobs can be reposted'
+      });
+    }
+
+    if (job.repostedAs) {
+      return res.status(409).json({
+        success: false,
+        message: 'This job has already been reposted',
+        data: { jobId: job.repostedAs }
+      });
+    }
+
+    // A start date that has passed moves to today unless the client picks one
+    const startDate = req.body.timeline?.startDate
+      ? new Date(req.body.timeline.startDate)
+      : new Date(Math.max(job.timeline.startDate?.getTime() || 0, Date.now()));
+
+    const repost = new JobRequest({
+      client: job.client,
+      title: job.title,
+      description: job.description,
+      category: job.category,
+      subCategories: job.subCategories,
+      urgency: job.urgency,
+      timeline: { ...job.timeline.toObject(), startDate },
+      budget: job.budget.toObject(),
+      location: job.location.toObject(),
+      requirements: job.requirements.toObject(),
+      attachments: job.attachments.map(attachment => attachment.toObject()),
+      aiTags: job.aiTags.map(tag => tag.toObject()),
+      visibility: job.visibility,
+      repostedFrom: job._id
+    });
+    jobLifecycle.initialize(repost, 'active', { actor: req.user });
+    await repost.validate();
+
+    // Claim the expired job for this repost first, so two requests racing
+    // past the check above cannot both post a copy
+    const claimed = await JobRequest.findOneAndUpdate(
+      { _id: job._id, status: 'expired', repostedAs: null },
+      { $set: { repostedAs: repost._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      const current = await JobRequest.findById(job._id).select('repostedAs');
+      return res.status(409).json({
+        success: false,
+        message: 'This job has already been reposted',
+        data: { jobId: current?.repostedAs || null }
+      });
+    }
+
+    try {
+      await repost.save();
+    } catch (error) {
+      await JobRequest.updateOne({ _id: job._id, repostedAs: repost._id }, { $set: { repostedAs: null } });
+      throw error;
+    }
+
+    await repost.populate('client', 'name email profileImage');
+
+    res.status(201).json({
+      success: true,
+      message: 'Job reposted successfully',
+      data: { job: repost }
+    });
+
+  } catch (error) {
+    console.error('Repost job error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to repost job',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -761,5 +1053,9 @@ export default {
   completeJob,
   getJobSuggestions,
   updateJob,
-  deleteJob
+  deleteJob,
+  publishJob,
+  disputeJob,
+  resolveDispute,
+  repostJob
 }; 
\ No newline at end of file
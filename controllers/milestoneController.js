@@ -0,0 +1,273 @@
+import { validationResult } from 'express-validator';
+import milestones, { MilestoneError } from '../services/milestones.js';
+import { hasPermission } from '../config/permissions.js';
+
+/**
+ * Resolve the caller's side of the job, or send 403 and return null
+ */
+const requireParticipant = async (req, res, allowedRoles = ['client', 'provider']) => {
+  const role = await req.job.getParticipantRole(req.user.userId);
+  if (!role || !allowedRoles.includes(role)) {
+    res.status(403).json({
+      success: false,
+      message: allowedRoles.length === 1
+        ? `Only the job's ${allowedRoles[0]} can do this`
+        : 'Only the client or the hired provider can manage milestones'
+    });
+    return null;
+  }
+  return role;
+};
+
+/**
+ * Get a job's milestone plan and progress
+ * GET /api/jobs/:id/milestones
+ */
+export const getMilestones = async (req, res) => {
+  try {
+    // Loaded by can('job:milestones', loadJob)
+    const job = req.job;
+
+    // Moderators settling a dispute need to see the plan as well
+    if (!hasPermission(req.user, 'job:resolve_dispute') && !(await requireParticipant(req, res))) return;
+
+    res.json({
+      success: true,
+      data: {
+        plan: job.milestonePlan,
+        milestones: job.milestones,
+        summary: milestones.summarize(job)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get milestones',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Propose (or re-propose) the milestone plan
+ * PUT /api/jobs/:id/milestones
+ */
+export const proposeMilestonePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = req.job;
+    const role = await requireParticipant(req, res);
+    if (!role) return;
+
+    milestones.proposePlan(job, req.body.milestones, { userId: req.user.userId, role });
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone plan proposed; waiting for the other party to agree',
+      data: {
+        plan: job.milestonePlan,
+        milestones: job.milestones,
+        summary: milestones.summarize(job)
+      }
+    });
+
+  } catch (error) {
+    console.error('Propose milestone plan error:', error);
+
+    if (error instanceof MilestoneError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to propose milestone plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Agree to the milestone plan proposed by the other party
+ * POST /api/jobs/:id/milestones/agree
+ */
+export const agreeMilestonePlan = async (req, res) => {
+  try {
+    const job = req.job;
+    const role = await requireParticipant(req, res);
+    if (!role) return;
+
+    milestones.agreePlan(job, { userId: req.user.userId, role });
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone plan agreed',
+      data: {
+        plan: job.milestonePlan,
+        milestones: job.milestones
+      }
+    });
+
+  } catch (error) {
+    console.error('Agree milestone plan error:', error);
+
+    if (error instanceof MilestoneError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to agree to milestone plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Submit a milestone for the client's review (hired provider only)
+ * POST /api/jobs/:id/milestones/:milestoneId/submit
+ */
+export const submitMilestone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = req.job;
+    if (!(await requireParticipant(req, res, ['provider']))) return;
+
+    const milestone = milestones.submit(job, req.params.milestoneId, { userId: req.user.userId }, req.body.notes);
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone submitted for review',
+      data: { milestone }
+    });
+
+  } catch (error) {
+    console.error('Submit milestone error:', error);
+
+    if (error instanceof MilestoneError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Approve a submitted milestone (client only)
+ * POST /api/jobs/:id/milestones/:milestoneId/approve
+ */
+export const approveMilestone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = req.job;
+    if (!(await requireParticipant(req, res, ['client']))) return;
+
+    const milestone = milestones.review(job, req.params.milestoneId, { userId: req.user.userId }, true, req.body.notes);
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone approved',
+      data: {
+        milestone,
+        summary: milestones.summarize(job)
+      }
+    });
+
+  } catch (error) {
+    console.error('Approve milestone error:', error);
+
+    if (error instanceof MilestoneError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reject a submitted milestone with notes (client only)
+ * POST /api/jobs/:id/milestones/:milestoneId/reject
+ */
+export const rejectMilestone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = req.job;
+    if (!(await requireParticipant(req, res, ['client']))) return;
+
+    const milestone = milestones.review(job, req.params.milestoneId, { userId: req.user.userId }, false, req.body.notes);
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Milestone rejected; the provider can resubmit it',
+      data: { milestone }
+    });
+
+  } catch (error) {
+    console.error('Reject milestone error:', error);
+
+    if (error instanceof MilestoneError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject milestone',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  getMilestones,
+  proposeMilestonePlan,
+  agreeMilestonePlan,
+  submitMilestone,
+  approveMilestone,
+  rejectMilestone
+};
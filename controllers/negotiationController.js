@@ -0,0 +1,267 @@
+import { validationResult } from 'express-validator';
+import Provider from '../models/Provider.js';
+import negotiation, { NegotiationError } from '../services/negotiation.js';
+import eventBus from '../services/eventBus.js';
+import { hasPermission } from '../config/permissions.js';
+
+/**
+ * Resolve the caller's side of an application: the job's client or the
+ * provider who applied. Sends 403 (or 404) and returns null otherwise.
+ */
+const requireNegotiator = async (req, res, allowedRoles = ['client', 'provider']) => {
+  const job = req.job;
+  const application = job.applications.id(req.params.applicationId);
+  if (!application) {
+    res.status(404).json({
+      success: false,
+      message: 'Application not found'
+    });
+    return null;
+  }
+
+  let role = null;
+  if (job.client.toString() === req.user.userId.toString()) {
+    role = 'client';
+  } else {
+    const provider = await Provider.findOne({ user: req.user.userId }).select('_id');
+    if (provider && application.provider.toString() === provider._id.toString()) {
+      role = 'provider';
+    }
+  }
+
+  if (!role || !allowedRoles.includes(role)) {
+    res.status(403).json({
+      success: false,
+      message: allowedRoles.length === 1
+        ? (allowedRoles[0] === 'client' ? 'Only the job\'s client can do this' : 'Only the provider who applied can do this')
+        : 'Only the client or the provider who applied can see this negotiation'
+    });
+    return null;
+  }
+  return role;
+};
+
+/**
+ * Tell the other side about a new or agreed offer
+ * @param {String} to - 'client' or 'provider'
+ */
+const announceOffer = (type, job, application, offer, to) => {
+  eventBus.publish(type, {
+    jobId: job._id,
+    title: job.title,
+    applicationId: application._id,
+    version: offer.version,
+    by: offer.by,
+    price: offer.price,
+    duration: offer.duration
+  }, to === 'client' ? { users: [job.client] } : { providers: [application.provider] });
+};
+
+/**
+ * Send the negotiation thread of an application
+ */
+const sendThread = (res, application, message) => {
+  res.json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      applicationId: application._id,
+      status: application.status,
+      latestOffer: negotiation.getLatestOffer(application),
+      offers: negotiation.getThread(application),
+      agreedTerms: application.agreedTerms
+    }
+  });
+};
+
+/**
+ * Get the negotiation thread of an application
+ * GET /api/jobs/:id/applications/:applicationId/negotiation
+ */
+export const getNegotiation = async (req, res) => {
+  try {
+    // Loaded by can('job:negotiate', loadJob)
+    const job = req.job;
+
+    // Moderators settling a dispute may need to see what was agreed
+    if (!hasPermission(req.user, 'job:resolve_dispute') && !(await requireNegotiator(req, res))) return;
+
+    const application = negotiation.getApplication(job, req.params.applicationId);
+    sendThread(res, application);
+
+  } catch (error) {
+    console.error('Get negotiation error:', error);
+
+    if (error instanceof NegotiationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get negotiation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Counter the provider's terms (client only)
+ * POST /api/jobs/:id/applications/:applicationId/counter
+ */
+export const counterOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = req.job;
+    if (!(await requireNegotiator(req, res, ['client']))) return;
+
+    const { price, duration, scope, message } = req.body;
+    const offer = negotiation.counter(job, req.params.applicationId, { userId: req.user.userId }, { price, duration, scope, message });
+    await job.save();
+
+    const application = job.applications.id(req.params.applicationId);
+    announceOffer('offer.created', job, application, offer, 'provider');
+    sendThread(res, application, 'Counter-offer sent; waiting for the provider');
+
+  } catch (error) {
+    console.error('Counter offer error:', error);
+
+    if (error instanceof NegotiationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send counter-offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revise the quoted terms (applying provider only)
+ * POST /api/jobs/:id/applications/:applicationId/revise
+ */
+export const reviseOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = req.job;
+    if (!(await requireNegotiator(req, res, ['provider']))) return;
+
+    const { price, duration, scope, message } = req.body;
+    const offer = negotiation.revise(job, req.params.applicationId, { userId: req.user.userId }, { price, duration, scope, message });
+    await job.save();
+
+    const application = job.applications.id(req.params.applicationId);
+    announceOffer('offer.created', job, application, offer, 'client');
+    sendThread(res, application, 'Terms revised');
+
+  } catch (error) {
+    console.error('Revise offer error:', error);
+
+    if (error instanceof NegotiationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revise terms',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Agree to the client's counter-offer (applying provider only)
+ * POST /api/jobs/:id/applications/:applicationId/agree
+ */
+export const agreeToCounterOffer = async (req, res) => {
+  try {
+    const job = req.job;
+    if (!(await requireNegotiator(req, res, ['provider']))) return;
+
+    const offer = negotiation.agree(job, req.params.applicationId);
+    await job.save();
+
+    const application = job.applications.id(req.params.applicationId);
+    announceOffer('offer.agreed', job, application, offer, 'client');
+    sendThread(res, application, 'Counter-offer agreed; the client can now accept your application');
+
+  } catch (error) {
+    console.error('Agree to counter offer error:', error);
+
+    if (error instanceof NegotiationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to agree to counter-offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Decline the client's counter-offer, standing by the last quoted terms
+ * (applying provider only)
+ * POST /api/jobs/:id/applications/:applicationId/decline
+ */
+export const declineCounterOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = req.job;
+    if (!(await requireNegotiator(req, res, ['provider']))) return;
+
+    const offer = negotiation.decline(job, req.params.applicationId, { userId: req.user.userId }, req.body.message);
+    await job.save();
+
+    const application = job.applications.id(req.params.applicationId);
+    announceOffer('offer.created', job, application, offer, 'client');
+    sendThread(res, application, 'Counter-offer declined; your previous terms stand');
+
+  } catch (error) {
+    console.error('Decline counter offer error:', error);
+
+    if (error instanceof NegotiationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline counter-offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  getNegotiation,
+  counterOffer,
+  reviseOffer,
+  agreeToCounterOffer,
+  declineCounterOffer
+};
@@ -0,0 +1,280 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import notifications, { NotificationError } from '../services/notifications.js';
+
+/**
+ * Get my notifications, newest first
+ * GET /api/notifications
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, unread, type } = req.query;
+    const userId = req.user.userId;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { user: userId };
+    if (unread === 'true') query.readAt = null;
+    if (type) query.type = type;
+
+    const [items, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('-data')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Notification.countDocuments(query),
+      Notification.countUnread(userId)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: items,
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limitNum,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get my unread notification count
+ * GET /api/notifications/unread-count
+ */
+export const getUnreadNotificationCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Mark one of my notifications as read
+ * POST /api/notifications/:id/read
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.userId }).select('_id');
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await notifications.markRead(req.user.userId, [notification._id]);
+    const unreadCount = await Notification.countUnread(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Mark all my notifications as read
+ * POST /api/notifications/read-all
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const marked = await notifications.markRead(req.user.userId);
+
+    res.json({
+      success: true,
+      message: `${marked} notification${marked === 1 ? '' : 's'} marked as read`,
+      data: { marked, unreadCount: 0 }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get my active mutes
+ * GET /api/notifications/mutes
+ */
+export const getMutes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('preferences');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { mutes: notifications.getActiveMutes(user) }
+    });
+
+  } catch (error) {
+    console.error('Get mutes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get mutes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Mute a notification type, a job, or one type for one job
+ * POST /api/notifications/mutes
+ */
+export const muteNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { type, jobId, until } = req.body;
+    const mute = notifications.mute(user, {
+      type,
+      job: jobId,
+      until: until ? new Date(until) : undefined
+    });
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(201).json({
+      success: true,
+      message: 'Notifications muted',
+      data: { mute }
+    });
+
+  } catch (error) {
+    console.error('Mute notifications error:', error);
+
+    if (error instanceof NotificationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mute notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Lift a mute
+ * DELETE /api/notifications/mutes/:muteId
+ */
+export const unmuteNotifications = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    notifications.unmute(user, req.params.muteId);
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({
+      success: true,
+      message: 'Notifications unmuted'
+    });
+
+  } catch (error) {
+    console.error('Unmute notifications error:', error);
+
+    if (error instanceof NotificationError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unmute notifications',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+export default {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getMutes,
+  muteNotifications,
+  unmuteNotifications
+};
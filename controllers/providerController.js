@@ -1,8 +1,35 @@
 import { validationResult } from 'express-validator';
-import Provider from '../models/Provider.js';
+import Provider, { SEARCHABLE_FILTER } from '../models/Provider.js';
 import User from '../models/User.js';
 import { extractServiceTags } from '../utils/ai.js';
-import { findNearbyProviders, getBarangayCoordinates } from '../utils/geo.js';
+import { getBarangayCoordinates, formatDistance, getTravelTimes } from '../utils/geo.js';
+import storage, { StorageError } from '../services/storage.js';
+import imagePipeline from '../services/imagePipeline.js';
+import { PORTFOLIO_IMAGE_QUOTA } from '../config/uploads.js';
+
+/**
+ * Attach road travel (distance and ETA over the Bataan road network) from each
+ * provider to the client's location
+ * @param {Array} providers - Plain provider objects
+ * @param {number} latitude - Client latitude
+ * @param {number} longitude - Client longitude
+ * @returns {Array} Providers with `travel`
+ */
+const withTravelTimes = (providers, latitude, longitude) => {
+  const routes = getTravelTimes(
+    { lat: latitude, lng: longitude },
+    providers.map(provider => ({
+      lat: provider.location?.coordinates?.latitude,
+      lng: provider.location?.coordinates?.longitude
+    }))
+  );
+  return providers.map((provider, index) => ({ ...provider, travel: routes[index] }));
+};
+
+/**
+ * Sort providers by road travel time, unknown travel last
+ */
+const byTravelTime = (a, b) => (a.travel?.durationMinutes ?? Infinity) - (b.travel?.durationMinutes ?? Infinity);
 
 /**
  * Register new provider
@@ -30,7 +57,8 @@ export const registerProvider = async (req, res) => {
       contact,
       availability,
       pricing,
-      portfolio
+      portfolio,
+      serviceArea
     } = req.body;
 
     // Check if user already has a provider profile
@@ -65,6 +93,9 @@ export const registerProvider = async (req, res) => {
       console.error('AI tagging error:', aiError);
     }
 
+    // Search visibility follows the owner's phone verification
+    const owner = await User.findById(userId).select('phoneVerified');
+
     // Create provider profile
     const provider = new Provider({
       user: userId,
@@ -77,10 +108,14 @@ export const registerProvider = async (req, res) => {
         ...location,
         coordinates
       },
-      contact: contact || {},
+      contact: {
+        ...contact,
+        phoneVerified: Boolean(owner?.phoneVerified)
+      },
       availability: availability || {},
       pricing: pricing || {},
       portfolio: portfolio || [],
+      serviceArea: serviceArea || {},
       aiTags
     });
 
@@ -119,19 +154,19 @@ export const getProviders = async (req, res) => {
       limit = 12,
       category,
       barangay,
-      municipality = 'Bataan',
+      municipality = 'all',
       verified,
       minRating,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       latitude,
       longitude,
-      radius = 15,
+      radius,
       search
     } = req.query;
 
-    // Build query
-    let query = { isActive: true };
+    // Build query; only providers with a verified phone are listed
+    let query = { ...SEARCHABLE_FILTER };
 
     // Category filter
     if (category && category !== 'all') {
@@ -184,44 +219,41 @@ export const getProviders = async (req, res) => {
     let providers;
     let total;
 
-    // If coordinates provided, use geo search
-    if (latitude && longitude && sortBy === 'distance') {
+    // If coordinates provided, only return providers whose service area covers the point
+    if (latitude && longitude) {
       const lat = parseFloat(latitude);
       const lng = parseFloat(longitude);
-      const radiusInKm = parseFloat(radius);
-
-      // Use geo query
-      const geoQuery = {
-        ...query,
-        'location.coordinates': {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [lng, lat]
-            },
-            $maxDistance: radiusInKm * 1000 // Convert to meters
+      const pipeline = Provider.serviceAreaPipeline(
+        lat,
+        lng,
+        query,
+        { maxDistanceKm: radius ? parseFloat(radius) : undefined }
+      );
+
+      if (sortBy === 'distance') {
+        // Nearest by road, not by straight line, so rank every covering provider first
+        const candidates = withTravelTimes(await Provider.aggregate(pipeline), lat, lng).sort(byTravelTime);
+        total = candidates.length;
+        providers = candidates.slice(skip, skip + limitNum);
+      } else {
+        pipeline.push({ $sort: sort });
+        pipeline.push({
+          $facet: {
+            data: [{ $skip: skip }, { $limit: limitNum }],
+            count: [{ $count: 'total' }]
           }
-        }
-      };
-
-      providers = await Provider.find(geoQuery)
-        .populate('user', 'name email profileImage')
-        .skip(skip)
-        .limit(limitNum);
+        });
 
-      total = await Provider.countDocuments(geoQuery);
+        const [results] = await Provider.aggregate(pipeline);
+        total = results.count[0]?.total || 0;
+        providers = withTravelTimes(results.data, lat, lng);
+      }
 
-      // Add distance to each provider
-      providers = providers.map(provider => {
-        const distance = provider.distanceFrom(lat, lng);
-        return {
-          ...provider.toObject(),
-          distance: Math.round(distance * 100) / 100,
-          distanceText: distance < 1 ? 
-            `${Math.round(distance * 1000)}m away` : 
-            `${distance.toFixed(1)}km away`
-        };
-      });
+      providers = await Provider.populate(providers, { path: 'user', select: 'name email profileImage' });
+      providers = providers.map(provider => ({
+        ...provider,
+        distanceText: formatDistance(provider.distance)
+      }));
 
     } else {
       // Regular query
@@ -303,6 +335,7 @@ export const getProviderById = async (req, res) => {
       providerData.distanceText = distance < 1 ? 
         `${Math.round(distance * 1000)}m away` : 
         `${distance.toFixed(1)}km away`;
+      providerData.servesLocation = provider.servesLocation(parseFloat(latitude), parseFloat(longitude));
     }
 
     res.json({
@@ -336,26 +369,19 @@ export const updateProvider = async (req, res) => {
     }
 
     const { id } = req.params;
-    const userId = req.user.userId;
+    // Loaded and access-checked by can('provider:update', loadProvider)
+    const provider = req.provider;
 
-    // Find provider and check ownership
-    const provider = await Provider.findById(id);
-    if (!provider) {
-      return res.status(404).json({
-        success: false,
-        message: 'Provider not found'
-      });
-    }
+    const updateData = { ...req.body };
 
-    if (provider.user.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this provider profile'
-      });
+    // Phone verification is owned by the user account, not editable here
+    if (updateData.contact) {
+      updateData.contact = {
+        ...updateData.contact,
+        phoneVerified: Boolean(provider.contact?.phoneVerified)
+      };
     }
 
-    const updateData = { ...req.body };
-
     // Update coordinates if location changed
     if (updateData.location) {
       let coordinates = updateData.location.coordinates;
@@ -371,6 +397,19 @@ export const updateProvider = async (req, res) => {
       }
     }
 
+    // Image details are recorded by the portfolio image upload only: keep an
+    // item's for the images it still has, and accept none from the request
+    if (Array.isArray(updateData.portfolio)) {
+      updateData.portfolio = updateData.portfolio.map((item) => {
+        const existing = item?._id ? provider.portfolio.id(item._id) : null;
+        const images = item?.images || [];
+        return {
+          ...item,
+          imageDetails: existing ? existing.imageDetails.filter(detail => images.includes(detail.url)) : []
+        };
+      });
+    }
+
     // Regenerate AI tags if description changed
     if (updateData.businessDescription) {
       try {
@@ -416,24 +455,8 @@ export const updateProvider = async (req, res) => {
  */
 export const getProviderStats = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.userId;
-
-    const provider = await Provider.findById(id);
-    if (!provider) {
-      return res.status(404).json({
-        success: false,
-        message: 'Provider not found'
-      });
-    }
-
-    // Only provider owner can view detailed stats
-    if (provider.user.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view these statistics'
-      });
-    }
+    // Loaded and access-checked by can('provider:view_stats', loadProvider)
+    const provider = req.provider;
 
     res.json({
       success: true,
@@ -470,8 +493,8 @@ export const searchProviders = async (req, res) => {
 
     let aggregationPipeline = [];
 
-    // Match stage
-    let matchStage = { isActive: true };
+    // Match stage; only providers with a verified phone are listed
+    let matchStage = { ...SEARCHABLE_FILTER };
 
     // Text search
     if (searchQuery) {
@@ -500,60 +523,17 @@ export const searchProviders = async (req, res) => {
       matchStage['badges.type'] = { $in: filters.badges };
     }
 
-    aggregationPipeline.push({ $match: matchStage });
-
-    // Add location-based sorting if coordinates provided
-    if (location && location.latitude && location.longitude) {
-      aggregationPipeline.push({
-        $addFields: {
-          distance: {
-            $multiply: [
-              3963.2, // Earth radius in miles, multiply by 1.60934 for km
-              {
-                $acos: {
-                  $add: [
-                    {
-                      $multiply: [
-                        { $sin: { $degreesToRadians: location.latitude } },
-                        { $sin: { $degreesToRadians: '$location.coordinates.latitude' } }
-                      ]
-                    },
-                    {
-                      $multiply: [
-                        { $cos: { $degreesToRadians: location.latitude } },
-                        { $cos: { $degreesToRadians: '$location.coordinates.latitude' } },
-                        { $cos: {
-                          $degreesToRadians: {
-                            $subtract: [location.longitude, '$location.coordinates.longitude']
-                          }
-                        }}
-                      ]
-                    }
-                  ]
-                }
-              }
-            ]
-          }
-        }
-      });
-
-      // Filter by radius if specified
-      if (location.radius) {
-        aggregationPipeline.push({
-          $match: { distance: { $lte: location.radius } }
-        });
-      }
-    }
-
-    // Sort stage
-    let sortStage = {};
+    // With coordinates, keep only providers whose service area covers the client (distance in km)
     if (location && location.latitude && location.longitude) {
-      sortStage.distance = 1; // Sort by distance ascending
+      aggregationPipeline.push(...Provider.serviceAreaPipeline(
+        location.latitude,
+        location.longitude,
+        matchStage,
+        { maxDistanceKm: location.radius, municipality: location.municipality }
+      ));
     } else {
-      sortStage['ratings.average'] = -1; // Sort by rating descending
-      sortStage.createdAt = -1;
+      aggregationPipeline.push({ $match: matchStage });
     }
-    aggregationPipeline.push({ $sort: sortStage });
 
     // Lookup user data
     aggregationPipeline.push({
@@ -572,22 +552,40 @@ export const searchProviders = async (req, res) => {
       $unwind: '$user'
     });
 
-    // Facet for pagination and count
-    aggregationPipeline.push({
-      $facet: {
-        data: [
-          { $skip: (pagination.page - 1) * pagination.limit },
-          { $limit: pagination.limit }
-        ],
-        count: [
-          { $count: 'total' }
-        ]
-      }
-    });
+    let providers;
+    let total;
+    const skip = (pagination.page - 1) * pagination.limit;
+
+    if (location && location.latitude && location.longitude) {
+      // Sort by road travel time, which needs every covering provider before paging
+      const candidates = withTravelTimes(
+        await Provider.aggregate(aggregationPipeline),
+        location.latitude,
+        location.longitude
+      ).sort(byTravelTime);
+
+      total = candidates.length;
+      providers = candidates.slice(skip, skip + pagination.limit);
+    } else {
+      aggregationPipeline.push({ $sort: { 'ratings.average': -1, createdAt: -1 } });
+
+      // Facet for pagination and count
+      aggregationPipeline.push({
+        $facet: {
+          data: [
+            { $skip: skip },
+            { $limit: pagination.limit }
+          ],
+          count: [
+            { $count: 'total' }
+          ]
+        }
+      });
 
-    const results = await Provider.aggregate(aggregationPipeline);
-    const providers = results[0].data;
-    const total = results[0].count[0]?.total || 0;
+      const results = await Provider.aggregate(aggregationPipeline);
+      providers = results[0].data;
+      total = results[0].count[0]?.total || 0;
+    }
 
     const totalPages = Math.ceil(total / pagination.limit);
 
@@ -649,6 +647,149 @@ export const getMyProvider = async (req, res) => {
   }
 };
 
+/**
+ * Upload images to a portfolio item
+ * POST /api/providers/:id/portfolio/:itemId/images
+ */
+export const uploadPortfolioImages = async (req, res) => {
+  try {
+    // Loaded and access-checked by can('provider:update', loadProvider)
+    const provider = req.provider;
+    const files = req.files || [];
+
+    const item = provider.portfolio.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio item not found'
+      });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one image to upload'
+      });
+    }
+
+    const { maxPerItem, maxPerProvider } = PORTFOLIO_IMAGE_QUOTA;
+    const providerImages = provider.portfolio.reduce((total, entry) => total + entry.images.length, 0);
+    if (item.images.length + files.length > maxPerItem) {
+      return res.status(413).json({
+        success: false,
+        code: 'QUOTA_EXCEEDED',
+        message: `A portfolio item can have at most ${maxPerItem} images; it has ${item.images.length}`
+      });
+    }
+    if (providerImages + files.length > maxPerProvider) {
+      return res.status(413).json({
+        success: false,
+        code: 'QUOTA_EXCEEDED',
+        message: `A portfolio can have at most ${maxPerProvider} images in total; it has ${providerImages}`
+      });
+    }
+
+    // Check every image before storing any
+    files.forEach(file => storage.inspect(file, ['image']));
+
+    const added = [];
+    try {
+      for (const file of files) {
+        const stored = await storage.save(file, { folder: `portfolio/${provider._id}`, kinds: ['image'] });
+        added.push(stored);
+        // Same photo twice anywhere in the portfolio, even resized or recompressed
+        const knownHashes = provider.portfolio.flatMap(entry => entry.imageDetails.map(detail => detail.hash));
+        if (imagePipeline.findDuplicate(stored.hash, knownHashes)) {
+          throw new StorageError(`${file.originalname} is already in this portfolio`, 409, 'DUPLICATE_IMAGE');
+        }
+        item.images.push(stored.url);
+        item.imageDetails.push({
+          url: stored.url,
+          width: stored.width,
+          height: stored.height,
+          hash: stored.hash,
+          variants: stored.variants
+        });
+      }
+      await provider.save();
+    } catch (saveError) {
+      await Promise.all(added.map(stored => storage.remove(stored.key)));
+      throw saveError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} image${added.length === 1 ? '' : 's'} uploaded`,
+      data: { item }
+    });
+
+  } catch (error) {
+    console.error('Upload portfolio images error:', error);
+
+    if (error instanceof StorageError) {
+      return res.status(error.statusCode).json(error.toResponse());
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload portfolio images',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Remove an image from a portfolio item
+ * DELETE /api/providers/:id/portfolio/:itemId/images?url=
+ */
+export const deletePortfolioImage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Loaded and access-checked by can('provider:update', loadProvider)
+    const provider = req.provider;
+    const { url } = req.query;
+
+    const item = provider.portfolio.id(req.params.itemId);
+    if (!item || !item.images.includes(url)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio image not found'
+      });
+    }
+
+    item.images.pull(url);
+    item.imageDetails = item.imageDetails.filter(detail => detail.url !== url);
+    await provider.save();
+    // Only files stored for this provider's portfolio; other URLs are just unlinked
+    const key = storage.keyFromUrl(url);
+    if (key?.startsWith(`portfolio/${provider._id}/`)) {
+      await storage.remove(key);
+    }
+
+    res.json({
+      success: true,
+      message: 'Portfolio image removed',
+      data: { item }
+    });
+
+  } catch (error) {
+    console.error('Delete portfolio image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove portfolio image',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 export default {
   registerProvider,
   getProviders,
@@ -656,5 +797,7 @@ export default {
   updateProvider,
   getProviderStats,
   searchProviders,
-  getMyProvider
+  getMyProvider,
+  uploadPortfolioImages,
+  deletePortfolioImage
 }; 
\ No newline at end of file
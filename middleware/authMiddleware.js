@@ -1,5 +1,31 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+/**
+ * Whether a decoded JWT was issued before the user's last password change.
+ * Compared in whole seconds, as `iat` is, so a login in the same second as the
+ * change still gets a working token.
+ */
+const isIssuedBeforePasswordChange = (decoded, user) => {
+  return Boolean(user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000));
+};
+
+/**
+ * The authenticated user as handlers and permission checks see it (req.user)
+ * @param {Object} user - Active user document
+ * @param {Object} decoded - Verified access token payload
+ */
+const toRequestUser = (user, decoded) => ({
+  userId: user._id,
+  email: user.email,
+  role: user.role,
+  staffRoles: user.staffRoles || [],
+  name: user.name,
+  isVerified: user.isVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  sessionId: decoded.sid
+});
 
 /**
  * Middleware to authenticate JWT token
@@ -19,6 +45,14 @@ export const authenticate = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Only session-bound access tokens are accepted; logging out revokes the session
+      if (decoded.type !== 'access' || !(await Session.isActiveSession(decoded.sid, decoded.userId))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired or logged out.'
+        });
+      }
       
       // Check if user still exists and is active
       const user = await User.findById(decoded.userId).select('-password');
@@ -29,12 +63,15 @@ export const authenticate = async (req, res, next) => {
         });
       }
 
-      req.user = {
-        userId: user._id,
-        email: user.email,
-        role: user.role,
-        name: user.name
-      };
+      // Tokens issued before a password reset are no longer valid
+      if (isIssuedBeforePasswordChange(decoded, user)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed. Please log in again.'
+        });
+      }
+
+      req.user = toRequestUser(user, decoded);
 
       next();
     } catch (jwtError) {
@@ -54,65 +91,28 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user has admin role
- */
-export const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.'
-    });
-  }
-  next();
-};
-
-/**
- * Middleware to check if user has provider role
+ * Middleware to require a verified email address
  */
-export const requireProvider = (req, res, next) => {
-  if (req.user.role !== 'provider') {
+export const requireVerified = (req, res, next) => {
+  if (!req.user.isVerified) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Provider account required.'
+      message: 'Please verify your email address first.',
+      code: 'EMAIL_NOT_VERIFIED'
     });
   }
   next();
 };
 
 /**
- * Middleware to check if user has client role
+ * Middleware to require two-factor authentication to be enabled (admin area)
  */
-export const requireClient = (req, res, next) => {
-  if (req.user.role !== 'client') {
+export const requireTwoFactorEnrollment = (req, res, next) => {
+  if (!req.user.twoFactorEnabled) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Client account required.'
-    });
-  }
-  next();
-};
-
-/**
- * Middleware to check if user has provider or admin role
- */
-export const requireProviderOrAdmin = (req, res, next) => {
-  if (req.user.role !== 'provider' && req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Provider or admin account required.'
-    });
-  }
-  next();
-};
-
-/**
- * Middleware to check if user has client or admin role
- */
-export const requireClientOrAdmin = (req, res, next) => {
-  if (req.user.role !== 'client' && req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Client or admin account required.'
+      message: 'Set up two-factor authentication to access the admin area.',
+      code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
     });
   }
   next();
@@ -135,13 +135,9 @@ export const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
       const user = await User.findById(decoded.userId).select('-password');
-      if (user && user.isActive) {
-        req.user = {
-          userId: user._id,
-          email: user.email,
-          role: user.role,
-          name: user.name
-        };
+      const hasSession = decoded.type === 'access' && await Session.isActiveSession(decoded.sid, decoded.userId);
+      if (hasSession && user && user.isActive && !isIssuedBeforePasswordChange(decoded, user)) {
+        req.user = toRequestUser(user, decoded);
       }
     } catch (jwtError) {
       // Token invalid, but we continue without authentication
@@ -154,12 +150,22 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Let the access token come from ?access_token= on routes that browsers open
+ * with EventSource, which cannot send an Authorization header. Use before
+ * authenticate, and only on such routes, since URLs end up in logs.
+ */
+export const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
 export default {
   authenticate,
-  requireAdmin,
-  requireProvider,
-  requireClient,
-  requireProviderOrAdmin,
-  requireClientOrAdmin,
-  optionalAuth
+  requireVerified,
+  requireTwoFactorEnrollment,
+  optionalAuth,
+  allowQueryToken
 }; 
\ No newline at end of file
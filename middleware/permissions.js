@@ -0,0 +1,96 @@
+import JobRequest from '../models/JobRequest.js';
+import Provider from '../models/Provider.js';
+import Conversation from '../models/Conversation.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
+
+/**
+ * Define a resource loader for can(). The loaded document is attached to
+ * req[type] and checked against the ownership policy for that type.
+ * @param {String} type - Resource type (key of OWNERSHIP_POLICIES)
+ * @param {Function} find - async (req) => document or null
+ */
+export const defineLoader = (type, find) => {
+  const loader = async (req) => find(req);
+  loader.resourceType = type;
+  return loader;
+};
+
+/**
+ * Load the job from :id (or jobId in the body for AI matching)
+ */
+export const loadJob = defineLoader('job', (req) => JobRequest.findById(req.params.id || req.body.jobId));
+
+/**
+ * Load the provider profile from :id or :providerId
+ */
+export const loadProvider = defineLoader('provider', (req) => Provider.findById(req.params.providerId || req.params.id));
+
+/**
+ * Load the conversation from :id
+ */
+export const loadConversation = defineLoader('conversation', (req) => Conversation.findById(req.params.id));
+
+// e.g. "job" -> "Job not found"
+const notFound = (res, type) => res.status(404).json({
+  success: false,
+  message: `${type.charAt(0).toUpperCase()}${type.slice(1)} not found`
+});
+
+/**
+ * Route guard: require a permission, optionally on a loaded resource
+ * Usage: router.post('/:id/accept', authenticate, can('job:accept', loadJob), handler)
+ * @param {String} permission - Key of PERMISSIONS in config/permissions.js
+ * @param {Function} loader - Loader made with defineLoader
+ */
+export const can = (permission, loader = null) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. No token provided.'
+        });
+      }
+
+      let resource = null;
+      if (loader) {
+        resource = await loader(req);
+        if (!resource) {
+          return notFound(res, loader.resourceType);
+        }
+        req[loader.resourceType] = resource;
+      }
+
+      if (!hasPermission(req.user, permission, resource, loader?.resourceType)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${permission}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      if (error.name === 'CastError' && loader) {
+        return notFound(res, loader.resourceType);
+      }
+
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization failed'
+      });
+    }
+  };
+};
+
+export default {
+  defineLoader,
+  loadJob,
+  loadProvider,
+  loadConversation,
+  can
+};
@@ -0,0 +1,36 @@
+import multer from 'multer';
+import { maxBytesFor } from '../config/uploads.js';
+
+/**
+ * Accept up to `maxFiles` multipart files in `field`, kept in memory as
+ * req.files. Only sizes are checked here; services/storage.js identifies each
+ * file by its contents when it is saved. A rejected upload is answered with 400
+ * instead of reaching the generic error handler.
+ * @param {String} field - Form field name
+ * @param {Object} options - { maxFiles, kinds: keys of UPLOAD_KINDS }
+ */
+export const acceptUploads = (field, { maxFiles, kinds }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxBytesFor(kinds),
+      files: maxFiles
+    }
+  }).array(field, maxFiles);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next();
+    });
+  };
+};
+
+export default {
+  acceptUploads
+};
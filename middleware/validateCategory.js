@@ -0,0 +1,25 @@
+import Category from '../models/Category.js';
+
+/**
+ * express-validator sanitizer: map synonyms, slugs and subcategories
+ * (e.g. "tubero", "aircon") to the canonical top-level category name
+ */
+export const resolveCategory = async (value) => {
+  const resolved = await Category.resolve(value);
+  return resolved ? resolved.category : value;
+};
+
+/**
+ * express-validator custom validator: value must be an active top-level category
+ */
+export const isActiveCategory = async (value) => {
+  if (!(await Category.isActiveName(value))) {
+    throw new Error('Invalid service category');
+  }
+  return true;
+};
+
+export default {
+  resolveCategory,
+  isActiveCategory
+};
@@ -0,0 +1,59 @@
+import { findMunicipality, findBarangay, isWithinBataan } from '../utils/geo.js';
+
+/**
+ * express-validator sanitizer: map a municipality name or PSGC code
+ * (e.g. "City of Balanga", "0300803000") to its gazetteer name
+ */
+export const canonicalMunicipality = (value) => {
+  const municipality = findMunicipality(value);
+  return municipality ? municipality.name : value;
+};
+
+/**
+ * express-validator custom validator: value must be a Bataan municipality
+ */
+export const isKnownMunicipality = (value) => {
+  if (!findMunicipality(value)) {
+    throw new Error('Unknown municipality in Bataan');
+  }
+  return true;
+};
+
+/**
+ * express-validator sanitizer: normalize a barangay name against the
+ * municipality sent in the same request (e.g. "Dona Francisca" -> "Doña Francisca")
+ */
+export const canonicalBarangay = (value, { req }) => {
+  const barangay = findBarangay(value, req.body.location?.municipality);
+  return barangay ? barangay.name : value;
+};
+
+/**
+ * express-validator custom validator: the barangay must belong to location.municipality
+ */
+export const isKnownBarangay = (value, { req }) => {
+  const municipality = req.body.location?.municipality;
+  if (!findBarangay(value, municipality)) {
+    throw new Error(`Barangay "${value}" is not in ${municipality || 'the given municipality'}`);
+  }
+  return true;
+};
+
+/**
+ * express-validator custom validator for a { latitude, longitude } object:
+ * the point must fall inside a Bataan municipality boundary (not at sea)
+ */
+export const isOnLandInBataan = (value) => {
+  if (!isWithinBataan(value?.latitude, value?.longitude)) {
+    throw new Error('Coordinates must be on land within Bataan');
+  }
+  return true;
+};
+
+export default {
+  canonicalMunicipality,
+  isKnownMunicipality,
+  canonicalBarangay,
+  isKnownBarangay,
+  isOnLandInBataan
+};
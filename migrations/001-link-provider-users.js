@@ -0,0 +1,193 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { createGeoJSONPoint, getBarangayCoordinates, getMunicipalityCoordinates } from '../utils/geo.js';
+
+// Legacy flat badge flags -> canonical badge types
+const BADGE_FLAG_TYPES = {
+  verified: 'verified',
+  featured: 'featured',
+  topRated: 'top_rated',
+  fastResponse: 'fast_response',
+  emergency: 'emergency',
+  expert: 'expert',
+  licensed: 'licensed',
+  specialist: 'specialist',
+  eco_friendly: 'eco_friendly',
+  artisan: 'artisan'
+};
+
+const toResponseTimeBucket = (minutes = 120) => {
+  if (minutes <= 60) return 'within_hour';
+  if (minutes <= 24 * 60) return 'within_day';
+  return 'within_week';
+};
+
+/**
+ * Convert a legacy flat provider document into the canonical profile shape.
+ * The `user` reference is left for the caller to fill in.
+ * @param {Object} doc - Legacy provider (flat municipality/category/rating fields)
+ * @returns {Object} Provider fields matching models/Provider.js
+ */
+export const legacyProviderToProfile = (doc) => {
+  // Free-text legacy barangays that are not in the gazetteer fall back to the town centroid
+  const coords = getBarangayCoordinates(doc.barangay, doc.municipality) ||
+    getMunicipalityCoordinates(doc.municipality);
+  const averageResponseMinutes = doc.averageResponseTime ?? 120;
+
+  return {
+    businessName: doc.businessName,
+    businessDescription: doc.businessDescription,
+    services: (doc.services || []).map(name => ({ name, category: doc.category || 'Other' })),
+    specialties: doc.specialties || [],
+    experience: {
+      years: doc.yearsExperience || 0
+    },
+    location: {
+      address: doc.address,
+      barangay: doc.barangay,
+      municipality: doc.municipality,
+      coordinates: {
+        latitude: coords.lat,
+        longitude: coords.lng
+      },
+      geo: createGeoJSONPoint(coords.lng, coords.lat)
+    },
+    contact: {
+      phone: doc.phone,
+      email: doc.email,
+      preferredContact: doc.preferredContact || 'phone'
+    },
+    availability: {
+      days: doc.availability || undefined,
+      workingHours: doc.workingHours,
+      responseTime: toResponseTimeBucket(averageResponseMinutes),
+      emergencyService: Boolean(doc.badges?.emergency)
+    },
+    pricing: doc.priceRange ? {
+      minRate: doc.priceRange.min,
+      maxRate: doc.priceRange.max
+    } : undefined,
+    portfolio: doc.portfolio || [],
+    certifications: doc.certifications || [],
+    insurance: Boolean(doc.insurance),
+    warranty: doc.warranty,
+    languages: doc.languages?.length ? doc.languages : ['Filipino'],
+    businessRegistration: doc.businessRegistration,
+    taxId: doc.taxId,
+    // Legacy documents only kept the aggregate, so the per-star breakdown starts empty
+    ratings: {
+      average: doc.rating || 0,
+      count: doc.reviewCount || 0
+    },
+    statistics: {
+      jobMatches: doc.totalJobs || 0,
+      projectsCompleted: doc.completedJobs || 0,
+      projectsCancelled: doc.cancelledJobs || 0,
+      averageResponseMinutes
+    },
+    verification: {
+      isVerified: Boolean(doc.isVerified),
+      verifiedAt: doc.verifiedAt
+    },
+    badges: Object.entries(BADGE_FLAG_TYPES)
+      .filter(([flag]) => doc.badges?.[flag])
+      .map(([, type]) => ({ type, earnedAt: doc.verifiedAt || doc.createdAt || new Date() })),
+    aiScore: doc.aiScore,
+    lastAIAnalysis: doc.lastAIAnalysis,
+    aiInsights: doc.aiInsights,
+    testimonials: doc.testimonials || [],
+    isActive: doc.isActive !== false
+  };
+};
+
+// The raw driver stores undefined as null, so drop those keys before writing
+const stripUndefined = (value) => {
+  if (Array.isArray(value)) return value.map(stripUndefined);
+  if (!value || value.constructor !== Object) return value;
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .map(([k, v]) => [k, stripUndefined(v)])
+  );
+};
+
+/**
+ * Placeholder address for the owner of a legacy provider that had no email;
+ * unique per provider, since emails are unique across users
+ */
+const placeholderEmailFor = (doc) => `provider-${doc._id}@no-email.rekomendito.ph`;
+
+/**
+ * Find the account that owns a legacy provider, creating one if needed.
+ * Accounts are matched by email; new ones get an unusable random password
+ * and must go through password reset before logging in. Providers without an
+ * email get an owner with a placeholder address an admin has to replace.
+ * @returns {Promise<Object>} { userId, placeholder }
+ */
+const findOrCreateOwner = async (users, doc) => {
+  const email = doc.email?.trim().toLowerCase();
+  const existing = email ? await users.findOne({ email }) : null;
+
+  if (existing) {
+    if (existing.role !== 'admin' && existing.role !== 'provider') {
+      await users.updateOne({ _id: existing._id }, { $set: { role: 'provider' } });
+    }
+    return { userId: existing._id, placeholder: false };
+  }
+
+  const now = new Date();
+  const { insertedId } = await users.insertOne({
+    name: doc.ownerName || doc.businessName,
+    email: email || placeholderEmailFor(doc),
+    password: await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 12),
+    role: 'provider',
+    phone: doc.phone,
+    isVerified: false,
+    isActive: true,
+    createdAt: now,
+    updatedAt: now
+  });
+  return { userId: insertedId, placeholder: !email };
+};
+
+export const name = '001-link-provider-users';
+
+export const up = async (db) => {
+  const providers = db.collection('providers');
+  const users = db.collection('users');
+
+  // Legacy indexes (unique email, flat municipality/category) conflict with the new shape
+  const indexes = await providers.indexes().catch(() => []);
+  for (const index of indexes) {
+    if (index.name !== '_id_') {
+      await providers.dropIndex(index.name);
+    }
+  }
+
+  const legacy = providers.find({ user: { $exists: false } });
+  let converted = 0;
+  const withoutEmail = [];
+
+  for await (const doc of legacy) {
+    const { userId: user, placeholder } = await findOrCreateOwner(users, doc);
+    if (placeholder) withoutEmail.push(doc._id.toString());
+    const profile = stripUndefined(legacyProviderToProfile(doc));
+
+    await providers.replaceOne({ _id: doc._id }, {
+      ...profile,
+      user,
+      createdAt: doc.createdAt || doc.joinedAt || new Date(),
+      updatedAt: new Date()
+    });
+    converted += 1;
+  }
+
+  if (withoutEmail.length > 0) {
+    console.warn(`⚠️  Providers without an email were given placeholder owner accounts: ${withoutEmail.join(', ')}`);
+  }
+  return `${converted} provider profiles converted` +
+    (withoutEmail.length > 0 ? `, ${withoutEmail.length} with a placeholder owner email` : '');
+};
+
+export default { name, up };
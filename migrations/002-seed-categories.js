@@ -0,0 +1,27 @@
+import Category from '../models/Category.js';
+import { LEGACY_CATEGORY_ALIASES } from '../utils/categoryTaxonomy.js';
+
+export const name = '002-seed-categories';
+
+export const up = async (db) => {
+  const created = await Category.seedDefaults();
+
+  // Rename categories that predate the shared taxonomy
+  let renamed = 0;
+  for (const [legacyName, canonicalName] of Object.entries(LEGACY_CATEGORY_ALIASES)) {
+    const providers = await db.collection('providers').updateMany(
+      { 'services.category': legacyName },
+      { $set: { 'services.$[service].category': canonicalName } },
+      { arrayFilters: [{ 'service.category': legacyName }] }
+    );
+    const jobs = await db.collection('jobrequests').updateMany(
+      { category: legacyName },
+      { $set: { category: canonicalName } }
+    );
+    renamed += providers.modifiedCount + jobs.modifiedCount;
+  }
+
+  return `${created} categories created, ${renamed} documents renamed`;
+};
+
+export default { name, up };
@@ -0,0 +1,75 @@
+import { computeProfileCompleteness, splitFullName } from '../utils/profileCompleteness.js';
+import { findMunicipality, findBarangay } from '../utils/geo.js';
+
+const ROLES = ['client', 'provider', 'admin'];
+
+/**
+ * Bring one raw user document to the current User shape
+ * @param {Object} doc - Document from the users collection
+ * @returns {Object} { $set, $unset } update for the document
+ */
+export const reconcileUser = (doc) => {
+  const set = {};
+  const unset = {};
+  const legacyProfile = doc.profile || {};
+
+  // Names: older registrations wrote firstName/lastName only, seeds wrote name only
+  if (doc.firstName || doc.lastName) {
+    if (!doc.name) set.name = [doc.firstName, doc.lastName].filter(Boolean).join(' ');
+  } else if (doc.name) {
+    Object.assign(set, splitFullName(doc.name));
+  }
+
+  if (!doc.role || !ROLES.includes(doc.role)) {
+    set.role = ROLES.includes(doc.userType) ? doc.userType : 'client';
+  }
+  if (doc.userType !== undefined) unset.userType = '';
+
+  if (legacyProfile.isEmailVerified && !doc.isVerified) set.isVerified = true;
+  if (legacyProfile.profilePicture && !doc.profileImage) set.profileImage = legacyProfile.profilePicture;
+  for (const field of ['isEmailVerified', 'isPhoneVerified', 'completionPercentage', 'profilePicture', 'experience']) {
+    if (legacyProfile[field] !== undefined) unset[`profile.${field}`] = '';
+  }
+
+  // The old schema defaulted municipality to the province name
+  const town = doc.location?.municipality && findMunicipality(doc.location.municipality);
+  if (doc.location?.municipality && !town) {
+    unset['location.municipality'] = '';
+  } else if (town && town.name !== doc.location.municipality) {
+    set['location.municipality'] = town.name;
+  }
+  if (doc.location?.barangay === '') unset['location.barangay'] = '';
+  const place = town && doc.location?.barangay && findBarangay(doc.location.barangay, town.name);
+  if (place && place.name !== doc.location.barangay) set['location.barangay'] = place.name;
+
+  const reconciled = {
+    ...doc,
+    firstName: set.firstName ?? doc.firstName,
+    lastName: set.lastName ?? doc.lastName,
+    isVerified: set.isVerified ?? doc.isVerified,
+    profileImage: set.profileImage ?? doc.profileImage,
+    location: {
+      municipality: unset['location.municipality'] === '' ? undefined : (set['location.municipality'] ?? doc.location?.municipality),
+      barangay: unset['location.barangay'] === '' ? undefined : (set['location.barangay'] ?? doc.location?.barangay)
+    }
+  };
+  set.profileCompletion = computeProfileCompleteness(reconciled).percentage;
+
+  return { $set: set, ...(Object.keys(unset).length > 0 && { $unset: unset }) };
+};
+
+export const name = '003-reconcile-user-profiles';
+
+export const up = async (db) => {
+  const users = db.collection('users');
+  let updated = 0;
+
+  for await (const doc of users.find({})) {
+    await users.updateOne({ _id: doc._id }, reconcileUser(doc));
+    updated += 1;
+  }
+
+  return `${updated} users reconciled`;
+};
+
+export default { name, up };
@@ -0,0 +1,35 @@
+/**
+ * Open the status history of jobs created before it was recorded, with one
+ * system entry for the status they are already in
+ * @param {Object} doc - Raw job request document
+ * @returns {Object} Update for the job
+ */
+export const backfillStatusHistory = (doc) => ({
+  $set: {
+    statusHistory: [{
+      from: null,
+      to: doc.status || 'active',
+      actor: null,
+      actorRole: 'system',
+      reason: 'Status history started',
+      at: doc.updatedAt || doc.createdAt || new Date()
+    }]
+  }
+});
+
+export const name = '004-backfill-job-status-history';
+
+export const up = async (db) => {
+  const jobs = db.collection('jobrequests');
+  let updated = 0;
+
+  const missingHistory = { $or: [{ statusHistory: { $exists: false } }, { statusHistory: { $size: 0 } }] };
+  for await (const doc of jobs.find(missingHistory)) {
+    await jobs.updateOne({ _id: doc._id }, backfillStatusHistory(doc));
+    updated += 1;
+  }
+
+  return `${updated} jobs given a status history`;
+};
+
+export default { name, up };
@@ -0,0 +1,21 @@
+export const name = '005-drop-job-ttl-index';
+
+/**
+ * Remove the TTL index that made MongoDB delete jobs at expiresAt; expiry is
+ * now a status change made by workers/jobExpiryWorker.js
+ */
+export const up = async (db) => {
+  const jobs = db.collection('jobrequests');
+  const indexes = await jobs.indexes();
+  const ttlIndexes = indexes.filter(index => index.key.expiresAt && index.expireAfterSeconds !== undefined);
+
+  for (const index of ttlIndexes) {
+    await jobs.dropIndex(index.name);
+  }
+
+  return ttlIndexes.length > 0
+    ? `dropped ${ttlIndexes.map(index => index.name).join(', ')}`
+    : 'no TTL index on jobrequests';
+};
+
+export default { name, up };
@@ -0,0 +1,89 @@
+import storage from '../services/storage.js';
+
+/**
+ * Details recorded for a reprocessed image, or null when it is not one of our
+ * stored files (remote URLs, missing or unreadable files)
+ * @param {String} key - Storage key, if any
+ */
+const reprocess = async (key) => {
+  if (!key) return null;
+  try {
+    return await storage.reprocessImage(key);
+  } catch (error) {
+    console.error(`Could not reprocess stored image ${key}:`, error.message);
+    return null;
+  }
+};
+
+export const name = '006-process-stored-images';
+
+/**
+ * Run images uploaded before the image pipeline through it: strip their
+ * metadata (EXIF GPS positions included) in place and record their variants
+ */
+export const up = async (db) => {
+  let processed = 0;
+
+  const users = db.collection('users');
+  for await (const doc of users.find({ profileImage: { $type: 'string' } })) {
+    const image = await reprocess(storage.keyFromUrl(doc.profileImage));
+    if (!image) continue;
+    await users.updateOne({ _id: doc._id }, { $set: { profileImageVariants: image.variants } });
+    processed += 1;
+  }
+
+  const providers = db.collection('providers');
+  for await (const doc of providers.find({ 'portfolio.images.0': { $exists: true } })) {
+    const set = {};
+    for (const [index, item] of doc.portfolio.entries()) {
+      const imageDetails = [];
+      for (const url of item.images || []) {
+        const image = await reprocess(storage.keyFromUrl(url));
+        if (!image) continue;
+        imageDetails.push({ url, width: image.width, height: image.height, hash: image.hash, variants: image.variants });
+        processed += 1;
+      }
+      set[`portfolio.${index}.imageDetails`] = imageDetails;
+    }
+    await providers.updateOne({ _id: doc._id }, { $set: set });
+  }
+
+  const jobs = db.collection('jobrequests');
+  for await (const doc of jobs.find({ attachments: { $elemMatch: { type: 'image', key: { $exists: true } } } })) {
+    const set = {};
+    for (const [index, attachment] of doc.attachments.entries()) {
+      if (attachment.type !== 'image') continue;
+      const image = await reprocess(attachment.key);
+      if (!image) continue;
+      set[`attachments.${index}`] = { ...attachment, ...image };
+      processed += 1;
+    }
+    if (Object.keys(set).length > 0) {
+      await jobs.updateOne({ _id: doc._id }, { $set: set });
+    }
+  }
+
+  const messages = db.collection('messages');
+  for await (const doc of messages.find({ 'attachments.0': { $exists: true } })) {
+    const set = {};
+    for (const [index, attachment] of doc.attachments.entries()) {
+      const image = await reprocess(storage.keyFromUrl(attachment.url));
+      if (!image) continue;
+      set[`attachments.${index}`] = {
+        ...attachment,
+        size: image.size,
+        width: image.width,
+        height: image.height,
+        variants: image.variants
+      };
+      processed += 1;
+    }
+    if (Object.keys(set).length > 0) {
+      await messages.updateOne({ _id: doc._id }, { $set: set });
+    }
+  }
+
+  return `${processed} stored images cleaned and given variants`;
+};
+
+export default { name, up };
@@ -0,0 +1,16 @@
+import linkProviderUsers from './001-link-provider-users.js';
+import seedCategories from './002-seed-categories.js';
+import reconcileUserProfiles from './003-reconcile-user-profiles.js';
+import backfillJobStatusHistory from './004-backfill-job-status-history.js';
+import dropJobTtlIndex from './005-drop-job-ttl-index.js';
+import processStoredImages from './006-process-stored-images.js';
+
+// Applied in order; never reorder or rename an entry once it has shipped
+export default [
+  linkProviderUsers,
+  seedCategories,
+  reconcileUserProfiles,
+  backfillJobStatusHistory,
+  dropJobTtlIndex,
+  processStoredImages
+];
@@ -0,0 +1,276 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CATEGORIES } from '../utils/categoryTaxonomy.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Active categories are read on every validation and AI prompt, so keep a short-lived copy
+let activeCache = null;
+let activeCacheExpiresAt = 0;
+
+const CategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [60, 'Category name cannot exceed 60 characters']
+  },
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  icon: {
+    type: String,
+    trim: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Names are unique among siblings; top-level names are what providers and jobs reference
+CategorySchema.index({ parent: 1, name: 1 }, { unique: true });
+CategorySchema.index({ slug: 1 }, { unique: true });
+CategorySchema.index({ synonyms: 1 });
+CategorySchema.index({ isActive: 1, sortOrder: 1 });
+
+CategorySchema.virtual('isTopLevel').get(function() {
+  return !this.parent;
+});
+
+const toSlug = (value) => value
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pre-save middleware to derive the slug
+CategorySchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('name') || this.isModified('parent') || !this.slug) {
+      let prefix = '';
+      if (this.parent) {
+        const parent = await this.constructor.findById(this.parent).select('slug');
+        prefix = parent ? `${parent.slug}-` : '';
+      }
+      this.slug = `${prefix}${toSlug(this.name)}`;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Any write invalidates the active category cache
+const clearCache = () => {
+  activeCache = null;
+  activeCacheExpiresAt = 0;
+};
+CategorySchema.post('save', clearCache);
+CategorySchema.post('findOneAndUpdate', clearCache);
+CategorySchema.post('findOneAndDelete', clearCache);
+CategorySchema.post('deleteOne', clearCache);
+CategorySchema.post('deleteMany', clearCache);
+CategorySchema.post('insertMany', clearCache);
+
+/**
+ * Load all active categories (cached)
+ * Falls back to the bundled defaults if the collection cannot be read.
+ * @returns {Promise<Array>} Plain category objects
+ */
+CategorySchema.statics.getActive = async function() {
+  if (activeCache && Date.now() < activeCacheExpiresAt) {
+    return activeCache;
+  }
+
+  try {
+    const categories = await this.find({ isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+
+    if (categories.length === 0) {
+      return this.getDefaults();
+    }
+
+    activeCache = categories;
+    activeCacheExpiresAt = Date.now() + CACHE_TTL_MS;
+    return categories;
+  } catch (error) {
+    console.error('Category load error:', error);
+    return this.getDefaults();
+  }
+};
+
+/**
+ * Bundled taxonomy in the same shape as getActive (without ids). Synonyms are
+ * trimmed and lowercased as the schema stores them, so matching behaves the
+ * same with or without the database.
+ */
+CategorySchema.statics.getDefaults = function() {
+  return DEFAULT_CATEGORIES.flatMap((category, index) => [
+    {
+      name: category.name,
+      slug: toSlug(category.name),
+      parent: null,
+      synonyms: category.synonyms.map(synonym => synonym.trim().toLowerCase()),
+      icon: category.icon,
+      sortOrder: index
+    },
+    ...category.subcategories.map((sub, subIndex) => ({
+      name: sub,
+      slug: `${toSlug(category.name)}-${toSlug(sub)}`,
+      parentName: category.name,
+      synonyms: [],
+      sortOrder: subIndex
+    }))
+  ]);
+};
+
+/**
+ * Names of active top-level categories, used by providers, jobs and AI prompts
+ * @returns {Promise<Array<string>>}
+ */
+CategorySchema.statics.getActiveNames = async function() {
+  const categories = await this.getActive();
+  return categories
+    .filter(category => !category.parent && !category.parentName)
+    .map(category => category.name);
+};
+
+/**
+ * Active categories arranged as a tree of top-level categories with subcategories
+ * @returns {Promise<Array>}
+ */
+CategorySchema.statics.getTree = async function() {
+  const categories = await this.getActive();
+  const topLevel = categories.filter(category => !category.parent && !category.parentName);
+
+  return topLevel.map(category => ({
+    ...category,
+    subcategories: categories.filter(sub =>
+      (sub.parent && category._id && sub.parent.toString() === category._id.toString()) ||
+      sub.parentName === category.name
+    )
+  }));
+};
+
+/**
+ * Resolve a free-text term (name, slug or synonym) to its canonical category
+ * @param {string} term
+ * @returns {Promise<Object|null>} { category, subcategory } names or null if unknown
+ */
+CategorySchema.statics.resolve = async function(term) {
+  if (!term || typeof term !== 'string') return null;
+
+  const needle = term.trim().toLowerCase();
+  const categories = await this.getActive();
+  const match = categories.find(category =>
+    category.name.toLowerCase() === needle ||
+    category.slug === toSlug(needle) ||
+    (category.synonyms || []).includes(needle)
+  );
+
+  if (!match) return null;
+
+  if (!match.parent && !match.parentName) {
+    return { category: match.name, subcategory: null };
+  }
+
+  const parent = match.parentName
+    ? { name: match.parentName }
+    : categories.find(category => category._id && category._id.toString() === match.parent.toString());
+
+  return parent ? { category: parent.name, subcategory: match.name } : null;
+};
+
+/**
+ * Whether a name is an active top-level category
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+CategorySchema.statics.isActiveName = async function(name) {
+  const names = await this.getActiveNames();
+  return names.includes(name);
+};
+
+/**
+ * Find categories whose name or synonyms appear in a piece of text
+ * @param {string} text
+ * @returns {Promise<Array<{ name: string, matchedTerms: Array<string> }>>}
+ */
+CategorySchema.statics.matchText = async function(text = '') {
+  const haystack = text.toLowerCase();
+  const categories = await this.getActive();
+  const topLevel = categories.filter(category => !category.parent && !category.parentName);
+
+  return topLevel
+    .map(category => {
+      const terms = [category.name.toLowerCase(), ...(category.synonyms || [])];
+      const matchedTerms = terms.filter(term =>
+        new RegExp(`\\b${escapeRegex(term)}\\b`, 'i').test(haystack)
+      );
+      return { name: category.name, matchedTerms };
+    })
+    .filter(match => match.matchedTerms.length > 0);
+};
+
+/**
+ * Insert any bundled default categories that do not exist yet
+ * Existing categories are left untouched so admin edits survive re-runs.
+ * @returns {Promise<number>} Number of categories created
+ */
+CategorySchema.statics.seedDefaults = async function() {
+  let created = 0;
+
+  for (const [index, definition] of DEFAULT_CATEGORIES.entries()) {
+    let category = await this.findOne({ name: definition.name, parent: null });
+    if (!category) {
+      category = await this.create({
+        name: definition.name,
+        icon: definition.icon,
+        synonyms: definition.synonyms,
+        sortOrder: index
+      });
+      created += 1;
+    }
+
+    for (const [subIndex, subName] of definition.subcategories.entries()) {
+      const exists = await this.exists({ name: subName, parent: category._id });
+      if (!exists) {
+        await this.create({ name: subName, parent: category._id, sortOrder: subIndex });
+        created += 1;
+      }
+    }
+  }
+
+  return created;
+};
+
+const Category = mongoose.model('Category', CategorySchema);
+
+export { toSlug };
+export default Category;
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+// Length of the last message kept on the conversation for inbox listings
+const PREVIEW_LENGTH = 100;
+
+/**
+ * One thread between a job's client and one provider who applied or was
+ * invited. Messages live in the Message collection; unread counts are kept
+ * here per side so inbox listings need no extra queries.
+ */
+const ConversationSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRequest',
+    required: true
+  },
+  // Set once the provider has applied
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: true
+  },
+  providerUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // [client, providerUser], for "my conversations" lookups
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  lastMessageAt: Date,
+  lastMessagePreview: String,
+  unread: {
+    client: {
+      type: Number,
+      default: 0
+    },
+    provider: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ job: 1, provider: 1 }, { unique: true });
+ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+/**
+ * The side a user is on in this conversation
+ * @returns {String|null} 'client', 'provider' or null
+ */
+ConversationSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if ((this.client?._id ?? this.client).toString() === id) return 'client';
+  if ((this.providerUser?._id ?? this.providerUser).toString() === id) return 'provider';
+  return null;
+};
+
+/**
+ * Record a new message: move the conversation up the inbox and count it as
+ * unread for the other side
+ * @param {Object} message - Saved Message document
+ */
+ConversationSchema.methods.recordMessage = function(message) {
+  const recipient = message.senderRole === 'client' ? 'provider' : 'client';
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        lastMessageAt: message.createdAt,
+        lastMessagePreview: (message.body || '[Image]').slice(0, PREVIEW_LENGTH)
+      },
+      $inc: { [`unread.${recipient}`]: 1 }
+    }
+  );
+};
+
+/**
+ * Find the conversation between a job's client and a provider, creating it
+ * on first use
+ * @param {Object} fields - { job, application, client, provider, providerUser }
+ */
+ConversationSchema.statics.open = function({ job, application = null, client, provider, providerUser }) {
+  return this.findOneAndUpdate(
+    { job, provider },
+    {
+      $setOnInsert: { client, providerUser, participants: [client, providerUser] },
+      // The application appears once the provider applies
+      ...(application && { $set: { application } })
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Conversation = mongoose.model('Conversation', ConversationSchema);
+
+export default Conversation;
@@ -1,4 +1,167 @@
 import mongoose from 'mongoose';
+import Category from './Category.js';
+import { ImageVariantSchema } from './schemas/imageVariant.js';
+import {
+  JOB_STATUSES,
+  APPLICATION_STATUSES,
+  OPEN_APPLICATION_STATUSES,
+  INVITATION_STATUSES,
+  JOB_VISIBILITIES,
+  MILESTONE_STATUSES,
+  MILESTONE_PLAN_STATUSES
+} from '../config/jobLifecycle.js';
+
+// A client asking a specific provider to apply (services/invitations.js)
+const InvitationSchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: INVITATION_STATUSES,
+    default: 'sent'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  viewedAt: Date,
+  respondedAt: Date,
+  declineReason: String
+});
+
+// One status change; actor is null for changes made by the system (e.g. expiry)
+const StatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...JOB_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: JOB_STATUSES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: String,
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Part of the agreed work, paid on approval; moves through services/milestones.js
+const MilestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Milestone title is required'],
+    trim: true,
+    maxlength: [150, 'Milestone title cannot exceed 150 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Milestone amount is required'],
+    min: [0, 'Milestone amount cannot be negative']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Milestone due date is required']
+  },
+  acceptanceCriteria: {
+    type: String,
+    required: [true, 'Acceptance criteria are required'],
+    maxlength: [1000, 'Acceptance criteria cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: MILESTONE_STATUSES,
+    default: 'pending'
+  },
+  submittedAt: Date,
+  approvedAt: Date,
+  // Latest notes from the provider (on submit) and the client (on review)
+  submissionNotes: {
+    type: String,
+    maxlength: 1000
+  },
+  reviewNotes: {
+    type: String,
+    maxlength: 1000
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }]
+});
+
+// One version of the terms in an application's negotiation (services/negotiation.js).
+// Every offer is a full snapshot: fields a counter-offer leaves out carry over.
+const OfferSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  by: {
+    type: String,
+    enum: ['client', 'provider'],
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  price: Number,
+  duration: String,
+  scope: {
+    type: String,
+    maxlength: 2000
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  // open: awaiting the other party; agreed/declined: answered; superseded: replaced by a later offer
+  status: {
+    type: String,
+    enum: ['open', 'agreed', 'declined', 'superseded'],
+    default: 'open'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: Date
+}, { _id: false });
 
 const JobRequestSchema = new mongoose.Schema({
   client: {
@@ -20,24 +183,17 @@ const JobRequestSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Job category is required'],
-    enum: [
-      'Construction',
-      'Electrical',
-      'Plumbing',
-      'Carpentry',
-      'Painting',
-      'Roofing',
-      'Landscaping',
-      'Cleaning',
-      'HVAC',
-      'Solar Installation',
-      'Renovation',
-      'Masonry',
-      'Welding',
-      'Interior Design',
-      'Security Systems',
-      'Other'
-    ]
+    validate: {
+      // Only when set or changed: records keep saving after their category is
+      // deactivated. Update validators run with no document and always check.
+      validator: function(value) {
+        if (typeof this?.isModified === 'function' && !this.isNew && !this.isModified('category')) {
+          return true;
+        }
+        return Category.isActiveName(value);
+      },
+      message: props => `${props.value} is not an active service category`
+    }
   },
   subCategories: [{
     type: String,
@@ -94,7 +250,7 @@ const JobRequestSchema = new mongoose.Schema({
     },
     municipality: {
       type: String,
-      default: 'Bataan'
+      required: [true, 'Municipality is required']
     },
     coordinates: {
       latitude: {
@@ -136,20 +292,34 @@ const JobRequestSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Uploaded through POST /api/jobs/:id/attachments and kept private: `key`
+  // locates the file in storage and responses carry a signed URL instead.
+  // Older attachments only have `url`. Images also record their size, variants
+  // and perceptual hash.
   attachments: [{
     filename: String,
     url: String,
+    key: String,
     type: {
       type: String,
       enum: ['image', 'document', 'video']
     },
-    description: String
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    hash: String,
+    variants: [ImageVariantSchema],
+    description: String,
+    uploadedAt: Date
   }],
+  // Changed only through services/jobLifecycle.js (see config/jobLifecycle.js)
   status: {
     type: String,
-    enum: ['draft', 'active', 'in_progress', 'completed', 'canceled', 'expired'],
+    enum: JOB_STATUSES,
     default: 'active'
   },
+  statusHistory: [StatusChangeSchema],
   applications: [{
     provider: {
       type: mongoose.Schema.Types.ObjectId,
@@ -165,11 +335,24 @@ const JobRequestSchema = new mongoose.Schema({
     estimatedDuration: String,
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+      enum: APPLICATION_STATUSES,
       default: 'pending'
     },
+    shortlistedAt: Date,
+    // Client's note when accepting or rejecting
     clientResponse: String,
-    responseDate: Date
+    responseDate: Date,
+    withdrawalReason: String,
+    withdrawnAt: Date,
+    negotiation: [OfferSchema],
+    // Terms locked in when the application is accepted
+    agreedTerms: {
+      price: Number,
+      duration: String,
+      scope: String,
+      version: Number,
+      agreedAt: Date
+    }
   }],
   aiSuggestions: [{
     provider: {
@@ -196,6 +379,29 @@ const JobRequestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Provider'
   },
+  milestones: [MilestoneSchema],
+  // Proposed by either party once a provider is hired; binding once the other agrees
+  milestonePlan: {
+    status: {
+      type: String,
+      enum: MILESTONE_PLAN_STATUSES,
+      default: 'none'
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedByRole: {
+      type: String,
+      enum: ['client', 'provider']
+    },
+    proposedAt: Date,
+    agreedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    agreedAt: Date
+  },
   completionDetails: {
     completedAt: Date,
     clientRating: {
@@ -242,6 +448,24 @@ const JobRequestSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Private jobs are left out of listings and shown only to invited providers
+  visibility: {
+    type: String,
+    enum: JOB_VISIBILITIES,
+    default: 'public'
+  },
+  invitations: [InvitationSchema],
+  // Links between an expired job and the copy posted to replace it
+  repostedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRequest',
+    default: null
+  },
+  repostedAs: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRequest',
+    default: null
+  },
   expiresAt: {
     type: Date,
     default: function() {
@@ -262,8 +486,10 @@ JobRequestSchema.index({ status: 1 });
 JobRequestSchema.index({ client: 1 });
 JobRequestSchema.index({ urgency: 1 });
 JobRequestSchema.index({ 'timeline.startDate': 1 });
-JobRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Not a TTL index: the expiry worker marks active jobs expired and every job is kept
+JobRequestSchema.index({ status: 1, expiresAt: 1 });
 JobRequestSchema.index({ createdAt: -1 });
+JobRequestSchema.index({ 'invitations.provider': 1 });
 
 // Virtual for days until expiry
 JobRequestSchema.virtual('daysUntilExpiry').get(function() {
@@ -278,6 +504,13 @@ JobRequestSchema.virtual('applicationCount').get(function() {
   return this.applications.length;
 });
 
+// Virtual for the amount earned so far through approved milestones
+JobRequestSchema.virtual('approvedMilestoneTotal').get(function() {
+  return (this.milestones || [])
+    .filter(milestone => milestone.status === 'approved')
+    .reduce((total, milestone) => total + milestone.amount, 0);
+});
+
 // Virtual for full location
 JobRequestSchema.virtual('fullLocation').get(function() {
   const parts = [this.location.address, this.location.barangay, this.location.municipality];
@@ -299,34 +532,60 @@ JobRequestSchema.methods.addApplication = function(providerId, proposal, quotedP
     provider: providerId,
     proposal,
     quotedPrice,
-    estimatedDuration
+    estimatedDuration,
+    // The application itself opens the negotiation as version 1
+    negotiation: [{
+      version: 1,
+      by: 'provider',
+      price: quotedPrice,
+      duration: estimatedDuration,
+      scope: proposal
+    }]
   });
   
   return this.save();
 };
 
-// Method to accept application
+// Method to accept application; the caller moves the job to in_progress and saves
 JobRequestSchema.methods.acceptApplication = function(applicationId, clientResponse = '') {
   const application = this.applications.id(applicationId);
   if (!application) {
     throw new Error('Application not found');
   }
   
-  // Set all other applications to rejected
+  // Set all other open applications to rejected
   this.applications.forEach(app => {
     if (app._id.toString() === applicationId.toString()) {
       app.status = 'accepted';
       app.clientResponse = clientResponse;
       app.responseDate = new Date();
-    } else if (app.status === 'pending') {
+    } else if (OPEN_APPLICATION_STATUSES.includes(app.status)) {
       app.status = 'rejected';
+      app.responseDate = new Date();
     }
   });
   
   this.selectedProvider = application.provider;
-  this.status = 'in_progress';
   
-  return this.save();
+  return this;
+};
+
+// Method to tell whether a user is this job's client or hired provider
+JobRequestSchema.methods.getParticipantRole = async function(userId) {
+  // Works whether or not client and selectedProvider are populated
+  const clientId = this.client?._id ?? this.client;
+  if (clientId?.toString() === userId.toString()) {
+    return 'client';
+  }
+  if (this.selectedProvider) {
+    const provider = await mongoose.model('Provider')
+      .findById(this.selectedProvider._id ?? this.selectedProvider)
+      .select('user');
+    if (provider?.user?.toString() === userId.toString()) {
+      return 'provider';
+    }
+  }
+  return null;
 };
 
 // Method to increment views
@@ -349,14 +608,20 @@ JobRequestSchema.methods.incrementViews = function(providerId = null) {
   return this.save({ validateBeforeSave: false });
 };
 
-// Method to complete job
+// Method to record completion details; the caller moves the job to completed and saves.
+// With milestones the final cost is what the approved milestones add up to.
 JobRequestSchema.methods.completeJob = function(finalCost, workQuality) {
-  this.status = 'completed';
   this.completionDetails.completedAt = new Date();
-  this.completionDetails.finalCost = finalCost;
+  if (this.milestones.length > 0) {
+    this.completionDetails.finalCost = this.approvedMilestoneTotal;
+  } else {
+    // Default to the price agreed when the application was accepted
+    const accepted = this.applications.find(app => app.status === 'accepted');
+    this.completionDetails.finalCost = finalCost ?? accepted?.agreedTerms?.price;
+  }
   this.completionDetails.workQuality = workQuality;
   
-  return this.save();
+  return this;
 };
 
 // Static method to find nearby jobs for providers
@@ -364,6 +629,7 @@ JobRequestSchema.statics.findNearbyForProvider = function(providerId, latitude,
   return this.find({
     status: 'active',
     isActive: true,
+    visibility: { $ne: 'private' },
     expiresAt: { $gt: new Date() },
     'applications.provider': { $ne: providerId },
     'location.coordinates': {
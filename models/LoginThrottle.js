@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+
+/**
+ * Failed-login policy per counter kind. Failures within `windowMinutes` add up;
+ * after `freeFailures` each further failure forces a doubling wait (capped at
+ * `maxDelaySeconds`), and reaching `lockAfter` locks the subject out. Repeat
+ * lockouts of the same subject double in length up to `maxLockMinutes`.
+ * IP limits are looser because many phones share one address behind carrier NAT.
+ */
+export const THROTTLE_POLICIES = {
+  account: {
+    windowMinutes: 30,
+    freeFailures: 3,
+    maxDelaySeconds: 60,
+    lockAfter: 10,
+    lockMinutes: 15,
+    maxLockMinutes: 24 * 60
+  },
+  ip: {
+    windowMinutes: 30,
+    freeFailures: 20,
+    maxDelaySeconds: 30,
+    lockAfter: 100,
+    lockMinutes: 30,
+    maxLockMinutes: 6 * 60
+  }
+};
+
+const LoginThrottleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: Object.keys(THROTTLE_POLICIES),
+    required: true
+  },
+  // Lowercased email for accounts (known or not, so probing reveals nothing), address for IPs
+  subject: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: Date,
+  lastFailureAt: Date,
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+LoginThrottleSchema.index({ kind: 1, subject: 1 }, { unique: true });
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Counters are kept a day past their last relevance so repeat lockouts escalate
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether any of the given counters currently blocks a login attempt
+ * @param {Array} keys - [{ kind, subject }]
+ * @returns {Promise<Object>} { blocked, kind?, locked?, retryAfterSeconds? }
+ */
+LoginThrottleSchema.statics.check = async function(keys) {
+  const now = Date.now();
+  const throttles = await this.find({ $or: keys.map(({ kind, subject }) => ({ kind, subject })) }).lean();
+
+  let result = { blocked: false };
+  for (const throttle of throttles) {
+    const lockedMs = throttle.lockedUntil ? throttle.lockedUntil.getTime() - now : 0;
+    const delayMs = throttle.nextAttemptAt ? throttle.nextAttemptAt.getTime() - now : 0;
+    const waitMs = Math.max(lockedMs, delayMs);
+
+    if (waitMs > 0 && (!result.blocked || waitMs / 1000 > result.retryAfterSeconds)) {
+      result = {
+        blocked: true,
+        kind: throttle.kind,
+        locked: lockedMs > 0,
+        retryAfterSeconds: Math.ceil(waitMs / 1000)
+      };
+    }
+  }
+  return result;
+};
+
+/**
+ * Count a failed attempt and apply the progressive delay or lockout. The count
+ * is one atomic upsert, so parallel failures each add to it; the delay or lock
+ * that follows is a conditional update that only ever extends the wait.
+ * @param {String} kind - 'account' or 'ip'
+ * @param {String} subject - Email or IP address
+ * @returns {Promise<Object>} { failures, justLocked, lockedUntil, retryAfterSeconds }
+ */
+LoginThrottleSchema.statics.registerFailure = async function(kind, subject) {
+  const policy = THROTTLE_POLICIES[kind];
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - policy.windowMinutes * 60 * 1000);
+  const windowEnd = new Date(now.getTime() + policy.windowMinutes * 60 * 1000 + RETENTION_MS);
+
+  // Failures before the window opened no longer count
+  const inWindow = { $gte: ['$firstFailureAt', windowStart] };
+  const increment = () => this.findOneAndUpdate(
+    { kind, subject },
+    [{
+      $set: {
+        failures: { $cond: [inWindow, { $add: ['$failures', 1] }, 1] },
+        firstFailureAt: { $cond: [inWindow, '$firstFailureAt', now] },
+        lastFailureAt: now,
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        expiresAt: { $max: ['$expiresAt', windowEnd] }
+      }
+    }],
+    { upsert: true, new: true, lean: true }
+  );
+
+  let throttle;
+  try {
+    throttle = await increment();
+  } catch (error) {
+    // Two first failures raced to insert the counter; the other one won
+    if (error.code !== 11000) throw error;
+    throttle = await increment();
+  }
+
+  if (throttle.failures >= policy.lockAfter) {
+    const lockMinutes = Math.min(policy.lockMinutes * 2 ** throttle.lockCount, policy.maxLockMinutes);
+    const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+
+    // Only one of several parallel failures past the limit applies the lock
+    const { modifiedCount } = await this.updateOne(
+      { _id: throttle._id, lockCount: throttle.lockCount, failures: { $gte: policy.lockAfter } },
+      {
+        $set: { lockedUntil, failures: 0, firstFailureAt: null, nextAttemptAt: null },
+        $inc: { lockCount: 1 },
+        $max: { expiresAt: new Date(lockedUntil.getTime() + RETENTION_MS) }
+      }
+    );
+    if (modifiedCount === 0) {
+      const current = await this.findById(throttle._id).select('lockedUntil').lean();
+      return {
+        failures: throttle.failures,
+        justLocked: false,
+        lockedUntil: current?.lockedUntil || null,
+        retryAfterSeconds: current?.lockedUntil ? Math.max(0, Math.ceil((current.lockedUntil - now) / 1000)) : 0
+      };
+    }
+
+    return {
+      failures: 0,
+      justLocked: true,
+      lockedUntil,
+      retryAfterSeconds: lockMinutes * 60
+    };
+  }
+
+  let retryAfterSeconds = 0;
+  if (throttle.failures >= policy.freeFailures) {
+    retryAfterSeconds = Math.min(2 ** (throttle.failures - policy.freeFailures), policy.maxDelaySeconds);
+    await this.updateOne(
+      { _id: throttle._id },
+      { $max: { nextAttemptAt: new Date(now.getTime() + retryAfterSeconds * 1000) } }
+    );
+  }
+
+  return {
+    failures: throttle.failures,
+    justLocked: false,
+    lockedUntil: throttle.lockedUntil,
+    retryAfterSeconds
+  };
+};
+
+/**
+ * Reset the failure counter after a successful login; lock history is kept so
+ * repeat offenders still escalate
+ */
+LoginThrottleSchema.statics.registerSuccess = function(kind, subject) {
+  return this.updateOne(
+    { kind, subject },
+    { $set: { failures: 0, firstFailureAt: null, nextAttemptAt: null } }
+  );
+};
+
+/**
+ * Lift a lockout (unlock link, password reset or admin action)
+ * @returns {Promise<Boolean>} Whether a lock was in force
+ */
+LoginThrottleSchema.statics.unlock = async function(kind, subject) {
+  const previous = await this.findOneAndUpdate(
+    { kind, subject },
+    { $set: { failures: 0, firstFailureAt: null, nextAttemptAt: null, lockedUntil: null } }
+  ).lean();
+  return Boolean(previous?.lockedUntil && previous.lockedUntil > new Date());
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', LoginThrottleSchema);
+
+export default LoginThrottle;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { ImageVariantSchema } from './schemas/imageVariant.js';
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+export const MAX_MESSAGE_ATTACHMENTS = 4;
+
+const AttachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  filename: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  variants: [ImageVariantSchema]
+}, { _id: false });
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['client', 'provider'],
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: MAX_MESSAGE_LENGTH
+  },
+  attachments: {
+    type: [AttachmentSchema],
+    validate: {
+      validator: (attachments) => attachments.length <= MAX_MESSAGE_ATTACHMENTS,
+      message: `A message can have at most ${MAX_MESSAGE_ATTACHMENTS} attachments`
+    }
+  },
+  // Whether contact details were taken out of the body before it was stored
+  redacted: {
+    type: Boolean,
+    default: false
+  },
+  // Read receipt: when the other side first read the message
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+MessageSchema.index({ conversation: 1, senderRole: 1, readAt: 1 });
+
+MessageSchema.pre('validate', function(next) {
+  if (!this.body && this.attachments.length === 0) {
+    this.invalidate('body', 'A message needs text or an attachment');
+  }
+  next();
+});
+
+const Message = mongoose.model('Message', MessageSchema);
+
+export default Message;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES,
+  NOTIFICATION_EMAIL_STATUSES,
+  NOTIFICATION_SMS_STATUSES
+} from '../config/notifications.js';
+
+// How long notifications are kept before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+/**
+ * One in-app notification for one user, with how it was delivered by email
+ * and SMS (see config/notifications.js)
+ */
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: NOTIFICATION_PRIORITIES,
+    default: 'normal'
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  body: {
+    type: String,
+    maxlength: 500
+  },
+  // Frontend path the notification opens
+  path: String,
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRequest',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  channels: {
+    email: {
+      type: String,
+      enum: NOTIFICATION_EMAIL_STATUSES,
+      default: 'skipped'
+    },
+    emailedAt: Date,
+    sms: {
+      type: String,
+      enum: NOTIFICATION_SMS_STATUSES,
+      default: 'skipped'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+NotificationSchema.index({ 'channels.email': 1, createdAt: 1 });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Unread notifications of a user
+ */
+NotificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+export default Notification;
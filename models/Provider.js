@@ -1,4 +1,51 @@
 import mongoose from 'mongoose';
+import Category from './Category.js';
+import { ImageVariantSchema } from './schemas/imageVariant.js';
+import { calculateDistance, createGeoJSONPoint, getBataanMunicipalities, reverseGeocode } from '../utils/geo.js';
+
+const BATAAN_MUNICIPALITIES = getBataanMunicipalities();
+
+const DEFAULT_SERVICE_RADIUS_KM = 15;
+
+// Conditions a provider must meet to be listed in search results
+const SEARCHABLE_FILTER = { isActive: true, 'contact.phoneVerified': true };
+
+const BADGE_TYPES = [
+  'verified', 'featured', 'top_rated', 'fast_response', 'emergency',
+  'expert', 'licensed', 'specialist', 'eco_friendly', 'artisan'
+];
+
+const serviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service name is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    required: [true, 'Service category is required'],
+    trim: true,
+    validate: {
+      // Only when set or changed: records keep saving after their category is
+      // deactivated. Update validators run with no document and always check.
+      validator: function(value) {
+        if (typeof this?.isModified === 'function' && !this.isNew && !this.isModified('category')) {
+          return true;
+        }
+        return Category.isActiveName(value);
+      },
+      message: props => `${props.value} is not an active service category`
+    }
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  priceRange: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 }
+  }
+});
 
 const portfolioSchema = new mongoose.Schema({
   title: {
@@ -12,199 +59,225 @@ const portfolioSchema = new mongoose.Schema({
   images: [{
     type: String // Image URLs/paths
   }],
+  // Images uploaded through POST /api/providers/:id/portfolio/:itemId/images,
+  // by URL; linked images have no entry
+  imageDetails: [{
+    url: String,
+    width: Number,
+    height: Number,
+    hash: String,
+    variants: [ImageVariantSchema],
+    _id: false
+  }],
   completedDate: {
-    type: Date,
-    required: true
+    type: Date
   },
   cost: {
     type: Number,
-    required: true
+    min: 0
   },
   client: {
     type: String // Client name (anonymized)
   }
 });
 
-const badgesSchema = new mongoose.Schema({
-  verified: {
-    type: Boolean,
-    default: false
-  },
-  featured: {
-    type: Boolean,
-    default: false
-  },
-  topRated: {
-    type: Boolean,
-    default: false
-  },
-  fastResponse: {
-    type: Boolean,
-    default: false
-  },
-  emergency: {
-    type: Boolean,
-    default: false
-  },
-  expert: {
-    type: Boolean,
-    default: false
-  },
-  licensed: {
-    type: Boolean,
-    default: false
-  },
-  specialist: {
-    type: Boolean,
-    default: false
-  },
-  eco_friendly: {
-    type: Boolean,
-    default: false
-  },
-  artisan: {
-    type: Boolean,
-    default: false
-  }
-});
-
-const priceRangeSchema = new mongoose.Schema({
-  min: {
-    type: Number,
+const badgeSchema = new mongoose.Schema({
+  type: {
+    type: String,
     required: true,
-    min: 0
+    enum: BADGE_TYPES
   },
-  max: {
-    type: Number,
-    required: true,
-    min: 0
+  description: String,
+  earnedAt: {
+    type: Date,
+    default: Date.now
   }
-});
+}, { _id: false });
 
-const locationSchema = new mongoose.Schema({
-  municipality: {
+const verificationDocumentSchema = new mongoose.Schema({
+  type: {
     type: String,
-    required: true,
-    enum: [
-      'Abucay', 'Bagac', 'Balanga', 'Dinalupihan', 'Hermosa',
-      'Limay', 'Mariveles', 'Morong', 'Orani', 'Orion', 'Pilar', 'Samal'
-    ]
+    enum: ['business_permit', 'dti', 'sec', 'tesda', 'government_id', 'license', 'other'],
+    required: true
   },
-  barangay: {
+  url: {
     type: String,
     required: true
   },
-  address: {
+  status: {
     type: String,
-    required: true
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
   },
-  coordinates: {
-    latitude: Number,
-    longitude: Number
+  uploadedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
 const providerSchema = new mongoose.Schema({
+  // Owning account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Provider profile must belong to a user'],
+    unique: true
+  },
+
   // Basic Information
   businessName: {
     type: String,
     required: true,
     trim: true,
-    maxlength: 100
+    maxlength: 150
   },
-  ownerName: {
+  businessDescription: {
     type: String,
-    required: true,
     trim: true,
-    maxlength: 100
+    maxlength: 1000
   },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-    lowercase: true,
-    trim: true
+
+  // Service Information
+  services: {
+    type: [serviceSchema],
+    validate: {
+      validator: (services) => services.length > 0,
+      message: 'At least one service must be provided'
+    }
   },
-  phone: {
+  specialties: [{
     type: String,
-    required: true,
     trim: true
+  }],
+  experience: {
+    years: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 60
+    },
+    description: String
   },
 
   // Location
-  municipality: {
-    type: String,
-    required: true,
-    enum: [
-      'Abucay', 'Bagac', 'Balanga', 'Dinalupihan', 'Hermosa',
-      'Limay', 'Mariveles', 'Morong', 'Orani', 'Orion', 'Pilar', 'Samal'
-    ]
-  },
-  barangay: {
-    type: String,
-    required: true
-  },
-  address: {
-    type: String,
-    required: true
+  location: {
+    address: {
+      type: String,
+      trim: true
+    },
+    barangay: {
+      type: String,
+      required: [true, 'Barangay is required'],
+      trim: true
+    },
+    municipality: {
+      type: String,
+      required: [true, 'Municipality is required'],
+      enum: BATAAN_MUNICIPALITIES
+    },
+    coordinates: {
+      latitude: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
+    },
+    // GeoJSON mirror of coordinates, kept in sync by the hooks below
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
+    }
   },
 
-  // Service Information
-  category: {
-    type: String,
-    required: true,
-    enum: [
-      'Plumbing', 'Electrical', 'Construction', 'Appliance Repair',
-      'Cleaning', 'Carpentry', 'Landscaping', 'Painting', 'Roofing',
-      'HVAC', 'Security', 'Interior Design', 'Pest Control', 'Moving'
-    ]
+  // Service area: anywhere within radiusKm of the provider, plus whole municipalities listed
+  serviceArea: {
+    radiusKm: {
+      type: Number,
+      default: DEFAULT_SERVICE_RADIUS_KM,
+      min: [1, 'Service radius must be at least 1 km'],
+      max: [100, 'Service radius cannot exceed 100 km']
+    },
+    municipalities: [{
+      type: String,
+      enum: BATAAN_MUNICIPALITIES
+    }]
   },
-  services: [{
-    type: String,
-    required: true
-  }],
-  specialties: [{
-    type: String
-  }],
 
-  // Experience & Ratings
-  yearsExperience: {
-    type: Number,
-    required: true,
-    min: 0,
-    max: 50
-  },
-  rating: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 5
-  },
-  reviewCount: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  completionRate: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 100
+  // Contact
+  contact: {
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^(\+639|09)\d{9}$/, 'Please enter a valid Philippine phone number']
+    },
+    // Mirrors the owner's User.phoneVerified; unverified providers are hidden from search
+    phoneVerified: {
+      type: Boolean,
+      default: false
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    website: String,
+    facebook: String,
+    preferredContact: {
+      type: String,
+      enum: ['phone', 'email', 'sms', 'whatsapp'],
+      default: 'phone'
+    }
   },
 
   // Operational Details
-  responseTime: {
-    type: String,
-    default: "2 hours"
-  },
-  workingHours: {
-    type: String,
-    default: "8:00 AM - 5:00 PM"
+  availability: {
+    days: {
+      monday: { type: Boolean, default: true },
+      tuesday: { type: Boolean, default: true },
+      wednesday: { type: Boolean, default: true },
+      thursday: { type: Boolean, default: true },
+      friday: { type: Boolean, default: true },
+      saturday: { type: Boolean, default: true },
+      sunday: { type: Boolean, default: false }
+    },
+    workingHours: {
+      type: String,
+      default: '8:00 AM - 5:00 PM'
+    },
+    responseTime: {
+      type: String,
+      enum: ['within_hour', 'within_day', 'within_week'],
+      default: 'within_day'
+    },
+    emergencyService: {
+      type: Boolean,
+      default: false
+    }
+  },
+  pricing: {
+    rateType: {
+      type: String,
+      enum: ['fixed', 'hourly', 'daily', 'per_project', 'negotiable'],
+      default: 'per_project'
+    },
+    minRate: { type: Number, min: 0 },
+    maxRate: { type: Number, min: 0 },
+    currency: {
+      type: String,
+      default: 'PHP'
+    }
   },
-  priceRange: priceRangeSchema,
-
-  // Verification & Badges
-  badges: badgesSchema,
 
   // Portfolio
   portfolio: [portfolioSchema],
@@ -220,20 +293,81 @@ const providerSchema = new mongoose.Schema({
   warranty: {
     type: String
   },
-  languages: [{
-    type: String,
+  languages: {
+    type: [String],
     default: ['Filipino']
-  }],
-
-  // Business Details
+  },
   businessRegistration: {
     type: String // DTI/SEC registration number
   },
   taxId: {
     type: String // TIN
   },
-  
+
+  // Reputation
+  ratings: {
+    average: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Unrounded sum of every rating received; average is derived from it so
+    // rounding never feeds back into later updates
+    total: {
+      type: Number,
+      min: 0
+    },
+    breakdown: {
+      one: { type: Number, default: 0 },
+      two: { type: Number, default: 0 },
+      three: { type: Number, default: 0 },
+      four: { type: Number, default: 0 },
+      five: { type: Number, default: 0 }
+    }
+  },
+  statistics: {
+    profileViews: { type: Number, default: 0 },
+    jobMatches: { type: Number, default: 0 },
+    projectsCompleted: { type: Number, default: 0 },
+    projectsCancelled: { type: Number, default: 0 },
+    responseRate: { type: Number, default: 0, min: 0, max: 100 },
+    averageResponseMinutes: { type: Number, default: 120 }
+  },
+
+  // Verification & Badges
+  verification: {
+    isVerified: {
+      type: Boolean,
+      default: false
+    },
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    },
+    documents: [verificationDocumentSchema]
+  },
+  badges: [badgeSchema],
+
   // AI Enhancement Fields
+  aiTags: [{
+    tag: String,
+    confidence: Number,
+    generatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   aiScore: {
     type: Number,
     default: 0,
@@ -249,41 +383,6 @@ const providerSchema = new mongoose.Schema({
     marketPosition: String
   },
 
-  // Status
-  isActive: {
-    type: Boolean,
-    default: true
-  },
-  isVerified: {
-    type: Boolean,
-    default: false
-  },
-  verifiedAt: {
-    type: Date
-  },
-  joinedAt: {
-    type: Date,
-    default: Date.now
-  },
-
-  // Performance Metrics
-  totalJobs: {
-    type: Number,
-    default: 0
-  },
-  completedJobs: {
-    type: Number,
-    default: 0
-  },
-  cancelledJobs: {
-    type: Number,
-    default: 0
-  },
-  averageResponseTime: {
-    type: Number, // in minutes
-    default: 120
-  },
-
   // Social Proof
   testimonials: [{
     client: String,
@@ -293,20 +392,14 @@ const providerSchema = new mongoose.Schema({
     jobType: String
   }],
 
-  // Contact Preferences
-  preferredContact: {
-    type: String,
-    enum: ['phone', 'email', 'sms', 'whatsapp'],
-    default: 'phone'
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
   },
-  availability: {
-    monday: { type: Boolean, default: true },
-    tuesday: { type: Boolean, default: true },
-    wednesday: { type: Boolean, default: true },
-    thursday: { type: Boolean, default: true },
-    friday: { type: Boolean, default: true },
-    saturday: { type: Boolean, default: true },
-    sunday: { type: Boolean, default: false }
+  isPremium: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -315,86 +408,234 @@ const providerSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-providerSchema.index({ municipality: 1, category: 1 });
-providerSchema.index({ rating: -1, reviewCount: -1 });
-providerSchema.index({ 'badges.verified': 1 });
-providerSchema.index({ services: 1 });
-providerSchema.index({ isActive: 1, isVerified: 1 });
+providerSchema.index({ 'location.geo': '2dsphere' });
+providerSchema.index({ 'location.municipality': 1, 'services.category': 1 });
+providerSchema.index({ 'ratings.average': -1, 'ratings.count': -1 });
+providerSchema.index({ 'verification.isVerified': 1, isActive: 1 });
+providerSchema.index({ 'badges.type': 1 });
+providerSchema.index({ 'services.name': 1 });
 
 // Virtual for full address
 providerSchema.virtual('fullAddress').get(function() {
-  return `${this.address}, ${this.barangay}, ${this.municipality}, Bataan`;
+  const { address, barangay, municipality } = this.location || {};
+  return [address, barangay, municipality, 'Bataan'].filter(Boolean).join(', ');
 });
 
 // Virtual for success rate
 providerSchema.virtual('successRate').get(function() {
-  if (this.totalJobs === 0) return 0;
-  return Math.round((this.completedJobs / this.totalJobs) * 100);
+  const completed = this.statistics?.projectsCompleted || 0;
+  const total = completed + (this.statistics?.projectsCancelled || 0);
+  if (total === 0) return 0;
+  return Math.round((completed / total) * 100);
 });
 
 // Virtual for average rating display
 providerSchema.virtual('ratingDisplay').get(function() {
-  return this.rating.toFixed(1);
+  return (this.ratings?.average || 0).toFixed(1);
 });
 
-// Pre-save middleware
+// Keep the GeoJSON point in sync with lat/lng coordinates
 providerSchema.pre('save', function(next) {
-  // Update completion rate
-  if (this.totalJobs > 0) {
-    this.completionRate = Math.round((this.completedJobs / this.totalJobs) * 100);
+  const coords = this.location?.coordinates;
+  if (coords && coords.latitude != null && coords.longitude != null) {
+    this.location.geo = createGeoJSONPoint(coords.longitude, coords.latitude);
   }
-  
-  // Auto-verify if meets criteria
-  if (this.rating >= 4.5 && this.reviewCount >= 10 && this.completionRate >= 95) {
-    this.badges.topRated = true;
+  next();
+});
+
+providerSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+  const coords = set['location.coordinates'] || set.location?.coordinates;
+
+  if (coords && coords.latitude != null && coords.longitude != null) {
+    const geo = createGeoJSONPoint(coords.longitude, coords.latitude);
+    if (set.location && !set['location.coordinates']) {
+      set.location.geo = geo;
+    } else {
+      set['location.geo'] = geo;
+    }
   }
-  
-  if (this.averageResponseTime <= 30) {
-    this.badges.fastResponse = true;
+  next();
+});
+
+// Award reputation badges automatically
+providerSchema.pre('save', function(next) {
+  if (this.ratings.average >= 4.5 && this.ratings.count >= 10) {
+    this.addBadge('top_rated', 'Consistently rated 4.5 stars and above', { save: false });
   }
-  
+
+  if (this.statistics.averageResponseMinutes <= 30) {
+    this.addBadge('fast_response', 'Usually responds within 30 minutes', { save: false });
+  }
+
   next();
 });
 
 // Static methods
 providerSchema.statics.findByCategory = function(category) {
-  return this.find({ category, isActive: true, isVerified: true });
+  return this.find({
+    'services.category': category,
+    isActive: true,
+    'verification.isVerified': true
+  });
 };
 
 providerSchema.statics.findByMunicipality = function(municipality) {
-  return this.find({ municipality, isActive: true, isVerified: true });
+  return this.find({
+    'location.municipality': municipality,
+    isActive: true,
+    'verification.isVerified': true
+  });
 };
 
 providerSchema.statics.findTopRated = function(limit = 10) {
-  return this.find({ isActive: true, isVerified: true })
-    .sort({ rating: -1, reviewCount: -1 })
+  return this.find({ isActive: true, 'verification.isVerified': true })
+    .sort({ 'ratings.average': -1, 'ratings.count': -1 })
     .limit(limit);
 };
 
 providerSchema.statics.searchByService = function(service) {
   return this.find({
-    services: { $regex: service, $options: 'i' },
+    'services.name': { $regex: service, $options: 'i' },
     isActive: true,
-    isVerified: true
+    'verification.isVerified': true
   });
 };
 
+/**
+ * Aggregation stages for providers whose service area covers a point, nearest first.
+ * $geoNear must open the pipeline, so callers append their own sort/paging stages.
+ * @param {number} latitude - Client latitude
+ * @param {number} longitude - Client longitude
+ * @param {Object} filters - Extra match conditions (no geo operators)
+ * @param {Object} options - { maxDistanceKm, municipality } where municipality defaults
+ *   to the one containing the point
+ * @returns {Array} Pipeline stages; each provider gets `distance` in km
+ */
+providerSchema.statics.serviceAreaPipeline = function(latitude, longitude, filters = {}, options = {}) {
+  const { maxDistanceKm } = options;
+  const municipality = options.municipality || reverseGeocode(latitude, longitude)?.municipality || null;
+
+  const geoNear = {
+    near: createGeoJSONPoint(longitude, latitude),
+    key: 'location.geo',
+    distanceField: 'distance',
+    distanceMultiplier: 0.001, // Convert meters to km
+    spherical: true,
+    query: { isActive: true, ...filters }
+  };
+  if (maxDistanceKm) {
+    geoNear.maxDistance = maxDistanceKm * 1000;
+  }
+
+  return [
+    { $geoNear: geoNear },
+    {
+      $match: {
+        $expr: {
+          $or: [
+            { $lte: ['$distance', { $ifNull: ['$serviceArea.radiusKm', DEFAULT_SERVICE_RADIUS_KM] }] },
+            { $in: [municipality, { $ifNull: ['$serviceArea.municipalities', []] }] }
+          ]
+        }
+      }
+    },
+    { $addFields: { distance: { $round: ['$distance', 2] } } }
+  ];
+};
+
+/**
+ * Searchable providers (SEARCHABLE_FILTER) whose service area covers a point,
+ * nearest first. Used for search, matching and emergency dispatch alike, so
+ * inactive providers and unverified phones are never suggested.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} filters - Extra match conditions
+ * @param {Object} options - serviceAreaPipeline options plus { limit }
+ * @returns {Promise<Array>} Plain provider objects with `distance` (km) and populated user
+ */
+providerSchema.statics.findServing = async function(latitude, longitude, filters = {}, options = {}) {
+  const pipeline = this.serviceAreaPipeline(latitude, longitude, { ...filters, ...SEARCHABLE_FILTER }, options);
+  if (options.limit) {
+    pipeline.push({ $limit: options.limit });
+  }
+
+  const providers = await this.aggregate(pipeline);
+  return this.populate(providers, { path: 'user', select: 'name profileImage' });
+};
+
 // Instance methods
-providerSchema.methods.updateRating = function(newRating) {
-  const totalRating = this.rating * this.reviewCount + newRating;
-  this.reviewCount += 1;
-  this.rating = totalRating / this.reviewCount;
+
+/**
+ * Whether this provider's service area covers a point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} municipality - Municipality of the point (looked up if omitted)
+ * @returns {boolean}
+ */
+providerSchema.methods.servesLocation = function(latitude, longitude, municipality = null) {
+  const radiusKm = this.serviceArea?.radiusKm ?? DEFAULT_SERVICE_RADIUS_KM;
+  if (this.distanceFrom(latitude, longitude) <= radiusKm) {
+    return true;
+  }
+
+  const target = municipality || reverseGeocode(latitude, longitude)?.municipality;
+  return Boolean(target && this.serviceArea?.municipalities?.includes(target));
+};
+
+/**
+ * Straight-line distance from this provider to a point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {number} Distance in kilometers (Infinity if provider has no coordinates)
+ */
+providerSchema.methods.distanceFrom = function(latitude, longitude) {
+  const coords = this.location?.coordinates;
+  if (!coords || coords.latitude == null || coords.longitude == null) {
+    return Infinity;
+  }
+  return calculateDistance(latitude, longitude, coords.latitude, coords.longitude);
+};
+
+/**
+ * Award a badge if the provider does not have it yet
+ * @param {string} type - One of BADGE_TYPES
+ * @param {string} description - Human readable reason
+ * @param {Object} options - { save: false } to skip persisting
+ */
+providerSchema.methods.addBadge = function(type, description = '', { save = true } = {}) {
+  if (!this.badges.some(badge => badge.type === type)) {
+    this.badges.push({ type, description, earnedAt: new Date() });
+  }
+  return save ? this.save() : this;
+};
+
+providerSchema.methods.removeBadge = function(type) {
+  this.badges = this.badges.filter(badge => badge.type !== type);
   return this.save();
 };
 
-providerSchema.methods.addJob = function(completed = false) {
-  this.totalJobs += 1;
-  if (completed) {
-    this.completedJobs += 1;
+providerSchema.methods.updateRating = function(newRating) {
+  const ratingKey = ['', 'one', 'two', 'three', 'four', 'five'][Math.round(newRating)];
+  // Providers rated before the sum was kept start from their stored average
+  const totalRating = (this.ratings.total ?? this.ratings.average * this.ratings.count) + newRating;
+
+  this.ratings.total = totalRating;
+  this.ratings.count += 1;
+  this.ratings.average = totalRating / this.ratings.count;
+  if (ratingKey) {
+    this.ratings.breakdown[ratingKey] += 1;
   }
   return this.save();
 };
 
+providerSchema.methods.incrementViews = function() {
+  this.statistics.profileViews += 1;
+  return this.save({ validateBeforeSave: false });
+};
+
 const Provider = mongoose.model('Provider', providerSchema);
 
-export default Provider; 
\ No newline at end of file
+export { BATAAN_MUNICIPALITIES, BADGE_TYPES, DEFAULT_SERVICE_RADIUS_KM, SEARCHABLE_FILTER };
+export default Provider;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+export const SECURITY_EVENT_TYPES = [
+  'account_locked',
+  'account_unlocked',
+  'ip_locked',
+  'session_reuse_detected',
+  'password_reset',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'data_exported',
+  'account_deletion_requested',
+  'account_deletion_canceled',
+  'account_deleted'
+];
+
+// How long events are kept before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365;
+
+const SecurityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ip: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+SecurityEventSchema.index({ type: 1, createdAt: -1 });
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+SecurityEventSchema.index({ email: 1, createdAt: -1 });
+SecurityEventSchema.index({ ip: 1, createdAt: -1 });
+SecurityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Record a security event. Never throws: a logging failure must not break the
+ * request that triggered it.
+ * @param {String} type - One of SECURITY_EVENT_TYPES
+ * @param {Object} fields - { user, email, ip, userAgent, details }
+ * @param {Object} req - Optional request to take ip/userAgent from
+ */
+SecurityEventSchema.statics.record = async function(type, fields = {}, req = null) {
+  try {
+    return await this.create({
+      type,
+      ip: req?.ip,
+      userAgent: req?.get?.('user-agent')?.slice(0, 500),
+      ...fields
+    });
+  } catch (error) {
+    console.error('Security event log error:', error);
+    return null;
+  }
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', SecurityEventSchema);
+
+export default SecurityEvent;
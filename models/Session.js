@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// How long a login stays alive without re-entering the password
+export const SESSION_LIFETIME_DAYS = parseInt(process.env.SESSION_LIFETIME_DAYS) || 30;
+
+// Superseded refresh hashes kept per session to tell token reuse apart from garbage
+const ROTATED_HASH_LIMIT = 20;
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is only ever in the cookie
+  refreshHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotatedHashes: {
+    type: [String],
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  device: {
+    type: String,
+    maxlength: 100
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_changed', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ rotatedHashes: 1 });
+// Drop sessions a week after they expire; revoked ones are kept until then for auditing
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const hashRefresh = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random>" so a lookup never needs a scan
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+/**
+ * Short device label from a User-Agent string, e.g. "Chrome on Android"
+ */
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+/**
+ * Start a session for a login
+ * @param {ObjectId} userId - User ID
+ * @param {Object} meta - { userAgent, ip }
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+SessionSchema.statics.start = async function(userId, { userAgent = '', ip } = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(_id);
+
+  const session = await this.create({
+    _id,
+    user: userId,
+    refreshHash: hashRefresh(refreshToken),
+    userAgent: userAgent.slice(0, 500),
+    device: describeDevice(userAgent),
+    ip,
+    expiresAt: new Date(Date.now() + SESSION_LIFETIME_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation). Presenting a token that
+ * was already rotated out means it leaked, so the whole session is revoked.
+ * @param {String} refreshToken - Token from the cookie
+ * @param {Object} meta - { userAgent, ip }
+ * @returns {Promise<Object>} { status: 'ok' | 'invalid' | 'reused', session?, refreshToken? }
+ */
+SessionSchema.statics.rotate = async function(refreshToken, { userAgent, ip } = {}) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return { status: 'invalid' };
+  }
+
+  const presentedHash = hashRefresh(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshHash: hashRefresh(nextToken),
+        lastUsedAt: new Date(),
+        ...(ip && { ip }),
+        ...(userAgent && { userAgent: userAgent.slice(0, 500), device: describeDevice(userAgent) })
+      },
+      $push: { rotatedHashes: { $each: [presentedHash], $slice: -ROTATED_HASH_LIMIT } },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { status: 'ok', session, refreshToken: nextToken };
+  }
+
+  const reused = await this.findOneAndUpdate(
+    { _id: sessionId, rotatedHashes: presentedHash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } },
+    { new: true }
+  );
+
+  return reused ? { status: 'reused', session: reused } : { status: 'invalid' };
+};
+
+/**
+ * Whether a session is still usable (checked on every authenticated request)
+ */
+SessionSchema.statics.isActiveSession = async function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await this.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+};
+
+/**
+ * Revoke all of a user's active sessions
+ * @param {ObjectId} userId - User ID
+ * @param {String} reason - revokedReason value
+ * @param {ObjectId} exceptSessionId - Session to keep (e.g. the current one)
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+SessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+// Method to revoke this session
+SessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+export default Session;
@@ -1,7 +1,29 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { computeProfileCompleteness, splitFullName } from '../utils/profileCompleteness.js';
+import { ACCOUNT_ROLES, STAFF_ROLES } from '../config/permissions.js';
+import { NOTIFICATION_TYPES } from '../config/notifications.js';
+import { ImageVariantSchema } from './schemas/imageVariant.js';
+
+// Pending single-use email action (verification or password reset); only the
+// SHA-256 of the link's nonce is stored
+const ActionLinkSchema = new mongoose.Schema({
+  nonceHash: String,
+  expiresAt: Date
+}, { _id: false });
 
 const UserSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  // Display name, kept in sync with firstName/lastName; populated across the API
   name: {
     type: String,
     required: [true, 'Name is required'],
@@ -25,23 +47,66 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['client', 'provider', 'admin'],
+    enum: ACCOUNT_ROLES,
     default: 'client'
   },
+  // Back-office duties held on top of the account role (see config/permissions.js)
+  staffRoles: [{
+    type: String,
+    enum: STAFF_ROLES
+  }],
   phone: {
     type: String,
     match: [/^(\+639|09)\d{9}$/, 'Please enter a valid Philippine phone number']
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Outstanding OTP for the number being verified (may differ from `phone` until confirmed)
+  phoneVerification: {
+    type: new mongoose.Schema({
+      phone: String,
+      codeHash: String,
+      expiresAt: Date,
+      attempts: { type: Number, default: 0 },
+      lastSentAt: Date,
+      sendCount: { type: Number, default: 0 },
+      sendWindowStartedAt: Date
+    }, { _id: false }),
+    select: false
+  },
   profileImage: {
     type: String,
     default: null
   },
-  location: {
-    barangay: String,
-    municipality: {
+  // WebP copies of the uploaded profile picture (thumb suits avatars)
+  profileImageVariants: [ImageVariantSchema],
+  profile: {
+    bio: {
       type: String,
-      default: 'Bataan'
+      trim: true,
+      maxlength: [500, 'Bio cannot exceed 500 characters']
     },
+    skills: [{
+      type: String,
+      trim: true
+    }]
+  },
+  // Cached result of computeProfileCompleteness, refreshed on every save
+  profileCompletion: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  location: {
+    barangay: String,
+    municipality: String,
     coordinates: {
       latitude: Number,
       longitude: Number
@@ -51,10 +116,54 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  pendingActions: {
+    type: new mongoose.Schema({
+      verifyEmail: ActionLinkSchema,
+      resetPassword: ActionLinkSchema,
+      unlockAccount: ActionLinkSchema
+    }, { _id: false }),
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP secrets are stored encrypted (utils/totp.js), backup codes as keyed hashes
+  twoFactor: {
+    type: new mongoose.Schema({
+      secret: String,
+      pendingSecret: String,
+      enabledAt: Date,
+      lastUsedStep: { type: Number, default: -1 },
+      backupCodes: [{
+        hash: String,
+        usedAt: { type: Date, default: null },
+        _id: false
+      }]
+    }, { _id: false }),
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Self-service deletion: scheduled with a grace period, then anonymized
+  // (modules/auth/accountData.js)
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    completedAt: Date,
+    // Provider listing state to restore if the deletion is canceled
+    providerWasActive: Boolean
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -62,7 +171,21 @@ const UserSchema = new mongoose.Schema({
   preferences: {
     notifications: {
       email: { type: Boolean, default: true },
-      sms: { type: Boolean, default: false }
+      sms: { type: Boolean, default: false },
+      // Batch low-priority emails into one a day (config/notifications.js)
+      digest: { type: Boolean, default: true },
+      // Managed through /api/notifications/mutes; a mute without a type covers
+      // every type, one without a job covers every job
+      mutes: [{
+        type: { type: String, enum: NOTIFICATION_TYPES },
+        job: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'JobRequest'
+        },
+        // Muted for good when unset
+        until: Date,
+        createdAt: { type: Date, default: Date.now }
+      }]
     },
     privacy: {
       showPhone: { type: Boolean, default: true },
@@ -79,6 +202,8 @@ const UserSchema = new mongoose.Schema({
 UserSchema.index({ 'location.coordinates': '2dsphere' });
 UserSchema.index({ email: 1 });
 UserSchema.index({ role: 1 });
+UserSchema.index({ staffRoles: 1 });
+UserSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Virtual for user's age-like info
 UserSchema.virtual('memberSince').get(function() {
@@ -92,6 +217,46 @@ UserSchema.virtual('memberSince').get(function() {
   return `${Math.floor(diffDays / 365)} years`;
 });
 
+// Keep the display name and the first/last name pair in sync
+UserSchema.pre('validate', function(next) {
+  if (this.isModified('firstName') || this.isModified('lastName')) {
+    const fullName = [this.firstName, this.lastName].filter(Boolean).join(' ');
+    if (fullName) this.name = fullName;
+  } else if (this.isModified('name') && !this.firstName && !this.lastName) {
+    Object.assign(this, splitFullName(this.name));
+  }
+  next();
+});
+
+// A changed number is unverified until it is confirmed by OTP. verifyPhoneOtp
+// marks the save that confirms it with $locals.phoneConfirmed; new accounts
+// (seeds, imports) may also be created already verified.
+UserSchema.pre('save', function(next) {
+  const confirmed = this.$locals.phoneConfirmed || (this.isNew && this.isModified('phoneVerified'));
+  if (this.isModified('phone') && !confirmed) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = null;
+  }
+  this.$locals.phoneVerifiedChanged = !this.isNew && this.isModified('phoneVerified');
+  next();
+});
+
+// Mirror phone verification onto the provider profile, which search filters on
+UserSchema.post('save', async function(doc) {
+  if (doc.$locals.phoneVerifiedChanged) {
+    await mongoose.model('Provider').updateMany(
+      { user: doc._id },
+      { $set: { 'contact.phoneVerified': doc.phoneVerified } }
+    );
+  }
+});
+
+// Pre-save middleware to refresh the cached profile completion
+UserSchema.pre('save', function(next) {
+  this.profileCompletion = computeProfileCompleteness(this).percentage;
+  next();
+});
+
 // Pre-save middleware to hash password
 UserSchema.pre('save', async function(next) {
   // Only hash password if it's modified or new
@@ -106,6 +271,11 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+// Profile completion with the list of steps still missing
+UserSchema.virtual('profileCompleteness').get(function() {
+  return computeProfileCompleteness(this);
+});
+
 // Method to compare passwords
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -136,6 +306,9 @@ UserSchema.statics.findByLocation = function(latitude, longitude, radiusInKm = 1
 UserSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.pendingActions;
+  delete userObject.phoneVerification;
+  delete userObject.twoFactor;
   return userObject;
 };
 
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/**
+ * A WebP copy of an uploaded image in one of the IMAGE_VARIANTS sizes (see
+ * services/imagePipeline.js). Variants of private files have no `url`; they
+ * are handed out through signed URLs like the file itself.
+ */
+export const ImageVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key: String,
+  url: String,
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+export default ImageVariantSchema;
@@ -0,0 +1,189 @@
+import User from '../../models/User.js';
+import Provider from '../../models/Provider.js';
+import Session from '../../models/Session.js';
+import SecurityEvent from '../../models/SecurityEvent.js';
+import mailer from '../../services/mailer.js';
+import { DELETION_GRACE_DAYS, collectPersonalData, buildExportArchive } from './accountData.js';
+import { checkSecondFactor } from './twoFactorController.js';
+import { clearRefreshCookie } from './sessionCookies.js';
+
+// @desc    Download everything stored about the current user (ZIP, or JSON with ?format=json)
+// @route   GET /api/auth/me/export
+// @access  Private
+export const exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'zip';
+    const personalData = await collectPersonalData(req.user.userId);
+
+    if (!personalData) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await SecurityEvent.record('data_exported', { user: req.user.userId, details: { format } }, req);
+
+    const filename = `rekomendito-data-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({
+        success: true,
+        data: { ...personalData.data, files: personalData.files }
+      });
+    }
+
+    const archive = await buildExportArchive(personalData);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}.zip"`,
+      'Content-Length': archive.length
+    });
+    res.send(archive);
+
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting your data',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Schedule deletion of the current account after a grace period
+// @route   DELETE /api/auth/me
+// @access  Private
+export const deleteMyAccount = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.userId).select('+password +twoFactor');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin accounts must be demoted by another admin before they can be deleted'
+      });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: { scheduledFor: user.deletion.scheduledFor }
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.twoFactorEnabled && !(await checkSecondFactor(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const provider = await Provider.findOne({ user: user._id });
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor,
+      providerWasActive: provider ? provider.isActive : undefined
+    };
+    await user.save({ validateBeforeSave: false });
+
+    // The listing disappears right away; the data stays until the grace period ends
+    if (provider?.isActive) {
+      provider.isActive = false;
+      await provider.save({ validateBeforeSave: false });
+    }
+
+    await Session.revokeAllForUser(user._id, 'logout_all');
+    clearRefreshCookie(res);
+
+    await SecurityEvent.record('account_deletion_requested', {
+      user: user._id,
+      email: user.email,
+      details: { scheduledFor }
+    }, req);
+
+    try {
+      await mailer.sendAccountDeletionScheduledEmail(user, scheduledFor);
+    } catch (mailError) {
+      console.error('Deletion scheduled email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toISOString().slice(0, 10)}. Log in before then to cancel.`,
+      data: { scheduledFor }
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Cancel a scheduled account deletion during the grace period
+// @route   POST /api/auth/me/cancel-deletion
+// @access  Private
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is not scheduled'
+      });
+    }
+
+    if (user.deletion.providerWasActive) {
+      await Provider.updateOne({ user: user._id }, { $set: { isActive: true } });
+    }
+
+    user.deletion = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await SecurityEvent.record('account_deletion_canceled', { user: user._id, email: user.email }, req);
+
+    res.json({
+      success: true,
+      message: 'Account deletion canceled'
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while canceling account deletion',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import User from '../../models/User.js';
+import Provider from '../../models/Provider.js';
+import JobRequest from '../../models/JobRequest.js';
+import Session from '../../models/Session.js';
+import SecurityEvent from '../../models/SecurityEvent.js';
+import LoginThrottle from '../../models/LoginThrottle.js';
+import Message from '../../models/Message.js';
+import Conversation from '../../models/Conversation.js';
+import Notification from '../../models/Notification.js';
+import { getBarangayCoordinates, getMunicipalityCoordinates } from '../../utils/geo.js';
+import { createZipArchive } from '../../utils/zipArchive.js';
+import storage from '../../services/storage.js';
+import jobLifecycle from '../../services/jobLifecycle.js';
+import { EDITABLE_JOB_STATUSES } from '../../config/jobLifecycle.js';
+
+// Days between DELETE /api/auth/me and anonymization; the user can cancel meanwhile
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Left in place of the messages of a deleted account
+const DELETED_MESSAGE_BODY = '[Message deleted]';
+
+/**
+ * Storage key of something the user uploaded: a job attachment saved through
+ * the storage service, or a public file URL. Null for remote URLs.
+ */
+const storedKeyOf = (upload) => (typeof upload === 'string' ? storage.keyFromUrl(upload) : upload?.key || storage.keyFromUrl(upload?.url));
+
+/**
+ * Delete an uploaded file; missing files are ignored
+ */
+const removeUpload = (upload) => storage.remove(storedKeyOf(upload));
+
+/**
+ * Everything stored about a user: account, provider profile, jobs posted,
+ * applications made, reviews given and received, messages sent, sessions and
+ * security events
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} { data, files, storedKeys } where files lists
+ * uploaded file URLs (storage keys for private files) and storedKeys the ones
+ * held in our storage
+ */
+export const collectPersonalData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const provider = await Provider.findOne({ user: userId });
+
+  const postedJobs = await JobRequest.find({ client: userId })
+    .select('-aiSuggestions -views.uniqueProviders')
+    .populate('applications.provider', 'businessName')
+    .populate('selectedProvider', 'businessName')
+    .lean();
+
+  let applications = [];
+  let providerJobs = [];
+  if (provider) {
+    providerJobs = await JobRequest.find({
+      $or: [{ 'applications.provider': provider._id }, { selectedProvider: provider._id }]
+    })
+      .select('title category status client applications selectedProvider completionDetails createdAt')
+      .populate('client', 'name')
+      .lean();
+
+    applications = providerJobs.flatMap(job => job.applications
+      .filter(application => application.provider.toString() === provider._id.toString())
+      .map(application => ({
+        job: { _id: job._id, title: job.title, category: job.category, status: job.status },
+        ...application
+      })));
+  }
+
+  const reviews = {
+    // As a client: ratings left on providers' work, and ratings providers left on the client
+    asClient: postedJobs
+      .filter(job => job.completionDetails?.completedAt)
+      .map(job => ({
+        job: { _id: job._id, title: job.title },
+        provider: job.selectedProvider?.businessName || null,
+        given: job.completionDetails.clientRating || null,
+        received: job.completionDetails.providerRating || null
+      })),
+    asProvider: providerJobs
+      .filter(job => job.selectedProvider?.toString() === provider?._id.toString() && job.completionDetails?.completedAt)
+      .map(job => ({
+        job: { _id: job._id, title: job.title },
+        client: job.client?.name || null,
+        given: job.completionDetails.providerRating || null,
+        received: job.completionDetails.clientRating || null
+      }))
+  };
+
+  const messages = await Message.find({ sender: userId })
+    .select('conversation body attachments redacted readAt createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const notifications = await Notification.find({ user: userId })
+    .select('type title body path readAt channels createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const sessions = await Session.find({ user: userId })
+    .select('device userAgent ip createdAt lastUsedAt expiresAt revokedAt revokedReason')
+    .lean();
+
+  const securityEvents = await SecurityEvent.find({ user: userId })
+    .select('type ip userAgent details createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const uploads = [
+    user.profileImage,
+    ...(provider?.portfolio || []).flatMap(item => item.images),
+    ...(provider?.verification?.documents || []).map(document => document.url),
+    ...postedJobs.flatMap(job => job.attachments || []),
+    ...messages.flatMap(message => message.attachments.map(attachment => attachment.url))
+  ].filter(Boolean);
+  const files = uploads.map(upload => (typeof upload === 'string' ? upload : upload.url || upload.key)).filter(Boolean);
+
+  return {
+    data: {
+      exportedAt: new Date(),
+      user: user.toJSON(),
+      provider: provider ? provider.toJSON() : null,
+      jobs: postedJobs,
+      applications,
+      reviews,
+      messages,
+      notifications,
+      sessions,
+      securityEvents
+    },
+    files: [...new Set(files)],
+    storedKeys: [...new Set(uploads.map(storedKeyOf).filter(Boolean))]
+  };
+};
+
+/**
+ * ZIP bundle of collectPersonalData: data.json plus the uploaded files held in
+ * our storage (remote URLs are listed in data.json only)
+ * @param {Object} personalData - Result of collectPersonalData
+ * @returns {Promise<Buffer>}
+ */
+export const buildExportArchive = async ({ data, files, storedKeys }) => {
+  const entries = [{ name: 'data.json', data: JSON.stringify({ ...data, files }, null, 2) }];
+
+  for (const key of storedKeys) {
+    const contents = await storage.read(key);
+    if (contents) {
+      entries.push({ name: `files/${key}`, data: contents });
+    }
+  }
+
+  return createZipArchive(entries);
+};
+
+/**
+ * Replace personal data with placeholders once the grace period is over.
+ * The user, provider and job documents stay so counterparties keep their job
+ * history, applications and ratings; names, contact details, exact addresses,
+ * message contents and uploaded files go.
+ * @param {Object} user - User document
+ */
+export const anonymizeAccount = async (user) => {
+  const userId = user._id;
+  const provider = await Provider.findOne({ user: userId });
+
+  await removeUpload(user.profileImage);
+
+  if (provider) {
+    await Promise.all([
+      ...provider.portfolio.flatMap(item => item.images.map(removeUpload)),
+      ...provider.verification.documents.map(document => removeUpload(document.url))
+    ]);
+
+    provider.set({
+      businessName: 'Deleted provider',
+      businessDescription: undefined,
+      'location.address': undefined,
+      contact: { phoneVerified: false },
+      portfolio: [],
+      testimonials: [],
+      'verification.documents': [],
+      'verification.notes': undefined,
+      businessRegistration: undefined,
+      taxId: undefined,
+      aiInsights: undefined,
+      isActive: false
+    });
+    // As for jobs: keep the barangay, move the pin off the person's home or
+    // business to the barangay centroid (the save hook moves the geo point too)
+    const centroid = getBarangayCoordinates(provider.location?.barangay, provider.location?.municipality) ||
+      getMunicipalityCoordinates(provider.location?.municipality);
+    provider.set('location.coordinates', centroid ? { latitude: centroid.lat, longitude: centroid.lng } : undefined);
+    if (!centroid) {
+      provider.set('location.geo', undefined);
+    }
+    await provider.save({ validateBeforeSave: false });
+  }
+
+  const jobs = await JobRequest.find({ client: userId });
+  for (const job of jobs) {
+    await Promise.all(job.attachments.map(removeUpload));
+
+    // Keep the barangay for history, but not the client's exact location
+    const centroid = getBarangayCoordinates(job.location.barangay, job.location.municipality) ||
+      getMunicipalityCoordinates(job.location.municipality);
+    job.set({
+      'location.address': 'Removed',
+      'location.accessNotes': undefined,
+      attachments: []
+    });
+    if (centroid) {
+      job.set('location.coordinates', { latitude: centroid.lat, longitude: centroid.lng });
+    }
+    // Open jobs left behind by a deleted client can no longer be answered
+    const cancel = EDITABLE_JOB_STATUSES.includes(job.status);
+    if (cancel) {
+      jobLifecycle.apply(job, 'canceled', { reason: 'Client account deleted' });
+      job.isActive = false;
+    }
+    await job.save({ validateBeforeSave: false });
+    if (cancel) {
+      jobLifecycle.announce(job);
+    }
+  }
+
+  // Messages stay so the other side's threads still read in order, but their
+  // bodies can hold contact details shared once a provider was hired
+  const messages = await Message.find({ sender: userId }).select('conversation attachments').lean();
+  await Promise.all(messages.flatMap(message => message.attachments.map(removeUpload)));
+  await Message.updateMany(
+    { sender: userId },
+    { $set: { body: DELETED_MESSAGE_BODY, attachments: [] } }
+  );
+  for (const conversationId of new Set(messages.map(message => message.conversation.toString()))) {
+    const latest = await Message.findOne({ conversation: conversationId }).sort({ createdAt: -1 }).select('sender').lean();
+    if (latest?.sender.toString() === userId.toString()) {
+      await Conversation.updateOne({ _id: conversationId }, { $set: { lastMessagePreview: DELETED_MESSAGE_BODY } });
+    }
+  }
+
+  await Session.deleteMany({ user: userId });
+  await Notification.deleteMany({ user: userId });
+  await LoginThrottle.deleteMany({ kind: 'account', subject: user.email });
+  await SecurityEvent.updateMany({ user: userId }, { $unset: { email: 1, ip: 1, userAgent: 1 } });
+
+  const deletedUser = await User.findById(userId).select('+pendingActions +phoneVerification +twoFactor');
+  deletedUser.set({
+    name: 'Deleted user',
+    firstName: undefined,
+    lastName: undefined,
+    email: `deleted-${userId}@deleted.rekomendito.ph`,
+    // Unusable random password; the pre-save hook hashes it
+    password: crypto.randomBytes(32).toString('hex'),
+    phone: undefined,
+    phoneVerified: false,
+    phoneVerifiedAt: null,
+    phoneVerification: undefined,
+    profileImage: null,
+    profileImageVariants: [],
+    profile: { bio: undefined, skills: [] },
+    location: undefined,
+    pendingActions: undefined,
+    twoFactorEnabled: false,
+    twoFactor: undefined,
+    staffRoles: [],
+    'preferences.notifications': { email: false, sms: false },
+    isActive: false,
+    'deletion.completedAt': new Date()
+  });
+  await deletedUser.save({ validateBeforeSave: false });
+
+  await SecurityEvent.record('account_deleted', { user: userId });
+};
+
+export default {
+  DELETION_GRACE_DAYS,
+  collectPersonalData,
+  buildExportArchive,
+  anonymizeAccount
+};
@@ -1,10 +1,68 @@
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../../models/User.js';
-import { uploadProfilePicture } from '../../utils/imageUpload.js';
+import Session from '../../models/Session.js';
+import SecurityEvent from '../../models/SecurityEvent.js';
+import { uploadProfilePicture, deleteOldProfilePicture } from '../../utils/imageUpload.js';
+import { ACTION_LINKS, issueActionLink, consumeActionLink, buildActionUrl } from '../../utils/actionLinks.js';
+import { findMunicipality, findBarangay } from '../../utils/geo.js';
+import mailer from '../../services/mailer.js';
+import smsGateway from '../../services/smsGateway.js';
+import {
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_SENDS_PER_HOUR,
+  normalizePhilippineMobile,
+  maskPhone,
+  generateOtp,
+  hashOtp,
+  isOtpMatch
+} from '../../utils/otp.js';
+import { toUserResponse } from './userResponse.js';
+import { issueLoginChallenge } from './twoFactorController.js';
+import {
+  rejectIfThrottled,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount as liftAccountLock
+} from './loginProtection.js';
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  getRequestMeta,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+  startSession
+} from './sessionCookies.js';
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
+// Roles a user can pick at sign-up; staff roles are assigned by an admin
+const SELF_SERVICE_ROLES = ['client', 'provider'];
+
+// Canonical { municipality, barangay } for the gazetteer, or an error message
+const resolveUserLocation = (municipality, barangay) => {
+  const town = findMunicipality(municipality);
+  if (!town) {
+    return { error: 'Unknown municipality in Bataan' };
+  }
+  if (!barangay) {
+    return { location: { municipality: town.name } };
+  }
+
+  const place = findBarangay(barangay, town.name);
+  if (!place) {
+    return { error: `Barangay "${barangay}" is not in ${town.name}` };
+  }
+  return { location: { municipality: town.name, barangay: place.name } };
+};
+
+// Issue a fresh verification link (revoking any earlier one) and email it
+const sendVerificationLink = async (user) => {
+  const token = await issueActionLink(user, 'verifyEmail');
+  await mailer.sendVerificationEmail(
+    user,
+    buildActionUrl('verifyEmail', token),
+    ACTION_LINKS.verifyEmail.expiresInMinutes
+  );
 };
 
 // @desc    Register user
@@ -19,19 +77,27 @@ export const registerUser = async (req, res) => {
       firstName,
       lastName,
       phone,
-      userType,
       municipality,
       barangay
     } = req.body;
+    // `userType` is still accepted from older clients
+    const role = req.body.role || req.body.userType || 'client';
 
     // Validation
-    if (!email || !password || !firstName || !lastName || !userType) {
+    if (!email || !password || !firstName || !lastName) {
       return res.status(400).json({
         success: false,
         message: 'Please provide all required fields'
       });
     }
 
+    if (!SELF_SERVICE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be client or provider'
+      });
+    }
+
     if (password !== confirmPassword) {
       return res.status(400).json({
         success: false,
@@ -46,6 +112,18 @@ export const registerUser = async (req, res) => {
       });
     }
 
+    let location;
+    if (municipality) {
+      const resolved = resolveUserLocation(municipality, barangay);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+      location = resolved.location;
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -55,49 +133,45 @@ export const registerUser = async (req, res) => {
       });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user
+    // Create user; the pre-save hook hashes the password
     const user = await User.create({
       email: email.toLowerCase(),
-      password: hashedPassword,
+      password,
       firstName,
       lastName,
-      phone,
-      userType: userType || 'client',
-      location: {
-        municipality: municipality || '',
-        barangay: barangay || ''
-      },
-      profile: {
-        isEmailVerified: false,
-        isPhoneVerified: false,
-        completionPercentage: 40
-      }
+      phone: phone ? (normalizePhilippineMobile(phone) || phone) : undefined,
+      role,
+      location
     });
 
-    const token = generateToken(user._id);
+    // A mail failure should not undo the registration; the user can ask for a resend
+    try {
+      await sendVerificationLink(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    const auth = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user: {
-          _id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          userType: user.userType,
-          location: user.location,
-          profile: user.profile
-        },
-        token
+        user: toUserResponse(user),
+        token: auth.token,
+        expiresIn: auth.expiresIn
       }
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
@@ -122,9 +196,12 @@ export const loginUser = async (req, res) => {
       });
     }
 
+    if (await rejectIfThrottled(req, res, email)) return;
+
     // Check for user
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
     if (!user) {
+      await recordFailedLogin(req, email);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -132,35 +209,46 @@ export const loginUser = async (req, res) => {
     }
 
     // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailedLogin(req, email, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Second step: the session starts only after POST /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          requiresTwoFactor: true,
+          challenge: issueLoginChallenge(user)
+        }
+      });
+    }
 
-    const token = generateToken(user._id);
+    await recordSuccessfulLogin(req, user.email);
+    await user.updateLastLogin();
+
+    const auth = await startSession(req, res, user);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          _id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          userType: user.userType,
-          location: user.location,
-          profile: user.profile,
-          preferences: user.preferences
-        },
-        token
+        user: toUserResponse(user),
+        token: auth.token,
+        expiresIn: auth.expiresIn
       }
     });
 
@@ -179,21 +267,19 @@ export const loginUser = async (req, res) => {
 // @access  Private
 export const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
     
     res.json({
       success: true,
       data: {
-        user: {
-          _id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          userType: user.userType,
-          location: user.location,
-          profile: user.profile,
-          preferences: user.preferences
-        }
+        user: toUserResponse(user)
       }
     });
   } catch (error) {
@@ -219,11 +305,10 @@ export const updateProfile = async (req, res) => {
       barangay,
       bio,
       skills,
-      experience,
       preferences
     } = req.body;
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user.userId);
 
     if (!user) {
       return res.status(404).json({
@@ -232,22 +317,51 @@ export const updateProfile = async (req, res) => {
       });
     }
 
+    if (municipality || barangay) {
+      const resolved = resolveUserLocation(
+        municipality || user.location?.municipality,
+        barangay || (municipality ? undefined : user.location?.barangay)
+      );
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+      user.location.municipality = resolved.location.municipality;
+      user.location.barangay = resolved.location.barangay;
+    }
+
     // Update fields
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
-    if (phone) user.phone = phone;
-    if (municipality) user.location.municipality = municipality;
-    if (barangay) user.location.barangay = barangay;
-    if (bio) user.profile.bio = bio;
-    if (skills) user.profile.skills = skills;
-    if (experience) user.profile.experience = experience;
-    if (preferences) user.preferences = { ...user.preferences, ...preferences };
+    // A new number has to be verified again (see the User pre-save hook)
+    if (phone) user.phone = normalizePhilippineMobile(phone) || phone;
+    if (bio !== undefined) user.profile.bio = bio;
+    if (skills) {
+      // Multipart forms send skills as a comma-separated string
+      user.profile.skills = Array.isArray(skills)
+        ? skills
+        : String(skills).split(',').map(skill => skill.trim()).filter(Boolean);
+    }
+    if (preferences && typeof preferences === 'object') {
+      // Merge per setting so a partial update keeps the others
+      for (const group of ['notifications', 'privacy']) {
+        for (const [setting, value] of Object.entries(preferences[group] || {})) {
+          // Mutes have their own endpoints under /api/notifications
+          if (setting === 'mutes') continue;
+          user.set(`preferences.${group}.${setting}`, value);
+        }
+      }
+    }
 
     // Handle profile picture upload
+    const previousImage = user.profileImage;
     if (req.file) {
       try {
-        const profilePicture = await uploadProfilePicture(req.file, user._id);
-        user.profile.profilePicture = profilePicture;
+        const { url, variants } = await uploadProfilePicture(req.file, user._id);
+        user.profileImage = url;
+        user.profileImageVariants = variants;
       } catch (uploadError) {
         console.error('Profile picture upload error:', uploadError);
         return res.status(400).json({
@@ -257,41 +371,29 @@ export const updateProfile = async (req, res) => {
       }
     }
 
-    // Calculate completion percentage
-    const completionFields = [
-      user.firstName,
-      user.lastName,
-      user.phone,
-      user.location.municipality,
-      user.location.barangay,
-      user.profile.bio,
-      user.profile.profilePicture
-    ];
-    
-    const completedFields = completionFields.filter(field => field && field.length > 0).length;
-    user.profile.completionPercentage = Math.round((completedFields / completionFields.length) * 100);
-
+    // profileCompletion is recomputed by the User pre-save hook
     await user.save();
+    if (req.file) {
+      await deleteOldProfilePicture(previousImage);
+    }
 
     res.json({
       success: true,
       message: 'Profile updated successfully',
       data: {
-        user: {
-          _id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          phone: user.phone,
-          userType: user.userType,
-          location: user.location,
-          profile: user.profile,
-          preferences: user.preferences
-        }
+        user: toUserResponse(user)
       }
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
     console.error('Update profile error:', error);
     res.status(500).json({
       success: false,
@@ -329,9 +431,9 @@ export const changePassword = async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user._id).select('+password');
+    const user = await User.findById(req.user.userId).select('+password');
 
-    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    const isMatch = user && await user.comparePassword(currentPassword);
     if (!isMatch) {
       return res.status(400).json({
         success: false,
@@ -339,12 +441,14 @@ export const changePassword = async (req, res) => {
       });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    // Plain value; the User pre-save hook hashes it
+    user.password = newPassword;
 
     await user.save();
 
+    // Sign out every other device; this one stays logged in
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -360,26 +464,61 @@ export const changePassword = async (req, res) => {
   }
 };
 
-// @desc    Refresh token
+// @desc    Rotate the refresh cookie and issue a new access token
 // @route   POST /api/auth/refresh
-// @access  Private
+// @access  Public (refresh cookie)
 export const refreshToken = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
-    
-    if (!user) {
-      return res.status(404).json({
+    const presented = readRefreshCookie(req);
+
+    if (!presented) {
+      return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: 'No refresh token provided'
+      });
+    }
+
+    const result = await Session.rotate(presented, getRequestMeta(req));
+
+    if (result.status === 'reused') {
+      console.warn(`Refresh token reuse detected; revoked session ${result.session._id} for user ${result.session.user}`);
+      await SecurityEvent.record('session_reuse_detected', {
+        user: result.session.user,
+        details: { sessionId: result.session._id }
+      }, req);
+    }
+
+    if (result.status !== 'ok') {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: result.status === 'reused'
+          ? 'Session revoked because its refresh token was reused. Please log in again.'
+          : 'Invalid or expired session. Please log in again.'
       });
     }
 
-    const token = generateToken(user._id);
+    const { session } = result;
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('revoked');
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or deactivated'
+      });
+    }
+
+    setRefreshCookie(res, result.refreshToken, session.expiresAt);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      data: { token }
+      data: {
+        token: signAccessToken(user._id, session._id),
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      }
     });
 
   } catch (error) {
@@ -390,4 +529,552 @@ export const refreshToken = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-}; 
\ No newline at end of file
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session._id.toString() === req.user.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log out one session (e.g. a lost phone)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    if (session._id.toString() === req.user.sessionId) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session logged out'
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log out every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    const count = await Session.revokeAllForUser(req.user.userId, 'logout_all');
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { sessionsRevoked: count }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Verify email address from an emailed link
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await consumeActionLink(token, 'verifyEmail');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid, expired or already used'
+      });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.verifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        email: user.email,
+        isVerified: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationLink(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    const token = await issueActionLink(user, 'resetPassword');
+    await mailer.sendPasswordResetEmail(
+      user,
+      buildActionUrl('resetPassword', token),
+      ACTION_LINKS.resetPassword.expiresInMinutes
+    );
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Set a new password from an emailed reset link
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide all required fields'
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await consumeActionLink(token, 'resetPassword');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid, expired or already used'
+      });
+    }
+
+    // Plain value; the User pre-save hook hashes it
+    user.password = password;
+    user.passwordChangedAt = new Date();
+
+    // Following the link proves the user controls the mailbox
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.verifiedAt = new Date();
+    }
+
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere; a login lockout
+    // no longer protects anything, so it is lifted too
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    await liftAccountLock(req, user, 'password_reset');
+    await SecurityEvent.record('password_reset', { user: user._id, email: user.email }, req);
+
+    try {
+      await mailer.sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Lift a login lockout from the emailed unlock link
+// @route   POST /api/auth/unlock-account
+// @access  Public
+export const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock token is required'
+      });
+    }
+
+    const user = await consumeActionLink(token, 'unlockAccount');
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock link is invalid, expired or already used'
+      });
+    }
+
+    await liftAccountLock(req, user, 'email_link');
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can log in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Send a one-time code to verify a mobile number
+// @route   POST /api/auth/phone/send-otp
+// @access  Private
+export const sendPhoneOtp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+phoneVerification');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Verify the number in the body (e.g. a new one), else the one on the account
+    const phone = normalizePhilippineMobile(req.body.phone || user.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid Philippine mobile number'
+      });
+    }
+
+    if (user.phoneVerified && normalizePhilippineMobile(user.phone) === phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'This phone number is already verified'
+      });
+    }
+
+    const now = Date.now();
+    const pending = user.phoneVerification || {};
+
+    if (pending.lastSentAt && now - pending.lastSentAt.getTime() < OTP_RESEND_COOLDOWN_SECONDS * 1000) {
+      const retryAfter = Math.ceil((OTP_RESEND_COOLDOWN_SECONDS * 1000 - (now - pending.lastSentAt.getTime())) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another code`
+      });
+    }
+
+    // Hourly cap per account, independent of the per-IP limiter
+    const windowOpen = pending.sendWindowStartedAt && now - pending.sendWindowStartedAt.getTime() < 60 * 60 * 1000;
+    const sendCount = windowOpen ? pending.sendCount : 0;
+    if (sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many codes requested. Please try again in an hour.'
+      });
+    }
+
+    const code = generateOtp();
+    user.phoneVerification = {
+      phone,
+      codeHash: hashOtp(code, user._id, phone),
+      expiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+      attempts: 0,
+      lastSentAt: new Date(now),
+      sendCount: sendCount + 1,
+      sendWindowStartedAt: windowOpen ? pending.sendWindowStartedAt : new Date(now)
+    };
+    await user.save({ validateBeforeSave: false });
+
+    await smsGateway.sendVerificationCode(phone, code, OTP_TTL_MINUTES);
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${maskPhone(phone)}`,
+      data: {
+        phone: maskPhone(phone),
+        expiresInSeconds: OTP_TTL_MINUTES * 60,
+        resendAfterSeconds: OTP_RESEND_COOLDOWN_SECONDS
+      }
+    });
+
+  } catch (error) {
+    console.error('Send phone OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Confirm a mobile number with the code sent by SMS
+// @route   POST /api/auth/phone/verify
+// @access  Private
+export const verifyPhoneOtp = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !/^\d+$/.test(String(code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the verification code'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+phoneVerification');
+    const pending = user?.phoneVerification;
+
+    if (!pending?.codeHash) {
+      return res.status(400).json({
+        success: false,
+        message: 'No verification code pending. Please request a new code.'
+      });
+    }
+
+    if (pending.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code has expired. Please request a new code.'
+      });
+    }
+
+    // Spend an attempt before checking the code, in one conditional update, so
+    // parallel guesses cannot share a counter
+    const attempting = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        'phoneVerification.codeHash': pending.codeHash,
+        'phoneVerification.attempts': { $lt: OTP_MAX_ATTEMPTS }
+      },
+      { $inc: { 'phoneVerification.attempts': 1 } },
+      { new: true }
+    ).select('+phoneVerification');
+
+    if (!attempting) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new code.'
+      });
+    }
+
+    if (!isOtpMatch(code, attempting._id, pending.phone, pending.codeHash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect verification code',
+        data: { attemptsRemaining: Math.max(0, OTP_MAX_ATTEMPTS - attempting.phoneVerification.attempts) }
+      });
+    }
+
+    attempting.phone = pending.phone;
+    attempting.phoneVerified = true;
+    attempting.phoneVerifiedAt = new Date();
+    attempting.phoneVerification = undefined;
+    // Tells the User pre-save hook this phone change is the verified one
+    attempting.$locals.phoneConfirmed = true;
+    await attempting.save();
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: {
+        user: toUserResponse(attempting)
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify phone OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during phone verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
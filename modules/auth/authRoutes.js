@@ -1,6 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
+import rateLimit from 'express-rate-limit';
 import { authenticate } from '../../middleware/authMiddleware.js';
 import { validateImageFile } from '../../utils/imageUpload.js';
 import {
@@ -9,8 +10,28 @@ import {
   getMe,
   updateProfile,
   changePassword,
-  refreshToken
+  refreshToken,
+  getSessions,
+  revokeSession,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  sendPhoneOtp,
+  verifyPhoneOtp
 } from './authController.js';
+import {
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} from './twoFactorController.js';
+import { exportMyData, deleteMyAccount, cancelAccountDeletion } from './accountController.js';
 
 const router = express.Router();
 
@@ -32,14 +53,78 @@ const upload = multer({
   }
 });
 
+// Stricter limit for endpoints that send email
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    error: 'Too many email requests, please try again later.'
+  }
+});
+
+// Per-IP limits for phone OTP; per-account limits are enforced in the controller
+const otpSendLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    error: 'Too many verification codes requested, please try again later.'
+  }
+});
+
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: 'Too many verification attempts, please try again later.'
+  }
+});
+
+// Second login step; codes are short, so keep guessing slow
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: 'Too many authentication code attempts, please try again later.'
+  }
+});
+
+// Exports bundle every record and upload the user has, so keep them rare
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: {
+    error: 'Too many data export requests, please try again later.'
+  }
+});
+
 // Public routes
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/login/2fa', twoFactorLimiter, verifyTwoFactorLogin);
+router.post('/refresh', refreshToken);
+router.post('/verify-email', verifyEmail);
+router.post('/forgot-password', emailLimiter, forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/unlock-account', unlockAccount);
 
 // Protected routes
 router.get('/me', authenticate, getMe);
+router.get('/me/export', authenticate, exportLimiter, exportMyData);
+router.delete('/me', authenticate, twoFactorLimiter, deleteMyAccount);
+router.post('/me/cancel-deletion', authenticate, cancelAccountDeletion);
 router.put('/profile', authenticate, upload.single('profilePicture'), updateProfile);
 router.put('/change-password', authenticate, changePassword);
-router.post('/refresh', authenticate, refreshToken);
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
+router.post('/resend-verification', authenticate, emailLimiter, resendVerification);
+router.post('/phone/send-otp', authenticate, otpSendLimiter, sendPhoneOtp);
+router.post('/phone/verify', authenticate, otpVerifyLimiter, verifyPhoneOtp);
+router.get('/2fa', authenticate, getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, twoFactorLimiter, enableTwoFactor);
+router.post('/2fa/backup-codes', authenticate, twoFactorLimiter, regenerateBackupCodes);
+router.post('/2fa/disable', authenticate, twoFactorLimiter, disableTwoFactor);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,102 @@
+import LoginThrottle from '../../models/LoginThrottle.js';
+import SecurityEvent from '../../models/SecurityEvent.js';
+import { issueActionLink, buildActionUrl } from '../../utils/actionLinks.js';
+import mailer from '../../services/mailer.js';
+
+const accountSubject = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Refuse a login attempt while the account or IP is delayed or locked.
+ * Sends the 429 itself and returns true when the attempt must stop.
+ */
+export const rejectIfThrottled = async (req, res, email) => {
+  const throttle = await LoginThrottle.check([
+    { kind: 'account', subject: accountSubject(email) },
+    { kind: 'ip', subject: req.ip }
+  ]);
+
+  if (!throttle.blocked) return false;
+
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    code: throttle.locked ? 'LOGIN_LOCKED' : 'LOGIN_DELAYED',
+    message: throttle.locked
+      ? 'Too many failed login attempts. Login is temporarily locked; check your email for an unlock link or try again later.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter: throttle.retryAfterSeconds
+  });
+  return true;
+};
+
+/**
+ * Email the account owner an unlock link; failures are logged, not thrown
+ */
+const sendUnlockLink = async (user, lockedUntil) => {
+  try {
+    const linkToken = await issueActionLink(user, 'unlockAccount');
+    await mailer.sendAccountLockedEmail(user, buildActionUrl('unlockAccount', linkToken), lockedUntil);
+  } catch (error) {
+    console.error('Unlock email error:', error);
+  }
+};
+
+/**
+ * Count a failed password or second-factor attempt against the account and IP,
+ * logging and notifying when either gets locked
+ * @param {Object} req - Express request
+ * @param {String} email - Email the attempt was made for
+ * @param {Object} user - Matching user document, if the account exists
+ */
+export const recordFailedLogin = async (req, email, user = null) => {
+  const subject = accountSubject(email);
+  const [account, ip] = await Promise.all([
+    LoginThrottle.registerFailure('account', subject),
+    LoginThrottle.registerFailure('ip', req.ip)
+  ]);
+
+  if (account.justLocked) {
+    await SecurityEvent.record('account_locked', {
+      user: user?._id,
+      email: subject,
+      details: { lockedUntil: account.lockedUntil, accountExists: Boolean(user) }
+    }, req);
+
+    if (user) {
+      await sendUnlockLink(user, account.lockedUntil);
+    }
+  }
+
+  if (ip.justLocked) {
+    await SecurityEvent.record('ip_locked', {
+      email: subject,
+      details: { lockedUntil: ip.lockedUntil }
+    }, req);
+  }
+};
+
+/**
+ * Clear the account's failure count after a complete login
+ */
+export const recordSuccessfulLogin = (req, email) => {
+  return LoginThrottle.registerSuccess('account', accountSubject(email));
+};
+
+/**
+ * Lift an account lockout, logging who lifted it when one was in force
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ * @param {String} via - 'email_link', 'password_reset' or 'admin'
+ * @returns {Promise<Boolean>} Whether the account was locked
+ */
+export const unlockAccount = async (req, user, via) => {
+  const wasLocked = await LoginThrottle.unlock('account', accountSubject(user.email));
+  if (wasLocked) {
+    await SecurityEvent.record('account_unlocked', {
+      user: user._id,
+      email: user.email,
+      details: { via, ...(req.user && { by: req.user.userId }) }
+    }, req);
+  }
+  return wasLocked;
+};
@@ -0,0 +1,91 @@
+import jwt from 'jsonwebtoken';
+import Session from '../../models/Session.js';
+
+// Access tokens are short-lived; the refresh cookie keeps the login alive
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
+export const REFRESH_COOKIE_NAME = 'rekomendito_refresh';
+
+// Only the auth routes ever need to see the refresh cookie
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+  path: REFRESH_COOKIE_PATH
+});
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+export const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId.toString(), type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+/**
+ * Device metadata recorded on a session
+ */
+export const getRequestMeta = (req) => ({
+  userAgent: req.get('user-agent') || '',
+  ip: req.ip
+});
+
+/**
+ * Read the refresh token from the request cookies
+ */
+export const readRefreshCookie = (req) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === REFRESH_COOKIE_NAME) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+};
+
+/**
+ * Set the httpOnly refresh cookie
+ */
+export const setRefreshCookie = (res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, { ...cookieOptions(), expires: expiresAt });
+};
+
+/**
+ * Clear the refresh cookie
+ */
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, cookieOptions());
+};
+
+/**
+ * Start a session for a user who just logged in or registered: sets the refresh
+ * cookie and returns the access token payload for the response body
+ * @returns {Promise<Object>} { token, expiresIn, sessionId }
+ */
+export const startSession = async (req, res, user) => {
+  const { session, refreshToken } = await Session.start(user._id, getRequestMeta(req));
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session._id
+  };
+};
+
+export default {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_COOKIE_NAME,
+  signAccessToken,
+  getRequestMeta,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+  startSession
+};
@@ -0,0 +1,378 @@
+import jwt from 'jsonwebtoken';
+import User from '../../models/User.js';
+import Session from '../../models/Session.js';
+import SecurityEvent from '../../models/SecurityEvent.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  sealTotpSecret,
+  openTotpSecret,
+  hashBackupCode,
+  generateBackupCodes
+} from '../../utils/totp.js';
+import { isTwoFactorRequired } from '../../config/permissions.js';
+import { startSession } from './sessionCookies.js';
+import { toUserResponse } from './userResponse.js';
+import { rejectIfThrottled, recordFailedLogin, recordSuccessfulLogin } from './loginProtection.js';
+
+// Time allowed between the password step and the code step of a login
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Short-lived challenge returned by the password step when 2FA is on
+ */
+export const issueLoginChallenge = (user) => {
+  return jwt.sign(
+    { sub: user._id.toString(), type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_TTL_SECONDS }
+  );
+};
+
+/**
+ * Check a TOTP or backup code against an enrolled user (loaded with +twoFactor).
+ * The TOTP step or backup code is consumed with a conditional update, so two
+ * requests racing with the same code cannot both succeed; the user document is
+ * brought in line without leaving anything for the caller's save to write.
+ * @returns {Promise<String|null>} 'totp', 'backup_code' or null when the code is wrong or already used
+ */
+export const checkSecondFactor = async (user, code) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor?.secret || !code) return null;
+
+  const step = verifyTotp(openTotpSecret(twoFactor.secret), code, twoFactor.lastUsedStep);
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (modifiedCount === 0) return null;
+
+    twoFactor.lastUsedStep = step;
+    user.unmarkModified('twoFactor.lastUsedStep');
+    return 'totp';
+  }
+
+  // Codes issued before backup codes were keyed on the 2FA secret still match
+  const hashes = [...new Set([hashBackupCode(code), hashBackupCode(code, process.env.JWT_SECRET)])];
+  const backupCode = twoFactor.backupCodes.find(entry => hashes.includes(entry.hash) && !entry.usedAt);
+  if (backupCode) {
+    const usedAt = new Date();
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': { $elemMatch: { hash: backupCode.hash, usedAt: null } } },
+      { $set: { 'twoFactor.backupCodes.$[match].usedAt': usedAt } },
+      { arrayFilters: [{ 'match.hash': backupCode.hash, 'match.usedAt': null }] }
+    );
+    if (modifiedCount === 0) return null;
+
+    backupCode.usedAt = usedAt;
+    user.unmarkModified(`twoFactor.backupCodes.${twoFactor.backupCodes.indexOf(backupCode)}.usedAt`);
+    return 'backup_code';
+  }
+
+  return null;
+};
+
+const remainingBackupCodes = (user) => user.twoFactor.backupCodes.filter(entry => !entry.usedAt).length;
+
+// @desc    Complete a login with a TOTP or backup code
+// @route   POST /api/auth/login/2fa
+// @access  Public (login challenge)
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challenge, code } = req.body;
+
+    if (!challenge || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the login challenge and a code'
+      });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(challenge, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      payload = null;
+    }
+
+    if (!payload || payload.type !== '2fa_challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(payload.sub).select('+twoFactor');
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please log in again.'
+      });
+    }
+
+    // Code guesses count against the same account and IP limits as passwords
+    if (await rejectIfThrottled(req, res, user.email)) return;
+
+    const method = await checkSecondFactor(user, code);
+    if (!method) {
+      await recordFailedLogin(req, user.email, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+    await recordSuccessfulLogin(req, user.email);
+
+    const auth = await startSession(req, res, user);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: toUserResponse(user),
+        token: auth.token,
+        expiresIn: auth.expiresIn,
+        ...(method === 'backup_code' && { backupCodesRemaining: remainingBackupCodes(user) })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Start 2FA enrollment: returns an otpauth URI for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Restarting setup replaces any earlier unconfirmed secret
+    const secret = generateTotpSecret();
+    user.twoFactor = { pendingSecret: sealTotpSecret(secret) };
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        otpauthUri: buildOtpauthUri(secret, user.email),
+        // For typing into apps that cannot scan
+        manualEntry: secret
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Confirm enrollment with a first code; returns backup codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.userId).select('+twoFactor');
+
+    if (!user?.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = openTotpSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor = {
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      backupCodes: hashes.map(hash => ({ hash }))
+    };
+    user.twoFactorEnabled = true;
+    await user.save({ validateBeforeSave: false });
+
+    // Sessions opened with only a password end here
+    await Session.revokeAllForUser(user._id, 'revoked', req.user.sessionId);
+    await SecurityEvent.record('two_factor_enabled', { user: user._id, email: user.email }, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they are shown only once.',
+      data: { backupCodes: codes }
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Replace backup codes (requires a current code)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.userId).select('+twoFactor');
+
+    if (!user?.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await checkSecondFactor(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes.map(hash => ({ hash }));
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated; the old ones no longer work',
+      data: { backupCodes: codes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Turn off 2FA (requires password and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.userId).select('+password +twoFactor');
+
+    if (!user?.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin and staff accounts'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password)) || !(await checkSecondFactor(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactor = undefined;
+    await user.save({ validateBeforeSave: false });
+    await SecurityEvent.record('two_factor_disabled', { user: user._id, email: user.email }, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    2FA status for the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        backupCodesRemaining: user.twoFactorEnabled ? remainingBackupCodes(user) : 0,
+        required: isTwoFactorRequired(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,43 @@
+import { computeProfileCompleteness } from '../../utils/profileCompleteness.js';
+import { getUserRoles, getRolePermissions } from '../../config/permissions.js';
+
+/**
+ * The one user shape returned by register, login, getMe and updateProfile
+ * @param {Object} user - User document
+ * @returns {Object} Public user fields plus profile completeness
+ */
+export const toUserResponse = (user) => ({
+  _id: user._id,
+  name: user.name,
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  email: user.email,
+  phone: user.phone || null,
+  phoneVerified: Boolean(user.phoneVerified),
+  role: user.role,
+  staffRoles: user.staffRoles || [],
+  // Role-wide permissions; ownership-based ones are decided per resource
+  permissions: getRolePermissions(getUserRoles(user)),
+  profileImage: user.profileImage,
+  profileImageVariants: user.profileImageVariants || [],
+  profile: {
+    bio: user.profile?.bio || '',
+    skills: user.profile?.skills || []
+  },
+  location: {
+    municipality: user.location?.municipality || null,
+    barangay: user.location?.barangay || null,
+    coordinates: user.location?.coordinates?.latitude != null ? user.location.coordinates : null
+  },
+  isVerified: user.isVerified,
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  preferences: user.preferences,
+  deletionScheduledFor: user.deletion?.scheduledFor || null,
+  profileCompleteness: computeProfileCompleteness(user),
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+export default {
+  toUserResponse
+};
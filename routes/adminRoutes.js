@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 
 import {
   getHighlights,
@@ -8,10 +8,25 @@ import {
   updateHighlight,
   getDashboardStats,
   verifyProvider,
-  getPendingVerifications
+  getPendingVerifications,
+  getRoles,
+  getUsers,
+  updateUserRoles,
+  getSecurityEvents,
+  unlockUser
 } from '../controllers/adminController.js';
 
-import { authenticate, requireAdmin } from '../middleware/authMiddleware.js';
+import {
+  getAllCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from '../controllers/categoryController.js';
+
+import { authenticate, requireTwoFactorEnrollment } from '../middleware/authMiddleware.js';
+import { can } from '../middleware/permissions.js';
+import { ACCOUNT_ROLES, STAFF_ROLES } from '../config/permissions.js';
+import { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
 
 const router = express.Router();
 
@@ -51,49 +66,133 @@ const createHighlightValidation = [
     .withMessage('Valid end date is required')
 ];
 
+const categoryValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage('Category name must be between 2 and 60 characters'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID'),
+
+  body('synonyms')
+    .optional()
+    .isArray()
+    .withMessage('Synonyms must be an array of terms'),
+
+  body('synonyms.*')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Each synonym must be between 1 and 60 characters'),
+
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 40 })
+    .withMessage('Icon must not exceed 40 characters'),
+
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Active flag must be boolean')
+];
+
+const updateUserRolesValidation = [
+  body('role')
+    .optional()
+    .isIn(ACCOUNT_ROLES)
+    .withMessage(`Role must be one of: ${ACCOUNT_ROLES.join(', ')}`),
+
+  body('staffRoles')
+    .optional()
+    .isArray()
+    .withMessage('Staff roles must be an array'),
+
+  body('staffRoles.*')
+    .isIn(STAFF_ROLES)
+    .withMessage(`Staff roles must be among: ${STAFF_ROLES.join(', ')}`),
+
+  body()
+    .custom(value => value.role !== undefined || value.staffRoles !== undefined)
+    .withMessage('Provide role or staffRoles')
+];
+
+const securityEventsValidation = [
+  query('type')
+    .optional()
+    .custom(value => value.split(',').every(type => SECURITY_EVENT_TYPES.includes(type)))
+    .withMessage(`Type must be among: ${SECURITY_EVENT_TYPES.join(', ')}`),
+
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('User must be a valid user ID'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
 // Routes
 
+/**
+ * @route   GET /api/admin/public-highlights
+ * @desc    Get current active highlights for public display
+ * @access  Public
+ */
+router.get('/public-highlights', getPublicHighlights);
+
+// Everything below is the admin area: signed in, with two-factor authentication enabled
+router.use(authenticate, requireTwoFactorEnrollment);
+
 /**
  * @route   GET /api/admin/highlights
  * @desc    Get all highlights (admin view)
- * @access  Private (Admin only)
+ * @access  Private (Admin, moderator)
  */
-router.get('/highlights', authenticate, requireAdmin, getHighlights);
+router.get('/highlights', can('highlight:manage'), getHighlights);
 
 /**
  * @route   POST /api/admin/highlights
  * @desc    Create new highlight
- * @access  Private (Admin only)
+ * @access  Private (Admin, moderator)
  */
-router.post('/highlights', authenticate, requireAdmin, createHighlightValidation, createHighlight);
+router.post('/highlights', can('highlight:manage'), createHighlightValidation, createHighlight);
 
 /**
  * @route   PUT /api/admin/highlights/:id
  * @desc    Update highlight
- * @access  Private (Admin only)
- */
-router.put('/highlights/:id', authenticate, requireAdmin, updateHighlight);
-
-/**
- * @route   GET /api/admin/public-highlights
- * @desc    Get current active highlights for public display
- * @access  Public
+ * @access  Private (Admin, moderator)
  */
-router.get('/public-highlights', getPublicHighlights);
+router.put('/highlights/:id', can('highlight:manage'), updateHighlight);
 
 /**
  * @route   GET /api/admin/stats
  * @desc    Get admin dashboard statistics
- * @access  Private (Admin only)
+ * @access  Private (Admin, staff)
  */
-router.get('/stats', authenticate, requireAdmin, getDashboardStats);
+router.get('/stats', can('admin:view_stats'), getDashboardStats);
 
 /**
  * @route   POST /api/admin/verify-provider/:id
  * @desc    Verify or unverify provider
- * @access  Private (Admin only)
+ * @access  Private (Admin, verifier)
  */
-router.post('/verify-provider/:id', authenticate, requireAdmin, [
+router.post('/verify-provider/:id', can('provider:verify'), [
   body('verified')
     .isBoolean()
     .withMessage('Verified status must be boolean'),
@@ -107,8 +206,77 @@ router.post('/verify-provider/:id', authenticate, requireAdmin, [
 /**
  * @route   GET /api/admin/pending-verifications
  * @desc    Get providers pending verification
+ * @access  Private (Admin, verifier)
+ */
+router.get('/pending-verifications', can('provider:verify'), getPendingVerifications);
+
+/**
+ * @route   GET /api/admin/categories
+ * @desc    Get all service categories, including inactive ones
  * @access  Private (Admin only)
  */
-router.get('/pending-verifications', authenticate, requireAdmin, getPendingVerifications);
+router.get('/categories', can('category:manage'), getAllCategories);
+
+/**
+ * @route   POST /api/admin/categories
+ * @desc    Create category or subcategory
+ * @access  Private (Admin only)
+ */
+router.post('/categories', can('category:manage'), [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Category name is required'),
+  ...categoryValidation
+], createCategory);
+
+/**
+ * @route   PUT /api/admin/categories/:id
+ * @desc    Update category (renames carry over to providers and jobs)
+ * @access  Private (Admin only)
+ */
+router.put('/categories/:id', can('category:manage'), categoryValidation, updateCategory);
+
+/**
+ * @route   DELETE /api/admin/categories/:id
+ * @desc    Delete unused category
+ * @access  Private (Admin only)
+ */
+router.delete('/categories/:id', can('category:manage'), deleteCategory);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles and the permissions they grant
+ * @access  Private (Admin, support)
+ */
+router.get('/roles', can('user:read'), getRoles);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users with their roles (filter by role, staffRole, search)
+ * @access  Private (Admin, support)
+ */
+router.get('/users', can('user:read'), getUsers);
+
+/**
+ * @route   PUT /api/admin/users/:id/roles
+ * @desc    Assign account role and staff roles
+ * @access  Private (Admin only)
+ */
+router.put('/users/:id/roles', can('user:assign_roles'), updateUserRolesValidation, updateUserRoles);
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Lift a login lockout on an account
+ * @access  Private (Admin, support)
+ */
+router.post('/users/:id/unlock', can('user:unlock'), unlockUser);
+
+/**
+ * @route   GET /api/admin/security-events
+ * @desc    Query the security event log (filter by type, user, email, ip, from, to)
+ * @access  Private (Admin, support)
+ */
+router.get('/security-events', can('security:read'), securityEventsValidation, getSecurityEvents);
 
-export default router; 
\ No newline at end of file
+export default router;
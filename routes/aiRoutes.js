@@ -1,6 +1,5 @@
 import express from 'express';
 import { body } from 'express-validator';
-import multer from 'multer';
 
 import {
   extractTags,
@@ -13,21 +12,13 @@ import {
 } from '../controllers/aiController.js';
 
 import { authenticate, optionalAuth } from '../middleware/authMiddleware.js';
+import { can, loadJob, loadProvider } from '../middleware/permissions.js';
+import { acceptUploads } from '../middleware/uploads.js';
 
 const router = express.Router();
 
-// Configure multer for image uploads
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
-});
+// Images to analyze; checked by contents and stripped of metadata before they reach the AI
+const uploadImages = acceptUploads('images', { maxFiles: 5, kinds: ['image'] });
 
 // Validation rules
 const extractTagsValidation = [
@@ -105,7 +96,7 @@ router.post('/enhance-profile', authenticate, enhanceProfileValidation, enhanceP
  * @desc    Match job with providers using AI
  * @access  Private
  */
-router.post('/match-job', authenticate, matchJobValidation, matchJob);
+router.post('/match-job', authenticate, matchJobValidation, can('job:match', loadJob), matchJob);
 
 /**
  * @route   POST /api/ai/generate-job-tags
@@ -126,14 +117,14 @@ router.get('/recommend-providers', optionalAuth, recommendProviders);
  * @desc    Get AI insights for provider profile optimization
  * @access  Private (Provider owner)
  */
-router.get('/profile-insights/:providerId', authenticate, getProfileInsights);
+router.get('/profile-insights/:providerId', authenticate, can('provider:view_insights', loadProvider), getProfileInsights);
 
 /**
  * @route   POST /api/ai/analyze-project
  * @desc    Analyze project with images using Gemini AI
  * @access  Public
  */
-router.post('/analyze-project', upload.array('images', 5), analyzeProject);
+router.post('/analyze-project', uploadImages, analyzeProject);
 
 // Mock AI responses for quality-focused features
 // In production, these would integrate with OpenAI or similar services
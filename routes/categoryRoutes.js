@@ -0,0 +1,26 @@
+import express from 'express';
+
+import {
+  getCategories,
+  resolveCategoryTerm
+} from '../controllers/categoryController.js';
+
+const router = express.Router();
+
+// Routes
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get active service categories with subcategories
+ * @access  Public
+ */
+router.get('/', getCategories);
+
+/**
+ * @route   GET /api/categories/resolve
+ * @desc    Resolve a term or synonym (e.g. "tubero") to its category
+ * @access  Public
+ */
+router.get('/resolve', resolveCategoryTerm);
+
+export default router;
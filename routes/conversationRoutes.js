@@ -0,0 +1,99 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+
+import {
+  startConversation,
+  getConversations,
+  getUnreadCount,
+  getMessages,
+  sendMessage,
+  markConversationRead
+} from '../controllers/conversationController.js';
+
+import { authenticate } from '../middleware/authMiddleware.js';
+import { can, loadConversation } from '../middleware/permissions.js';
+import { acceptUploads } from '../middleware/uploads.js';
+import { MAX_MESSAGE_LENGTH, MAX_MESSAGE_ATTACHMENTS } from '../models/Message.js';
+
+const router = express.Router();
+
+// Message images, checked by contents when saved
+const uploadImages = acceptUploads('images', { maxFiles: MAX_MESSAGE_ATTACHMENTS, kinds: ['image'] });
+
+// Validation rules
+const startConversationValidation = [
+  body('jobId')
+    .isMongoId()
+    .withMessage('Valid job ID is required'),
+
+  body('providerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Provider ID must be valid')
+];
+
+const getMessagesValidation = [
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('Before must be an ISO 8601 date'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const sendMessageValidation = [
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ max: MAX_MESSAGE_LENGTH })
+    .withMessage(`Message must not exceed ${MAX_MESSAGE_LENGTH} characters`)
+];
+
+// Routes
+
+/**
+ * @route   POST /api/conversations
+ * @desc    Start or reopen a conversation about a job
+ * @access  Private (Job owner, provider who applied or was invited)
+ */
+router.post('/', authenticate, can('conversation:start'), startConversationValidation, startConversation);
+
+/**
+ * @route   GET /api/conversations
+ * @desc    Get my conversations with unread counts
+ * @access  Private
+ */
+router.get('/', authenticate, getConversations);
+
+/**
+ * @route   GET /api/conversations/unread-count
+ * @desc    Get my total unread message count
+ * @access  Private
+ */
+router.get('/unread-count', authenticate, getUnreadCount);
+
+/**
+ * @route   GET /api/conversations/:id/messages
+ * @desc    Get messages in a conversation, newest first
+ * @access  Private (Participants, moderator)
+ */
+router.get('/:id/messages', authenticate, can('conversation:read', loadConversation), getMessagesValidation, getMessages);
+
+/**
+ * @route   POST /api/conversations/:id/messages
+ * @desc    Send a message with up to four images
+ * @access  Private (Participants)
+ */
+router.post('/:id/messages', authenticate, can('conversation:send', loadConversation), uploadImages, sendMessageValidation, sendMessage);
+
+/**
+ * @route   POST /api/conversations/:id/read
+ * @desc    Mark the other side's messages as read
+ * @access  Private (Participants)
+ */
+router.post('/:id/read', authenticate, can('conversation:send', loadConversation), markConversationRead);
+
+export default router;
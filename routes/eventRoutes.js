@@ -0,0 +1,17 @@
+import express from 'express';
+
+import { streamEvents } from '../controllers/eventController.js';
+import { authenticate, allowQueryToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Routes
+
+/**
+ * @route   GET /api/events
+ * @desc    Stream my job, application and message events (Server-Sent Events)
+ * @access  Private (Bearer header, or ?access_token= for EventSource)
+ */
+router.get('/', allowQueryToken, authenticate, streamEvents);
+
+export default router;
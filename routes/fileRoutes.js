@@ -0,0 +1,16 @@
+import express from 'express';
+
+import { serveFile } from '../controllers/fileController.js';
+
+const router = express.Router();
+
+// Routes
+
+/**
+ * @route   GET /api/files/:key
+ * @desc    Download a private file through a signed, expiring URL
+ * @access  Public (signature required)
+ */
+router.get('/*', serveFile);
+
+export default router;
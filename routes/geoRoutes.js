@@ -0,0 +1,69 @@
+import express from 'express';
+import { query } from 'express-validator';
+
+import {
+  getMunicipalityList,
+  getMunicipalityBarangays,
+  reverseGeocodeLocation,
+  getRoadRoute
+} from '../controllers/geoController.js';
+import { isWithinBataan } from '../utils/geo.js';
+
+const router = express.Router();
+
+// Validation rules
+const reverseGeocodeValidation = [
+  query('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  
+  query('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required')
+];
+
+const routeValidation = [
+  query(['fromLat', 'toLat'])
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  
+  query(['fromLng', 'toLng'])
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+  
+  query('fromLat')
+    .custom((value, { req }) => isWithinBataan(value, req.query.fromLng) && isWithinBataan(req.query.toLat, req.query.toLng))
+    .withMessage('Both points must be on land within Bataan')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/geo/municipalities
+ * @desc    Get Bataan municipalities with PSGC codes and centroids
+ * @access  Public
+ */
+router.get('/municipalities', getMunicipalityList);
+
+/**
+ * @route   GET /api/geo/municipalities/:code/barangays
+ * @desc    Get barangays of a municipality by PSGC code or name
+ * @access  Public
+ */
+router.get('/municipalities/:code/barangays', getMunicipalityBarangays);
+
+/**
+ * @route   GET /api/geo/reverse
+ * @desc    Resolve lat/lng to barangay and municipality
+ * @access  Public
+ */
+router.get('/reverse', reverseGeocodeValidation, reverseGeocodeLocation);
+
+/**
+ * @route   GET /api/geo/route
+ * @desc    Road distance and ETA between two points in Bataan
+ * @access  Public
+ */
+router.get('/route', routeValidation, getRoadRoute);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 
 import {
   createJob,
@@ -10,18 +10,74 @@ import {
   completeJob,
   getJobSuggestions,
   updateJob,
-  deleteJob
+  deleteJob,
+  publishJob,
+  disputeJob,
+  resolveDispute,
+  repostJob
 } from '../controllers/jobController.js';
 
+import {
+  getMilestones,
+  proposeMilestonePlan,
+  agreeMilestonePlan,
+  submitMilestone,
+  approveMilestone,
+  rejectMilestone
+} from '../controllers/milestoneController.js';
+
+import {
+  inviteProviders,
+  getJobInvitations,
+  getMyInvitations,
+  declineInvitation
+} from '../controllers/invitationController.js';
+
+import {
+  getApplicationInbox,
+  withdrawApplication,
+  shortlistApplication,
+  rejectApplication
+} from '../controllers/applicationController.js';
+
+import {
+  getNegotiation,
+  counterOffer,
+  reviseOffer,
+  agreeToCounterOffer,
+  declineCounterOffer
+} from '../controllers/negotiationController.js';
+
+import {
+  uploadJobAttachments,
+  getJobAttachment,
+  deleteJobAttachment
+} from '../controllers/attachmentController.js';
+
 import { 
   authenticate, 
-  requireClient,
-  requireProvider,
+  requireVerified,
   optionalAuth 
 } from '../middleware/authMiddleware.js';
+import { can, loadJob } from '../middleware/permissions.js';
+import { acceptUploads } from '../middleware/uploads.js';
+import { resolveCategory, isActiveCategory } from '../middleware/validateCategory.js';
+import {
+  canonicalMunicipality,
+  isKnownMunicipality,
+  canonicalBarangay,
+  isKnownBarangay,
+  isOnLandInBataan
+} from '../middleware/validateLocation.js';
+import { APPLICATION_STATUSES, INVITATION_STATUSES, JOB_VISIBILITIES } from '../config/jobLifecycle.js';
+import { APPLICATION_SORT_FIELDS } from '../services/applications.js';
+import { JOB_ATTACHMENT_KINDS, JOB_ATTACHMENT_QUOTA } from '../config/uploads.js';
 
 const router = express.Router();
 
+// Job attachments, checked by contents and against the job's quota when saved
+const uploadAttachments = acceptUploads('files', { maxFiles: JOB_ATTACHMENT_QUOTA.maxFiles, kinds: JOB_ATTACHMENT_KINDS });
+
 // Validation rules
 const createJobValidation = [
   body('title')
@@ -35,11 +91,8 @@ const createJobValidation = [
     .withMessage('Job description must be between 20 and 2000 characters'),
   
   body('category')
-    .isIn([
-      'Construction', 'Electrical', 'Plumbing', 'Carpentry', 'Painting',
-      'Roofing', 'Landscaping', 'Cleaning', 'HVAC', 'Solar Installation',
-      'Renovation', 'Masonry', 'Welding', 'Interior Design', 'Security Systems', 'Other'
-    ])
+    .customSanitizer(resolveCategory)
+    .custom(isActiveCategory)
     .withMessage('Invalid job category'),
   
   body('location.address')
@@ -47,14 +100,43 @@ const createJobValidation = [
     .notEmpty()
     .withMessage('Job address is required'),
   
+  // With coordinates the barangay is filled in from the boundary data instead
+  body('location.coordinates')
+    .optional()
+    .custom(isOnLandInBataan),
+  
+  // Municipality is sanitized first so the barangay check sees the canonical name
+  body('location.municipality')
+    .if(body('location.coordinates').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Municipality is required')
+    .bail()
+    .customSanitizer(canonicalMunicipality)
+    .custom(isKnownMunicipality),
+  
   body('location.barangay')
+    .if(body('location.coordinates').not().exists())
     .trim()
     .notEmpty()
-    .withMessage('Barangay is required'),
+    .withMessage('Barangay is required')
+    .bail()
+    .customSanitizer(canonicalBarangay)
+    .custom(isKnownBarangay),
   
   body('timeline.startDate')
     .isISO8601()
-    .withMessage('Valid start date is required')
+    .withMessage('Valid start date is required'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'active'])
+    .withMessage('New jobs start as draft or active'),
+
+  body('visibility')
+    .optional()
+    .isIn(JOB_VISIBILITIES)
+    .withMessage('Visibility must be public or private')
 ];
 
 const applyJobValidation = [
@@ -74,14 +156,220 @@ const applyJobValidation = [
     .withMessage('Estimated duration is required')
 ];
 
+const updateJobValidation = [
+  body('category')
+    .optional()
+    .customSanitizer(resolveCategory)
+    .custom(isActiveCategory)
+    .withMessage('Invalid job category'),
+  
+  body('location.coordinates')
+    .optional()
+    .custom(isOnLandInBataan),
+  
+  // A location change without coordinates must name both parts so the pair can be checked
+  body('location.municipality')
+    .if(body('location').exists())
+    .if(body('location.coordinates').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Municipality is required')
+    .bail()
+    .customSanitizer(canonicalMunicipality)
+    .custom(isKnownMunicipality),
+  
+  body('location.barangay')
+    .if(body('location').exists())
+    .if(body('location.coordinates').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Barangay is required')
+    .bail()
+    .customSanitizer(canonicalBarangay)
+    .custom(isKnownBarangay),
+
+  body('visibility')
+    .optional()
+    .isIn(JOB_VISIBILITIES)
+    .withMessage('Visibility must be public or private')
+];
+
+const disputeValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters')
+];
+
+const cancelJobValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+const resolveDisputeValidation = [
+  body('status')
+    .isIn(['in_progress', 'completed', 'canceled'])
+    .withMessage('Status must be in_progress, completed or canceled'),
+  ...disputeValidation
+];
+
+const repostJobValidation = [
+  body('timeline.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required')
+];
+
+const milestonePlanValidation = [
+  body('milestones')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Provide between 1 and 20 milestones'),
+
+  body('milestones.*.title')
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Milestone title must be between 3 and 150 characters'),
+
+  body('milestones.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Milestone amount must be a positive number')
+    .toFloat(),
+
+  body('milestones.*.dueDate')
+    .isISO8601()
+    .withMessage('Valid milestone due date is required'),
+
+  body('milestones.*.acceptanceCriteria')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Acceptance criteria must be between 10 and 1000 characters')
+];
+
+const milestoneNotesValidation = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+const offerMessageValidation = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message must not exceed 1000 characters')
+];
+
+const offerValidation = [
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number')
+    .toFloat(),
+
+  body('duration')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Duration must be between 1 and 100 characters'),
+
+  body('scope')
+    .optional()
+    .trim()
+    .isLength({ min: 20, max: 2000 })
+    .withMessage('Scope must be between 20 and 2000 characters'),
+
+  ...offerMessageValidation
+];
+
+const applicationInboxValidation = [
+  query('status')
+    .optional()
+    .custom(value => value === 'all' || value.split(',').every(status => APPLICATION_STATUSES.includes(status)))
+    .withMessage(`Status must be all or among: ${APPLICATION_STATUSES.join(', ')}`),
+
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5'),
+
+  query('maxQuote')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum quote must be a positive number'),
+
+  query('sortBy')
+    .optional()
+    .isIn(APPLICATION_SORT_FIELDS)
+    .withMessage(`Sort by must be one of: ${APPLICATION_SORT_FIELDS.join(', ')}`),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const applicationReasonValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+const inviteProvidersValidation = [
+  body('providerIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Provide between 1 and 20 provider IDs'),
+
+  body('providerIds.*')
+    .isMongoId()
+    .withMessage('Provider IDs must be valid'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message must not exceed 1000 characters')
+];
+
+const attachmentValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+];
+
+const myInvitationsValidation = [
+  query('status')
+    .optional()
+    .isIn(INVITATION_STATUSES)
+    .withMessage(`Status must be one of: ${INVITATION_STATUSES.join(', ')}`)
+];
+
 // Routes
 
 /**
  * @route   POST /api/jobs
  * @desc    Create new job request
- * @access  Private (Client)
+ * @access  Private (Verified client)
  */
-router.post('/', authenticate, requireClient, createJobValidation, createJob);
+router.post('/', authenticate, can('job:create'), requireVerified, createJobValidation, createJob);
 
 /**
  * @route   GET /api/jobs
@@ -90,6 +378,13 @@ router.post('/', authenticate, requireClient, createJobValidation, createJob);
  */
 router.get('/', optionalAuth, getJobs);
 
+/**
+ * @route   GET /api/jobs/invitations
+ * @desc    Get the job invitations the current provider has received
+ * @access  Private (Provider)
+ */
+router.get('/invitations', authenticate, can('job:apply'), myInvitationsValidation, getMyInvitations);
+
 /**
  * @route   GET /api/jobs/:id
  * @desc    Get single job by ID
@@ -100,43 +395,230 @@ router.get('/:id', authenticate, getJobById);
 /**
  * @route   POST /api/jobs/:id/apply
  * @desc    Apply for a job (Provider only)
- * @access  Private (Provider)
+ * @access  Private (Verified provider)
  */
-router.post('/:id/apply', authenticate, requireProvider, applyJobValidation, applyForJob);
+router.post('/:id/apply', authenticate, can('job:apply'), requireVerified, applyJobValidation, applyForJob);
 
 /**
  * @route   POST /api/jobs/:id/accept/:applicationId
- * @desc    Accept job application (Client only)
- * @access  Private (Client)
+ * @desc    Accept job application on its latest agreed terms (Client only)
+ * @access  Private (Job owner)
  */
-router.post('/:id/accept/:applicationId', authenticate, acceptApplication);
+router.post('/:id/accept/:applicationId', authenticate, can('job:accept', loadJob), acceptApplication);
 
 /**
  * @route   POST /api/jobs/:id/complete
  * @desc    Complete job (Client only)
- * @access  Private (Client)
+ * @access  Private (Job owner)
  */
-router.post('/:id/complete', authenticate, completeJob);
+router.post('/:id/complete', authenticate, can('job:complete', loadJob), completeJob);
 
 /**
  * @route   GET /api/jobs/:id/suggestions
  * @desc    Get AI suggestions for a job
- * @access  Private (Job owner)
+ * @access  Private (Job owner, support)
  */
-router.get('/:id/suggestions', authenticate, getJobSuggestions);
+router.get('/:id/suggestions', authenticate, can('job:view_suggestions', loadJob), getJobSuggestions);
 
 /**
  * @route   PUT /api/jobs/:id
  * @desc    Update job request
+ * @access  Private (Job owner, moderator)
+ */
+router.put('/:id', authenticate, can('job:update', loadJob), updateJobValidation, updateJob);
+
+/**
+ * @route   POST /api/jobs/:id/attachments
+ * @desc    Upload photos, documents or videos to a job (multipart field "files")
+ * @access  Private (Job owner, moderator)
+ */
+router.post('/:id/attachments', authenticate, can('job:update', loadJob), uploadAttachments, attachmentValidation, uploadJobAttachments);
+
+/**
+ * @route   GET /api/jobs/:id/attachments/:attachmentId
+ * @desc    Get a fresh signed download URL for a job attachment
+ * @access  Private (Anyone who can see the job)
+ */
+router.get('/:id/attachments/:attachmentId', authenticate, getJobAttachment);
+
+/**
+ * @route   DELETE /api/jobs/:id/attachments/:attachmentId
+ * @desc    Remove an attachment from a job
+ * @access  Private (Job owner, moderator)
+ */
+router.delete('/:id/attachments/:attachmentId', authenticate, can('job:update', loadJob), deleteJobAttachment);
+
+/**
+ * @route   POST /api/jobs/:id/publish
+ * @desc    Publish a draft job
+ * @access  Private (Job owner, moderator)
+ */
+router.post('/:id/publish', authenticate, can('job:update', loadJob), requireVerified, publishJob);
+
+/**
+ * @route   POST /api/jobs/:id/dispute
+ * @desc    Dispute a job in progress
+ * @access  Private (Job owner, hired provider)
+ */
+router.post('/:id/dispute', authenticate, can('job:dispute', loadJob), disputeValidation, disputeJob);
+
+/**
+ * @route   POST /api/jobs/:id/resolve-dispute
+ * @desc    Settle a disputed job
+ * @access  Private (Admin, moderator)
+ */
+router.post('/:id/resolve-dispute', authenticate, can('job:resolve_dispute', loadJob), resolveDisputeValidation, resolveDispute);
+
+/**
+ * @route   POST /api/jobs/:id/repost
+ * @desc    Post a fresh copy of an expired job
+ * @access  Private (Verified job owner)
+ */
+router.post('/:id/repost', authenticate, can('job:repost', loadJob), requireVerified, repostJobValidation, repostJob);
+
+/**
+ * @route   GET /api/jobs/:id/milestones
+ * @desc    Get the milestone plan and progress
+ * @access  Private (Job owner, hired provider, moderator)
+ */
+router.get('/:id/milestones', authenticate, can('job:milestones', loadJob), getMilestones);
+
+/**
+ * @route   PUT /api/jobs/:id/milestones
+ * @desc    Propose the milestone plan (replaces an unagreed proposal)
+ * @access  Private (Job owner, hired provider)
+ */
+router.put('/:id/milestones', authenticate, can('job:milestones', loadJob), milestonePlanValidation, proposeMilestonePlan);
+
+/**
+ * @route   POST /api/jobs/:id/milestones/agree
+ * @desc    Agree to the milestone plan the other party proposed
+ * @access  Private (Job owner, hired provider)
+ */
+router.post('/:id/milestones/agree', authenticate, can('job:milestones', loadJob), agreeMilestonePlan);
+
+/**
+ * @route   POST /api/jobs/:id/milestones/:milestoneId/submit
+ * @desc    Submit a milestone for review
+ * @access  Private (Hired provider)
+ */
+router.post('/:id/milestones/:milestoneId/submit', authenticate, can('job:milestones', loadJob), milestoneNotesValidation, submitMilestone);
+
+/**
+ * @route   POST /api/jobs/:id/milestones/:milestoneId/approve
+ * @desc    Approve a submitted milestone
  * @access  Private (Job owner)
  */
-router.put('/:id', authenticate, updateJob);
+router.post('/:id/milestones/:milestoneId/approve', authenticate, can('job:milestones', loadJob), milestoneNotesValidation, approveMilestone);
 
 /**
- * @route   DELETE /api/jobs/:id
- * @desc    Delete job request
+ * @route   POST /api/jobs/:id/milestones/:milestoneId/reject
+ * @desc    Reject a submitted milestone with notes
+ * @access  Private (Job owner)
+ */
+router.post('/:id/milestones/:milestoneId/reject', authenticate, can('job:milestones', loadJob), [
+  body('notes')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Rejection notes must be between 5 and 1000 characters')
+], rejectMilestone);
+
+/**
+ * @route   POST /api/jobs/:id/invitations
+ * @desc    Invite providers to apply to a job
+ * @access  Private (Job owner)
+ */
+router.post('/:id/invitations', authenticate, can('job:invite', loadJob), inviteProvidersValidation, inviteProviders);
+
+/**
+ * @route   GET /api/jobs/:id/invitations
+ * @desc    Get the invitations sent for a job
+ * @access  Private (Job owner)
+ */
+router.get('/:id/invitations', authenticate, can('job:invite', loadJob), getJobInvitations);
+
+/**
+ * @route   POST /api/jobs/:id/invitations/:invitationId/accept
+ * @desc    Accept an invitation by applying to the job
+ * @access  Private (Verified invited provider)
+ */
+router.post('/:id/invitations/:invitationId/accept', authenticate, can('job:apply'), requireVerified, applyJobValidation, applyForJob);
+
+/**
+ * @route   POST /api/jobs/:id/invitations/:invitationId/decline
+ * @desc    Decline an invitation
+ * @access  Private (Invited provider)
+ */
+router.post('/:id/invitations/:invitationId/decline', authenticate, can('job:apply', loadJob), applicationReasonValidation, declineInvitation);
+
+/**
+ * @route   GET /api/jobs/:id/applications
+ * @desc    List applications to a job, filtered and sorted by quote, rating or distance
+ * @access  Private (Job owner)
+ */
+router.get('/:id/applications', authenticate, can('job:review_applications', loadJob), applicationInboxValidation, getApplicationInbox);
+
+/**
+ * @route   POST /api/jobs/:id/applications/:applicationId/withdraw
+ * @desc    Withdraw an application
+ * @access  Private (Applying provider)
+ */
+router.post('/:id/applications/:applicationId/withdraw', authenticate, can('job:withdraw', loadJob), applicationReasonValidation, withdrawApplication);
+
+/**
+ * @route   POST /api/jobs/:id/applications/:applicationId/shortlist
+ * @desc    Shortlist an application
+ * @access  Private (Job owner)
+ */
+router.post('/:id/applications/:applicationId/shortlist', authenticate, can('job:review_applications', loadJob), shortlistApplication);
+
+/**
+ * @route   POST /api/jobs/:id/applications/:applicationId/reject
+ * @desc    Reject an application
+ * @access  Private (Job owner)
+ */
+router.post('/:id/applications/:applicationId/reject', authenticate, can('job:review_applications', loadJob), applicationReasonValidation, rejectApplication);
+
+/**
+ * @route   GET /api/jobs/:id/applications/:applicationId/negotiation
+ * @desc    Get the versioned terms negotiated on an application
+ * @access  Private (Job owner, applying provider, moderator)
+ */
+router.get('/:id/applications/:applicationId/negotiation', authenticate, can('job:negotiate', loadJob), getNegotiation);
+
+/**
+ * @route   POST /api/jobs/:id/applications/:applicationId/counter
+ * @desc    Counter-offer price, duration or scope
  * @access  Private (Job owner)
  */
-router.delete('/:id', authenticate, deleteJob);
+router.post('/:id/applications/:applicationId/counter', authenticate, can('job:negotiate', loadJob), offerValidation, counterOffer);
+
+/**
+ * @route   POST /api/jobs/:id/applications/:applicationId/revise
+ * @desc    Revise the quoted price, duration or scope
+ * @access  Private (Applying provider)
+ */
+router.post('/:id/applications/:applicationId/revise', authenticate, can('job:negotiate', loadJob), offerValidation, reviseOffer);
+
+/**
+ * @route   POST /api/jobs/:id/applications/:applicationId/agree
+ * @desc    Agree to the client's counter-offer
+ * @access  Private (Applying provider)
+ */
+router.post('/:id/applications/:applicationId/agree', authenticate, can('job:negotiate', loadJob), agreeToCounterOffer);
+
+/**
+ * @route   POST /api/jobs/:id/applications/:applicationId/decline
+ * @desc    Decline the client's counter-offer
+ * @access  Private (Applying provider)
+ */
+router.post('/:id/applications/:applicationId/decline', authenticate, can('job:negotiate', loadJob), offerMessageValidation, declineCounterOffer);
+
+/**
+ * @route   DELETE /api/jobs/:id
+ * @desc    Cancel job request (a reason is required once work has started)
+ * @access  Private (Job owner, moderator)
+ */
+router.delete('/:id', authenticate, can('job:delete', loadJob), cancelJobValidation, deleteJob);
 
 export default router; 
\ No newline at end of file
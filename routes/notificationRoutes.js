@@ -0,0 +1,110 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+
+import {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getMutes,
+  muteNotifications,
+  unmuteNotifications
+} from '../controllers/notificationController.js';
+
+import { authenticate } from '../middleware/authMiddleware.js';
+import { NOTIFICATION_TYPES } from '../config/notifications.js';
+
+const router = express.Router();
+
+// Validation rules
+const getNotificationsValidation = [
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Unread must be true or false'),
+
+  query('type')
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const muteValidation = [
+  body('type')
+    .optional()
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`),
+
+  body('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Job ID must be valid'),
+
+  body('until')
+    .optional()
+    .isISO8601()
+    .withMessage('Until must be an ISO 8601 date')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get my notifications, newest first
+ * @access  Private
+ */
+router.get('/', authenticate, getNotificationsValidation, getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get my unread notification count
+ * @access  Private
+ */
+router.get('/unread-count', authenticate, getUnreadNotificationCount);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all my notifications as read
+ * @access  Private
+ */
+router.post('/read-all', authenticate, markAllNotificationsRead);
+
+/**
+ * @route   GET /api/notifications/mutes
+ * @desc    Get my active mutes
+ * @access  Private
+ */
+router.get('/mutes', authenticate, getMutes);
+
+/**
+ * @route   POST /api/notifications/mutes
+ * @desc    Mute a notification type, a job, or one type for one job, optionally until a date
+ * @access  Private
+ */
+router.post('/mutes', authenticate, muteValidation, muteNotifications);
+
+/**
+ * @route   DELETE /api/notifications/mutes/:muteId
+ * @desc    Lift a mute
+ * @access  Private
+ */
+router.delete('/mutes/:muteId', authenticate, unmuteNotifications);
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark one of my notifications as read
+ * @access  Private
+ */
+router.post('/:id/read', authenticate, markNotificationRead);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 
 import {
   registerProvider,
@@ -8,17 +8,32 @@ import {
   updateProvider,
   getProviderStats,
   searchProviders,
-  getMyProvider
+  getMyProvider,
+  uploadPortfolioImages,
+  deletePortfolioImage
 } from '../controllers/providerController.js';
 
 import { 
   authenticate, 
-  requireProvider, 
   optionalAuth 
 } from '../middleware/authMiddleware.js';
+import { can, loadProvider } from '../middleware/permissions.js';
+import { acceptUploads } from '../middleware/uploads.js';
+import { PORTFOLIO_IMAGE_QUOTA } from '../config/uploads.js';
+import { resolveCategory, isActiveCategory } from '../middleware/validateCategory.js';
+import {
+  canonicalMunicipality,
+  isKnownMunicipality,
+  canonicalBarangay,
+  isKnownBarangay,
+  isOnLandInBataan
+} from '../middleware/validateLocation.js';
 
 const router = express.Router();
 
+// Portfolio images, checked by contents and against the portfolio quota when saved
+const uploadPortfolio = acceptUploads('images', { maxFiles: PORTFOLIO_IMAGE_QUOTA.maxPerItem, kinds: ['image'] });
+
 // Validation rules
 const registerProviderValidation = [
   body('businessName')
@@ -31,15 +46,40 @@ const registerProviderValidation = [
     .isLength({ min: 10, max: 1000 })
     .withMessage('Business description must be between 10 and 1000 characters'),
   
+  // Municipality is sanitized first so the barangay check sees the canonical name
+  body('location.municipality')
+    .trim()
+    .notEmpty()
+    .withMessage('Municipality is required')
+    .bail()
+    .customSanitizer(canonicalMunicipality)
+    .custom(isKnownMunicipality),
+  
   body('location.barangay')
     .trim()
     .notEmpty()
-    .withMessage('Barangay is required'),
+    .withMessage('Barangay is required')
+    .bail()
+    .customSanitizer(canonicalBarangay)
+    .custom(isKnownBarangay),
   
-  body('location.municipality')
+  body('location.coordinates')
     .optional()
-    .trim()
-    .notEmpty(),
+    .custom(isOnLandInBataan),
+  
+  body('serviceArea.radiusKm')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Service radius must be between 1 and 100 km'),
+  
+  body('serviceArea.municipalities')
+    .optional()
+    .isArray()
+    .withMessage('Served municipalities must be a list'),
+  
+  body('serviceArea.municipalities.*')
+    .customSanitizer(canonicalMunicipality)
+    .custom(isKnownMunicipality),
   
   body('contact.phone')
     .matches(/^(\+639|09)\d{9}$/)
@@ -55,12 +95,8 @@ const registerProviderValidation = [
     .withMessage('Service name is required'),
   
   body('services.*.category')
-    .isIn([
-      'Construction', 'Electrical', 'Plumbing', 'Carpentry', 'Painting',
-      'Roofing', 'Landscaping', 'Cleaning', 'HVAC', 'Solar Installation',
-      'Renovation', 'Masonry', 'Welding', 'Interior Design', 'Security Systems', 'Other'
-    ])
-    .withMessage('Invalid service category')
+    .customSanitizer(resolveCategory)
+    .custom(isActiveCategory)
 ];
 
 const updateProviderValidation = [
@@ -76,19 +112,58 @@ const updateProviderValidation = [
     .isLength({ min: 10, max: 1000 })
     .withMessage('Business description must be between 10 and 1000 characters'),
   
+  body('serviceArea.radiusKm')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Service radius must be between 1 and 100 km'),
+  
+  body('serviceArea.municipalities')
+    .optional()
+    .isArray()
+    .withMessage('Served municipalities must be a list'),
+  
+  body('serviceArea.municipalities.*')
+    .customSanitizer(canonicalMunicipality)
+    .custom(isKnownMunicipality),
+  
   body('contact.phone')
     .optional()
     .matches(/^(\+639|09)\d{9}$/)
     .withMessage('Please enter a valid Philippine phone number'),
   
+  // A location change must name both parts so the pair can be checked
+  body('location.municipality')
+    .if(body('location').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Municipality is required')
+    .bail()
+    .customSanitizer(canonicalMunicipality)
+    .custom(isKnownMunicipality),
+  
+  body('location.barangay')
+    .if(body('location').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Barangay is required')
+    .bail()
+    .customSanitizer(canonicalBarangay)
+    .custom(isKnownBarangay),
+  
+  body('location.coordinates')
+    .optional()
+    .custom(isOnLandInBataan),
+  
   body('services.*.category')
     .optional()
-    .isIn([
-      'Construction', 'Electrical', 'Plumbing', 'Carpentry', 'Painting',
-      'Roofing', 'Landscaping', 'Cleaning', 'HVAC', 'Solar Installation',
-      'Renovation', 'Masonry', 'Welding', 'Interior Design', 'Security Systems', 'Other'
-    ])
-    .withMessage('Invalid service category')
+    .customSanitizer(resolveCategory)
+    .custom(isActiveCategory)
+];
+
+const portfolioImageValidation = [
+  query('url')
+    .notEmpty()
+    .withMessage('Image URL is required')
 ];
 
 // Routes
@@ -119,7 +194,7 @@ router.post('/search', optionalAuth, searchProviders);
  * @desc    Get current user's provider profile
  * @access  Private (Provider only)
  */
-router.get('/me', authenticate, requireProvider, getMyProvider);
+router.get('/me', authenticate, can('provider:manage_own'), getMyProvider);
 
 /**
  * @route   GET /api/providers/:id
@@ -131,15 +206,29 @@ router.get('/:id', optionalAuth, getProviderById);
 /**
  * @route   PUT /api/providers/:id
  * @desc    Update provider profile
- * @access  Private (Provider owner or Admin)
+ * @access  Private (Provider owner, moderator)
  */
-router.put('/:id', authenticate, updateProviderValidation, updateProvider);
+router.put('/:id', authenticate, can('provider:update', loadProvider), updateProviderValidation, updateProvider);
 
 /**
  * @route   GET /api/providers/:id/stats
  * @desc    Get provider statistics
- * @access  Private (Provider owner only)
+ * @access  Private (Provider owner, support, verifier)
+ */
+router.get('/:id/stats', authenticate, can('provider:view_stats', loadProvider), getProviderStats);
+
+/**
+ * @route   POST /api/providers/:id/portfolio/:itemId/images
+ * @desc    Upload images to a portfolio item (multipart field "images")
+ * @access  Private (Provider owner, moderator)
+ */
+router.post('/:id/portfolio/:itemId/images', authenticate, can('provider:update', loadProvider), uploadPortfolio, uploadPortfolioImages);
+
+/**
+ * @route   DELETE /api/providers/:id/portfolio/:itemId/images?url=
+ * @desc    Remove an image from a portfolio item
+ * @access  Private (Provider owner, moderator)
  */
-router.get('/:id/stats', authenticate, getProviderStats);
+router.delete('/:id/portfolio/:itemId/images', authenticate, can('provider:update', loadProvider), portfolioImageValidation, deletePortfolioImage);
 
 export default router; 
\ No newline at end of file
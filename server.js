@@ -8,6 +8,10 @@ import { fileURLToPath } from 'url';
 
 // Import database connection
 import connectDB from './config/db.js';
+import { startAccountDeletionWorker } from './workers/accountDeletionWorker.js';
+import { startJobExpiryWorker } from './workers/jobExpiryWorker.js';
+import { startNotificationDigestWorker } from './workers/notificationDigestWorker.js';
+import notifications from './services/notifications.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,6 +31,13 @@ connectDB();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Behind a reverse proxy, trust its X-Forwarded-For so req.ip is the client's
+// address; login throttling counts failures per IP
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -50,8 +61,8 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Static files: public uploads of the local storage driver (see services/storage.js)
+app.use('/uploads', express.static(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, 'uploads')));
 
 // Routes - Updated to use module structure
 import authRoutes from './modules/auth/authRoutes.js';
@@ -60,6 +71,12 @@ import jobRoutes from './routes/jobRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import aiSmartMatchingRoutes from './routes/aiSmartMatchingRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import geoRoutes from './routes/geoRoutes.js';
+import conversationRoutes from './routes/conversationRoutes.js';
+import eventRoutes from './routes/eventRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import fileRoutes from './routes/fileRoutes.js';
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -78,6 +95,12 @@ app.use('/api/jobs', jobRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/ai-smart-matching', aiSmartMatchingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/geo', geoRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/files', fileRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -92,7 +115,13 @@ app.get('/', (req, res) => {
       jobs: '/api/jobs',
       ai: '/api/ai',
       aiSmartMatching: '/api/ai-smart-matching',
-      admin: '/api/admin'
+      admin: '/api/admin',
+      categories: '/api/categories',
+      geo: '/api/geo',
+      conversations: '/api/conversations',
+      events: '/api/events',
+      notifications: '/api/notifications',
+      files: '/api/files'
     }
   });
 });
@@ -126,4 +155,12 @@ app.listen(PORT, () => {
 🔑 JWT Secret: ${process.env.JWT_SECRET ? 'Configured' : 'Not configured'}
 ⚡ Gemini AI: ${process.env.GEMINI_API_KEY ? 'Configured' : 'Not configured'}
   `);
+
+  // In-app, email and SMS notifications for bus events
+  notifications.start();
+
+  // Background jobs
+  startAccountDeletionWorker();
+  startJobExpiryWorker();
+  startNotificationDigestWorker();
   }); 
\ No newline at end of file
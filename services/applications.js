@@ -0,0 +1,149 @@
+import { APPLICATION_TRANSITIONS } from '../config/jobLifecycle.js';
+import negotiation from './negotiation.js';
+
+// Inbox sort keys -> how to read them off an inbox entry (null when unknown)
+const SORT_VALUES = {
+  appliedAt: entry => entry.application.appliedAt?.getTime() ?? null,
+  quote: entry => entry.currentTerms.price ?? null,
+  rating: entry => entry.provider?.ratings?.average ?? null,
+  distance: entry => entry.distanceKm
+};
+
+export const APPLICATION_SORT_FIELDS = Object.keys(SORT_VALUES);
+
+/**
+ * An application action the job or application is not in a state for.
+ * Controllers answer it with error.statusCode and error.toResponse().
+ */
+export class ApplicationError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'ApplicationError';
+    this.statusCode = statusCode;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: this.statusCode === 404 ? 'APPLICATION_NOT_FOUND' : 'INVALID_APPLICATION_ACTION',
+      message: this.message
+    };
+  }
+}
+
+class ApplicationService {
+  /**
+   * Find an application on a job or throw a 404 ApplicationError
+   */
+  getApplication(job, applicationId) {
+    const application = job.applications.id(applicationId);
+    if (!application) {
+      throw new ApplicationError('Application not found', 404);
+    }
+    return application;
+  }
+
+  /**
+   * Throw unless the application may move to `to` now
+   */
+  assertTransition(job, application, to) {
+    if (job.status !== 'active') {
+      throw new ApplicationError(`Applications cannot change while the job is ${job.status}`);
+    }
+    if (!APPLICATION_TRANSITIONS[application.status].includes(to)) {
+      throw new ApplicationError(`Cannot move an application from ${application.status} to ${to}`);
+    }
+  }
+
+  /**
+   * Provider takes their application back
+   * @param {Object} job - JobRequest document
+   * @param {String} applicationId - Application subdocument id
+   * @param {String} reason - Optional
+   */
+  withdraw(job, applicationId, reason) {
+    const application = this.getApplication(job, applicationId);
+    this.assertTransition(job, application, 'withdrawn');
+
+    application.status = 'withdrawn';
+    application.withdrawalReason = reason;
+    application.withdrawnAt = new Date();
+    return application;
+  }
+
+  /**
+   * Client marks an application as a favourite to come back to
+   */
+  shortlist(job, applicationId) {
+    const application = this.getApplication(job, applicationId);
+    this.assertTransition(job, application, 'shortlisted');
+
+    application.status = 'shortlisted';
+    application.shortlistedAt = new Date();
+    return application;
+  }
+
+  /**
+   * Client turns an application down without hiring anyone else
+   * @param {String} reason - Optional, shown to the provider
+   */
+  reject(job, applicationId, reason) {
+    const application = this.getApplication(job, applicationId);
+    this.assertTransition(job, application, 'rejected');
+
+    application.status = 'rejected';
+    application.clientResponse = reason;
+    application.responseDate = new Date();
+    return application;
+  }
+
+  /**
+   * Throw unless the application can still be accepted
+   */
+  assertAcceptable(job, applicationId) {
+    const application = this.getApplication(job, applicationId);
+    if (!APPLICATION_TRANSITIONS[application.status].includes('accepted')) {
+      throw new ApplicationError(`This application has been ${application.status}`);
+    }
+    return application;
+  }
+
+  /**
+   * The client's inbox for a job: its applications with the provider, the
+   * terms currently on the table and the provider's distance from the job
+   * @param {Object} job - JobRequest with applications.provider populated
+   * @param {Object} options - { statuses, minRating, maxQuote, sortBy, sortOrder }
+   * @returns {Array} [{ application, provider, currentTerms, distanceKm }]
+   */
+  buildInbox(job, { statuses, minRating, maxQuote, sortBy = 'appliedAt', sortOrder = 'desc' }) {
+    const { latitude, longitude } = job.location.coordinates;
+
+    const entries = job.applications
+      .filter(application => !statuses || statuses.includes(application.status))
+      .map(application => {
+        const provider = application.provider;
+        const distance = provider?.distanceFrom?.(latitude, longitude);
+        return {
+          application,
+          provider,
+          currentTerms: negotiation.getCurrentTerms(application),
+          distanceKm: Number.isFinite(distance) ? Math.round(distance * 10) / 10 : null
+        };
+      })
+      .filter(entry => minRating == null || (entry.provider?.ratings?.average ?? 0) >= minRating)
+      .filter(entry => maxQuote == null || (entry.currentTerms.price != null && entry.currentTerms.price <= maxQuote));
+
+    const value = SORT_VALUES[sortBy];
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    return entries.sort((a, b) => {
+      const [first, second] = [value(a), value(b)];
+      // Applicants missing the value go last either way
+      if (first == null || second == null) {
+        return (first == null) - (second == null);
+      }
+      return (first - second) * direction;
+    });
+  }
+}
+
+export default new ApplicationService();
@@ -0,0 +1,106 @@
+import { EventEmitter } from 'events';
+import Provider from '../models/Provider.js';
+
+/**
+ * Real-time events pushed to users over GET /api/events (Server-Sent Events).
+ *
+ * Controllers and services publish typed events with the users (or provider
+ * profiles) they concern; every open stream of those users receives them. The
+ * bus is in-process, so with several API instances a user only hears events
+ * published by the instance their stream is connected to. Events are not
+ * stored: a client that reconnects should refetch what it shows. The
+ * notification service listens to every event to keep the durable record.
+ */
+export const EVENT_TYPES = [
+  'application.created',
+  'application.shortlisted',
+  'application.accepted',
+  'application.rejected',
+  'application.withdrawn',
+  'offer.created',
+  'offer.agreed',
+  'invitation.created',
+  'invitation.declined',
+  'job.status_changed',
+  'message.created',
+  'message.read',
+  'notification.created'
+];
+
+// Open streams allowed per user (tabs and devices)
+export const MAX_STREAMS_PER_USER = parseInt(process.env.EVENT_STREAMS_PER_USER) || 5;
+
+const channelFor = (userId) => `user:${userId}`;
+
+// Channel that hears every event, with its recipients
+const ALL_CHANNEL = '*';
+
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream
+    this.emitter.setMaxListeners(0);
+    this.sequence = 0;
+  }
+
+  /**
+   * Push an event to users. Never throws: a failed publish must not fail the
+   * request that caused it.
+   * @param {String} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @param {Object} recipients - { users: [userId], providers: [providerId] }
+   * @returns {Promise<Number>} Number of users the event was addressed to
+   */
+  async publish(type, data, { users = [], providers = [] } = {}) {
+    try {
+      if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type: ${type}`);
+      }
+
+      const providerUsers = providers.length > 0
+        ? (await Provider.find({ _id: { $in: providers.filter(Boolean) } }).select('user')).map(provider => provider.user)
+        : [];
+      const recipients = [...new Set([...users, ...providerUsers].filter(Boolean).map(id => (id._id ?? id).toString()))];
+
+      this.sequence += 1;
+      const event = { id: this.sequence, type, data, at: new Date() };
+      recipients.forEach(userId => this.emitter.emit(channelFor(userId), event));
+      this.emitter.emit(ALL_CHANNEL, event, recipients);
+      return recipients.length;
+    } catch (error) {
+      console.error(`Event publish failed (${type}):`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Listen to a user's events
+   * @param {String} userId - User ID
+   * @param {Function} listener - (event) => void
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(userId, listener) {
+    const channel = channelFor(userId);
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  /**
+   * Listen to every event, whoever it is addressed to
+   * @param {Function} listener - (event, recipientUserIds) => void
+   * @returns {Function} Call to stop listening
+   */
+  subscribeAll(listener) {
+    this.emitter.on(ALL_CHANNEL, listener);
+    return () => this.emitter.off(ALL_CHANNEL, listener);
+  }
+
+  /**
+   * Number of open streams for a user
+   */
+  subscriberCount(userId) {
+    return this.emitter.listenerCount(channelFor(userId));
+  }
+}
+
+export default new EventBus();
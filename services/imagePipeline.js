@@ -0,0 +1,143 @@
+import sharp from 'sharp';
+import { IMAGE_VARIANTS, MAX_IMAGE_DIMENSION, DUPLICATE_IMAGE_DISTANCE } from '../config/uploads.js';
+
+// Re-encoding of the cleaned original, by content type; sharp writes no
+// metadata unless asked to
+const ENCODERS = {
+  'image/jpeg': (image) => image.jpeg({ quality: 85, mozjpeg: true }),
+  'image/png': (image) => image.png({ compressionLevel: 9 }),
+  'image/webp': (image) => image.webp({ quality: 85 }),
+  'image/gif': (image) => image.gif()
+};
+
+const VARIANT_QUALITY = 80;
+
+/**
+ * An image sharp could not decode: corrupt, truncated or not what its leading
+ * bytes claimed
+ */
+export class ImageProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageProcessingError';
+  }
+}
+
+class ImagePipeline {
+  /**
+   * Re-encode an image in its own format without metadata, rotated as its
+   * EXIF orientation says and no larger than MAX_IMAGE_DIMENSION
+   * @param {Buffer} buffer - Uploaded image
+   * @param {String} contentType - Sniffed type (see utils/fileSniffing.js)
+   * @returns {Promise<Object>} { buffer, width, height }
+   */
+  async clean(buffer, contentType) {
+    const encode = ENCODERS[contentType];
+    if (!encode) {
+      throw new ImageProcessingError(`Cannot process ${contentType} images`);
+    }
+
+    // Keep every frame of animated GIFs and WebPs
+    const image = sharp(buffer, { animated: contentType === 'image/gif' || contentType === 'image/webp' })
+      .rotate()
+      .resize({
+        width: MAX_IMAGE_DIMENSION,
+        height: MAX_IMAGE_DIMENSION,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+
+    const { data, info } = await this.run(encode(image).toBuffer({ resolveWithObject: true }));
+    return { buffer: data, width: info.width, height: info.pageHeight || info.height };
+  }
+
+  /**
+   * WebP copies of a cleaned image in every IMAGE_VARIANTS size, from its
+   * first frame
+   * @returns {Promise<Array>} [{ name, buffer, width, height, contentType }]
+   */
+  async variants(buffer) {
+    return Promise.all(Object.entries(IMAGE_VARIANTS).map(async ([name, { width, height, fit = 'inside' }]) => {
+      const { data, info } = await this.run(
+        sharp(buffer)
+          .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+          .webp({ quality: VARIANT_QUALITY })
+          .toBuffer({ resolveWithObject: true })
+      );
+      return { name, buffer: data, width: info.width, height: info.height, contentType: 'image/webp' };
+    }));
+  }
+
+  /**
+   * 64-bit difference hash: the image shrunk to 9x8 greys, one bit per pair of
+   * neighbouring pixels. Resized, recompressed or lightly edited copies of a
+   * picture hash within a few bits of each other.
+   * @returns {Promise<String>} 16 hex digits
+   */
+  async perceptualHash(buffer) {
+    const pixels = await this.run(
+      sharp(buffer)
+        .rotate()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer()
+    );
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        hash = (hash << 1n) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Number of bits two perceptual hashes differ in
+   */
+  distance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (diff) {
+      bits += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return bits;
+  }
+
+  /**
+   * The first of `hashes` that is the same picture as `hash`, or null
+   */
+  findDuplicate(hash, hashes) {
+    if (!hash) return null;
+    return hashes.find(other => other && this.distance(hash, other) <= DUPLICATE_IMAGE_DISTANCE) || null;
+  }
+
+  /**
+   * Everything stored for an uploaded image: the cleaned original, its
+   * variants and its perceptual hash
+   * @returns {Promise<Object>} { buffer, width, height, hash, variants }
+   */
+  async process(buffer, contentType) {
+    const cleaned = await this.clean(buffer, contentType);
+    const [variants, hash] = await Promise.all([
+      this.variants(cleaned.buffer),
+      this.perceptualHash(cleaned.buffer)
+    ]);
+    return { ...cleaned, hash, variants };
+  }
+
+  /**
+   * Await a sharp operation, reporting undecodable input as ImageProcessingError
+   */
+  async run(operation) {
+    try {
+      return await operation;
+    } catch (error) {
+      throw new ImageProcessingError(error.message);
+    }
+  }
+}
+
+export default new ImagePipeline();
@@ -0,0 +1,137 @@
+import { INVITATION_TRANSITIONS } from '../config/jobLifecycle.js';
+
+// Upper bound on invitations per job, so a private job cannot be broadcast to everyone
+export const MAX_INVITATIONS_PER_JOB = 50;
+
+/**
+ * An invitation action the job or invitation is not in a state for.
+ * Controllers answer it with error.statusCode and error.toResponse().
+ */
+export class InvitationError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'InvitationError';
+    this.statusCode = statusCode;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: this.statusCode === 404 ? 'INVITATION_NOT_FOUND' : 'INVALID_INVITATION_ACTION',
+      message: this.message
+    };
+  }
+}
+
+const sameId = (a, b) => (a?._id ?? a)?.toString() === (b?._id ?? b)?.toString();
+
+class InvitationService {
+  /**
+   * Find an invitation on a job or throw a 404 InvitationError
+   */
+  getInvitation(job, invitationId) {
+    const invitation = job.invitations.id(invitationId);
+    if (!invitation) {
+      throw new InvitationError('Invitation not found', 404);
+    }
+    return invitation;
+  }
+
+  /**
+   * The invitation a provider received for a job, if any
+   */
+  findForProvider(job, providerId) {
+    return job.invitations.find(invitation => sameId(invitation.provider, providerId)) || null;
+  }
+
+  /**
+   * Move an invitation to `to`
+   */
+  moveInvitation(invitation, to) {
+    if (!INVITATION_TRANSITIONS[invitation.status].includes(to)) {
+      throw new InvitationError(`Cannot move an invitation from ${invitation.status} to ${to}`);
+    }
+    invitation.status = to;
+    if (to === 'viewed') {
+      invitation.viewedAt = new Date();
+    } else {
+      invitation.respondedAt = new Date();
+    }
+  }
+
+  /**
+   * Invite providers to apply. Providers already invited or already applied
+   * are skipped rather than failing the whole request.
+   * @param {Object} job - JobRequest document
+   * @param {Array} providers - Provider documents
+   * @param {Object} actor - { userId }
+   * @param {String} message - Optional note from the client
+   * @returns {Object} { invited: [invitation], skipped: [{ provider, reason }] }
+   */
+  invite(job, providers, { userId }, message) {
+    if (job.status !== 'active') {
+      throw new InvitationError(`Providers cannot be invited while the job is ${job.status}`);
+    }
+
+    const invited = [];
+    const skipped = [];
+    for (const provider of providers) {
+      if (this.findForProvider(job, provider._id)) {
+        skipped.push({ provider: provider._id, reason: 'Already invited' });
+      } else if (job.applications.some(application => sameId(application.provider, provider._id))) {
+        skipped.push({ provider: provider._id, reason: 'Already applied' });
+      } else if (job.invitations.length >= MAX_INVITATIONS_PER_JOB) {
+        skipped.push({ provider: provider._id, reason: `A job can have at most ${MAX_INVITATIONS_PER_JOB} invitations` });
+      } else {
+        job.invitations.push({ provider: provider._id, invitedBy: userId, message });
+        invited.push(job.invitations[job.invitations.length - 1]);
+      }
+    }
+    return { invited, skipped };
+  }
+
+  /**
+   * Record that the invited provider opened the job
+   * @returns {Boolean} Whether the invitation changed
+   */
+  markViewed(job, providerId) {
+    const invitation = this.findForProvider(job, providerId);
+    if (invitation?.status !== 'sent') return false;
+
+    this.moveInvitation(invitation, 'viewed');
+    return true;
+  }
+
+  /**
+   * Record that the invited provider applied
+   * @returns {Object|null} The accepted invitation, or null if there was none
+   */
+  markAccepted(job, providerId) {
+    const invitation = this.findForProvider(job, providerId);
+    if (!invitation || invitation.status === 'accepted') return invitation;
+
+    this.moveInvitation(invitation, 'accepted');
+    return invitation;
+  }
+
+  /**
+   * Invited provider turns the job down
+   * @param {String} reason - Optional, shown to the client
+   */
+  decline(job, invitationId, reason) {
+    const invitation = this.getInvitation(job, invitationId);
+    this.moveInvitation(invitation, 'declined');
+    invitation.declineReason = reason;
+    return invitation;
+  }
+
+  /**
+   * Whether a provider may see and apply to the job: every provider for
+   * public jobs, only invited ones for private jobs
+   */
+  isOpenTo(job, providerId) {
+    return job.visibility !== 'private' || Boolean(providerId && this.findForProvider(job, providerId));
+  }
+}
+
+export default new InvitationService();
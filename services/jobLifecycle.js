@@ -0,0 +1,172 @@
+import { JOB_TRANSITIONS, getAllowedTransitions } from '../config/jobLifecycle.js';
+import eventBus from './eventBus.js';
+
+/**
+ * A requested status change the lifecycle does not allow. Controllers answer it
+ * with 409 and error.toResponse().
+ */
+export class JobTransitionError extends Error {
+  constructor(job, to, message) {
+    super(message || `Cannot move a job from ${job.status} to ${to}`);
+    this.name = 'JobTransitionError';
+    this.statusCode = 409;
+    this.from = job.status;
+    this.to = to;
+    this.allowed = getAllowedTransitions(job.status);
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: 'INVALID_JOB_TRANSITION',
+      message: this.message,
+      data: {
+        currentStatus: this.from,
+        requestedStatus: this.to,
+        allowedTransitions: this.allowed
+      }
+    };
+  }
+}
+
+/**
+ * Who made a change: a request user, or the system when null
+ */
+const toActor = (actor) => ({
+  actor: actor?.userId || null,
+  actorRole: actor?.role || 'system'
+});
+
+class JobLifecycleService {
+  /**
+   * Throw JobTransitionError unless `job` may move to `to`
+   * @param {Object} job - JobRequest document
+   * @param {String} to - Target status
+   * @param {Object} options - { reason }
+   */
+  assertTransition(job, to, { reason } = {}) {
+    const rule = JOB_TRANSITIONS[job.status]?.[to];
+    if (!rule) {
+      throw new JobTransitionError(job, to);
+    }
+    if (rule.requiresReason && !reason?.trim()) {
+      throw new JobTransitionError(job, to, `A reason is required to move a job from ${job.status} to ${to}`);
+    }
+    const problem = rule.guard?.(job);
+    if (problem) {
+      throw new JobTransitionError(job, to, problem);
+    }
+  }
+
+  /**
+   * Whether `job` may move to `to`
+   */
+  canTransition(job, to, options = {}) {
+    try {
+      this.assertTransition(job, to, options);
+      return true;
+    } catch (error) {
+      if (error instanceof JobTransitionError) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Set the status of a new job and open its history
+   * @param {Object} job - Unsaved JobRequest document
+   * @param {String} status - 'draft' or 'active'
+   * @param {Object} options - { actor: req.user }
+   */
+  initialize(job, status, { actor = null } = {}) {
+    job.status = status;
+    job.statusHistory = [{ from: null, to: status, ...toActor(actor), at: new Date() }];
+    return job;
+  }
+
+  /**
+   * Check and apply a transition without saving (for callers that save with
+   * their own options)
+   * @param {Object} job - JobRequest document
+   * @param {String} to - Target status
+   * @param {Object} options - { actor: req.user or null for the system, reason }
+   */
+  apply(job, to, { actor = null, reason } = {}) {
+    this.assertTransition(job, to, { reason });
+
+    job.statusHistory.push({
+      from: job.status,
+      to,
+      ...toActor(actor),
+      reason: reason?.trim() || undefined,
+      at: new Date()
+    });
+    job.status = to;
+    return job;
+  }
+
+  /**
+   * Check and apply a transition in a single update that only matches while the
+   * stored job still has the status it was loaded with, so a concurrent change
+   * (e.g. a hire racing the expiry worker) wins. Other document changes are not
+   * saved. Updates `job` in memory when the transition happens.
+   * @returns {Promise<Boolean>} Whether the job was transitioned
+   */
+  async transitionIfUnchanged(job, to, { actor = null, reason } = {}) {
+    this.assertTransition(job, to, { reason });
+
+    const change = {
+      from: job.status,
+      to,
+      ...toActor(actor),
+      reason: reason?.trim() || undefined,
+      at: new Date()
+    };
+    const result = await job.constructor.updateOne(
+      { _id: job._id, status: job.status },
+      { $set: { status: to }, $push: { statusHistory: change } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    job.statusHistory.push(change);
+    job.status = to;
+    this.announce(job);
+    return true;
+  }
+
+  /**
+   * Check, apply and save a transition. Any other changes already made to the
+   * document are saved with it.
+   * @returns {Promise<Object>} The saved job
+   */
+  async transition(job, to, options = {}) {
+    this.apply(job, to, options);
+    await job.save();
+    this.announce(job);
+    return job;
+  }
+
+  /**
+   * Publish the job's latest status change to its client and to every
+   * provider who applied. Callers of apply() call this after saving.
+   */
+  announce(job) {
+    const change = job.statusHistory[job.statusHistory.length - 1];
+    const providers = [
+      ...job.applications.filter(app => app.status !== 'withdrawn').map(app => app.provider),
+      job.selectedProvider
+    ];
+    return eventBus.publish('job.status_changed', {
+      jobId: job._id,
+      title: job.title,
+      from: change?.from,
+      to: job.status,
+      reason: change?.reason,
+      actor: change?.actor
+    }, {
+      users: [job.client],
+      providers: providers.map(provider => provider?._id ?? provider)
+    });
+  }
+}
+
+export default new JobLifecycleService();
@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Console transport: prints each message to stdout (default for local development)
+ */
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log('\n📧 ========================================');
+    console.log(`📧 To: ${message.to}`);
+    console.log(`📧 Subject: ${message.subject}`);
+    console.log('📧 ----------------------------------------');
+    console.log(message.text);
+    console.log('📧 ========================================\n');
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * File transport: writes each message as JSON to MAIL_DIR (default tmp/mail)
+ */
+const fileTransport = {
+  name: 'file',
+  async send(message) {
+    const dir = path.resolve(process.env.MAIL_DIR || 'tmp/mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const file = path.join(dir, `${id}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { id, file };
+  }
+};
+
+class MailService {
+  constructor() {
+    this.transports = {
+      console: consoleTransport,
+      file: fileTransport
+    };
+    this.from = process.env.MAIL_FROM || 'Rekomendito <no-reply@rekomendito.ph>';
+    this.transport = this.transports[process.env.MAIL_TRANSPORT] || consoleTransport;
+  }
+
+  /**
+   * Register a transport (an object with name and async send(message)) and
+   * optionally make it the active one, e.g. an SMTP or API-based provider
+   */
+  registerTransport(transport, { use = false } = {}) {
+    this.transports[transport.name] = transport;
+    if (use || process.env.MAIL_TRANSPORT === transport.name) {
+      this.transport = transport;
+    }
+  }
+
+  /**
+   * Send a message through the active transport
+   * @param {Object} message - { to, subject, text, html? }
+   */
+  async send(message) {
+    return this.transport.send({ from: this.from, ...message });
+  }
+
+  /**
+   * Email address verification link
+   */
+  async sendVerificationEmail(user, url, expiresInMinutes) {
+    return this.send({
+      to: user.email,
+      subject: 'Verify your Rekomendito email address',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'Please confirm your email address by opening this link:',
+        url,
+        '',
+        `The link expires in ${Math.round(expiresInMinutes / 60)} hours and can only be used once.`,
+        'If you did not create a Rekomendito account, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Password reset link
+   */
+  async sendPasswordResetEmail(user, url, expiresInMinutes) {
+    return this.send({
+      to: user.email,
+      subject: 'Reset your Rekomendito password',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'We received a request to reset your password. Open this link to choose a new one:',
+        url,
+        '',
+        `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not ask for a reset, you can ignore this email; your password is unchanged.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Notice sent after a password has been changed through a reset link
+   */
+  async sendPasswordChangedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Rekomendito password was changed',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'The password for your Rekomendito account was just reset.',
+        'If this was not you, reset it again right away and contact support.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Lockout notice after repeated failed logins, with a link to unlock early
+   */
+  async sendAccountLockedEmail(user, url, lockedUntil) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Rekomendito login was locked',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'We locked logins to your account after several failed attempts.',
+        `The lock lifts by itself at ${lockedUntil.toISOString()}.`,
+        '',
+        'If it was you, open this link to unlock your account now:',
+        url,
+        '',
+        'If it was not you, someone may be guessing your password. Consider resetting it',
+        'and turning on two-factor authentication.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Confirmation that account deletion is scheduled, with how to stop it
+   */
+  async sendAccountDeletionScheduledEmail(user, scheduledFor) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Rekomendito account will be deleted',
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        `Your account is scheduled for deletion on ${scheduledFor.toISOString().slice(0, 10)}.`,
+        'After that your personal details are removed; jobs and reviews other users took part in',
+        'stay on record without your name or contact details.',
+        '',
+        'Changed your mind? Log in before that date and cancel the deletion from your account settings.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Notice that a job expired without a hire, with a link to repost it
+   */
+  async sendJobExpiredEmail(user, job, repostUrl) {
+    return this.send({
+      to: user.email,
+      subject: `Your job "${job.title}" has expired`,
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        `Your job request "${job.title}" reached its expiry date without a provider being hired,`,
+        'so it is no longer shown to providers.',
+        '',
+        'Still need it done? Repost it with one click:',
+        repostUrl
+      ].join('\n')
+    });
+  }
+
+  /**
+   * A single notification (config/notifications.js) with a link to open it
+   */
+  async sendNotificationEmail(user, notification, url) {
+    return this.send({
+      to: user.email,
+      subject: notification.title,
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        notification.body || notification.title,
+        '',
+        'Open it on Rekomendito:',
+        url,
+        '',
+        'You can change which emails you get in your notification settings.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Daily digest of low-priority notifications, oldest first
+   * @param {Array} items - [{ notification, url }]
+   */
+  async sendNotificationDigestEmail(user, items) {
+    return this.send({
+      to: user.email,
+      subject: `Your Rekomendito daily summary: ${items.length} update${items.length === 1 ? '' : 's'}`,
+      text: [
+        `Hi ${user.name || 'there'},`,
+        '',
+        'Here is what happened since your last summary:',
+        '',
+        ...items.flatMap(({ notification, url }) => [
+          `- ${notification.title}`,
+          ...(notification.body ? [`  ${notification.body}`] : []),
+          `  ${url}`
+        ]),
+        '',
+        'Prefer an email for each update? Turn off the daily summary in your notification settings.'
+      ].join('\n')
+    });
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,142 @@
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import { redactContactDetails } from '../utils/contactRedaction.js';
+import eventBus from './eventBus.js';
+
+const sameId = (a, b) => Boolean(a && b) && (a._id ?? a).toString() === (b._id ?? b).toString();
+
+/**
+ * A messaging action the caller is not allowed to take. Controllers answer it
+ * with error.statusCode and error.toResponse().
+ */
+export class MessagingError extends Error {
+  constructor(message, statusCode = 403) {
+    super(message);
+    this.name = 'MessagingError';
+    this.statusCode = statusCode;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: 'INVALID_MESSAGING_ACTION',
+      message: this.message
+    };
+  }
+}
+
+class MessagingService {
+  /**
+   * Open (or reuse) the conversation between a job's client and a provider.
+   * The provider must have applied to the job or been invited to it.
+   * @param {Object} job - JobRequest document
+   * @param {Object} provider - Provider document
+   * @returns {Promise<Object>} Conversation document
+   */
+  async openConversation(job, provider) {
+    const application = job.applications.find(app => sameId(app.provider, provider._id));
+    const invited = job.invitations.some(invitation => sameId(invitation.provider, provider._id));
+    if (!application && !invited) {
+      throw new MessagingError('Messages are only possible with providers who applied or were invited');
+    }
+
+    return Conversation.open({
+      job: job._id,
+      application: application?._id,
+      client: job.client._id ?? job.client,
+      provider: provider._id,
+      providerUser: provider.user._id ?? provider.user
+    });
+  }
+
+  /**
+   * The user on the other side from `role`
+   */
+  otherParticipant(conversation, role) {
+    return role === 'client' ? conversation.providerUser : conversation.client;
+  }
+
+  /**
+   * Whether a provider has been hired for a job, the point from which the two
+   * sides may see each other's contact details
+   */
+  isHired(job, providerId) {
+    const hired = ['in_progress', 'completed', 'disputed'].includes(job.status);
+    return hired && sameId(job.selectedProvider, providerId);
+  }
+
+  /**
+   * Contact details stay hidden until this conversation's provider is hired
+   */
+  shouldRedact(job, conversation) {
+    return !this.isHired(job, conversation.provider);
+  }
+
+  /**
+   * Store a message, redacting contact details if the provider is not hired yet
+   * @param {Object} conversation - Conversation document
+   * @param {Object} job - The conversation's JobRequest
+   * @param {Object} sender - { userId, role: 'client' or 'provider' }
+   * @param {Object} content - { body, attachments: [{ url, filename, mimeType, size }] }
+   * @returns {Promise<Object>} Saved Message document
+   */
+  async send(conversation, job, { userId, role }, { body, attachments = [] }) {
+    let text = body?.trim() || undefined;
+    let redacted = false;
+    if (text && this.shouldRedact(job, conversation)) {
+      ({ text, redacted } = redactContactDetails(text));
+    }
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: userId,
+      senderRole: role,
+      body: text,
+      attachments,
+      redacted
+    });
+    await conversation.recordMessage(message);
+
+    eventBus.publish('message.created', {
+      conversationId: conversation._id,
+      jobId: conversation.job,
+      message
+    }, { users: [this.otherParticipant(conversation, role)] });
+    return message;
+  }
+
+  /**
+   * Mark everything the other side sent as read
+   * @param {String} role - Reader's side: 'client' or 'provider'
+   * @returns {Promise<Number>} Messages newly marked as read
+   */
+  async markRead(conversation, role) {
+    const result = await Message.updateMany(
+      { conversation: conversation._id, senderRole: { $ne: role }, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    // Recount rather than zero, in case a message arrived in between
+    const remaining = await Message.countDocuments({ conversation: conversation._id, senderRole: { $ne: role }, readAt: null });
+    await Conversation.updateOne({ _id: conversation._id }, { $set: { [`unread.${role}`]: remaining } });
+    conversation.unread[role] = remaining;
+
+    if (result.modifiedCount > 0) {
+      // Read receipt for the sender
+      eventBus.publish('message.read', {
+        conversationId: conversation._id,
+        readAt: new Date()
+      }, { users: [this.otherParticipant(conversation, role)] });
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Unread messages across all of a user's conversations
+   */
+  async countUnread(userId) {
+    const conversations = await Conversation.find({ participants: userId }).select('client providerUser unread');
+    return conversations.reduce((total, conversation) => total + conversation.unread[conversation.roleOf(userId)], 0);
+  }
+}
+
+export default new MessagingService();
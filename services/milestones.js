@@ -0,0 +1,157 @@
+import { MILESTONE_TRANSITIONS } from '../config/jobLifecycle.js';
+
+/**
+ * A milestone action the job or milestone is not in a state for. Controllers
+ * answer it with error.statusCode and error.toResponse().
+ */
+export class MilestoneError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'MilestoneError';
+    this.statusCode = statusCode;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: this.statusCode === 404 ? 'MILESTONE_NOT_FOUND' : 'INVALID_MILESTONE_ACTION',
+      message: this.message
+    };
+  }
+}
+
+class MilestoneService {
+  /**
+   * Milestones are only worked on while the job is in progress
+   */
+  assertInProgress(job) {
+    if (job.status !== 'in_progress') {
+      throw new MilestoneError(`Milestones cannot change while the job is ${job.status}`);
+    }
+  }
+
+  /**
+   * Find a milestone on a job or throw a 404 MilestoneError
+   */
+  getMilestone(job, milestoneId) {
+    const milestone = job.milestones.id(milestoneId);
+    if (!milestone) {
+      throw new MilestoneError('Milestone not found', 404);
+    }
+    return milestone;
+  }
+
+  /**
+   * Move a milestone to `to`, recording who did it
+   */
+  moveMilestone(milestone, to, userId, notes) {
+    if (!MILESTONE_TRANSITIONS[milestone.status].includes(to)) {
+      throw new MilestoneError(`Cannot move a milestone from ${milestone.status} to ${to}`);
+    }
+    milestone.status = to;
+    milestone.history.push({ action: to, by: userId, notes, at: new Date() });
+  }
+
+  /**
+   * Propose a milestone plan, replacing any earlier proposal. The other party
+   * has to agree before work on it starts; an agreed plan is fixed.
+   * @param {Object} job - JobRequest document
+   * @param {Array} milestones - [{ title, amount, dueDate, acceptanceCriteria }]
+   * @param {Object} actor - { userId, role: 'client' or 'provider' }
+   */
+  proposePlan(job, milestones, { userId, role }) {
+    this.assertInProgress(job);
+    if (job.milestonePlan?.status === 'agreed') {
+      throw new MilestoneError('The milestone plan has already been agreed');
+    }
+
+    job.milestones = milestones.map(({ title, amount, dueDate, acceptanceCriteria }) => ({
+      title,
+      amount,
+      dueDate,
+      acceptanceCriteria
+    }));
+    job.milestonePlan = {
+      status: 'proposed',
+      proposedBy: userId,
+      proposedByRole: role,
+      proposedAt: new Date()
+    };
+    // Milestone payments only make sense with milestone payment terms
+    job.budget.paymentTerms = 'milestone';
+    return job;
+  }
+
+  /**
+   * Accept the plan the other party proposed
+   */
+  agreePlan(job, { userId, role }) {
+    this.assertInProgress(job);
+    if (job.milestonePlan?.status !== 'proposed') {
+      throw new MilestoneError('There is no milestone plan waiting for agreement');
+    }
+    if (job.milestonePlan.proposedByRole === role) {
+      throw new MilestoneError('The other party has to agree to your proposal');
+    }
+
+    job.milestonePlan.status = 'agreed';
+    job.milestonePlan.agreedBy = userId;
+    job.milestonePlan.agreedAt = new Date();
+    return job;
+  }
+
+  /**
+   * Provider hands in a milestone for review
+   */
+  submit(job, milestoneId, { userId }, notes) {
+    this.assertInProgress(job);
+    if (job.milestonePlan?.status !== 'agreed') {
+      throw new MilestoneError('The milestone plan has not been agreed yet');
+    }
+
+    const milestone = this.getMilestone(job, milestoneId);
+    this.moveMilestone(milestone, 'submitted', userId, notes);
+    milestone.submittedAt = new Date();
+    milestone.submissionNotes = notes;
+    return milestone;
+  }
+
+  /**
+   * Client approves a submitted milestone, or rejects it with notes for the provider
+   * @param {Boolean} approved - Approve (true) or reject (false)
+   */
+  review(job, milestoneId, { userId }, approved, notes) {
+    this.assertInProgress(job);
+
+    const milestone = this.getMilestone(job, milestoneId);
+    if (!approved && !notes?.trim()) {
+      throw new MilestoneError('Rejection notes are required', 400);
+    }
+
+    this.moveMilestone(milestone, approved ? 'approved' : 'rejected', userId, notes);
+    milestone.reviewNotes = notes;
+    if (approved) {
+      milestone.approvedAt = new Date();
+    }
+    return milestone;
+  }
+
+  /**
+   * Progress summary for a job's milestones
+   */
+  summarize(job) {
+    const counts = Object.fromEntries(Object.keys(MILESTONE_TRANSITIONS).map(status => [status, 0]));
+    job.milestones.forEach(milestone => { counts[milestone.status] += 1; });
+
+    return {
+      plan: job.milestonePlan?.status || 'none',
+      total: job.milestones.length,
+      counts,
+      totalAmount: job.milestones.reduce((total, milestone) => total + milestone.amount, 0),
+      approvedAmount: job.approvedMilestoneTotal,
+      settled: job.milestones.length > 0 && counts.approved === job.milestones.length
+    };
+  }
+}
+
+export default new MilestoneService();
@@ -0,0 +1,231 @@
+import { OPEN_APPLICATION_STATUSES } from '../config/jobLifecycle.js';
+
+// Terms an offer can carry; a counter or revision changes at least one of them
+const TERM_FIELDS = ['price', 'duration', 'scope'];
+
+/**
+ * A negotiation step the application is not in a state for. Controllers answer
+ * it with error.statusCode and error.toResponse().
+ */
+export class NegotiationError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'NegotiationError';
+    this.statusCode = statusCode;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: this.statusCode === 404 ? 'APPLICATION_NOT_FOUND' : 'INVALID_NEGOTIATION_ACTION',
+      message: this.message
+    };
+  }
+}
+
+/**
+ * The terms of an offer as a plain object
+ */
+const termsOf = (offer) => ({
+  price: offer.price,
+  duration: offer.duration,
+  scope: offer.scope
+});
+
+class NegotiationService {
+  /**
+   * Find an application on a job or throw a 404 NegotiationError
+   */
+  getApplication(job, applicationId) {
+    const application = job.applications.id(applicationId);
+    if (!application) {
+      throw new NegotiationError('Application not found', 404);
+    }
+    return application;
+  }
+
+  /**
+   * The application's offers, oldest first. Applications made before
+   * negotiation existed get their original quote as version 1.
+   */
+  getThread(application) {
+    if (application.negotiation.length === 0) {
+      application.negotiation.push({
+        version: 1,
+        by: 'provider',
+        price: application.quotedPrice,
+        duration: application.estimatedDuration,
+        scope: application.proposal,
+        createdAt: application.appliedAt
+      });
+    }
+    return application.negotiation;
+  }
+
+  /**
+   * The most recent offer on the application
+   */
+  getLatestOffer(application) {
+    const thread = this.getThread(application);
+    return thread[thread.length - 1];
+  }
+
+  /**
+   * The terms currently on the table, without touching the document
+   */
+  getCurrentTerms(application) {
+    const thread = application.negotiation || [];
+    if (thread.length === 0) {
+      return {
+        price: application.quotedPrice,
+        duration: application.estimatedDuration,
+        scope: application.proposal
+      };
+    }
+    return termsOf(thread[thread.length - 1]);
+  }
+
+  /**
+   * Terms are only negotiated on open applications to jobs still hiring
+   */
+  assertNegotiable(job, application) {
+    if (job.status !== 'active') {
+      throw new NegotiationError(`Terms cannot be negotiated while the job is ${job.status}`);
+    }
+    if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+      throw new NegotiationError(`This application has been ${application.status}`);
+    }
+  }
+
+  /**
+   * Add a new version on top of the thread. The previous open offer is
+   * superseded and any terms left out carry over from the latest offer.
+   */
+  addOffer(application, by, userId, changes, message) {
+    const latest = this.getLatestOffer(application);
+    const given = TERM_FIELDS.filter(field => changes[field] !== undefined);
+    if (given.length === 0) {
+      throw new NegotiationError('Change at least one of price, duration or scope', 400);
+    }
+
+    if (latest.status === 'open') {
+      latest.status = 'superseded';
+      latest.respondedAt = new Date();
+    }
+
+    const offer = {
+      version: latest.version + 1,
+      by,
+      author: userId,
+      ...termsOf(latest),
+      message,
+      createdAt: new Date()
+    };
+    given.forEach(field => { offer[field] = changes[field]; });
+
+    application.negotiation.push(offer);
+    return this.getLatestOffer(application);
+  }
+
+  /**
+   * Client proposes different terms. Replaces the client's own unanswered
+   * counter-offer if there is one.
+   * @param {Object} job - JobRequest document
+   * @param {String} applicationId - Application subdocument id
+   * @param {Object} actor - { userId }
+   * @param {Object} changes - { price, duration, scope, message }
+   */
+  counter(job, applicationId, { userId }, { message, ...changes }) {
+    const application = this.getApplication(job, applicationId);
+    this.assertNegotiable(job, application);
+    return this.addOffer(application, 'client', userId, changes, message);
+  }
+
+  /**
+   * Provider revises their terms, answering the client's counter-offer with
+   * new ones or amending their own open offer
+   */
+  revise(job, applicationId, { userId }, { message, ...changes }) {
+    const application = this.getApplication(job, applicationId);
+    this.assertNegotiable(job, application);
+
+    if (this.getLatestOffer(application).status === 'agreed') {
+      throw new NegotiationError('You have already agreed to the client\'s terms');
+    }
+    return this.addOffer(application, 'provider', userId, changes, message);
+  }
+
+  /**
+   * The client's open counter-offer, or throw
+   */
+  getOpenCounter(application) {
+    const latest = this.getLatestOffer(application);
+    if (latest.by !== 'client' || latest.status !== 'open') {
+      throw new NegotiationError('There is no counter-offer waiting for your answer');
+    }
+    return latest;
+  }
+
+  /**
+   * Provider agrees to the client's counter-offer; the client can then accept
+   * the application on those terms
+   */
+  agree(job, applicationId) {
+    const application = this.getApplication(job, applicationId);
+    this.assertNegotiable(job, application);
+
+    const counter = this.getOpenCounter(application);
+    counter.status = 'agreed';
+    counter.respondedAt = new Date();
+    return counter;
+  }
+
+  /**
+   * Provider declines the client's counter-offer. Their last terms stand again
+   * and are re-issued as a new version for the client to accept or counter.
+   */
+  decline(job, applicationId, { userId }, message) {
+    const application = this.getApplication(job, applicationId);
+    this.assertNegotiable(job, application);
+
+    const counter = this.getOpenCounter(application);
+    counter.status = 'declined';
+    counter.respondedAt = new Date();
+
+    const standing = [...application.negotiation].reverse().find(offer => offer.by === 'provider');
+    application.negotiation.push({
+      version: counter.version + 1,
+      by: 'provider',
+      author: userId,
+      ...termsOf(standing),
+      message,
+      createdAt: new Date()
+    });
+    return this.getLatestOffer(application);
+  }
+
+  /**
+   * Fix the terms the client is accepting: the provider's open offer or a
+   * counter-offer the provider agreed to. Called before the application is
+   * accepted.
+   * @returns {Object} The application's agreedTerms
+   */
+  lockTerms(application) {
+    const latest = this.getLatestOffer(application);
+    const accepted = latest.status === 'agreed' || (latest.by === 'provider' && latest.status === 'open');
+    if (!accepted) {
+      throw new NegotiationError('Your counter-offer is waiting for the provider\'s answer');
+    }
+
+    latest.status = 'agreed';
+    latest.respondedAt = latest.respondedAt || new Date();
+    application.agreedTerms = {
+      ...termsOf(latest),
+      version: latest.version,
+      agreedAt: new Date()
+    };
+    return application.agreedTerms;
+  }
+}
+
+export default new NegotiationService();
@@ -0,0 +1,234 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { NOTIFICATION_CATALOG, resolveSetting } from '../config/notifications.js';
+import eventBus from './eventBus.js';
+import mailer from './mailer.js';
+import smsGateway from './smsGateway.js';
+
+// Mutes a user can have at once
+export const MAX_MUTES_PER_USER = 50;
+
+const RECIPIENT_FIELDS = 'name email phone phoneVerified preferences isActive';
+
+const sameId = (a, b) => Boolean(a && b) && (a._id ?? a).toString() === (b._id ?? b).toString();
+
+/**
+ * A notification or mute request that cannot be carried out. Controllers
+ * answer it with error.statusCode and error.toResponse().
+ */
+export class NotificationError extends Error {
+  constructor(message, statusCode = 400, code = 'INVALID_NOTIFICATION_ACTION') {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: this.code,
+      message: this.message
+    };
+  }
+}
+
+/**
+ * Frontend URL of a notification's path
+ */
+export const buildNotificationUrl = (notification) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}${notification.path || '/notifications'}`;
+};
+
+class NotificationService {
+  constructor() {
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Turn bus events listed in NOTIFICATION_CATALOG into notifications for the
+   * life of the process
+   */
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = eventBus.subscribeAll((event, recipients) => this.handleEvent(event, recipients));
+    }
+    return this;
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Notify each recipient of a bus event. Never throws: the request that
+   * published the event has already been answered.
+   * @returns {Promise<Number>} Notifications created
+   */
+  async handleEvent(event, recipients) {
+    if (!NOTIFICATION_CATALOG[event.type] || recipients.length === 0) return 0;
+
+    try {
+      // Whoever made a change does not need telling about it
+      const userIds = recipients.filter(userId => !sameId(userId, event.data.actor));
+      const users = await User.find({ _id: { $in: userIds }, isActive: true }).select(RECIPIENT_FIELDS);
+
+      let created = 0;
+      for (const user of users) {
+        if (await this.notify(user, event.type, event.data)) {
+          created += 1;
+        }
+      }
+      return created;
+    } catch (error) {
+      console.error(`Notification fan-out failed (${event.type}):`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Whether a user muted this type of notification, or this job
+   */
+  isMuted(user, type, jobId, now = new Date()) {
+    return (user.preferences?.notifications?.mutes || []).some(mute =>
+      (!mute.type || mute.type === type) &&
+      (!mute.job || sameId(mute.job, jobId)) &&
+      (!mute.until || mute.until > now)
+    );
+  }
+
+  /**
+   * Record an in-app notification for a user and deliver it by email and SMS
+   * as its priority and the user's preferences allow
+   * @param {Object} user - User document with RECIPIENT_FIELDS
+   * @param {String} type - Key of NOTIFICATION_CATALOG
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object|null>} The notification, or null when muted
+   */
+  async notify(user, type, data) {
+    const entry = NOTIFICATION_CATALOG[type];
+    if (this.isMuted(user, type, data.jobId)) return null;
+
+    const { title, body, path } = entry.describe(data);
+    const notification = await Notification.create({
+      user: user._id,
+      type,
+      priority: resolveSetting(entry.priority, data),
+      title: title.slice(0, 200),
+      body: body?.slice(0, 500),
+      path,
+      job: data.jobId || null,
+      // Plain copy: payloads can hold documents
+      data: JSON.parse(JSON.stringify(data))
+    });
+
+    if (!resolveSetting(entry.inAppOnly, data)) {
+      await this.deliver(user, notification);
+    }
+
+    eventBus.publish('notification.created', { notification }, { users: [user._id] });
+    return notification;
+  }
+
+  /**
+   * Email and text a new notification; low-priority email waits for the
+   * daily digest unless the user turned it off. Failures are logged and
+   * recorded on the notification.
+   */
+  async deliver(user, notification) {
+    const settings = user.preferences?.notifications || {};
+
+    if (settings.email !== false) {
+      if (notification.priority === 'low' && settings.digest !== false) {
+        notification.channels.email = 'digest';
+      } else {
+        try {
+          await mailer.sendNotificationEmail(user, notification, buildNotificationUrl(notification));
+          notification.channels.email = 'sent';
+          notification.channels.emailedAt = new Date();
+        } catch (error) {
+          console.error(`Notification email failed for user ${user._id}:`, error);
+          notification.channels.email = 'failed';
+        }
+      }
+    }
+
+    if (notification.priority === 'high') {
+      try {
+        const sent = await smsGateway.notify(user, `Rekomendito: ${notification.title}. Open the app for details.`);
+        notification.channels.sms = sent ? 'sent' : 'skipped';
+      } catch (error) {
+        console.error(`Notification SMS failed for user ${user._id}:`, error);
+        notification.channels.sms = 'failed';
+      }
+    }
+
+    await notification.save();
+  }
+
+  /**
+   * Mark some or all of a user's notifications as read
+   * @param {Array} ids - Notification IDs; every unread one when omitted
+   * @returns {Promise<Number>} Notifications newly marked as read
+   */
+  async markRead(userId, ids) {
+    const filter = { user: userId, readAt: null };
+    if (ids) {
+      filter._id = { $in: ids };
+    }
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * A user's mutes that are still in force
+   */
+  getActiveMutes(user, now = new Date()) {
+    return (user.preferences.notifications.mutes || []).filter(mute => !mute.until || mute.until > now);
+  }
+
+  /**
+   * Mute a type of notification, a job, or one type for one job. Muting the
+   * same thing again replaces the earlier mute. Call user.save() afterwards.
+   * @param {Object} user - User document
+   * @param {Object} mute - { type, job, until }
+   * @returns {Object} The mute
+   */
+  mute(user, { type, job, until }) {
+    if (!type && !job) {
+      throw new NotificationError('Choose a notification type, a job, or both to mute');
+    }
+    if (until && until <= new Date()) {
+      throw new NotificationError('A mute must end in the future');
+    }
+
+    const settings = user.preferences.notifications;
+    // Drop lapsed mutes and the one being replaced
+    settings.mutes = this.getActiveMutes(user).filter(existing => !(
+      (existing.type || null) === (type || null) &&
+      (existing.job ? sameId(existing.job, job) : !job)
+    ));
+    if (settings.mutes.length >= MAX_MUTES_PER_USER) {
+      throw new NotificationError(`At most ${MAX_MUTES_PER_USER} mutes can be active at once`, 409);
+    }
+
+    settings.mutes.push({ type, job, until });
+    return settings.mutes[settings.mutes.length - 1];
+  }
+
+  /**
+   * Lift a mute. Call user.save() afterwards.
+   */
+  unmute(user, muteId) {
+    const mute = user.preferences.notifications.mutes.id(muteId);
+    if (!mute) {
+      throw new NotificationError('Mute not found', 404, 'MUTE_NOT_FOUND');
+    }
+    mute.deleteOne();
+    return mute;
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * File transport: appends each message as a JSON line to SMS_LOG_FILE
+ * (default tmp/sms/outbox.log); the default for local development
+ */
+const fileTransport = {
+  name: 'file',
+  async send(message) {
+    const file = path.resolve(process.env.SMS_LOG_FILE || 'tmp/sms/outbox.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.appendFile(file, `${JSON.stringify({ id, ...message, sentAt: new Date().toISOString() })}\n`);
+    return { id, file };
+  }
+};
+
+/**
+ * Console transport: prints each message to stdout
+ */
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`📱 SMS to ${message.to}: ${message.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+class SmsGatewayService {
+  constructor() {
+    this.transports = {
+      file: fileTransport,
+      console: consoleTransport
+    };
+    this.senderName = process.env.SMS_SENDER_NAME || 'Rekomendito';
+    this.transport = this.transports[process.env.SMS_TRANSPORT] || fileTransport;
+  }
+
+  /**
+   * Register a transport (an object with name and async send({ to, text, from }))
+   * and optionally make it the active one, e.g. a Semaphore or Twilio adapter
+   */
+  registerTransport(transport, { use = false } = {}) {
+    this.transports[transport.name] = transport;
+    if (use || process.env.SMS_TRANSPORT === transport.name) {
+      this.transport = transport;
+    }
+  }
+
+  /**
+   * Send a text message through the active transport
+   * @param {String} to - E.164 phone number
+   * @param {String} text - Message body
+   */
+  async send(to, text) {
+    return this.transport.send({ from: this.senderName, to, text });
+  }
+
+  /**
+   * Phone verification code
+   */
+  async sendVerificationCode(phone, code, expiresInMinutes) {
+    return this.send(
+      phone,
+      `${code} is your Rekomendito verification code. It expires in ${expiresInMinutes} minutes. Never share this code.`
+    );
+  }
+
+  /**
+   * Notification for users who opted in to SMS and have a verified phone
+   * @returns {Promise<Object|null>} Transport result, or null when SMS is off for the user
+   */
+  async notify(user, text) {
+    if (!user.phoneVerified || !user.phone || !user.preferences?.notifications?.sms) {
+      return null;
+    }
+    return this.send(user.phone, text);
+  }
+}
+
+export default new SmsGatewayService();
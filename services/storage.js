@@ -0,0 +1,448 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { UPLOAD_KINDS, IMAGE_VARIANTS, SIGNED_URL_TTL_SECONDS } from '../config/uploads.js';
+import { sniffContentType, contentTypeForName, EXTENSIONS } from '../utils/fileSniffing.js';
+import { signRequest, presignUrl, encodeObjectPath } from '../utils/awsSignature.js';
+import imagePipeline, { ImageProcessingError } from './imagePipeline.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// Keys under this prefix have no public URL, only signed ones
+const PRIVATE_PREFIX = 'private/';
+
+const isPrivateKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+// Variants sit beside their image: photos/abc.jpg -> photos/abc-thumb.webp
+const variantKeyFor = (key, name) => `${key.replace(/\.[^./]+$/, '')}-${name}.webp`;
+
+const isImageKey = (key) => contentTypeForName(key).startsWith('image/');
+
+/**
+ * An upload that was refused. Controllers answer it with error.statusCode and
+ * error.toResponse().
+ */
+export class StorageError extends Error {
+  constructor(message, statusCode = 400, code = 'INVALID_UPLOAD') {
+    super(message);
+    this.name = 'StorageError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      code: this.code,
+      message: this.message
+    };
+  }
+}
+
+/**
+ * Content-Disposition that downloads under the original file name
+ */
+export const attachmentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+/**
+ * Local disk driver (default). Public files go under STORAGE_LOCAL_DIR
+ * (default uploads/, served at /uploads); private ones under
+ * STORAGE_PRIVATE_DIR (default private-uploads/), which is never served
+ * statically: GET /api/files/<key> hands them out against an HMAC signature.
+ */
+const createLocalDriver = () => {
+  const publicDir = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(PROJECT_ROOT, 'uploads'));
+  const privateDir = path.resolve(process.env.STORAGE_PRIVATE_DIR || path.join(PROJECT_ROOT, 'private-uploads'));
+  const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+  const signatureFor = (key, expires, filename = '') =>
+    crypto.createHmac('sha256', signingSecret()).update(`${key}\n${expires}\n${filename}`).digest('hex');
+
+  return {
+    name: 'local',
+
+    /**
+     * Absolute path of a key, or null when it would resolve outside its root
+     */
+    pathFor(key) {
+      const root = isPrivateKey(key) ? privateDir : publicDir;
+      const fullPath = path.resolve(root, isPrivateKey(key) ? key.slice(PRIVATE_PREFIX.length) : key);
+      return fullPath.startsWith(root + path.sep) ? fullPath : null;
+    },
+
+    async write(key, buffer) {
+      const fullPath = this.pathFor(key);
+      if (!fullPath) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, buffer);
+    },
+
+    async read(key) {
+      const fullPath = this.pathFor(key);
+      try {
+        return fullPath ? await fs.readFile(fullPath) : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      const fullPath = this.pathFor(key);
+      if (!fullPath) return;
+      try {
+        await fs.unlink(fullPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    publicUrl(key) {
+      return `/uploads/${encodeObjectPath(key)}`;
+    },
+
+    keyFromUrl(url) {
+      return url.startsWith('/uploads/') ? decodeURIComponent(url.slice('/uploads/'.length)) : null;
+    },
+
+    signedUrl(key, expiresIn, filename) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({
+        expires: String(expires),
+        ...(filename && { name: filename }),
+        signature: signatureFor(key, expires, filename)
+      });
+      return `/api/files/${encodeObjectPath(key)}?${params}`;
+    },
+
+    /**
+     * Whether a signed URL's parameters are genuine and unexpired
+     */
+    verifySignature(key, { expires, name, signature }) {
+      if (!signature || !(Number(expires) * 1000 > Date.now())) return false;
+      const expected = Buffer.from(signatureFor(key, expires, name || ''));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+  };
+};
+
+/**
+ * S3-compatible driver: AWS S3, MinIO, R2, Spaces and the like. Objects are
+ * addressed path-style (S3_ENDPOINT/S3_BUCKET/key), which all of them accept.
+ * Public files are read from S3_PUBLIC_URL (default the bucket URL), so the
+ * bucket (or a CDN in front of it) must allow anonymous reads outside private/;
+ * set S3_PUBLIC_ACL=true to mark each public object public-read instead.
+ */
+const createS3Driver = () => {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+  const bucket = process.env.S3_BUCKET;
+  const publicBase = (process.env.S3_PUBLIC_URL || `${endpoint}/${bucket}`).replace(/\/$/, '');
+  const credentials = {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    region
+  };
+  if (!bucket || !credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('The s3 storage driver needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectUrl = (key) => new URL(`${endpoint}/${bucket}/${encodeObjectPath(key)}`);
+
+  const send = async (method, key, { body, headers = {} } = {}) => {
+    const url = objectUrl(key);
+    const response = await fetch(url, {
+      method,
+      headers: signRequest({ method, url, headers, body: body || '' }, credentials),
+      body
+    });
+    // A missing object is an answer for reads and deletes, not a failure
+    if (!response.ok && !(response.status === 404 && method !== 'PUT')) {
+      const detail = (await response.text()).slice(0, 200);
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${detail}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 's3',
+
+    async write(key, buffer, contentType) {
+      await send('PUT', key, {
+        body: buffer,
+        headers: {
+          'content-type': contentType,
+          ...(process.env.S3_PUBLIC_ACL === 'true' && !isPrivateKey(key) && { 'x-amz-acl': 'public-read' })
+        }
+      });
+    },
+
+    async read(key) {
+      const response = await send('GET', key);
+      return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+    },
+
+    async remove(key) {
+      await send('DELETE', key);
+    },
+
+    publicUrl(key) {
+      return `${publicBase}/${encodeObjectPath(key)}`;
+    },
+
+    keyFromUrl(url) {
+      return url.startsWith(`${publicBase}/`) ? decodeURIComponent(url.slice(publicBase.length + 1)) : null;
+    },
+
+    signedUrl(key, expiresIn, filename) {
+      const url = objectUrl(key);
+      if (filename) {
+        url.searchParams.set('response-content-disposition', attachmentDisposition(filename));
+      }
+      return presignUrl({ url, expiresIn }, credentials);
+    }
+  };
+};
+
+class StorageService {
+  constructor() {
+    this.drivers = {
+      local: createLocalDriver,
+      s3: createS3Driver
+    };
+    this.activeDriver = null;
+  }
+
+  /**
+   * Register a driver factory (returning an object like createLocalDriver's)
+   * and optionally make it the active one
+   */
+  registerDriver(name, factory, { use = false } = {}) {
+    this.drivers[name] = factory;
+    if (use || process.env.STORAGE_DRIVER === name) {
+      this.activeDriver = factory();
+    }
+  }
+
+  /**
+   * The STORAGE_DRIVER driver (default local), created on first use so that
+   * settings loaded from .env after import apply
+   */
+  get driver() {
+    if (!this.activeDriver) {
+      this.activeDriver = (this.drivers[process.env.STORAGE_DRIVER] || this.drivers.local)();
+    }
+    return this.activeDriver;
+  }
+
+  /**
+   * Identify an upload by its contents and check it against the kinds an
+   * endpoint accepts
+   * @param {Object} file - Multer file object (memory storage)
+   * @param {Array} kinds - Keys of UPLOAD_KINDS
+   * @returns {Object} { kind, contentType, extension }
+   */
+  inspect(file, kinds) {
+    const contentType = sniffContentType(file.buffer);
+    const kind = kinds.find(name => UPLOAD_KINDS[name].contentTypes.includes(contentType));
+    if (!kind) {
+      const accepted = kinds.flatMap(name => UPLOAD_KINDS[name].contentTypes.map(type => EXTENSIONS[type].slice(1).toUpperCase()));
+      throw new StorageError(`${file.originalname} is not a supported file. Accepted: ${[...new Set(accepted)].join(', ')}`, 415, 'UNSUPPORTED_FILE_TYPE');
+    }
+    const { maxBytes } = UPLOAD_KINDS[kind];
+    if (file.size > maxBytes) {
+      throw new StorageError(`${file.originalname} is too large; ${kind} files can be at most ${maxBytes / (1024 * 1024)}MB`, 413, 'FILE_TOO_LARGE');
+    }
+    return { kind, contentType, extension: EXTENSIONS[contentType] };
+  }
+
+  /**
+   * Check and store an upload under a fresh, unguessable name. Images are
+   * stored as cleaned by the image pipeline, with their variants.
+   * @param {Object} file - Multer file object (memory storage)
+   * @param {Object} options - { folder, prefix, kinds, visibility: 'public' | 'private' }
+   * @returns {Promise<Object>} { key, url (null when private), filename, contentType, kind, size },
+   * plus { width, height, hash, variants } for images
+   */
+  async save(file, { folder, prefix, kinds = ['image'], visibility = 'public' }) {
+    const { kind, contentType, extension } = this.inspect(file, kinds);
+    const image = kind === 'image' ? await this.processImage(file, contentType) : null;
+
+    const random = crypto.randomBytes(12).toString('hex');
+    const name = prefix ? `${prefix}-${random}${extension}` : `${random}${extension}`;
+    const key = `${visibility === 'private' ? PRIVATE_PREFIX : ''}${folder}/${name}`;
+    const buffer = image ? image.buffer : file.buffer;
+
+    let variants;
+    try {
+      await this.driver.write(key, buffer, contentType);
+      variants = image ? await this.writeVariants(key, image.variants) : undefined;
+    } catch (error) {
+      await this.remove(key);
+      throw error;
+    }
+
+    return {
+      key,
+      url: this.urlFor(key),
+      filename: file.originalname,
+      contentType,
+      kind,
+      size: buffer.length,
+      ...(image && {
+        width: image.width,
+        height: image.height,
+        hash: image.hash,
+        variants
+      })
+    };
+  }
+
+  /**
+   * Run an uploaded image through the pipeline, refusing ones that do not decode
+   */
+  async processImage(file, contentType) {
+    try {
+      return await imagePipeline.process(file.buffer, contentType);
+    } catch (error) {
+      if (error instanceof ImageProcessingError) {
+        throw new StorageError(`${file.originalname} could not be read as an image`, 415, 'UNREADABLE_IMAGE');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store an image's variants beside it
+   * @returns {Promise<Array>} [{ name, key, url (null when private), width, height, size }]
+   */
+  async writeVariants(key, variants) {
+    return Promise.all(variants.map(async (variant) => {
+      const variantKey = variantKeyFor(key, variant.name);
+      await this.driver.write(variantKey, variant.buffer, variant.contentType);
+      return {
+        name: variant.name,
+        key: variantKey,
+        url: this.urlFor(variantKey),
+        width: variant.width,
+        height: variant.height,
+        size: variant.buffer.length
+      };
+    }));
+  }
+
+  /**
+   * Clean an image stored before the pipeline existed, in place, and add its
+   * variants. Used by migrations.
+   * @returns {Promise<Object|null>} { width, height, hash, variants, size }, or
+   * null when the file is missing or not a processable image
+   */
+  async reprocessImage(key) {
+    const contentType = contentTypeForName(key);
+    const buffer = await this.read(key);
+    if (!buffer || !contentType.startsWith('image/') || sniffContentType(buffer) !== contentType) {
+      return null;
+    }
+
+    let image;
+    try {
+      image = await imagePipeline.process(buffer, contentType);
+    } catch (error) {
+      if (error instanceof ImageProcessingError) return null;
+      throw error;
+    }
+
+    await this.driver.write(key, image.buffer, contentType);
+    return {
+      width: image.width,
+      height: image.height,
+      hash: image.hash,
+      variants: await this.writeVariants(key, image.variants),
+      size: image.buffer.length
+    };
+  }
+
+  /**
+   * Permanent URL of a public key; null for private ones
+   */
+  urlFor(key) {
+    return isPrivateKey(key) ? null : this.driver.publicUrl(key);
+  }
+
+  /**
+   * Key of a public file from its URL; null for private files and for URLs
+   * this storage does not own (e.g. remote images). URLs saved on profiles can
+   * be edited by users, so they never resolve to private files.
+   */
+  keyFromUrl(url) {
+    if (typeof url !== 'string') return null;
+    const key = this.driver.keyFromUrl(url);
+    return key && !isPrivateKey(key) ? key : null;
+  }
+
+  /**
+   * Contents of a stored file, or null when it is missing
+   */
+  async read(key) {
+    return key ? this.driver.read(key) : null;
+  }
+
+  /**
+   * Delete a stored file, and an image's variants with it. Missing files and
+   * null keys are ignored; other failures are logged, not thrown.
+   */
+  async remove(key) {
+    if (!key) return;
+    const keys = isImageKey(key)
+      ? [key, ...Object.keys(IMAGE_VARIANTS).map(name => variantKeyFor(key, name))]
+      : [key];
+    try {
+      await Promise.all(keys.map(each => this.driver.remove(each)));
+    } catch (error) {
+      console.error(`Error deleting stored file ${key}:`, error);
+    }
+  }
+
+  /**
+   * Temporary download URL for a stored file
+   * @param {String} key - Storage key
+   * @param {Object} options - { filename (download name), expiresIn (seconds) }
+   * @returns {Object} { url, expiresAt }
+   */
+  getSignedUrl(key, { filename, expiresIn = SIGNED_URL_TTL_SECONDS } = {}) {
+    return {
+      url: this.driver.signedUrl(key, expiresIn, filename),
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  /**
+   * A job attachment as sent to clients: stored files get a fresh signed URL
+   * (image variants too, for display rather than download), older ones keep
+   * the URL they were saved with
+   */
+  withDownloadUrl(attachment) {
+    const data = attachment.toObject ? attachment.toObject() : { ...attachment };
+    if (!data.key) return data;
+    const { url, expiresAt } = this.getSignedUrl(data.key, { filename: data.filename });
+    return {
+      ...data,
+      url,
+      urlExpiresAt: expiresAt,
+      ...(data.variants?.length > 0 && {
+        variants: data.variants.map(variant => ({ ...variant, url: this.getSignedUrl(variant.key).url }))
+      })
+    };
+  }
+}
+
+export default new StorageService();
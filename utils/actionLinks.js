@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+// Emailed action links: how long each stays valid
+export const ACTION_LINKS = {
+  verifyEmail: { expiresInMinutes: 24 * 60, path: '/verify-email' },
+  resetPassword: { expiresInMinutes: 60, path: '/reset-password' },
+  unlockAccount: { expiresInMinutes: 24 * 60, path: '/unlock-account' }
+};
+
+/**
+ * SHA-256 hex digest of a link nonce
+ */
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('hex');
+
+/**
+ * Issue a signed link token for an action and record its nonce on the user.
+ * Issuing a new link replaces (and so revokes) the previous one for that action
+ * only; links for other actions stay valid. Written straight to the database,
+ * since pendingActions is not loaded with the user.
+ * @param {Object} user - User document
+ * @param {String} action - Key of ACTION_LINKS
+ * @returns {Promise<String>} Signed token to embed in the emailed link
+ */
+export const issueActionLink = async (user, action) => {
+  const { expiresInMinutes } = ACTION_LINKS[action];
+  const nonce = crypto.randomBytes(32).toString('hex');
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        [`pendingActions.${action}`]: {
+          nonceHash: hashNonce(nonce),
+          expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+        }
+      }
+    }
+  );
+
+  return jwt.sign(
+    { sub: user._id.toString(), action, nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: expiresInMinutes * 60 }
+  );
+};
+
+/**
+ * Redeem a link token: checks the signature, expiry and action, then clears the
+ * stored nonce in the same update so a link can only be used once
+ * @param {String} token - Signed token from the link
+ * @param {String} action - Key of ACTION_LINKS the token must be for
+ * @returns {Promise<Object|null>} The user, or null when invalid, expired or already used
+ */
+export const consumeActionLink = async (token, action) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.action !== action || !payload.nonce || !payload.sub) return null;
+
+  return User.findOneAndUpdate(
+    {
+      _id: payload.sub,
+      isActive: true,
+      [`pendingActions.${action}.nonceHash`]: hashNonce(payload.nonce),
+      [`pendingActions.${action}.expiresAt`]: { $gt: new Date() }
+    },
+    { $unset: { [`pendingActions.${action}`]: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Frontend URL for an action link
+ */
+export const buildActionUrl = (action, token) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}${ACTION_LINKS[action].path}?token=${encodeURIComponent(token)}`;
+};
+
+export default {
+  ACTION_LINKS,
+  issueActionLink,
+  consumeActionLink,
+  buildActionUrl
+};
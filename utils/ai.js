@@ -1,4 +1,6 @@
 import OpenAI from 'openai';
+import Category from '../models/Category.js';
+import { getTravelTimes } from './geo.js';
 
 // Initialize OpenAI client (conditionally)
 let openai = null;
@@ -10,12 +12,19 @@ if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'sk-dummy-key-f
   console.log('🤖 Running in development mode - AI features will use fallback responses');
 }
 
-// Service categories for validation
-const SERVICE_CATEGORIES = [
-  'Construction', 'Electrical', 'Plumbing', 'Carpentry', 'Painting', 
-  'Roofing', 'Landscaping', 'Cleaning', 'HVAC', 'Solar Installation',
-  'Renovation', 'Masonry', 'Welding', 'Interior Design', 'Security Systems', 'Other'
-];
+/**
+ * Describe the active category taxonomy for AI prompts
+ * @returns {Promise<string>} One line per category with its synonyms
+ */
+const describeCategories = async () => {
+  const categories = await Category.getActive();
+  return categories
+    .filter(category => !category.parent && !category.parentName)
+    .map(category => category.synonyms?.length
+      ? `- ${category.name} (also called: ${category.synonyms.join(', ')})`
+      : `- ${category.name}`)
+    .join('\n');
+};
 
 /**
  * Extract service tags from business description using AI
@@ -31,14 +40,17 @@ export const extractServiceTags = async (businessDescription, businessName = '')
       return fallbackServiceExtraction(businessDescription);
     }
 
+    const serviceCategories = await Category.getActiveNames();
+    const categoryList = await describeCategories();
+
     const prompt = `
     You are an AI assistant helping to categorize Filipino service providers in Bataan.
     
     Business Name: ${businessName}
     Business Description: ${businessDescription}
     
-    Available Service Categories:
-    ${SERVICE_CATEGORIES.join(', ')}
+    Available Service Categories (use the exact category name):
+${categoryList}
     
     Based on the business description, identify the most relevant service categories and specific skills/specialties.
     
@@ -94,7 +106,7 @@ export const extractServiceTags = async (businessDescription, businessName = '')
 
     // Validate and clean the response
     const validCategories = aiResponse.categories.filter(cat => 
-      SERVICE_CATEGORIES.includes(cat)
+      serviceCategories.includes(cat)
     );
     
     if (validCategories.length === 0) {
@@ -116,6 +128,23 @@ export const extractServiceTags = async (businessDescription, businessName = '')
   }
 };
 
+/**
+ * Road travel from each provider to the job site
+ * @param {Object} jobRequest
+ * @param {Array} providers
+ * @returns {Array} Route summaries aligned with providers (null when unknown)
+ */
+const getProviderTravel = (jobRequest, providers) => {
+  const site = jobRequest.location?.coordinates;
+  return getTravelTimes(
+    { lat: site?.latitude, lng: site?.longitude },
+    providers.map(provider => ({
+      lat: provider.location?.coordinates?.latitude,
+      lng: provider.location?.coordinates?.longitude
+    }))
+  );
+};
+
 /**
  * Match job requests with suitable providers using AI
  * @param {Object} jobRequest - The job request object
@@ -135,7 +164,8 @@ export const matchJobWithProviders = async (jobRequest, providers) => {
     }
 
     // Prepare provider summaries for AI
-    const providerSummaries = providers.map(provider => ({
+    const travel = getProviderTravel(jobRequest, providers);
+    const providerSummaries = providers.map((provider, index) => ({
       id: provider._id,
       name: provider.businessName,
       description: provider.businessDescription,
@@ -145,7 +175,10 @@ export const matchJobWithProviders = async (jobRequest, providers) => {
       experience: provider.experience?.years || 0,
       rating: provider.ratings?.average || 0,
       badges: provider.badges.map(b => b.type).join(', '),
-      location: provider.location.barangay
+      location: provider.location.barangay,
+      travel: travel[index]
+        ? `about ${travel[index].durationMinutes} min by road (${travel[index].distanceKm} km)`
+        : 'unknown'
     }));
 
     const prompt = `
@@ -168,9 +201,11 @@ export const matchJobWithProviders = async (jobRequest, providers) => {
        - Experience: ${p.experience} years
        - Rating: ${p.rating}/5
        - Location: ${p.location}
+       - Travel to job site: ${p.travel}
        - Badges: ${p.badges}
     `).join('')}
     
+    Only recommend providers offering the job's category (${jobRequest.category}).
     Please analyze and rank the top 3 most suitable providers for this job.
     
     Respond with a JSON object in this exact format:
@@ -187,7 +222,7 @@ export const matchJobWithProviders = async (jobRequest, providers) => {
     
     Scoring criteria (0-100):
     - Service/category match (40%)
-    - Location proximity (20%)
+    - Location proximity by road travel time, not straight-line distance (20%)
     - Experience/rating (20%)
     - Availability/urgency fit (10%)
     - Budget compatibility (10%)
@@ -360,30 +395,14 @@ export const generateJobTags = async (jobTitle, jobDescription) => {
 // Fallback functions for when AI is unavailable
 
 /**
- * Fallback service extraction using keyword matching
+ * Fallback service extraction using category names and synonyms
  */
-const fallbackServiceExtraction = (description) => {
-  const keywords = {
-    'Construction': ['construction', 'building', 'build', 'concrete', 'foundation'],
-    'Electrical': ['electrical', 'electric', 'wiring', 'lights', 'power', 'generator'],
-    'Plumbing': ['plumbing', 'pipe', 'water', 'leak', 'drain', 'toilet', 'faucet'],
-    'Carpentry': ['carpentry', 'wood', 'furniture', 'cabinet', 'door', 'window'],
-    'Painting': ['painting', 'paint', 'color', 'wall', 'house painting'],
-    'Roofing': ['roofing', 'roof', 'shingle', 'gutter', 'attic'],
-    'Cleaning': ['cleaning', 'clean', 'housekeeping', 'janitorial'],
-    'Landscaping': ['landscaping', 'garden', 'lawn', 'plants', 'trees']
-  };
+const fallbackServiceExtraction = async (description) => {
+  const matches = (await Category.matchText(description))
+    .filter(match => match.name !== 'Other');
 
-  const lowerDescription = description.toLowerCase();
-  const matchedCategories = [];
-  const specialties = [];
-
-  for (const [category, terms] of Object.entries(keywords)) {
-    if (terms.some(term => lowerDescription.includes(term))) {
-      matchedCategories.push(category);
-      specialties.push(...terms.filter(term => lowerDescription.includes(term)));
-    }
-  }
+  const matchedCategories = matches.map(match => match.name);
+  const specialties = matches.flatMap(match => match.matchedTerms);
 
   return {
     categories: matchedCategories.length > 0 ? matchedCategories : ['Other'],
@@ -397,9 +416,12 @@ const fallbackServiceExtraction = (description) => {
  * Fallback job matching using simple scoring
  */
 const fallbackJobMatching = (jobRequest, providers) => {
+  const travel = getProviderTravel(jobRequest, providers);
+
   return providers
-    .map(provider => {
+    .map((provider, index) => {
       let score = 0;
+      const reasons = ['Category match', 'Experience', 'Rating'];
       
       // Category match (40 points)
       if (provider.services.some(s => s.category === jobRequest.category)) {
@@ -418,14 +440,20 @@ const fallbackJobMatching = (jobRequest, providers) => {
         score += 10;
       }
       
-      // Random factor for variety (10 points)
-      score += Math.random() * 10;
+      // Road travel time to the job site (10 points, none beyond 90 minutes)
+      const minutes = travel[index]?.durationMinutes;
+      if (minutes !== undefined) {
+        score += Math.max(0, 10 - minutes / 9);
+        if (minutes <= 20) {
+          reasons.push(`About ${minutes} min away`);
+        }
+      }
       
       return {
         providerId: provider._id,
         matchScore: Math.round(score),
-        reasons: ['Category match', 'Experience', 'Rating'],
-        concerns: [],
+        reasons,
+        concerns: minutes > 60 ? [`${travel[index].durationText} to the job site`] : [],
         aiGenerated: false
       };
     })
@@ -433,9 +461,35 @@ const fallbackJobMatching = (jobRequest, providers) => {
     .slice(0, 3);
 };
 
+/**
+ * Rank emergency-capable providers by how fast they can reach the job site
+ * @param {Object} jobRequest - Emergency job with coordinates
+ * @param {Array} providers - Providers offering emergency service
+ * @returns {Array} Matches in the same shape as matchJobWithProviders, fastest first
+ */
+export const rankEmergencyProviders = (jobRequest, providers) => {
+  const travel = getProviderTravel(jobRequest, providers);
+
+  return providers
+    .map((provider, index) => ({ provider, route: travel[index] }))
+    .filter(({ route }) => route)
+    .sort((a, b) => a.route.durationMinutes - b.route.durationMinutes)
+    .slice(0, 3)
+    .map(({ provider, route }) => ({
+      providerId: provider._id,
+      // Every 3 minutes on the road costs a point
+      matchScore: Math.max(0, Math.min(100, Math.round(100 - route.durationMinutes / 3))),
+      reasons: ['Offers emergency service', `Can arrive in about ${route.durationMinutes} min`],
+      concerns: route.durationMinutes > 60 ? ['Over an hour away by road'] : [],
+      aiGenerated: false,
+      travel: route
+    }));
+};
+
 export default {
   extractServiceTags,
   matchJobWithProviders,
+  rankEmergencyProviders,
   enhanceProviderProfile,
   generateJobTags
 }; 
\ No newline at end of file
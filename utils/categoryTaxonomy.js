@@ -0,0 +1,131 @@
+/**
+ * Default service category taxonomy for Bataan
+ * Seeded into the Category collection; admins manage it from there afterwards.
+ * Synonyms include common Tagalog/Taglish terms used by clients.
+ */
+export const DEFAULT_CATEGORIES = [
+  {
+    name: 'Construction',
+    icon: 'hard-hat',
+    synonyms: ['building', 'concrete', 'foundation', 'gawa ng bahay', 'pagpapatayo'],
+    subcategories: ['House Construction', 'Concrete Work', 'Extensions', 'Fencing']
+  },
+  {
+    name: 'Renovation',
+    icon: 'hammer',
+    synonyms: ['remodel', 'repair', 'kumpuni', 'pagkukumpuni', 'ayos ng bahay'],
+    subcategories: ['Kitchen Renovation', 'Bathroom Renovation', 'Home Extension']
+  },
+  {
+    name: 'Masonry',
+    icon: 'bricks',
+    synonyms: ['mason', 'hollow blocks', 'semento', 'tiles', 'tiling', 'palitada'],
+    subcategories: ['Tile Installation', 'Block Laying', 'Plastering']
+  },
+  {
+    name: 'Electrical',
+    icon: 'bolt',
+    synonyms: ['electrician', 'wiring', 'elektrisyan', 'kuryente', 'ilaw', 'saksakan'],
+    subcategories: ['Wiring Installation', 'Lighting Installation', 'Circuit Breaker Repair', 'Generator Setup']
+  },
+  {
+    name: 'Plumbing',
+    icon: 'wrench',
+    synonyms: ['plumber', 'pipe', 'leak', 'tubero', 'tubo', 'gripo', 'baradong lababo', 'inidoro'],
+    subcategories: ['Leak Repair', 'Pipe Installation', 'Drain Cleaning', 'Water Heater Repair', 'Toilet Repair']
+  },
+  {
+    name: 'Carpentry',
+    icon: 'saw',
+    synonyms: ['carpenter', 'woodwork', 'furniture', 'cabinet', 'karpintero', 'aparador', 'kahoy'],
+    subcategories: ['Custom Furniture', 'Cabinet Making', 'Door Installation', 'Wood Flooring']
+  },
+  {
+    name: 'Painting',
+    icon: 'paint-roller',
+    synonyms: ['painter', 'paint', 'pintor', 'pintura', 'pinta'],
+    subcategories: ['Interior Painting', 'Exterior Painting', 'Waterproofing']
+  },
+  {
+    name: 'Roofing',
+    icon: 'home',
+    synonyms: ['roof', 'gutter', 'bubong', 'yero', 'alulod', 'tulo sa bubong'],
+    subcategories: ['Roof Repair', 'Roof Installation', 'Gutter Installation']
+  },
+  {
+    name: 'Welding',
+    icon: 'fire',
+    synonyms: ['welder', 'steel', 'metal works', 'hinang', 'manghihinang', 'rehas', 'gate'],
+    subcategories: ['Gate Fabrication', 'Steel Grills', 'Metal Repair']
+  },
+  {
+    name: 'Landscaping',
+    icon: 'leaf',
+    synonyms: ['garden', 'lawn', 'trees', 'hardin', 'hardinero', 'damo', 'halaman'],
+    subcategories: ['Garden Design', 'Lawn Maintenance', 'Tree Trimming', 'Irrigation System']
+  },
+  {
+    name: 'Cleaning',
+    icon: 'broom',
+    synonyms: ['housekeeping', 'janitorial', 'linis', 'paglilinis', 'tagalinis'],
+    subcategories: ['House Cleaning', 'Deep Cleaning', 'Post-Construction Cleaning', 'Office Cleaning']
+  },
+  {
+    name: 'HVAC',
+    icon: 'snowflake',
+    synonyms: ['aircon', 'air conditioning', 'ventilation', 'aircon cleaning', 'erkon'],
+    subcategories: ['Aircon Cleaning', 'Aircon Installation', 'Aircon Repair']
+  },
+  {
+    name: 'Appliance Repair',
+    icon: 'plug',
+    synonyms: ['appliance', 'ref', 'refrigerator', 'washing machine', 'TV repair', 'sirang appliance', 'pridyider'],
+    subcategories: ['Refrigerator Repair', 'Washing Machine Repair', 'TV Repair', 'Microwave Repair']
+  },
+  {
+    name: 'Solar Installation',
+    icon: 'sun',
+    synonyms: ['solar', 'solar panel', 'off-grid', 'araw'],
+    subcategories: ['Solar Panel Installation', 'Inverter Setup', 'Battery Storage']
+  },
+  {
+    name: 'Security Systems',
+    icon: 'shield',
+    synonyms: ['security', 'CCTV', 'alarm', 'bantay', 'kamera'],
+    subcategories: ['CCTV Installation', 'Alarm Systems', 'Door Access']
+  },
+  {
+    name: 'Interior Design',
+    icon: 'couch',
+    synonyms: ['interior', 'decor', 'disenyo', 'dekorasyon'],
+    subcategories: ['Space Planning', 'Home Styling']
+  },
+  {
+    name: 'Pest Control',
+    icon: 'bug',
+    synonyms: ['termite', 'exterminator', 'anay', 'ipis', 'daga', 'lamok', 'peste'],
+    subcategories: ['Termite Treatment', 'General Pest Control', 'Rodent Control']
+  },
+  {
+    name: 'Moving',
+    icon: 'truck',
+    synonyms: ['movers', 'hauling', 'lipat bahay', 'hakot', 'lipat'],
+    subcategories: ['House Moving', 'Furniture Hauling']
+  },
+  {
+    name: 'Other',
+    icon: 'ellipsis',
+    synonyms: ['general', 'iba pa'],
+    subcategories: []
+  }
+];
+
+// Category names used before the taxonomy existed -> canonical names
+export const LEGACY_CATEGORY_ALIASES = {
+  'Security': 'Security Systems'
+};
+
+export default {
+  DEFAULT_CATEGORIES,
+  LEGACY_CATEGORY_ALIASES
+};
@@ -0,0 +1,36 @@
+// Shown in place of anything that looks like a way to reach someone off the platform
+export const REDACTION_PLACEHOLDER = '[contact details hidden]';
+
+const CONTACT_PATTERNS = [
+  // Email addresses
+  /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  // Chat and social links (WhatsApp, Messenger, Telegram, Viber, Facebook, Instagram)
+  /\b(?:https?:\/\/)?(?:www\.)?(?:wa\.me|api\.whatsapp\.com|m\.me|messenger\.com|t\.me|telegram\.me|invite\.viber\.com|viber\.com|facebook\.com|fb\.com|instagram\.com)\/\S*/gi,
+  // Philippine mobile and landline numbers, with or without separators:
+  // 0917 123 4567, +63 917-123-4567, (047) 237 1234
+  /(?:\+[\s.-]*6[\s.-]*3|\(?\b0)(?:[\s().-]*\d){9,10}\b/g
+];
+
+/**
+ * Replace phone numbers, email addresses and chat links in a message
+ * @param {String} text - Message text
+ * @returns {Object} { text, redacted } - redacted is true when anything was replaced
+ */
+export const redactContactDetails = (text) => {
+  if (!text) {
+    return { text, redacted: false };
+  }
+
+  let redacted = false;
+  const result = CONTACT_PATTERNS.reduce((current, pattern) => current.replace(pattern, () => {
+    redacted = true;
+    return REDACTION_PLACEHOLDER;
+  }), text);
+
+  return { text: result, redacted };
+};
+
+export default {
+  REDACTION_PLACEHOLDER,
+  redactContactDetails
+};
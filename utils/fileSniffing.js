@@ -0,0 +1,68 @@
+// Identify uploads by their leading bytes instead of trusting the browser's
+// Content-Type or the file extension
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  { type: 'image/jpeg', test: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { type: 'image/png', test: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/gif', test: (buffer) => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')) },
+  { type: 'image/webp', test: (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8) },
+  { type: 'application/pdf', test: (buffer) => startsWith(buffer, ascii('%PDF-')) },
+  {
+    // Office Open XML files are ZIP archives; the part names tell them apart
+    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    test: (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('word/')
+  },
+  {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    test: (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('xl/')
+  },
+  { type: 'video/quicktime', test: (buffer) => startsWith(buffer, ascii('ftypqt'), 4) },
+  { type: 'video/mp4', test: (buffer) => startsWith(buffer, ascii('ftyp'), 4) },
+  { type: 'video/webm', test: (buffer) => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) }
+];
+
+// File extension stored for each recognised type
+export const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm'
+};
+
+/**
+ * Content type of a file from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {String|null} MIME type, or null when not recognised
+ */
+export const sniffContentType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+  return SIGNATURES.find(signature => signature.test(buffer))?.type || null;
+};
+
+/**
+ * Content type for a stored file name, from its extension
+ * @returns {String} MIME type, application/octet-stream when unknown
+ */
+export const contentTypeForName = (filename) => {
+  const extension = filename.slice(filename.lastIndexOf('.')).toLowerCase();
+  if (extension === '.jpeg') return 'image/jpeg';
+  return Object.keys(EXTENSIONS).find(type => EXTENSIONS[type] === extension) || 'application/octet-stream';
+};
+
+export default {
+  EXTENSIONS,
+  sniffContentType,
+  contentTypeForName
+};
@@ -2,45 +2,42 @@
  * Geo utilities for location-based operations
  */
 
-// Bataan municipalities and their approximate coordinates
-const BATAAN_MUNICIPALITIES = {
-  'Abucay': { lat: 14.7278, lng: 120.5333 },
-  'Bagac': { lat: 14.6000, lng: 120.4000 },
-  'Balanga': { lat: 14.6757, lng: 120.536 }, // Capital city
-  'Dinalupihan': { lat: 14.8667, lng: 120.4667 },
-  'Hermosa': { lat: 14.8333, lng: 120.5000 },
-  'Limay': { lat: 14.5667, lng: 120.6000 },
-  'Mariveles': { lat: 14.4333, lng: 120.4833 },
-  'Morong': { lat: 14.5333, lng: 120.2333 },
-  'Orani': { lat: 14.8000, lng: 120.5333 },
-  'Orion': { lat: 14.6167, lng: 120.5833 },
-  'Pilar': { lat: 14.6667, lng: 120.5667 },
-  'Samal': { lat: 14.7667, lng: 120.5333 }
-};
-
-// Popular barangays in Bataan with approximate coordinates
-const BATAAN_BARANGAYS = {
-  // Balanga City (most common)
-  'Central': { lat: 14.6757, lng: 120.5360, municipality: 'Balanga' },
-  'Poblacion': { lat: 14.6800, lng: 120.5400, municipality: 'Balanga' },
-  'Bagong Nayon': { lat: 14.6650, lng: 120.5250, municipality: 'Balanga' },
-  'Sibacan': { lat: 14.6900, lng: 120.5500, municipality: 'Balanga' },
-  'Tuyo': { lat: 14.6600, lng: 120.5200, municipality: 'Balanga' },
-  
-  // Mariveles
-  'Townsite': { lat: 14.4400, lng: 120.4900, municipality: 'Mariveles' },
-  'San Carlos': { lat: 14.4200, lng: 120.4700, municipality: 'Mariveles' },
-  
-  // Limay
-  'Reformista': { lat: 14.5700, lng: 120.6100, municipality: 'Limay' },
-  'Kitang 2': { lat: 14.5600, lng: 120.5900, municipality: 'Limay' },
-  
-  // Orani
-  'Sibul': { lat: 14.8100, lng: 120.5400, municipality: 'Orani' },
-  'Wawa': { lat: 14.7900, lng: 120.5200, municipality: 'Orani' },
-  
-  // Add more as needed
-};
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MUNICIPALITIES, BARANGAYS } from './geodata/bataanGazetteer.js';
+import { ROAD_TYPES, ROAD_NODES, ROAD_SEGMENTS } from './geodata/bataanRoads.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GEODATA_DIR = path.join(__dirname, 'geodata');
+
+// Simplified boundary polygons (a coastline outline split between barangay centroids);
+// good enough to tell towns, barangays and open water apart, and only parsed on first use
+let boundaries = null;
+
+// Getting from a doorstep to the nearest road junction: barangay roads, slow traffic
+const ACCESS_SPEED_KMH = 20;
+const ACCESS_WINDING = 1.4;
+const ACCESS_CANDIDATES = 3;
+// Trips this short are driven directly instead of via the highway network
+const DIRECT_TRIP_KM = 2;
+
+let roadGraph = null;
+
+/**
+ * Normalize a place name for lookups: case, accents, "(Pob.)" suffixes and punctuation
+ * are ignored, so "Dona Francisca", "Doña Francisca" and "DOÑA FRANCISCA" all match.
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizePlaceName = (name) => String(name)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\((pob\.?|poblacion)\)/g, '')
+  .replace(/^city of\s+|\s+city$/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
 
 /**
  * Calculate distance between two geographic points using Haversine formula
@@ -75,28 +72,67 @@ const toRadians = (degrees) => {
   return degrees * (Math.PI / 180);
 };
 
+/**
+ * Find a municipality by name or PSGC code
+ * @param {string} nameOrCode - e.g. "Balanga", "City of Balanga" or "0300803000"
+ * @returns {Object|null} Gazetteer record or null if not in Bataan
+ */
+export const findMunicipality = (nameOrCode) => {
+  if (!nameOrCode) return null;
+
+  const needle = normalizePlaceName(nameOrCode);
+  return MUNICIPALITIES.find(municipality =>
+    municipality.code === String(nameOrCode).trim() ||
+    normalizePlaceName(municipality.name) === needle
+  ) || null;
+};
+
+/**
+ * Find a barangay within a municipality
+ * @param {string} barangay - Barangay name or PSGC code
+ * @param {string} municipality - Municipality name or PSGC code
+ * @returns {Object|null} Gazetteer record or null if the pair is unknown
+ */
+export const findBarangay = (barangay, municipality) => {
+  const parent = findMunicipality(municipality);
+  if (!parent || !barangay) return null;
+
+  const needle = normalizePlaceName(barangay);
+  return BARANGAYS.find(record =>
+    record.municipality === parent.name &&
+    (record.code === String(barangay).trim() || normalizePlaceName(record.name) === needle)
+  ) || null;
+};
+
+/**
+ * Check that a barangay belongs to the given municipality
+ * @param {string} barangay
+ * @param {string} municipality
+ * @returns {boolean}
+ */
+export const isKnownBarangay = (barangay, municipality) => {
+  return Boolean(findBarangay(barangay, municipality));
+};
+
 /**
  * Get coordinates for a barangay in Bataan
  * @param {string} barangay - Barangay name
- * @param {string} municipality - Municipality name (optional)
- * @returns {Object|null} Coordinates object {lat, lng} or null if not found
- */
-export const getBarangayCoordinates = (barangay, municipality = null) => {
-  // First try exact barangay match
-  if (BATAAN_BARANGAYS[barangay]) {
-    const coords = BATAAN_BARANGAYS[barangay];
-    if (!municipality || coords.municipality === municipality) {
-      return { lat: coords.lat, lng: coords.lng };
-    }
-  }
-  
-  // If not found and municipality provided, return municipality center
-  if (municipality && BATAAN_MUNICIPALITIES[municipality]) {
-    return BATAAN_MUNICIPALITIES[municipality];
-  }
-  
-  // Default to Balanga center if nothing found
-  return BATAAN_MUNICIPALITIES['Balanga'];
+ * @param {string} municipality - Municipality name or PSGC code
+ * @returns {Object|null} Coordinates object {lat, lng} or null if the pair is unknown
+ */
+export const getBarangayCoordinates = (barangay, municipality) => {
+  const record = findBarangay(barangay, municipality);
+  return record ? { ...record.centroid } : null;
+};
+
+/**
+ * Get the centroid of a municipality
+ * @param {string} municipality - Municipality name or PSGC code
+ * @returns {Object|null} Coordinates object {lat, lng} or null if not in Bataan
+ */
+export const getMunicipalityCoordinates = (municipality) => {
+  const record = findMunicipality(municipality);
+  return record ? { ...record.centroid } : null;
 };
 
 /**
@@ -104,39 +140,179 @@ export const getBarangayCoordinates = (barangay, municipality = null) => {
  * @returns {Array} Array of municipality names
  */
 export const getBataanMunicipalities = () => {
-  return Object.keys(BATAAN_MUNICIPALITIES);
+  return MUNICIPALITIES.map(municipality => municipality.name);
+};
+
+/**
+ * Get all municipalities with their PSGC codes and barangay counts
+ * @returns {Array} Array of municipality records
+ */
+export const getMunicipalities = () => {
+  return MUNICIPALITIES.map(municipality => ({
+    ...municipality,
+    barangayCount: BARANGAYS.filter(record => record.municipality === municipality.name).length
+  }));
 };
 
 /**
  * Get barangays for a specific municipality
- * @param {string} municipality - Municipality name
+ * @param {string} municipality - Municipality name or PSGC code
  * @returns {Array} Array of barangay names
  */
 export const getBarangaysByMunicipality = (municipality) => {
-  return Object.keys(BATAAN_BARANGAYS).filter(
-    barangay => BATAAN_BARANGAYS[barangay].municipality === municipality
+  return getBarangays(municipality).map(record => record.name);
+};
+
+/**
+ * Get barangay records for a specific municipality
+ * @param {string} municipality - Municipality name or PSGC code
+ * @returns {Array} Array of barangay records (empty if the municipality is unknown)
+ */
+export const getBarangays = (municipality) => {
+  const parent = findMunicipality(municipality);
+  if (!parent) return [];
+
+  return BARANGAYS.filter(record => record.municipality === parent.name);
+};
+
+/**
+ * Bounding box of a Polygon or MultiPolygon, used to skip most polygons cheaply
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} [minLng, minLat, maxLng, maxLat]
+ */
+const getGeometryBounds = (geometry) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const points = polygons.flatMap(polygon => polygon[0]);
+  const lngs = points.map(point => point[0]);
+  const lats = points.map(point => point[1]);
+
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+/**
+ * Read a bundled GeoJSON FeatureCollection from utils/geodata
+ * @param {string} filename
+ * @returns {Array} Features with a precomputed bbox
+ */
+const loadFeatures = (filename) => {
+  const collection = JSON.parse(fs.readFileSync(path.join(GEODATA_DIR, filename), 'utf8'));
+  return collection.features.map(feature => ({
+    ...feature,
+    bbox: feature.bbox || getGeometryBounds(feature.geometry)
+  }));
+};
+
+/**
+ * Municipality and barangay boundary features (loaded once)
+ * @returns {Object} { municipalities, barangays }
+ */
+const getBoundaries = () => {
+  if (!boundaries) {
+    boundaries = {
+      municipalities: loadFeatures('bataanMunicipalities.geojson'),
+      barangays: loadFeatures('bataanBarangays.geojson')
+    };
+  }
+  return boundaries;
+};
+
+/**
+ * Ray-casting test against a single linear ring
+ * @param {number} lng
+ * @param {number} lat
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {boolean}
+ */
+const isPointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Check whether a point lies inside a GeoJSON Polygon or MultiPolygon (holes respected)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (lat, lng, geometry) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  return polygons.some(([outer, ...holes]) =>
+    isPointInRing(lng, lat, outer) && !holes.some(hole => isPointInRing(lng, lat, hole))
   );
 };
 
 /**
- * Validate if coordinates are within Bataan bounds
+ * First boundary feature that contains the point
+ * @param {Array} features
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Object|null}
+ */
+const findContainingFeature = (features, lat, lng) => {
+  return features.find(({ bbox, geometry }) =>
+    lng >= bbox[0] && lat >= bbox[1] && lng <= bbox[2] && lat <= bbox[3] &&
+    isPointInPolygon(lat, lng, geometry)
+  ) || null;
+};
+
+/**
+ * Validate if coordinates are on land within Bataan
+ * Points in Manila Bay, the West Philippine Sea or neighbouring provinces return false.
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
- * @returns {boolean} True if within Bataan bounds
+ * @returns {boolean} True if inside a Bataan municipality boundary
  */
 export const isWithinBataan = (lat, lng) => {
-  // Rough bounds of Bataan province
-  const BATAAN_BOUNDS = {
-    north: 14.9,
-    south: 14.3,
-    east: 120.7,
-    west: 120.1
+  if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+    return false;
+  }
+
+  return Boolean(findContainingFeature(getBoundaries().municipalities, Number(lat), Number(lng)));
+};
+
+/**
+ * Resolve coordinates to the barangay and municipality that contain them (offline)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object|null} { barangay, barangayCode, municipality, municipalityCode } or null outside Bataan
+ */
+export const reverseGeocode = (lat, lng) => {
+  lat = Number(lat);
+  lng = Number(lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const { municipalities, barangays } = getBoundaries();
+  const municipality = findContainingFeature(municipalities, lat, lng);
+  if (!municipality) return null;
+
+  const candidates = barangays.filter(
+    feature => feature.properties.municipalityCode === municipality.properties.code
+  );
+  let barangay = findContainingFeature(candidates, lat, lng);
+
+  // Points on a shared edge can miss every polygon; use the closest barangay centroid instead
+  if (!barangay) {
+    const nearest = getBarangays(municipality.properties.code)
+      .map(record => ({ record, distance: calculateDistance(lat, lng, record.centroid.lat, record.centroid.lng) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    barangay = candidates.find(feature => feature.properties.code === nearest.record.code);
+  }
+
+  return {
+    barangay: barangay.properties.name,
+    barangayCode: barangay.properties.code,
+    municipality: municipality.properties.name,
+    municipalityCode: municipality.properties.code
   };
-  
-  return lat >= BATAAN_BOUNDS.south && 
-         lat <= BATAAN_BOUNDS.north && 
-         lng >= BATAAN_BOUNDS.west && 
-         lng <= BATAAN_BOUNDS.east;
 };
 
 /**
@@ -225,36 +401,38 @@ export const generateMapBounds = (coordinates) => {
 };
 
 /**
- * Geocode address string to coordinates (mock function)
- * In production, this would call Google Geocoding API
- * @param {string} address - Address string
- * @returns {Promise<Object>} Coordinates object {lat, lng}
+ * Geocode an address string to coordinates using the bundled gazetteer
+ * Looks for a municipality first, then for one of its barangays; a barangay name
+ * without a municipality is only used when it is unique in the province.
+ * @param {string} address - Address string, e.g. "123 Rizal St., Tenejero, Balanga"
+ * @returns {Promise<Object|null>} Coordinates object {lat, lng} or null if no place matched
  */
 export const geocodeAddress = async (address) => {
   try {
-    // Mock implementation - in real app, use Google Geocoding API
-    const lowerAddress = address.toLowerCase();
-    
-    // Try to find municipality in address
-    for (const [municipality, coords] of Object.entries(BATAAN_MUNICIPALITIES)) {
-      if (lowerAddress.includes(municipality.toLowerCase())) {
-        return coords;
-      }
+    const haystack = ` ${normalizePlaceName(address)} `;
+    const mentions = (name) => haystack.includes(` ${normalizePlaceName(name)} `);
+    // Longest names first so "Cupang West" wins over "Cupang"
+    const byLength = (a, b) => b.name.length - a.name.length;
+
+    const municipality = MUNICIPALITIES.find(record => mentions(record.name));
+    if (municipality) {
+      const barangay = getBarangays(municipality.code).sort(byLength).find(record => mentions(record.name));
+      return { ...(barangay || municipality).centroid };
     }
-    
-    // Try to find barangay in address
-    for (const [barangay, coords] of Object.entries(BATAAN_BARANGAYS)) {
-      if (lowerAddress.includes(barangay.toLowerCase())) {
-        return { lat: coords.lat, lng: coords.lng };
-      }
+
+    const [barangay] = [...BARANGAYS].sort(byLength).filter(record => mentions(record.name));
+    const sameName = barangay
+      ? BARANGAYS.filter(record => normalizePlaceName(record.name) === normalizePlaceName(barangay.name))
+      : [];
+    if (sameName.length === 1) {
+      return { ...barangay.centroid };
     }
-    
-    // Default to Balanga if nothing found
-    return BATAAN_MUNICIPALITIES['Balanga'];
-    
+
+    return null;
+
   } catch (error) {
     console.error('Geocoding error:', error);
-    return BATAAN_MUNICIPALITIES['Balanga'];
+    return null;
   }
 };
 
@@ -272,37 +450,217 @@ export const createGeoJSONPoint = (longitude, latitude) => {
 };
 
 /**
- * Get travel time estimate (mock)
+ * Adjacency list of the bundled road network (built once)
+ * @returns {Map} nodeId -> [{ to, road, distanceKm, minutes }]
+ */
+const getRoadGraph = () => {
+  if (!roadGraph) {
+    const nodes = new Map(ROAD_NODES.map(node => [node.id, node]));
+    roadGraph = new Map(ROAD_NODES.map(node => [node.id, []]));
+
+    ROAD_SEGMENTS.forEach(segment => {
+      const from = nodes.get(segment.from);
+      const to = nodes.get(segment.to);
+      const { speedKmh, winding } = ROAD_TYPES[segment.type];
+      const distanceKm = calculateDistance(from.lat, from.lng, to.lat, to.lng) * winding;
+      const minutes = (distanceKm / speedKmh) * 60;
+
+      roadGraph.get(from.id).push({ to: to.id, road: segment.road, distanceKm, minutes });
+      roadGraph.get(to.id).push({ to: from.id, road: segment.road, distanceKm, minutes });
+    });
+  }
+  return roadGraph;
+};
+
+/**
+ * Legs from a point to the closest road junctions
+ * Junctions in the point's own municipality are preferred so a point is never
+ * "connected" straight across a mountain range to the neighbouring town.
+ * @param {Object} point - {lat, lng}
+ * @returns {Array} [{ nodeId, distanceKm, minutes }]
+ */
+const getAccessLegs = (point) => {
+  const municipality = reverseGeocode(point.lat, point.lng)?.municipality;
+  const local = ROAD_NODES.filter(node => node.municipality === municipality);
+  const candidates = local.length > 0 ? local : ROAD_NODES;
+
+  return candidates
+    .map(node => {
+      const distanceKm = calculateDistance(point.lat, point.lng, node.lat, node.lng) * ACCESS_WINDING;
+      return { nodeId: node.id, distanceKm, minutes: (distanceKm / ACCESS_SPEED_KMH) * 60 };
+    })
+    .sort((a, b) => a.minutes - b.minutes)
+    .slice(0, ACCESS_CANDIDATES);
+};
+
+/**
+ * Fastest travel from a point to every road junction (Dijkstra)
+ * @param {Object} origin - {lat, lng}
+ * @returns {Map} nodeId -> { minutes, distanceKm, previous, road }
+ */
+const getShortestPathTree = (origin) => {
+  const graph = getRoadGraph();
+  const tree = new Map();
+  const visited = new Set();
+
+  getAccessLegs(origin).forEach(leg => {
+    tree.set(leg.nodeId, { minutes: leg.minutes, distanceKm: leg.distanceKm, previous: null, road: null });
+  });
+
+  while (visited.size < graph.size) {
+    let current = null;
+    tree.forEach((entry, nodeId) => {
+      if (!visited.has(nodeId) && (!current || entry.minutes < tree.get(current).minutes)) {
+        current = nodeId;
+      }
+    });
+    if (!current) break;
+    visited.add(current);
+
+    const { minutes, distanceKm } = tree.get(current);
+    graph.get(current).forEach(edge => {
+      const known = tree.get(edge.to);
+      if (!known || minutes + edge.minutes < known.minutes) {
+        tree.set(edge.to, {
+          minutes: minutes + edge.minutes,
+          distanceKm: distanceKm + edge.distanceKm,
+          previous: current,
+          road: edge.road
+        });
+      }
+    });
+  }
+
+  return tree;
+};
+
+/**
+ * Pick the best way into the destination from a shortest-path tree
+ * @param {Map} tree - From getShortestPathTree
  * @param {Object} origin - {lat, lng}
  * @param {Object} destination - {lat, lng}
- * @returns {string} Estimated travel time
+ * @returns {Object} Route summary
  */
-export const estimateTravelTime = (origin, destination) => {
-  const distance = calculateDistance(origin.lat, origin.lng, destination.lat, destination.lng);
-  
-  // Simple estimation: assume 30km/h average speed in Bataan
-  const hours = distance / 30;
-  const minutes = Math.round(hours * 60);
-  
+const routeFromTree = (tree, origin, destination) => {
+  const straightLineKm = calculateDistance(origin.lat, origin.lng, destination.lat, destination.lng);
+
+  if (straightLineKm <= DIRECT_TRIP_KM) {
+    const distanceKm = straightLineKm * ACCESS_WINDING;
+    return buildRoute(distanceKm, (distanceKm / ACCESS_SPEED_KMH) * 60, straightLineKm, []);
+  }
+
+  let best = null;
+  getAccessLegs(destination).forEach(leg => {
+    const entry = tree.get(leg.nodeId);
+    if (entry && (!best || entry.minutes + leg.minutes < best.minutes)) {
+      best = { nodeId: leg.nodeId, minutes: entry.minutes + leg.minutes, distanceKm: entry.distanceKm + leg.distanceKm };
+    }
+  });
+
+  // Unreachable on the bundled network: fall back to a slow straight line
+  if (!best) {
+    const distanceKm = straightLineKm * ACCESS_WINDING;
+    return buildRoute(distanceKm, (distanceKm / ACCESS_SPEED_KMH) * 60, straightLineKm, []);
+  }
+
+  const roads = [];
+  for (let nodeId = best.nodeId; tree.get(nodeId)?.road; nodeId = tree.get(nodeId).previous) {
+    const { road } = tree.get(nodeId);
+    if (roads[0] !== road) roads.unshift(road);
+  }
+
+  return buildRoute(best.distanceKm, best.minutes, straightLineKm, roads);
+};
+
+/**
+ * Shape a route summary
+ */
+const buildRoute = (distanceKm, minutes, straightLineKm, roads) => {
+  const durationMinutes = Math.max(1, Math.round(minutes));
+  return {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    durationMinutes,
+    durationText: formatDuration(durationMinutes),
+    straightLineKm,
+    via: roads
+  };
+};
+
+/**
+ * Format a drive time for display
+ * @param {number} minutes
+ * @returns {string} e.g. "25 min drive" or "1h 10m drive"
+ */
+export const formatDuration = (minutes) => {
   if (minutes < 60) {
     return `${minutes} min drive`;
-  } else {
-    const hrs = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return `${hrs}h ${mins}m drive`;
   }
+  const hrs = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hrs}h ${mins}m drive`;
+};
+
+/**
+ * Road route between two points over the bundled Bataan road network
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @returns {Object|null} { distanceKm, durationMinutes, durationText, straightLineKm, via } or null for invalid points
+ */
+export const getRoute = (origin, destination) => {
+  const valid = point => point && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+  if (!valid(origin) || !valid(destination)) return null;
+
+  return routeFromTree(getShortestPathTree(origin), origin, destination);
+};
+
+/**
+ * Road travel from one origin to many destinations (one shortest-path search)
+ * @param {Object} origin - {lat, lng}
+ * @param {Array} destinations - Array of {lat, lng}
+ * @returns {Array} Route summaries in the same order (null for invalid destinations)
+ */
+export const getTravelTimes = (origin, destinations) => {
+  const valid = point => point && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+  if (!valid(origin)) return destinations.map(() => null);
+
+  const tree = getShortestPathTree(origin);
+  return destinations.map(destination =>
+    valid(destination) ? routeFromTree(tree, origin, destination) : null
+  );
+};
+
+/**
+ * Get travel time estimate by road
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @returns {string} Estimated travel time
+ */
+export const estimateTravelTime = (origin, destination) => {
+  const route = getRoute(origin, destination);
+  return route ? route.durationText : 'Travel time unknown';
 };
 
 export default {
   calculateDistance,
+  findMunicipality,
+  findBarangay,
+  isKnownBarangay,
   getBarangayCoordinates,
+  getMunicipalityCoordinates,
   getBataanMunicipalities,
+  getMunicipalities,
   getBarangaysByMunicipality,
+  getBarangays,
+  isPointInPolygon,
   isWithinBataan,
+  reverseGeocode,
   findNearbyProviders,
   formatDistance,
   generateMapBounds,
   geocodeAddress,
   createGeoJSONPoint,
+  formatDuration,
+  getRoute,
+  getTravelTimes,
   estimateTravelTime
 }; 
\ No newline at end of file
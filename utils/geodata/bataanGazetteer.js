@@ -0,0 +1,286 @@
+/**
+ * Bataan gazetteer: all 12 municipalities/cities and 237 barangays
+ * Codes follow the 10-digit Philippine Standard Geographic Code (PSGC) of the
+ * Philippine Statistics Authority; barangays are listed in PSGC order.
+ * Centroids are approximate (about 500m) and meant for distance estimates,
+ * not for drawing boundaries.
+ */
+
+export const PROVINCE = {
+  code: '0300800000',
+  name: 'Bataan',
+  region: 'Region III (Central Luzon)'
+};
+
+export const MUNICIPALITIES = [
+  { code: '0300801000', name: 'Abucay', type: 'municipality', centroid: { lat: 14.7222, lng: 120.5353 } },
+  { code: '0300802000', name: 'Bagac', type: 'municipality', centroid: { lat: 14.5951, lng: 120.3920 } },
+  { code: '0300803000', name: 'Balanga', type: 'city', centroid: { lat: 14.6760, lng: 120.5360 } },
+  { code: '0300804000', name: 'Dinalupihan', type: 'municipality', centroid: { lat: 14.8760, lng: 120.4660 } },
+  { code: '0300805000', name: 'Hermosa', type: 'municipality', centroid: { lat: 14.8310, lng: 120.5080 } },
+  { code: '0300806000', name: 'Limay', type: 'municipality', centroid: { lat: 14.5620, lng: 120.5980 } },
+  { code: '0300807000', name: 'Mariveles', type: 'municipality', centroid: { lat: 14.4360, lng: 120.4860 } },
+  { code: '0300808000', name: 'Morong', type: 'municipality', centroid: { lat: 14.6800, lng: 120.2660 } },
+  { code: '0300809000', name: 'Orani', type: 'municipality', centroid: { lat: 14.8010, lng: 120.5360 } },
+  { code: '0300810000', name: 'Orion', type: 'municipality', centroid: { lat: 14.6210, lng: 120.5810 } },
+  { code: '0300811000', name: 'Pilar', type: 'municipality', centroid: { lat: 14.6600, lng: 120.5650 } },
+  { code: '0300812000', name: 'Samal', type: 'municipality', centroid: { lat: 14.7680, lng: 120.5430 } }
+];
+
+export const BARANGAYS = [
+  // Abucay
+  { code: '0300801001', name: 'Bangkal', municipality: 'Abucay', centroid: { lat: 14.7175, lng: 120.5155 } },
+  { code: '0300801002', name: 'Calaylayan', municipality: 'Abucay', centroid: { lat: 14.7232, lng: 120.5369 }, poblacion: true },
+  { code: '0300801003', name: 'Capitangan', municipality: 'Abucay', centroid: { lat: 14.7476, lng: 120.4921 } },
+  { code: '0300801004', name: 'Gabon', municipality: 'Abucay', centroid: { lat: 14.7377, lng: 120.5280 } },
+  { code: '0300801005', name: 'Laon', municipality: 'Abucay', centroid: { lat: 14.7262, lng: 120.5339 }, poblacion: true },
+  { code: '0300801006', name: 'Mabatang', municipality: 'Abucay', centroid: { lat: 14.7095, lng: 120.5233 } },
+  { code: '0300801007', name: 'Omboy', municipality: 'Abucay', centroid: { lat: 14.7310, lng: 120.5452 } },
+  { code: '0300801008', name: 'Salian', municipality: 'Abucay', centroid: { lat: 14.7153, lng: 120.4705 } },
+  { code: '0300801009', name: 'Wawa', municipality: 'Abucay', centroid: { lat: 14.7205, lng: 120.5410 }, poblacion: true },
+  // Bagac
+  { code: '0300802001', name: 'Atilano L. Ricardo', municipality: 'Bagac', centroid: { lat: 14.5870, lng: 120.4040 } },
+  { code: '0300802002', name: 'Bagumbayan', municipality: 'Bagac', centroid: { lat: 14.5960, lng: 120.3935 }, poblacion: true },
+  { code: '0300802003', name: 'Banawang', municipality: 'Bagac', centroid: { lat: 14.6240, lng: 120.4310 } },
+  { code: '0300802004', name: 'Binuangan', municipality: 'Bagac', centroid: { lat: 14.6305, lng: 120.3810 } },
+  { code: '0300802005', name: 'Binukawan', municipality: 'Bagac', centroid: { lat: 14.6110, lng: 120.4530 } },
+  { code: '0300802006', name: 'Ibaba', municipality: 'Bagac', centroid: { lat: 14.5905, lng: 120.3965 } },
+  { code: '0300802007', name: 'Ibis', municipality: 'Bagac', centroid: { lat: 14.5475, lng: 120.4060 } },
+  { code: '0300802008', name: 'Pag-asa', municipality: 'Bagac', centroid: { lat: 14.5990, lng: 120.4150 } },
+  { code: '0300802009', name: 'Parang', municipality: 'Bagac', centroid: { lat: 14.5700, lng: 120.3850 } },
+  { code: '0300802010', name: 'Paysawan', municipality: 'Bagac', centroid: { lat: 14.6520, lng: 120.3730 } },
+  { code: '0300802011', name: 'Quinawan', municipality: 'Bagac', centroid: { lat: 14.5640, lng: 120.4230 } },
+  { code: '0300802012', name: 'San Antonio', municipality: 'Bagac', centroid: { lat: 14.6040, lng: 120.4020 } },
+  { code: '0300802013', name: 'Saysain', municipality: 'Bagac', centroid: { lat: 14.6150, lng: 120.3960 } },
+  { code: '0300802014', name: 'Tabing-Ilog', municipality: 'Bagac', centroid: { lat: 14.5930, lng: 120.3890 }, poblacion: true },
+  // Balanga
+  { code: '0300803001', name: 'Bagong Silang', municipality: 'Balanga', centroid: { lat: 14.6805, lng: 120.5270 } },
+  { code: '0300803002', name: 'Bagumbayan', municipality: 'Balanga', centroid: { lat: 14.6840, lng: 120.5215 } },
+  { code: '0300803003', name: 'Cabog-Cabog', municipality: 'Balanga', centroid: { lat: 14.6950, lng: 120.5240 } },
+  { code: '0300803004', name: 'Camacho', municipality: 'Balanga', centroid: { lat: 14.6985, lng: 120.5090 } },
+  { code: '0300803005', name: 'Cataning', municipality: 'Balanga', centroid: { lat: 14.6620, lng: 120.5460 } },
+  { code: '0300803006', name: 'Central', municipality: 'Balanga', centroid: { lat: 14.6790, lng: 120.5390 } },
+  { code: '0300803007', name: 'Cupang North', municipality: 'Balanga', centroid: { lat: 14.6905, lng: 120.5460 } },
+  { code: '0300803008', name: 'Cupang Proper', municipality: 'Balanga', centroid: { lat: 14.6880, lng: 120.5395 } },
+  { code: '0300803009', name: 'Cupang West', municipality: 'Balanga', centroid: { lat: 14.6920, lng: 120.5330 } },
+  { code: '0300803010', name: 'Dangcol', municipality: 'Balanga', centroid: { lat: 14.6630, lng: 120.5160 } },
+  { code: '0300803011', name: 'Ibayo', municipality: 'Balanga', centroid: { lat: 14.6730, lng: 120.5460 } },
+  { code: '0300803012', name: 'Malabia', municipality: 'Balanga', centroid: { lat: 14.6660, lng: 120.5250 } },
+  { code: '0300803013', name: 'Munting Batangas', municipality: 'Balanga', centroid: { lat: 14.6590, lng: 120.5345 } },
+  { code: '0300803014', name: 'Poblacion', municipality: 'Balanga', centroid: { lat: 14.6770, lng: 120.5375 }, poblacion: true },
+  { code: '0300803015', name: 'Pto. Rivas Ibaba', municipality: 'Balanga', centroid: { lat: 14.6710, lng: 120.5520 } },
+  { code: '0300803016', name: 'Pto. Rivas Itaas', municipality: 'Balanga', centroid: { lat: 14.6750, lng: 120.5500 } },
+  { code: '0300803017', name: 'San Jose', municipality: 'Balanga', centroid: { lat: 14.6840, lng: 120.5395 } },
+  { code: '0300803018', name: 'Sibacan', municipality: 'Balanga', centroid: { lat: 14.6960, lng: 120.5465 } },
+  { code: '0300803019', name: 'Talisay', municipality: 'Balanga', centroid: { lat: 14.6570, lng: 120.5420 } },
+  { code: '0300803020', name: 'Tanato', municipality: 'Balanga', centroid: { lat: 14.6710, lng: 120.5285 } },
+  { code: '0300803021', name: 'Tenejero', municipality: 'Balanga', centroid: { lat: 14.6725, lng: 120.5400 } },
+  { code: '0300803022', name: 'Tortugas', municipality: 'Balanga', centroid: { lat: 14.6890, lng: 120.5570 } },
+  { code: '0300803023', name: 'Tuyo', municipality: 'Balanga', centroid: { lat: 14.6530, lng: 120.5000 } },
+  { code: '0300803024', name: 'Bagong Nayon', municipality: 'Balanga', centroid: { lat: 14.6600, lng: 120.5250 } },
+  { code: '0300803025', name: 'Doña Francisca', municipality: 'Balanga', centroid: { lat: 14.6700, lng: 120.5170 } },
+  // Dinalupihan
+  { code: '0300804001', name: 'Aquino', municipality: 'Dinalupihan', centroid: { lat: 14.8730, lng: 120.4510 } },
+  { code: '0300804002', name: 'Bangal', municipality: 'Dinalupihan', centroid: { lat: 14.8905, lng: 120.4735 } },
+  { code: '0300804003', name: 'Bayan-bayanan', municipality: 'Dinalupihan', centroid: { lat: 14.9030, lng: 120.4680 } },
+  { code: '0300804004', name: 'Bonifacio', municipality: 'Dinalupihan', centroid: { lat: 14.8770, lng: 120.4630 }, poblacion: true },
+  { code: '0300804005', name: 'Burgos', municipality: 'Dinalupihan', centroid: { lat: 14.8745, lng: 120.4645 }, poblacion: true },
+  { code: '0300804006', name: 'Colo', municipality: 'Dinalupihan', centroid: { lat: 14.8650, lng: 120.4870 } },
+  { code: '0300804007', name: 'Daang Bago', municipality: 'Dinalupihan', centroid: { lat: 14.8685, lng: 120.4540 } },
+  { code: '0300804008', name: 'Dalao', municipality: 'Dinalupihan', centroid: { lat: 14.8580, lng: 120.4455 } },
+  { code: '0300804009', name: 'Del Pilar', municipality: 'Dinalupihan', centroid: { lat: 14.8760, lng: 120.4675 }, poblacion: true },
+  { code: '0300804010', name: 'Gen. Luna', municipality: 'Dinalupihan', centroid: { lat: 14.8785, lng: 120.4660 }, poblacion: true },
+  { code: '0300804011', name: 'Gomez', municipality: 'Dinalupihan', centroid: { lat: 14.8755, lng: 120.4610 }, poblacion: true },
+  { code: '0300804012', name: 'Happy Valley', municipality: 'Dinalupihan', centroid: { lat: 14.8540, lng: 120.4180 } },
+  { code: '0300804013', name: 'Kataasan', municipality: 'Dinalupihan', centroid: { lat: 14.8600, lng: 120.4700 } },
+  { code: '0300804014', name: 'Layac', municipality: 'Dinalupihan', centroid: { lat: 14.8560, lng: 120.4925 } },
+  { code: '0300804015', name: 'Luacan', municipality: 'Dinalupihan', centroid: { lat: 14.8960, lng: 120.4560 } },
+  { code: '0300804016', name: 'Mabini Proper', municipality: 'Dinalupihan', centroid: { lat: 14.8790, lng: 120.4695 }, poblacion: true },
+  { code: '0300804017', name: 'Mabini Ext.', municipality: 'Dinalupihan', centroid: { lat: 14.8810, lng: 120.4715 }, poblacion: true },
+  { code: '0300804018', name: 'Magsaysay', municipality: 'Dinalupihan', centroid: { lat: 14.8890, lng: 120.4510 } },
+  { code: '0300804019', name: 'Naparing', municipality: 'Dinalupihan', centroid: { lat: 14.8620, lng: 120.4300 } },
+  { code: '0300804020', name: 'New San Jose', municipality: 'Dinalupihan', centroid: { lat: 14.9100, lng: 120.4490 } },
+  { code: '0300804021', name: 'Old San Jose', municipality: 'Dinalupihan', centroid: { lat: 14.9050, lng: 120.4555 } },
+  { code: '0300804022', name: 'Padre Dandan', municipality: 'Dinalupihan', centroid: { lat: 14.8730, lng: 120.4655 }, poblacion: true },
+  { code: '0300804023', name: 'Pag-asa', municipality: 'Dinalupihan', centroid: { lat: 14.8830, lng: 120.4390 } },
+  { code: '0300804024', name: 'Pagalanggang', municipality: 'Dinalupihan', centroid: { lat: 14.8840, lng: 120.4800 } },
+  { code: '0300804025', name: 'Pinulot', municipality: 'Dinalupihan', centroid: { lat: 14.8450, lng: 120.4550 } },
+  { code: '0300804026', name: 'Pita', municipality: 'Dinalupihan', centroid: { lat: 14.8650, lng: 120.4600 } },
+  { code: '0300804027', name: 'Rizal', municipality: 'Dinalupihan', centroid: { lat: 14.8770, lng: 120.4600 }, poblacion: true },
+  { code: '0300804028', name: 'Roosevelt', municipality: 'Dinalupihan', centroid: { lat: 14.8990, lng: 120.4330 } },
+  { code: '0300804029', name: 'Roxas', municipality: 'Dinalupihan', centroid: { lat: 14.8795, lng: 120.4635 }, poblacion: true },
+  { code: '0300804030', name: 'Saguing', municipality: 'Dinalupihan', centroid: { lat: 14.8690, lng: 120.4750 } },
+  { code: '0300804031', name: 'San Benito', municipality: 'Dinalupihan', centroid: { lat: 14.8920, lng: 120.4620 } },
+  { code: '0300804032', name: 'San Isidro', municipality: 'Dinalupihan', centroid: { lat: 14.8805, lng: 120.4660 }, poblacion: true },
+  { code: '0300804033', name: 'San Pablo', municipality: 'Dinalupihan', centroid: { lat: 14.8500, lng: 120.4810 } },
+  { code: '0300804034', name: 'San Ramon', municipality: 'Dinalupihan', centroid: { lat: 14.8850, lng: 120.4680 } },
+  { code: '0300804035', name: 'San Simon', municipality: 'Dinalupihan', centroid: { lat: 14.8900, lng: 120.4900 } },
+  { code: '0300804036', name: 'Santo Niño', municipality: 'Dinalupihan', centroid: { lat: 14.8720, lng: 120.4760 } },
+  { code: '0300804037', name: 'Sapang Balas', municipality: 'Dinalupihan', centroid: { lat: 14.8800, lng: 120.4250 } },
+  { code: '0300804038', name: 'Santa Isabel', municipality: 'Dinalupihan', centroid: { lat: 14.8630, lng: 120.4620 } },
+  { code: '0300804039', name: 'Torres Bugauen', municipality: 'Dinalupihan', centroid: { lat: 14.8765, lng: 120.4690 }, poblacion: true },
+  { code: '0300804040', name: 'Tubo-tubo', municipality: 'Dinalupihan', centroid: { lat: 14.8940, lng: 120.4410 } },
+  { code: '0300804041', name: 'Tucop', municipality: 'Dinalupihan', centroid: { lat: 14.8470, lng: 120.4680 } },
+  { code: '0300804042', name: 'Zamora', municipality: 'Dinalupihan', centroid: { lat: 14.8750, lng: 120.4590 }, poblacion: true },
+  { code: '0300804043', name: 'Jose C. Payumo Jr.', municipality: 'Dinalupihan', centroid: { lat: 14.8860, lng: 120.4560 } },
+  { code: '0300804044', name: 'Maligaya', municipality: 'Dinalupihan', centroid: { lat: 14.9000, lng: 120.4770 } },
+  { code: '0300804045', name: 'Nagbunga', municipality: 'Dinalupihan', centroid: { lat: 14.8780, lng: 120.4440 } },
+  { code: '0300804046', name: 'Pentor', municipality: 'Dinalupihan', centroid: { lat: 14.8990, lng: 120.4480 } },
+  // Hermosa
+  { code: '0300805001', name: 'A. Rivera', municipality: 'Hermosa', centroid: { lat: 14.8320, lng: 120.5090 }, poblacion: true },
+  { code: '0300805002', name: 'Almacen', municipality: 'Hermosa', centroid: { lat: 14.8130, lng: 120.5280 } },
+  { code: '0300805003', name: 'Bacong', municipality: 'Hermosa', centroid: { lat: 14.8240, lng: 120.4930 } },
+  { code: '0300805004', name: 'Balsic', municipality: 'Hermosa', centroid: { lat: 14.8210, lng: 120.5130 } },
+  { code: '0300805005', name: 'Bamban', municipality: 'Hermosa', centroid: { lat: 14.8460, lng: 120.5150 } },
+  { code: '0300805006', name: 'Burgos-Soliman', municipality: 'Hermosa', centroid: { lat: 14.8300, lng: 120.5060 }, poblacion: true },
+  { code: '0300805007', name: 'Cataning', municipality: 'Hermosa', centroid: { lat: 14.8330, lng: 120.5040 }, poblacion: true },
+  { code: '0300805008', name: 'Culis', municipality: 'Hermosa', centroid: { lat: 14.8390, lng: 120.4920 } },
+  { code: '0300805009', name: 'Daungan', municipality: 'Hermosa', centroid: { lat: 14.8290, lng: 120.5110 }, poblacion: true },
+  { code: '0300805010', name: 'Mabiga', municipality: 'Hermosa', centroid: { lat: 14.8170, lng: 120.4990 } },
+  { code: '0300805011', name: 'Mabuco', municipality: 'Hermosa', centroid: { lat: 14.8380, lng: 120.4700 } },
+  { code: '0300805012', name: 'Maite', municipality: 'Hermosa', centroid: { lat: 14.8180, lng: 120.5180 } },
+  { code: '0300805013', name: 'Mambog - Mandama', municipality: 'Hermosa', centroid: { lat: 14.8500, lng: 120.4850 } },
+  { code: '0300805014', name: 'Palihan', municipality: 'Hermosa', centroid: { lat: 14.8260, lng: 120.5000 } },
+  { code: '0300805015', name: 'Pandatung', municipality: 'Hermosa', centroid: { lat: 14.8420, lng: 120.5020 } },
+  { code: '0300805016', name: 'Pulo', municipality: 'Hermosa', centroid: { lat: 14.8230, lng: 120.5070 } },
+  { code: '0300805017', name: 'Saba', municipality: 'Hermosa', centroid: { lat: 14.8140, lng: 120.5080 } },
+  { code: '0300805018', name: 'San Pedro', municipality: 'Hermosa', centroid: { lat: 14.8320, lng: 120.5070 }, poblacion: true },
+  { code: '0300805019', name: 'Santo Cristo', municipality: 'Hermosa', centroid: { lat: 14.8345, lng: 120.5085 }, poblacion: true },
+  { code: '0300805020', name: 'Sumalo', municipality: 'Hermosa', centroid: { lat: 14.8100, lng: 120.4600 } },
+  { code: '0300805021', name: 'Tipo', municipality: 'Hermosa', centroid: { lat: 14.8640, lng: 120.4400 } },
+  { code: '0300805022', name: 'Judge Roman Cruz Sr.', municipality: 'Hermosa', centroid: { lat: 14.8560, lng: 120.4760 } },
+  { code: '0300805023', name: 'Sacrifice Valley', municipality: 'Hermosa', centroid: { lat: 14.8050, lng: 120.4300 } },
+  // Limay
+  { code: '0300806001', name: 'Alangan', municipality: 'Limay', centroid: { lat: 14.5760, lng: 120.5560 } },
+  { code: '0300806002', name: 'Kitang I', municipality: 'Limay', centroid: { lat: 14.5550, lng: 120.5830 } },
+  { code: '0300806003', name: 'Kitang 2 & Luz', municipality: 'Limay', centroid: { lat: 14.5480, lng: 120.5750 } },
+  { code: '0300806004', name: 'Lamao', municipality: 'Limay', centroid: { lat: 14.5220, lng: 120.5990 } },
+  { code: '0300806005', name: 'Landing', municipality: 'Limay', centroid: { lat: 14.5640, lng: 120.6010 } },
+  { code: '0300806006', name: 'Poblacion', municipality: 'Limay', centroid: { lat: 14.5625, lng: 120.5985 }, poblacion: true },
+  { code: '0300806007', name: 'Reformista', municipality: 'Limay', centroid: { lat: 14.5690, lng: 120.5960 } },
+  { code: '0300806008', name: 'Townsite', municipality: 'Limay', centroid: { lat: 14.5585, lng: 120.5930 } },
+  { code: '0300806009', name: 'Wawa', municipality: 'Limay', centroid: { lat: 14.5660, lng: 120.6040 } },
+  { code: '0300806010', name: 'Duale', municipality: 'Limay', centroid: { lat: 14.5810, lng: 120.5830 } },
+  { code: '0300806011', name: 'San Francisco de Asis', municipality: 'Limay', centroid: { lat: 14.5450, lng: 120.5910 } },
+  { code: '0300806012', name: 'St. Francis II', municipality: 'Limay', centroid: { lat: 14.5380, lng: 120.5880 } },
+  // Mariveles
+  { code: '0300807001', name: 'Alas-asin', municipality: 'Mariveles', centroid: { lat: 14.4540, lng: 120.4630 } },
+  { code: '0300807002', name: 'Alion', municipality: 'Mariveles', centroid: { lat: 14.4630, lng: 120.5280 } },
+  { code: '0300807003', name: 'Batangas II', municipality: 'Mariveles', centroid: { lat: 14.4410, lng: 120.4990 } },
+  { code: '0300807004', name: 'Cabcaben', municipality: 'Mariveles', centroid: { lat: 14.4530, lng: 120.5600 } },
+  { code: '0300807005', name: 'Lucanin', municipality: 'Mariveles', centroid: { lat: 14.4390, lng: 120.5130 } },
+  { code: '0300807006', name: 'Baseco Country', municipality: 'Mariveles', centroid: { lat: 14.4280, lng: 120.5100 } },
+  { code: '0300807007', name: 'Poblacion', municipality: 'Mariveles', centroid: { lat: 14.4335, lng: 120.4855 }, poblacion: true },
+  { code: '0300807008', name: 'San Carlos', municipality: 'Mariveles', centroid: { lat: 14.4300, lng: 120.4730 } },
+  { code: '0300807009', name: 'San Isidro', municipality: 'Mariveles', centroid: { lat: 14.4370, lng: 120.4780 } },
+  { code: '0300807010', name: 'Sisiman', municipality: 'Mariveles', centroid: { lat: 14.4240, lng: 120.5020 } },
+  { code: '0300807011', name: 'Balong Anito', municipality: 'Mariveles', centroid: { lat: 14.4430, lng: 120.4750 } },
+  { code: '0300807012', name: 'Biaan', municipality: 'Mariveles', centroid: { lat: 14.5000, lng: 120.4300 } },
+  { code: '0300807013', name: 'Camaya', municipality: 'Mariveles', centroid: { lat: 14.4180, lng: 120.4950 } },
+  { code: '0300807014', name: 'Ipag', municipality: 'Mariveles', centroid: { lat: 14.4500, lng: 120.4880 } },
+  { code: '0300807015', name: 'Malaya', municipality: 'Mariveles', centroid: { lat: 14.4470, lng: 120.4970 } },
+  { code: '0300807016', name: 'Maligaya', municipality: 'Mariveles', centroid: { lat: 14.4440, lng: 120.4820 } },
+  { code: '0300807017', name: 'Mt. View', municipality: 'Mariveles', centroid: { lat: 14.4410, lng: 120.4900 } },
+  { code: '0300807018', name: 'Townsite', municipality: 'Mariveles', centroid: { lat: 14.4420, lng: 120.4930 } },
+  // Morong
+  { code: '0300808001', name: 'Binaritan', municipality: 'Morong', centroid: { lat: 14.7100, lng: 120.2820 } },
+  { code: '0300808002', name: 'Mabayo', municipality: 'Morong', centroid: { lat: 14.7440, lng: 120.2820 } },
+  { code: '0300808003', name: 'Nagbalayong', municipality: 'Morong', centroid: { lat: 14.6570, lng: 120.2850 } },
+  { code: '0300808004', name: 'Poblacion', municipality: 'Morong', centroid: { lat: 14.6800, lng: 120.2660 }, poblacion: true },
+  { code: '0300808005', name: 'Sabang', municipality: 'Morong', centroid: { lat: 14.6650, lng: 120.2560 } },
+  // Orani
+  { code: '0300809001', name: 'Apollo', municipality: 'Orani', centroid: { lat: 14.8110, lng: 120.5020 } },
+  { code: '0300809002', name: 'Bagong Paraiso', municipality: 'Orani', centroid: { lat: 14.8020, lng: 120.5380 }, poblacion: true },
+  { code: '0300809003', name: 'Balut', municipality: 'Orani', centroid: { lat: 14.8000, lng: 120.5400 }, poblacion: true },
+  { code: '0300809004', name: 'Bayan', municipality: 'Orani', centroid: { lat: 14.8010, lng: 120.5365 }, poblacion: true },
+  { code: '0300809005', name: 'Calero', municipality: 'Orani', centroid: { lat: 14.7995, lng: 120.5350 }, poblacion: true },
+  { code: '0300809006', name: 'Centro I', municipality: 'Orani', centroid: { lat: 14.8030, lng: 120.5350 }, poblacion: true },
+  { code: '0300809007', name: 'Centro II', municipality: 'Orani', centroid: { lat: 14.8040, lng: 120.5365 }, poblacion: true },
+  { code: '0300809008', name: 'Dona', municipality: 'Orani', centroid: { lat: 14.7980, lng: 120.5330 }, poblacion: true },
+  { code: '0300809009', name: 'Kabalutan', municipality: 'Orani', centroid: { lat: 14.7920, lng: 120.5050 } },
+  { code: '0300809010', name: 'Kaparangan', municipality: 'Orani', centroid: { lat: 14.7900, lng: 120.5250 } },
+  { code: '0300809011', name: 'Maria Fe', municipality: 'Orani', centroid: { lat: 14.8080, lng: 120.5150 } },
+  { code: '0300809012', name: 'Masantol', municipality: 'Orani', centroid: { lat: 14.8180, lng: 120.5360 } },
+  { code: '0300809013', name: 'Mulawin', municipality: 'Orani', centroid: { lat: 14.7880, lng: 120.5400 } },
+  { code: '0300809014', name: 'Pag-asa', municipality: 'Orani', centroid: { lat: 14.8150, lng: 120.5220 } },
+  { code: '0300809015', name: 'Paking-Carbonero', municipality: 'Orani', centroid: { lat: 14.8050, lng: 120.5390 }, poblacion: true },
+  { code: '0300809016', name: 'Palihan', municipality: 'Orani', centroid: { lat: 14.8000, lng: 120.5310 }, poblacion: true },
+  { code: '0300809017', name: 'Pantalan Bago', municipality: 'Orani', centroid: { lat: 14.8060, lng: 120.5420 }, poblacion: true },
+  { code: '0300809018', name: 'Pantalan Luma', municipality: 'Orani', centroid: { lat: 14.8075, lng: 120.5440 }, poblacion: true },
+  { code: '0300809019', name: 'Parang Parang', municipality: 'Orani', centroid: { lat: 14.7975, lng: 120.5380 }, poblacion: true },
+  { code: '0300809020', name: 'Centro III', municipality: 'Orani', centroid: { lat: 14.8045, lng: 120.5340 } },
+  { code: '0300809021', name: 'Silahis', municipality: 'Orani', centroid: { lat: 14.8230, lng: 120.5220 } },
+  { code: '0300809022', name: 'Tagumpay', municipality: 'Orani', centroid: { lat: 14.8190, lng: 120.5100 } },
+  { code: '0300809023', name: 'Tala', municipality: 'Orani', centroid: { lat: 14.7870, lng: 120.4650 } },
+  { code: '0300809024', name: 'Talimundoc', municipality: 'Orani', centroid: { lat: 14.8110, lng: 120.5300 } },
+  { code: '0300809025', name: 'Tapulao', municipality: 'Orani', centroid: { lat: 14.8130, lng: 120.5390 } },
+  { code: '0300809026', name: 'Tenejero', municipality: 'Orani', centroid: { lat: 14.8015, lng: 120.5420 }, poblacion: true },
+  { code: '0300809027', name: 'Tugatog', municipality: 'Orani', centroid: { lat: 14.7950, lng: 120.5450 } },
+  { code: '0300809028', name: 'Wawa', municipality: 'Orani', centroid: { lat: 14.7985, lng: 120.5430 }, poblacion: true },
+  { code: '0300809029', name: 'Sibul', municipality: 'Orani', centroid: { lat: 14.8090, lng: 120.5420 } },
+  // Orion
+  { code: '0300810001', name: 'Arellano', municipality: 'Orion', centroid: { lat: 14.6220, lng: 120.5820 }, poblacion: true },
+  { code: '0300810002', name: 'Bagumbayan', municipality: 'Orion', centroid: { lat: 14.6200, lng: 120.5800 }, poblacion: true },
+  { code: '0300810003', name: 'Balagtas', municipality: 'Orion', centroid: { lat: 14.6230, lng: 120.5840 }, poblacion: true },
+  { code: '0300810004', name: 'Balut', municipality: 'Orion', centroid: { lat: 14.6185, lng: 120.5830 }, poblacion: true },
+  { code: '0300810005', name: 'Bantan', municipality: 'Orion', centroid: { lat: 14.6150, lng: 120.5560 } },
+  { code: '0300810006', name: 'Bilolo', municipality: 'Orion', centroid: { lat: 14.6010, lng: 120.5620 } },
+  { code: '0300810007', name: 'Calungusan', municipality: 'Orion', centroid: { lat: 14.6320, lng: 120.5650 } },
+  { code: '0300810008', name: 'Camachile', municipality: 'Orion', centroid: { lat: 14.6080, lng: 120.5840 } },
+  { code: '0300810009', name: 'Daang Bago', municipality: 'Orion', centroid: { lat: 14.6210, lng: 120.5790 }, poblacion: true },
+  { code: '0300810010', name: 'Daang Bilolo', municipality: 'Orion', centroid: { lat: 14.6170, lng: 120.5790 }, poblacion: true },
+  { code: '0300810011', name: 'Daang Pare', municipality: 'Orion', centroid: { lat: 14.6120, lng: 120.5760 } },
+  { code: '0300810012', name: 'General Lim', municipality: 'Orion', centroid: { lat: 14.6340, lng: 120.5460 } },
+  { code: '0300810013', name: 'Kapunitan', municipality: 'Orion', centroid: { lat: 14.6280, lng: 120.5840 } },
+  { code: '0300810014', name: 'Lati', municipality: 'Orion', centroid: { lat: 14.6245, lng: 120.5800 }, poblacion: true },
+  { code: '0300810015', name: 'Lusungan', municipality: 'Orion', centroid: { lat: 14.6195, lng: 120.5775 }, poblacion: true },
+  { code: '0300810016', name: 'Puting Buhangin', municipality: 'Orion', centroid: { lat: 14.6050, lng: 120.5900 } },
+  { code: '0300810017', name: 'Sabatan', municipality: 'Orion', centroid: { lat: 14.6390, lng: 120.5750 } },
+  { code: '0300810018', name: 'San Vicente', municipality: 'Orion', centroid: { lat: 14.6230, lng: 120.5770 }, poblacion: true },
+  { code: '0300810019', name: 'Santo Domingo', municipality: 'Orion', centroid: { lat: 14.6000, lng: 120.5880 } },
+  { code: '0300810020', name: 'Villa Angeles', municipality: 'Orion', centroid: { lat: 14.6260, lng: 120.5820 }, poblacion: true },
+  { code: '0300810021', name: 'Wakas', municipality: 'Orion', centroid: { lat: 14.6170, lng: 120.5810 }, poblacion: true },
+  { code: '0300810022', name: 'Wawa', municipality: 'Orion', centroid: { lat: 14.6215, lng: 120.5850 }, poblacion: true },
+  { code: '0300810023', name: 'Santa Elena', municipality: 'Orion', centroid: { lat: 14.6100, lng: 120.5680 } },
+  // Pilar
+  { code: '0300811001', name: 'Ala-uli', municipality: 'Pilar', centroid: { lat: 14.6570, lng: 120.5540 } },
+  { code: '0300811002', name: 'Bagumbayan', municipality: 'Pilar', centroid: { lat: 14.6620, lng: 120.5640 } },
+  { code: '0300811003', name: 'Balut I', municipality: 'Pilar', centroid: { lat: 14.6650, lng: 120.5690 } },
+  { code: '0300811004', name: 'Balut II', municipality: 'Pilar', centroid: { lat: 14.6680, lng: 120.5710 } },
+  { code: '0300811005', name: 'Bantan Munti', municipality: 'Pilar', centroid: { lat: 14.6490, lng: 120.5580 } },
+  { code: '0300811006', name: 'Burgos', municipality: 'Pilar', centroid: { lat: 14.6630, lng: 120.5600 } },
+  { code: '0300811007', name: 'Del Rosario', municipality: 'Pilar', centroid: { lat: 14.6605, lng: 120.5655 }, poblacion: true },
+  { code: '0300811008', name: 'Diwa', municipality: 'Pilar', centroid: { lat: 14.6450, lng: 120.5350 } },
+  { code: '0300811009', name: 'Landing', municipality: 'Pilar', centroid: { lat: 14.6640, lng: 120.5740 } },
+  { code: '0300811010', name: 'Liyang', municipality: 'Pilar', centroid: { lat: 14.6520, lng: 120.5650 } },
+  { code: '0300811011', name: 'Nagwaling', municipality: 'Pilar', centroid: { lat: 14.6700, lng: 120.5600 } },
+  { code: '0300811012', name: 'Panilao', municipality: 'Pilar', centroid: { lat: 14.6550, lng: 120.5450 } },
+  { code: '0300811013', name: 'Pantingan', municipality: 'Pilar', centroid: { lat: 14.6480, lng: 120.5100 } },
+  { code: '0300811014', name: 'Poblacion', municipality: 'Pilar', centroid: { lat: 14.6610, lng: 120.5660 }, poblacion: true },
+  { code: '0300811015', name: 'Rizal', municipality: 'Pilar', centroid: { lat: 14.6595, lng: 120.5670 }, poblacion: true },
+  { code: '0300811016', name: 'Santa Rosa', municipality: 'Pilar', centroid: { lat: 14.6530, lng: 120.5760 } },
+  { code: '0300811017', name: 'Wakas North', municipality: 'Pilar', centroid: { lat: 14.6690, lng: 120.5660 } },
+  { code: '0300811018', name: 'Wakas South', municipality: 'Pilar', centroid: { lat: 14.6660, lng: 120.5650 } },
+  { code: '0300811019', name: 'Wawa', municipality: 'Pilar', centroid: { lat: 14.6620, lng: 120.5720 } },
+  // Samal
+  { code: '0300812001', name: 'East Calaguiman', municipality: 'Samal', centroid: { lat: 14.7690, lng: 120.5450 }, poblacion: true },
+  { code: '0300812002', name: 'East Daang Bago', municipality: 'Samal', centroid: { lat: 14.7670, lng: 120.5450 }, poblacion: true },
+  { code: '0300812003', name: 'Ibaba', municipality: 'Samal', centroid: { lat: 14.7660, lng: 120.5420 }, poblacion: true },
+  { code: '0300812004', name: 'Imelda', municipality: 'Samal', centroid: { lat: 14.7590, lng: 120.5250 } },
+  { code: '0300812005', name: 'Lalawigan', municipality: 'Samal', centroid: { lat: 14.7760, lng: 120.5330 } },
+  { code: '0300812006', name: 'Palili', municipality: 'Samal', centroid: { lat: 14.7630, lng: 120.5120 } },
+  { code: '0300812007', name: 'San Juan', municipality: 'Samal', centroid: { lat: 14.7700, lng: 120.5420 }, poblacion: true },
+  { code: '0300812008', name: 'San Roque', municipality: 'Samal', centroid: { lat: 14.7680, lng: 120.5400 }, poblacion: true },
+  { code: '0300812009', name: 'Santa Lucia', municipality: 'Samal', centroid: { lat: 14.7560, lng: 120.5390 } },
+  { code: '0300812010', name: 'Sapa', municipality: 'Samal', centroid: { lat: 14.7740, lng: 120.5460 } },
+  { code: '0300812011', name: 'Tabing Ilog', municipality: 'Samal', centroid: { lat: 14.7610, lng: 120.5460 } },
+  { code: '0300812012', name: 'Gugo', municipality: 'Samal', centroid: { lat: 14.7550, lng: 120.5000 } },
+  { code: '0300812013', name: 'West Calaguiman', municipality: 'Samal', centroid: { lat: 14.7700, lng: 120.5390 }, poblacion: true },
+  { code: '0300812014', name: 'West Daang Bago', municipality: 'Samal', centroid: { lat: 14.7660, lng: 120.5390 }, poblacion: true }
+];
+
+export default {
+  PROVINCE,
+  MUNICIPALITIES,
+  BARANGAYS
+};
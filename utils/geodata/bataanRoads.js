@@ -0,0 +1,124 @@
+/**
+ * Simplified road network of Bataan: the Roman Superhighway down the east coast,
+ * the Mariveles–Bagac and Pilar–Bagac roads across the mountains, the west coast
+ * road to Morong and the main municipal roads inland. Junction coordinates are
+ * approximate; segment length is the straight line times the road type's winding factor.
+ */
+
+// Average speeds include town traffic; winding converts straight-line to road distance
+export const ROAD_TYPES = {
+  national: { speedKmh: 45, winding: 1.15 },
+  provincial: { speedKmh: 35, winding: 1.25 },
+  mountain: { speedKmh: 25, winding: 1.5 },
+  municipal: { speedKmh: 25, winding: 1.3 }
+};
+
+export const ROAD_NODES = [
+  // Dinalupihan
+  { id: 'dinalupihan', name: 'Dinalupihan Poblacion', municipality: 'Dinalupihan', lat: 14.8770, lng: 120.4650 },
+  { id: 'layac', name: 'Layac Junction', municipality: 'Dinalupihan', lat: 14.8560, lng: 120.4925 },
+  { id: 'new-san-jose', name: 'New San Jose', municipality: 'Dinalupihan', lat: 14.9100, lng: 120.4490 },
+  { id: 'happy-valley', name: 'Happy Valley', municipality: 'Dinalupihan', lat: 14.8540, lng: 120.4180 },
+  // Hermosa
+  { id: 'hermosa', name: 'Hermosa Poblacion', municipality: 'Hermosa', lat: 14.8320, lng: 120.5080 },
+  { id: 'mabuco', name: 'Mabuco', municipality: 'Hermosa', lat: 14.8380, lng: 120.4700 },
+  { id: 'tipo', name: 'Tipo', municipality: 'Hermosa', lat: 14.8640, lng: 120.4400 },
+  { id: 'sacrifice-valley', name: 'Sacrifice Valley', municipality: 'Hermosa', lat: 14.8050, lng: 120.4300 },
+  // Orani
+  { id: 'orani', name: 'Orani Poblacion', municipality: 'Orani', lat: 14.8010, lng: 120.5360 },
+  { id: 'tala', name: 'Tala', municipality: 'Orani', lat: 14.7870, lng: 120.4650 },
+  // Samal
+  { id: 'samal', name: 'Samal Poblacion', municipality: 'Samal', lat: 14.7680, lng: 120.5420 },
+  { id: 'palili', name: 'Palili', municipality: 'Samal', lat: 14.7630, lng: 120.5120 },
+  // Abucay
+  { id: 'abucay', name: 'Abucay Poblacion', municipality: 'Abucay', lat: 14.7230, lng: 120.5360 },
+  { id: 'salian', name: 'Salian', municipality: 'Abucay', lat: 14.7153, lng: 120.4705 },
+  // Balanga
+  { id: 'balanga', name: 'Balanga City Proper', municipality: 'Balanga', lat: 14.6770, lng: 120.5375 },
+  { id: 'tuyo', name: 'Tuyo', municipality: 'Balanga', lat: 14.6530, lng: 120.5000 },
+  // Pilar
+  { id: 'pilar', name: 'Pilar Poblacion', municipality: 'Pilar', lat: 14.6610, lng: 120.5660 },
+  { id: 'diwa', name: 'Diwa (Mt. Samat junction)', municipality: 'Pilar', lat: 14.6450, lng: 120.5350 },
+  { id: 'pantingan', name: 'Pantingan', municipality: 'Pilar', lat: 14.6480, lng: 120.5100 },
+  // Orion
+  { id: 'orion', name: 'Orion Poblacion', municipality: 'Orion', lat: 14.6210, lng: 120.5810 },
+  { id: 'general-lim', name: 'General Lim', municipality: 'Orion', lat: 14.6340, lng: 120.5460 },
+  // Limay
+  { id: 'limay', name: 'Limay Poblacion', municipality: 'Limay', lat: 14.5625, lng: 120.5985 },
+  { id: 'alangan', name: 'Alangan', municipality: 'Limay', lat: 14.5760, lng: 120.5560 },
+  { id: 'lamao', name: 'Lamao', municipality: 'Limay', lat: 14.5220, lng: 120.5990 },
+  // Mariveles
+  { id: 'cabcaben', name: 'Cabcaben', municipality: 'Mariveles', lat: 14.4530, lng: 120.5600 },
+  { id: 'alion', name: 'Alion', municipality: 'Mariveles', lat: 14.4630, lng: 120.5280 },
+  { id: 'fab', name: 'Freeport Area of Bataan', municipality: 'Mariveles', lat: 14.4280, lng: 120.5100 },
+  { id: 'mariveles', name: 'Mariveles Poblacion', municipality: 'Mariveles', lat: 14.4335, lng: 120.4855 },
+  { id: 'alas-asin', name: 'Alas-asin', municipality: 'Mariveles', lat: 14.4540, lng: 120.4630 },
+  { id: 'biaan', name: 'Biaan', municipality: 'Mariveles', lat: 14.5000, lng: 120.4300 },
+  // Bagac
+  { id: 'bagac', name: 'Bagac Poblacion', municipality: 'Bagac', lat: 14.5951, lng: 120.3920 },
+  { id: 'banawang', name: 'Banawang', municipality: 'Bagac', lat: 14.6240, lng: 120.4310 },
+  { id: 'binuangan', name: 'Binuangan', municipality: 'Bagac', lat: 14.6305, lng: 120.3810 },
+  { id: 'paysawan', name: 'Paysawan', municipality: 'Bagac', lat: 14.6520, lng: 120.3730 },
+  // Morong
+  { id: 'nagbalayong', name: 'Nagbalayong', municipality: 'Morong', lat: 14.6570, lng: 120.2850 },
+  { id: 'morong', name: 'Morong Poblacion', municipality: 'Morong', lat: 14.6800, lng: 120.2660 },
+  { id: 'binaritan', name: 'Binaritan', municipality: 'Morong', lat: 14.7100, lng: 120.2820 },
+  { id: 'mabayo', name: 'Mabayo', municipality: 'Morong', lat: 14.7440, lng: 120.2820 }
+];
+
+// Two-way road segments between the nodes above
+export const ROAD_SEGMENTS = [
+  // Roman Superhighway
+  { from: 'layac', to: 'hermosa', road: 'Roman Superhighway', type: 'national' },
+  { from: 'hermosa', to: 'orani', road: 'Roman Superhighway', type: 'national' },
+  { from: 'orani', to: 'samal', road: 'Roman Superhighway', type: 'national' },
+  { from: 'samal', to: 'abucay', road: 'Roman Superhighway', type: 'national' },
+  { from: 'abucay', to: 'balanga', road: 'Roman Superhighway', type: 'national' },
+  { from: 'balanga', to: 'pilar', road: 'Roman Superhighway', type: 'national' },
+  { from: 'pilar', to: 'orion', road: 'Roman Superhighway', type: 'national' },
+  { from: 'orion', to: 'limay', road: 'Roman Superhighway', type: 'national' },
+  { from: 'limay', to: 'lamao', road: 'Roman Superhighway', type: 'national' },
+  { from: 'lamao', to: 'alion', road: 'Roman Superhighway', type: 'national' },
+  { from: 'alion', to: 'fab', road: 'Roman Superhighway', type: 'national' },
+  { from: 'fab', to: 'mariveles', road: 'Roman Superhighway', type: 'national' },
+  // Olongapo–Gapan Road and Dinalupihan town roads
+  { from: 'layac', to: 'dinalupihan', road: 'Olongapo–Gapan Road', type: 'national' },
+  { from: 'dinalupihan', to: 'tipo', road: 'Olongapo–Gapan Road', type: 'national' },
+  { from: 'dinalupihan', to: 'new-san-jose', road: 'Dinalupihan–San Jose Road', type: 'municipal' },
+  { from: 'dinalupihan', to: 'happy-valley', road: 'Dinalupihan–Happy Valley Road', type: 'municipal' },
+  // Inland municipal roads off the highway
+  { from: 'hermosa', to: 'mabuco', road: 'Hermosa–Mabuco Road', type: 'municipal' },
+  { from: 'mabuco', to: 'sacrifice-valley', road: 'Sacrifice Valley Road', type: 'mountain' },
+  { from: 'orani', to: 'tala', road: 'Orani–Tala Road', type: 'provincial' },
+  { from: 'samal', to: 'palili', road: 'Samal–Palili Road', type: 'municipal' },
+  { from: 'abucay', to: 'salian', road: 'Abucay–Salian Road', type: 'municipal' },
+  { from: 'balanga', to: 'tuyo', road: 'Balanga–Tuyo Road', type: 'municipal' },
+  { from: 'orion', to: 'general-lim', road: 'Orion–General Lim Road', type: 'municipal' },
+  { from: 'limay', to: 'alangan', road: 'Limay–Alangan Road', type: 'municipal' },
+  // Old coastal road to Mariveles
+  { from: 'lamao', to: 'cabcaben', road: 'Limay–Mariveles Coastal Road', type: 'provincial' },
+  { from: 'cabcaben', to: 'mariveles', road: 'Limay–Mariveles Coastal Road', type: 'provincial' },
+  // Pilar–Bagac Road across the mountains
+  { from: 'pilar', to: 'diwa', road: 'Pilar–Bagac Road', type: 'provincial' },
+  { from: 'balanga', to: 'diwa', road: 'Balanga–Diwa Road', type: 'municipal' },
+  { from: 'diwa', to: 'pantingan', road: 'Pilar–Bagac Road', type: 'mountain' },
+  { from: 'pantingan', to: 'banawang', road: 'Pilar–Bagac Road', type: 'mountain' },
+  { from: 'banawang', to: 'bagac', road: 'Pilar–Bagac Road', type: 'provincial' },
+  // Mariveles–Bagac Road along the west
+  { from: 'mariveles', to: 'alas-asin', road: 'Mariveles–Bagac Road', type: 'provincial' },
+  { from: 'alas-asin', to: 'biaan', road: 'Mariveles–Bagac Road', type: 'mountain' },
+  { from: 'biaan', to: 'bagac', road: 'Mariveles–Bagac Road', type: 'mountain' },
+  // Bagac–Morong Road and Morong town roads
+  { from: 'bagac', to: 'binuangan', road: 'Bagac–Morong Road', type: 'provincial' },
+  { from: 'binuangan', to: 'paysawan', road: 'Bagac–Morong Road', type: 'provincial' },
+  { from: 'paysawan', to: 'nagbalayong', road: 'Bagac–Morong Road', type: 'mountain' },
+  { from: 'nagbalayong', to: 'morong', road: 'Bagac–Morong Road', type: 'provincial' },
+  { from: 'morong', to: 'binaritan', road: 'Morong–Binaritan Road', type: 'municipal' },
+  { from: 'binaritan', to: 'mabayo', road: 'Morong–Binaritan Road', type: 'municipal' }
+];
+
+export default {
+  ROAD_TYPES,
+  ROAD_NODES,
+  ROAD_SEGMENTS
+};
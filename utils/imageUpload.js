@@ -1,35 +1,15 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import storage from '../services/storage.js';
 
 /**
  * Upload and process profile picture
  * @param {Object} file - Multer file object
  * @param {String} userId - User ID for filename
- * @returns {String} - Relative path to uploaded file
+ * @returns {Object} - { url, variants } of the stored picture, without metadata
  */
 export const uploadProfilePicture = async (file, userId) => {
   try {
-    // Ensure uploads/profiles directory exists
-    const uploadsDir = path.join(__dirname, '../uploads/profiles');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-
-    // Generate unique filename
-    const timestamp = Date.now();
-    const fileExtension = path.extname(file.originalname);
-    const filename = `profile-${userId}-${timestamp}${fileExtension}`;
-    const filepath = path.join(uploadsDir, filename);
-
-    // Move file to destination
-    fs.writeFileSync(filepath, file.buffer);
-
-    // Return relative path for database storage
-    return `/uploads/profiles/${filename}`;
+    const { url, variants } = await storage.save(file, { folder: 'profiles', prefix: `profile-${userId}`, kinds: ['image'] });
+    return { url, variants };
 
   } catch (error) {
     console.error('Error uploading profile picture:', error);
@@ -39,19 +19,12 @@ export const uploadProfilePicture = async (file, userId) => {
 
 /**
  * Delete old profile picture
- * @param {String} oldImagePath - Path to old image
+ * @param {String} oldImagePath - URL of the old image
  */
 export const deleteOldProfilePicture = async (oldImagePath) => {
-  try {
-    if (oldImagePath && oldImagePath !== '/uploads/profiles/default-avatar.png') {
-      const fullPath = path.join(__dirname, '..', oldImagePath);
-      if (fs.existsSync(fullPath)) {
-        fs.unlinkSync(fullPath);
-      }
-    }
-  } catch (error) {
-    console.error('Error deleting old profile picture:', error);
-    // Don't throw error as this is not critical
+  if (oldImagePath && oldImagePath !== '/uploads/profiles/default-avatar.png') {
+    // Logs rather than throws, as this is not critical
+    await storage.remove(storage.keyFromUrl(oldImagePath));
   }
 };
 
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/db.js';
+import migrations from '../migrations/index.js';
+
+// Register every model so their indexes are synced after migrating
+import '../models/User.js';
+import '../models/Provider.js';
+import '../models/JobRequest.js';
+import '../models/Highlight.js';
+import '../models/Category.js';
+import '../models/Session.js';
+import '../models/LoginThrottle.js';
+import '../models/SecurityEvent.js';
+import '../models/Conversation.js';
+import '../models/Message.js';
+import '../models/Notification.js';
+
+dotenv.config();
+
+/**
+ * Run every migration that has not been recorded in the `migrations` collection
+ * @returns {Promise<Array>} Names of the migrations applied in this run
+ */
+export const runMigrations = async () => {
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+  const done = new Set((await applied.find({}).toArray()).map(m => m.name));
+  const ran = [];
+
+  for (const migration of migrations) {
+    if (done.has(migration.name)) continue;
+
+    console.log(`⏳ Running migration ${migration.name}`);
+    const summary = await migration.up(db);
+    await applied.insertOne({ name: migration.name, summary, appliedAt: new Date() });
+    console.log(`✅ ${migration.name}${summary ? ` - ${summary}` : ''}`);
+    ran.push(migration.name);
+  }
+
+  // Build indexes declared on the current schemas
+  await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+
+  return ran;
+};
+
+const migrateDatabase = async () => {
+  try {
+    await connectDB();
+    const ran = await runMigrations();
+
+    console.log(`
+    ============================================================
+    ✅ MIGRATIONS COMPLETE (${ran.length} applied)
+    ============================================================
+    `);
+    process.exit(0);
+  } catch (error) {
+    console.error(`
+    ============================================================
+    ❌ MIGRATION FAILED
+    ============================================================
+    Error: ${error.message}
+    ============================================================
+    `);
+    process.exit(1);
+  }
+};
+
+// Run migrations if called directly
+if (process.argv[1].endsWith('migrate.js')) {
+  migrateDatabase();
+}
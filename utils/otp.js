@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+// One-time passcode policy for phone verification
+export const OTP_LENGTH = 6;
+export const OTP_TTL_MINUTES = 5;
+export const OTP_MAX_ATTEMPTS = 5;
+export const OTP_RESEND_COOLDOWN_SECONDS = 60;
+export const OTP_MAX_SENDS_PER_HOUR = 5;
+
+/**
+ * Normalize a Philippine mobile number to +639XXXXXXXXX
+ * Accepts 09XXXXXXXXX, 639XXXXXXXXX and +639XXXXXXXXX with spaces or dashes.
+ * @param {String} phone - Phone number as typed
+ * @returns {String|null} E.164 number or null if it is not a PH mobile number
+ */
+export const normalizePhilippineMobile = (phone) => {
+  const digits = String(phone || '').replace(/[\s()-]/g, '');
+  const match = digits.match(/^(?:\+?63|0)(9\d{9})$/);
+  return match ? `+63${match[1]}` : null;
+};
+
+/**
+ * Mask a phone number for display, e.g. +63917****567
+ */
+export const maskPhone = (phone) => {
+  if (!phone || phone.length < 7) return phone;
+  return `${phone.slice(0, 6)}****${phone.slice(-3)}`;
+};
+
+/**
+ * Random numeric code of OTP_LENGTH digits
+ */
+export const generateOtp = () => {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * Keyed hash of a code, bound to the user and phone so a leaked hash cannot be
+ * brute-forced offline or replayed for another number
+ */
+export const hashOtp = (code, userId, phone) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${userId}:${phone}:${code}`)
+    .digest('hex');
+};
+
+/**
+ * Constant-time comparison of a submitted code against the stored hash
+ */
+export const isOtpMatch = (code, userId, phone, storedHash) => {
+  if (!storedHash) return false;
+  const submitted = Buffer.from(hashOtp(String(code), userId, phone), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return submitted.length === stored.length && crypto.timingSafeEqual(submitted, stored);
+};
+
+export default {
+  OTP_LENGTH,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_SENDS_PER_HOUR,
+  normalizePhilippineMobile,
+  maskPhone,
+  generateOtp,
+  hashOtp,
+  isOtpMatch
+};
@@ -0,0 +1,100 @@
+/**
+ * Profile completeness rules. Each check has a weight; the percentage is the share
+ * of weight a user has completed. Works on User documents and plain objects
+ * (the migration runs it against raw collection documents).
+ */
+const PROFILE_CHECKS = [
+  {
+    field: 'name',
+    label: 'Add your first and last name',
+    weight: 15,
+    isComplete: (user) => Boolean(user.firstName && user.lastName)
+  },
+  {
+    field: 'email',
+    label: 'Verify your email address',
+    weight: 20,
+    isComplete: (user) => Boolean(user.isVerified)
+  },
+  {
+    field: 'phone',
+    label: 'Add and verify a mobile number',
+    weight: 15,
+    isComplete: (user) => Boolean(user.phone && user.phoneVerified)
+  },
+  {
+    field: 'location.municipality',
+    label: 'Set your municipality',
+    weight: 10,
+    isComplete: (user) => Boolean(user.location?.municipality)
+  },
+  {
+    field: 'location.barangay',
+    label: 'Set your barangay',
+    weight: 10,
+    isComplete: (user) => Boolean(user.location?.barangay)
+  },
+  {
+    field: 'profileImage',
+    label: 'Upload a profile picture',
+    weight: 15,
+    isComplete: (user) => Boolean(user.profileImage)
+  },
+  {
+    field: 'profile.bio',
+    label: 'Write a short bio',
+    weight: 15,
+    isComplete: (user) => Boolean(user.profile?.bio?.trim())
+  }
+];
+
+const TOTAL_WEIGHT = PROFILE_CHECKS.reduce((sum, check) => sum + check.weight, 0);
+
+/**
+ * Compute how complete a user's profile is
+ * @param {Object} user - User document or plain object
+ * @returns {Object} { percentage, missing: [{ field, label }] }
+ */
+export const computeProfileCompleteness = (user) => {
+  let completedWeight = 0;
+  const missing = [];
+
+  for (const check of PROFILE_CHECKS) {
+    if (check.isComplete(user)) {
+      completedWeight += check.weight;
+    } else {
+      missing.push({ field: check.field, label: check.label });
+    }
+  }
+
+  return {
+    percentage: Math.round((completedWeight / TOTAL_WEIGHT) * 100),
+    missing
+  };
+};
+
+/**
+ * Split a single display name into first and last name ("Juan dela Cruz" -> "Juan", "dela Cruz")
+ * Particles such as de, dela, del, delos and san stay with the last name.
+ */
+export const splitFullName = (fullName = '') => {
+  const parts = fullName.trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { firstName: '', lastName: '' };
+  if (parts.length === 1) return { firstName: parts[0], lastName: '' };
+
+  const particles = ['de', 'dela', 'del', 'delos', 'san', 'sta', 'sta.', 'santa', 'van', 'von'];
+  let lastStart = parts.length - 1;
+  while (lastStart > 1 && particles.includes(parts[lastStart - 1].toLowerCase())) {
+    lastStart -= 1;
+  }
+
+  return {
+    firstName: parts.slice(0, lastStart).join(' '),
+    lastName: parts.slice(lastStart).join(' ')
+  };
+};
+
+export default {
+  computeProfileCompleteness,
+  splitFullName
+};
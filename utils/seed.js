@@ -6,6 +6,8 @@ import connectDB from '../config/db.js';
 import User from '../models/User.js';
 import Provider from '../models/Provider.js';
 import JobRequest from '../models/JobRequest.js';
+import Category from '../models/Category.js';
+import { legacyProviderToProfile } from '../migrations/001-link-provider-users.js';
 
 dotenv.config();
 
@@ -114,7 +116,7 @@ const seedProviders = async () => {
       email: "juan@hermosapipe.com",
       phone: "+639182345678",
       municipality: "Hermosa",
-      barangay: "Sandoval",
+      barangay: "Palihan",
       address: "456 MacArthur Highway, Sandoval, Hermosa, Bataan",
       category: "Plumbing",
       services: ["Emergency Plumbing", "Pipe Repair", "Faucet Installation", "Water Leak Detection"],
@@ -311,7 +313,7 @@ const seedProviders = async () => {
       email: "antonio@samalwood.com",
       phone: "+639237890123",
       municipality: "Samal",
-      barangay: "East Poblacion",
+      barangay: "East Calaguiman",
       address: "147 Mahogany Street, East Poblacion, Samal, Bataan",
       category: "Carpentry",
       services: ["Custom Furniture", "Cabinet Making", "Door Installation", "Window Repair", "Wood Flooring"],
@@ -385,7 +387,27 @@ const seedProviders = async () => {
     }
   ];
 
-  const providers = await Provider.insertMany(providersData);
+  // Every provider profile belongs to a login account
+  const owners = await User.insertMany(await Promise.all(providersData.map(async (data) => ({
+    name: data.ownerName,
+    email: data.email,
+    password: await bcrypt.hash("provider123", 10),
+    role: "provider",
+    phone: data.phone,
+    phoneVerified: true,
+    phoneVerifiedAt: new Date(),
+    isVerified: true
+  }))));
+
+  const providers = await Provider.insertMany(providersData.map((data, index) => {
+    const profile = legacyProviderToProfile(data);
+    return {
+      ...profile,
+      // Seeded numbers count as verified so the demo providers show up in search
+      contact: { ...profile.contact, phoneVerified: true },
+      user: owners[index]._id
+    };
+  }));
   console.log('✅ Providers seeded');
   return providers;
 };
@@ -417,7 +439,7 @@ const seedJobs = async (users, providers) => {
       urgency: "medium",
       location: {
         municipality: "Hermosa",
-        barangay: "Sandoval",
+        barangay: "Palihan",
         address: "456 Sample Avenue"
       },
       status: "active",
@@ -445,6 +467,9 @@ const seedDatabase = async () => {
     await clearDatabase();
 
     // Seed in order (users first, then providers, then jobs)
+    const categoryCount = await Category.seedDefaults();
+    console.log(`✅ ${categoryCount} categories seeded`);
+
     const users = await seedUsers();
     const providers = await seedProviders();
     const jobs = await seedJobs(users, providers);
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+
+// RFC 6238 parameters understood by Google Authenticator, Authy, 1Password, etc.
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+// Accept one step either side for clock drift
+export const TOTP_DRIFT_STEPS = 1;
+
+export const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// No 0/O or 1/I/L so backup codes survive being read aloud or written down
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Base32 (RFC 4648, no padding) encode
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Base32 decode (case-insensitive, ignores spaces and padding)
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random TOTP secret, base32 encoded (160 bits as RFC 4226 recommends)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Time step for a timestamp
+ */
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Current TOTP code for a secret
+ */
+export const generateTotp = (secret, time = Date.now()) => hotp(secret, getTimeStep(time));
+
+/**
+ * Check a TOTP code, allowing for clock drift and refusing steps already used
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code typed by the user
+ * @param {Number} lastUsedStep - Last accepted time step (replay protection)
+ * @returns {Number|null} The matching time step, or null
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTimeStep();
+  for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = 'Rekomendito') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secret behind everything 2FA keeps at rest, separate from the token signing key
+const getTwoFactorSecret = () => process.env.TWO_FACTOR_ENCRYPTION_SECRET || process.env.JWT_SECRET;
+
+// AES-256-GCM for TOTP secrets at rest; the server must be able to read them back
+const getSealingKey = () => {
+  return crypto.createHash('sha256')
+    .update(getTwoFactorSecret())
+    .digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage ("iv.tag.ciphertext", base64url)
+ */
+export const sealTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSealingKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+export const openTotpSecret = (sealed) => {
+  const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSealingKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Normalize a backup code as typed ("abcd-efgh23" -> "ABCDEFGH23")
+ */
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Keyed hash of a backup code for storage
+ * @param {String} key - HMAC key, the 2FA secret unless checking a legacy hash
+ */
+export const hashBackupCode = (code, key = getTwoFactorSecret()) => {
+  return crypto
+    .createHmac('sha256', key)
+    .update(normalizeBackupCode(code))
+    .digest('hex');
+};
+
+/**
+ * Fresh set of backup codes, formatted XXXXX-XXXXX
+ * @returns {Object} { codes: shown once to the user, hashes: to store }
+ */
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const chars = Array.from({ length: 10 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  });
+  return { codes, hashes: codes.map(code => hashBackupCode(code)) };
+};
+
+export default {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  TOTP_DRIFT_STEPS,
+  BACKUP_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  sealTotpSecret,
+  openTotpSecret,
+  hashBackupCode,
+  generateBackupCodes
+};
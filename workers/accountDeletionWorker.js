@@ -0,0 +1,41 @@
+import User from '../models/User.js';
+import { anonymizeAccount } from '../modules/auth/accountData.js';
+import { scheduleWorker } from './scheduler.js';
+
+// How often to look for accounts whose deletion grace period has ended
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_DELETION_CHECK_INTERVAL_MINUTES) || 60;
+
+/**
+ * Anonymize every account whose scheduled deletion date has passed
+ * @returns {Promise<Number>} Number of accounts anonymized
+ */
+export const processDueAccountDeletions = async () => {
+  const dueUsers = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    'deletion.completedAt': null
+  });
+
+  let processed = 0;
+  for (const user of dueUsers) {
+    try {
+      await anonymizeAccount(user);
+      processed += 1;
+    } catch (error) {
+      // Left scheduled, so the next run retries it
+      console.error(`Account deletion failed for user ${user._id}:`, error);
+    }
+  }
+  return processed;
+};
+
+/**
+ * Run processDueAccountDeletions on an interval for the life of the process
+ */
+export const startAccountDeletionWorker = () => {
+  return scheduleWorker('Account deletion', CHECK_INTERVAL_MINUTES, processDueAccountDeletions);
+};
+
+export default {
+  processDueAccountDeletions,
+  startAccountDeletionWorker
+};
@@ -0,0 +1,77 @@
+import JobRequest from '../models/JobRequest.js';
+import jobLifecycle from '../services/jobLifecycle.js';
+import mailer from '../services/mailer.js';
+import smsGateway from '../services/smsGateway.js';
+import { scheduleWorker } from './scheduler.js';
+
+// How often to look for active jobs past their expiry date
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.JOB_EXPIRY_CHECK_INTERVAL_MINUTES) || 15;
+
+// Jobs handled per query, so a backlog is worked through in bounded batches
+const BATCH_SIZE = 100;
+
+/**
+ * Frontend page where the client can repost an expired job
+ */
+const buildRepostUrl = (job) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}/jobs/${job._id}/repost`;
+};
+
+/**
+ * Tell the client their job expired and how to repost it; failures are logged, not thrown
+ */
+const notifyClient = async (job) => {
+  const client = job.client;
+  if (!client?.isActive) return;
+
+  try {
+    if (client.preferences?.notifications?.email !== false) {
+      await mailer.sendJobExpiredEmail(client, job, buildRepostUrl(job));
+    }
+    await smsGateway.notify(client, `Rekomendito: your job "${job.title}" expired without a hire. Repost it from the app.`);
+  } catch (error) {
+    console.error(`Job expiry notification failed for job ${job._id}:`, error);
+  }
+};
+
+/**
+ * Move every still-active job past its expiry date to expired and notify its
+ * client. Jobs in any other status are left alone.
+ * @returns {Promise<Number>} Number of jobs expired
+ */
+export const expireDueJobs = async () => {
+  let expired = 0;
+
+  for (;;) {
+    const dueJobs = await JobRequest.find({ status: 'active', expiresAt: { $lte: new Date() } })
+      .populate('client', 'name email phone phoneVerified preferences isActive')
+      .limit(BATCH_SIZE);
+
+    for (const job of dueJobs) {
+      const changed = await jobLifecycle.transitionIfUnchanged(job, 'expired', {
+        reason: 'No provider hired before the expiry date'
+      });
+      if (changed) {
+        expired += 1;
+        await notifyClient(job);
+      }
+    }
+
+    if (dueJobs.length < BATCH_SIZE) break;
+  }
+
+  return expired;
+};
+
+/**
+ * Run expireDueJobs on an interval for the life of the process
+ */
+export const startJobExpiryWorker = () => {
+  return scheduleWorker('Job expiry', CHECK_INTERVAL_MINUTES, expireDueJobs);
+};
+
+export default {
+  expireDueJobs,
+  startJobExpiryWorker
+};
@@ -0,0 +1,91 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import mailer from '../services/mailer.js';
+import { buildNotificationUrl } from '../services/notifications.js';
+import { scheduleWorker } from './scheduler.js';
+
+// How often to look for digests that are due
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_DIGEST_CHECK_INTERVAL_MINUTES) || 60;
+
+// A user's digest goes out once their oldest waiting notification is this old
+const DIGEST_HOURS = parseInt(process.env.NOTIFICATION_DIGEST_HOURS) || 24;
+
+// Users handled per query, so a backlog is worked through in bounded batches
+const BATCH_SIZE = 100;
+
+/**
+ * Email one user the notifications waiting for their digest. Ones already
+ * read in the app, and all of them when the user has since turned email off,
+ * are marked skipped instead.
+ * @returns {Promise<Boolean>} Whether a digest was sent
+ */
+const sendDigest = async (userId) => {
+  const user = await User.findById(userId).select('name email preferences isActive');
+  const pending = await Notification.find({ user: userId, 'channels.email': 'digest' }).sort({ createdAt: 1 });
+
+  const wanted = user?.isActive && user.preferences?.notifications?.email !== false;
+  const unread = wanted ? pending.filter(notification => !notification.readAt) : [];
+  const skippedIds = pending.filter(notification => !unread.includes(notification)).map(notification => notification._id);
+
+  let status = 'sent';
+  if (unread.length > 0) {
+    try {
+      await mailer.sendNotificationDigestEmail(user, unread.map(notification => ({
+        notification,
+        url: buildNotificationUrl(notification)
+      })));
+    } catch (error) {
+      console.error(`Notification digest failed for user ${userId}:`, error);
+      status = 'failed';
+    }
+  }
+
+  await Notification.updateMany({ _id: { $in: skippedIds } }, { $set: { 'channels.email': 'skipped' } });
+  await Notification.updateMany(
+    { _id: { $in: unread.map(notification => notification._id) } },
+    { $set: { 'channels.email': status, ...(status === 'sent' && { 'channels.emailedAt': new Date() }) } }
+  );
+  return unread.length > 0 && status === 'sent';
+};
+
+/**
+ * Send the daily digest to every user whose oldest waiting notification is at
+ * least DIGEST_HOURS old
+ * @returns {Promise<Number>} Number of digests sent
+ */
+export const sendDueDigests = async () => {
+  const cutoff = new Date(Date.now() - DIGEST_HOURS * 60 * 60 * 1000);
+  let sent = 0;
+
+  for (;;) {
+    // Every user handled here leaves the match, so each batch starts afresh
+    const dueUsers = await Notification.aggregate([
+      { $match: { 'channels.email': 'digest' } },
+      { $group: { _id: '$user', oldest: { $min: '$createdAt' } } },
+      { $match: { oldest: { $lte: cutoff } } },
+      { $limit: BATCH_SIZE }
+    ]);
+
+    for (const { _id: userId } of dueUsers) {
+      if (await sendDigest(userId)) {
+        sent += 1;
+      }
+    }
+
+    if (dueUsers.length < BATCH_SIZE) break;
+  }
+
+  return sent;
+};
+
+/**
+ * Run sendDueDigests on an interval for the life of the process
+ */
+export const startNotificationDigestWorker = () => {
+  return scheduleWorker('Notification digest', CHECK_INTERVAL_MINUTES, sendDueDigests);
+};
+
+export default {
+  sendDueDigests,
+  startNotificationDigestWorker
+};
@@ -0,0 +1,37 @@
+/**
+ * Run a background task now and then every `intervalMinutes` for the life of
+ * the process. Errors are logged and the next run goes ahead as planned; the
+ * timer does not keep the process alive on shutdown.
+ * @param {String} name - Label for log lines
+ * @param {Number} intervalMinutes - Minutes between runs
+ * @param {Function} task - async () => Number of items processed
+ * @returns {Object} The interval timer
+ */
+export const scheduleWorker = (name, intervalMinutes, task) => {
+  let running = false;
+
+  const run = async () => {
+    // A slow run is never overlapped by the next tick
+    if (running) return;
+    running = true;
+    try {
+      const processed = await task();
+      if (processed > 0) {
+        console.log(`⏱️  ${name}: processed ${processed}`);
+      }
+    } catch (error) {
+      console.error(`${name} worker error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+};
+
+export default {
+  scheduleWorker
+};